@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * tci-simulate - Batch simulation of recorded cases
+ * 記録症例のバッチシミュレーション（コマンドライン）
+ *
+ * Features:
+ * - Reads patient covariates and dose events from a JSON or CSV file (or stdin)
+ * - Runs MonitoringEngine.runSimulation for every case in the file
+ * - Writes SimulationResult.toCSV output, one long-format CSV table or JSON to stdout
+ *
+ * Usage:
+ *   node bin/tci-simulate.js cases.csv > results.csv
+ *   node bin/tci-simulate.js --format json --method analytical cases.json > results.json
+ *   node bin/tci-simulate.js --long cases.csv > results.csv
+ *
+ * The input file layout is described in utils/headless-simulator.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCases, runCase, formatCSV, formatJSON } = require('../utils/headless-simulator');
+
+const USAGE = `Usage: tci-simulate [options] <file | ->
+
+Runs each case in a JSON or CSV dose file through the monitoring simulation
+and writes the predicted concentrations and BIS to stdout.
+
+Options:
+  --format csv|json     Output format (default: csv, SimulationResult.toCSV)
+  --clock-time          CSV time column as HH:MM from the case start time
+                        (default: elapsed minutes)
+  --long                One CSV table with a case_id column and a single header
+                        row (for read.csv in R) instead of a block per case
+  --input csv|json      Input format (default: from the file extension)
+  --duration <min>      Simulation length in minutes (default: last event + 120)
+  --method <method>     rk4 | analytical | lsoda (default: rk4)
+  --model <id>          Model for cases that do not name one (e.g. eleveld, marsh)
+  -h, --help            Show this help
+`;
+
+function parseArguments(argv) {
+    const options = { format: 'csv', clockTime: false, long: false, input: null, duration: null, method: null, model: null, file: null };
+    const valueOf = (i, name) => {
+        if (i + 1 >= argv.length) {
+            throw new Error(`${name} needs a value`);
+        }
+        return argv[i + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--format':
+                options.format = valueOf(i++, arg).toLowerCase();
+                break;
+            case '--clock-time':
+                options.clockTime = true;
+                break;
+            case '--long':
+                options.long = true;
+                break;
+            case '--input':
+                options.input = valueOf(i++, arg).toLowerCase();
+                break;
+            case '--duration':
+                options.duration = parseFloat(valueOf(i++, arg));
+                if (!(options.duration > 0)) {
+                    throw new Error('--duration must be a positive number of minutes');
+                }
+                break;
+            case '--method':
+                options.method = valueOf(i++, arg).toLowerCase();
+                break;
+            case '--model':
+                options.model = valueOf(i++, arg);
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                if (options.file) {
+                    throw new Error('Only one input file can be given');
+                }
+                options.file = arg;
+        }
+    }
+
+    if (!['csv', 'json'].includes(options.format)) {
+        throw new Error('--format must be csv or json');
+    }
+    if (options.long && options.format !== 'csv') {
+        throw new Error('--long applies to CSV output only');
+    }
+    return options;
+}
+
+function main(argv) {
+    const options = parseArguments(argv);
+    if (options.help || !options.file) {
+        process.stdout.write(USAGE);
+        if (!options.help) process.exitCode = 1;
+        return;
+    }
+
+    const fromStdin = options.file === '-';
+    const text = fs.readFileSync(fromStdin ? 0 : options.file, 'utf8');
+    const extension = fromStdin ? '' : path.extname(options.file).slice(1).toLowerCase();
+    const inputFormat = options.input || (extension === 'json' ? 'json' : extension === 'csv' ? 'csv' : null)
+        || (text.trim().startsWith('{') || text.trim().startsWith('[') ? 'json' : 'csv');
+
+    const results = parseCases(text, inputFormat).map(entry => {
+        if (options.model && !entry.patient.model) {
+            entry.patient.model = options.model;
+        }
+        return runCase(entry, { duration: options.duration, method: options.method });
+    });
+
+    process.stdout.write(options.format === 'json' ? formatJSON(results) : formatCSV(results, options));
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`tci-simulate: ${error.message}\n`);
+    process.exitCode = 1;
+}
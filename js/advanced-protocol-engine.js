@@ -7,13 +7,18 @@
  * - Sophisticated threshold-based step-down protocol
  * - Performance evaluation metrics (Target Accuracy, Stability Index, Convergence Time)
  * - Multiple optimization strategies with clinical validation
+ * - Infusion rate search by bracketing plus golden-section or Brent (RateOptimizer),
+ *   with iterations and convergence recorded in optimizationHistory
  * - Real-time adjustment recommendations
+ * - Protocol as dose events (toDoseEvents) for model comparison
+ * - Progress reporting for background optimisation (SimulationWorkerClient)
  */
 
 class AdvancedProtocolEngine {
     constructor() {
         this.patient = null;
         this.pkParams = null;
+        this.model = null;
         this.settings = {
             targetCe: 3.0,                 // Appropriate for propofol
             upperThresholdRatio: 1.2,      // 120% of target
@@ -22,17 +27,30 @@ class AdvancedProtocolEngine {
             simulationDuration: 360,       // 6 hours extended simulation
             targetReachTime: 20,           // 20 minutes to target
             adjustmentInterval: 5.0,       // 5 minutes minimum between adjustments
-            minimumRate: 0.1,              // Minimum infusion rate mg/hr
+            minimumRate: 0.1,              // Step-downs stop here; propofol mg/hr scaled by the model's rateScale
             convergenceThreshold: 0.05,    // ±5% for convergence detection
             
             // New multi-point maintenance protocol settings
             maintenancePoints: [30, 60, 90, 120], // Time points to maintain target (minutes)
             maxAdjustmentsPerHour: 3,      // Maximum 2-3 adjustments per hour
             maintenanceTolerance: 0.1,     // ±10% tolerance for maintenance
-            evaluationWindow: 5.0          // 5-minute window around each maintenance point
+            evaluationWindow: 5.0,         // 5-minute window around each maintenance point
+            
+            // Rate search (RateOptimizer): bracketing scan, then golden-section or Brent
+            rateTolerance: 0.1,            // mg/hr (scaled by the model's rateScale)
+            maxSearchIterations: 100,
+            searchScanStep: 30.0,          // mg/hr between bracketing scan rates (scaled)
+            simulationMethod: SimulationMethod.RK4  // RK4, closed-form analytical or LSODA
         };
         this.lastResult = null;
         this.optimizationHistory = [];
+        this.progressListener = null;  // fraction (0-1) callback while optimising
+    }
+
+    reportProgress(fraction) {
+        if (this.progressListener) {
+            this.progressListener(fraction);
+        }
     }
 
     setPatient(patient) {
@@ -49,39 +67,32 @@ class AdvancedProtocolEngine {
         console.log('Protocol settings updated:', this.settings);
     }
 
+    /**
+     * Lowest rate a step-down reduces to, in the model's rate unit
+     */
+    get minimumRate() {
+        return this.settings.minimumRate * this.model.dosingDefaults.protocol.rateScale;
+    }
+
+    get concentrationUnit() {
+        return this.model.concentrationUnit;
+    }
+
+    get dosingUnits() {
+        return this.model.dosingUnits;
+    }
+
     calculatePKParameters(patient) {
-        console.log('Calculating PK parameters for advanced protocol with Eleveld model');
+        console.log('Calculating PK parameters for advanced protocol via unified simulation core');
         
-        // Use the Eleveld PK-PD calculator
-        const modelParams = EleveldPKPDCalculator.getModelParameters(patient);
+        // Shared, validated parameters for the patient's registered model
+        const modelParams = PKPDSimulationCore.calculateModelParameters(patient);
         
-        // Validate parameters
-        const validation = EleveldPKPDCalculator.validateParameters(modelParams);
-        if (!validation.isValid) {
-            throw new Error('Invalid Eleveld model parameters: ' + validation.errors.join(', '));
-        }
-        
-        // Store PD parameters for BIS calculation
+        // Store PD parameters and model for BIS calculation
         this.pdParams = modelParams.pd;
+        this.model = modelParams.model;
         
-        console.log('Eleveld PK/PD parameters calculated successfully for advanced protocol');
-        
-        const pkParams = modelParams.pk;
-        
-        return {
-            v1: pkParams.v1,
-            v2: pkParams.v2,
-            v3: pkParams.v3,
-            cl: pkParams.cl,
-            q2: pkParams.q2,
-            q3: pkParams.q3,
-            ke0: pkParams.ke0,
-            k10: pkParams.k10,
-            k12: pkParams.k12,
-            k21: pkParams.k21,
-            k13: pkParams.k13,
-            k31: pkParams.k31
-        };
+        return PKPDSimulationCore.toRateConstants(modelParams.pk);
     }
 
     /**
@@ -96,8 +107,8 @@ class AdvancedProtocolEngine {
         this.settings.targetCe = targetCe;
         
         console.log(`=== Advanced Step-Down Protocol Optimization ===`);
-        console.log(`Target Ce: ${targetCe} μg/mL`);
-        console.log(`Bolus dose: ${bolusDoseMg} mg`);
+        console.log(`Target Ce: ${targetCe} ${this.concentrationUnit}`);
+        console.log(`Bolus dose: ${bolusDoseMg} ${this.dosingUnits.amount}`);
         console.log(`Target time: ${targetReachTime} minutes`);
         console.log(`Threshold ratio: ${(this.settings.upperThresholdRatio * 100).toFixed(0)}%`);
         console.log(`Reduction factor: ${(this.settings.reductionFactor * 100).toFixed(0)}%`);
@@ -139,6 +150,7 @@ class AdvancedProtocolEngine {
             targetCe: targetCe,
             bolusDose: bolusDoseMg,
             result: this.lastResult,
+            convergence: optimizationResult.convergence,
             settings: { ...this.settings }
         });
 
@@ -147,8 +159,8 @@ class AdvancedProtocolEngine {
     }
 
     /**
-     * Advanced continuous infusion rate optimization with grid search
-     * Now optimizes for final concentration after full step-down protocol
+     * Advanced continuous infusion rate optimization
+     * Optimizes the multi-point maintenance score of the full step-down protocol
      */
     optimizeContinuousInfusionRate(bolusDoseMg, targetCe, targetTime) {
         console.log('Optimizing continuous infusion rate for multi-point target maintenance...');
@@ -173,144 +185,137 @@ class AdvancedProtocolEngine {
         console.log(`Cumulative reduction: ${((1-cumulativeReduction)*100).toFixed(1)}%`);
         console.log(`Compensation factor: ${compensationFactor.toFixed(2)}x`);
         
-        // Three-stage grid search optimizing for multiple maintenance points
-        const baseMaxRate = targetCe <= 2.0 ? 800.0 : 1200.0;
-        const maxRate = Math.min(2000.0, baseMaxRate * compensationFactor);
-        const stepSize = targetCe <= 2.0 ? 30.0 : 40.0;
+        // Search bounds are propofol mg/hr, scaled by the model's rateScale
+        const rateScale = this.model.dosingDefaults.protocol.rateScale;
+        const baseMaxRate = (targetCe <= 2.0 ? 800.0 : 1200.0) * rateScale;
+        const maxRate = Math.min(2000.0 * rateScale, baseMaxRate * compensationFactor);
+        const minRate = 100.0 * rateScale;
         
-        console.log(`Search range: 100.0 - ${maxRate.toFixed(0)} mg/hr`);
+        console.log(`Search range: ${minRate.toFixed(1)} - ${maxRate.toFixed(0)} ${this.dosingUnits.rate}`);
         
-        // Stage 1: Coarse search
-        const coarseSearch = this.gridSearchOptimizationMultiPoint(bolusDoseMg, targetCe, stepSize, 100.0, maxRate);
-        
-        // Stage 2: Medium search
-        const mediumRange = Math.max(150.0, coarseSearch.bestRate * 0.3);
-        const mediumSearch = this.gridSearchOptimizationMultiPoint(
-            bolusDoseMg, 
-            targetCe, 
-            10.0, 
-            Math.max(50.0, coarseSearch.bestRate - mediumRange),
-            Math.min(maxRate, coarseSearch.bestRate + mediumRange)
-        );
-        
-        // Stage 3: Fine search
-        const fineRange = Math.max(50.0, mediumSearch.bestRate * 0.1);
-        const fineSearch = this.gridSearchOptimizationMultiPoint(
-            bolusDoseMg, 
-            targetCe, 
-            2.0, 
-            Math.max(20.0, mediumSearch.bestRate - fineRange),
-            Math.min(maxRate, mediumSearch.bestRate + fineRange)
-        );
+        // Coarse scan brackets the best rate, golden-section search refines it
+        const search = this.searchRateMultiPoint(bolusDoseMg, targetCe, minRate, maxRate,
+            (fraction) => this.reportProgress(0.95 * fraction));
 
         // Get performance metrics from multi-point simulation
-        const performanceData = this.simulateMultiPointProtocol(bolusDoseMg, fineSearch.bestRate, targetCe);
+        const performanceData = this.simulateMultiPointProtocol(bolusDoseMg, search.bestRate, targetCe);
         
-        console.log(`Optimal rate: ${fineSearch.bestRate.toFixed(2)} mg/hr`);
+        console.log(`Optimal rate: ${search.bestRate.toFixed(2)} ${this.dosingUnits.rate} ` +
+            `(${search.convergence.iterations} iterations, ${search.convergence.status})`);
         console.log(`Multi-point performance score: ${performanceData.score.toFixed(1)}/100`);
         
-        return new ProtocolResult(
-            fineSearch.bestRate,
+        const result = new ProtocolResult(
+            search.bestRate,
             performanceData.averageConcentration,
             null, // Schedule will be generated later
             targetCe,
             targetTime
         );
+        result.convergence = search.convergence;
+        return result;
     }
 
     /**
-     * Grid search optimization with configurable precision (original method)
+     * Search settings scaled to the model's rate units
      */
-    gridSearchOptimization(bolusDoseMg, targetCe, targetTime, step, minRate, maxRate) {
-        let bestRate = 1.0;
-        let bestError = Infinity;
-        const results = [];
-
-        for (let rate = minRate; rate <= maxRate; rate += step) {
-            const ceAtTarget = this.simulateBolusAndContinuous(bolusDoseMg, rate, targetTime);
-            const error = Math.abs(ceAtTarget - targetCe);
+    rateSearchOptions(minRate, maxRate) {
+        const rateScale = this.model.dosingDefaults.protocol.rateScale;
+        return {
+            tolerance: this.settings.rateTolerance * rateScale,
+            maxIterations: this.settings.maxSearchIterations,
+            scanPoints: Math.ceil((maxRate - minRate) / (this.settings.searchScanStep * rateScale)) + 1
+        };
+    }
 
-            results.push({
-                rate: rate,
-                ceAtTarget: ceAtTarget,
-                error: error,
-                relativeError: (error / targetCe) * 100
-            });
+    /**
+     * Convergence record of a RateOptimizer result for optimizationHistory
+     */
+    convergenceRecord(method, search, tolerance) {
+        return {
+            method: method,
+            iterations: search.iterations,
+            evaluations: search.evaluations,
+            converged: search.converged,
+            status: search.status,
+            bracket: search.bracket,
+            tolerance: tolerance
+        };
+    }
 
-            if (error < bestError) {
-                bestError = error;
-                bestRate = rate;
-            }
-        }
+    /**
+     * Rate at which Ce at the target time equals the target (bracketing + Brent root search)
+     */
+    searchRateForTargetTime(bolusDoseMg, targetCe, targetTime, minRate, maxRate) {
+        const options = this.rateSearchOptions(minRate, maxRate);
+        const results = [];
+        const search = RateOptimizer.findRate((rate) => {
+            const ceAtTarget = this.simulateBolusAndContinuous(bolusDoseMg, rate, targetTime);
+            results.push({ rate: rate, ceAtTarget: ceAtTarget });
+            return ceAtTarget;
+        }, targetCe, {
+            ...options,
+            lower: minRate,
+            upper: minRate > 0 ? minRate * 2 : maxRate,
+            maximum: maxRate
+        });
 
+        const bestError = Math.abs(search.value - targetCe);
         return {
-            bestRate: bestRate,
+            bestRate: search.rate,
             bestError: bestError,
-            results: results
+            results: results,
+            convergence: this.convergenceRecord('brent', search, options.tolerance)
         };
     }
 
     /**
-     * Grid search optimization for full protocol final concentration
+     * Rate whose Ce at the end of the full step-down protocol is closest to the target
+     * (bracketing scan + golden-section search)
      */
-    gridSearchOptimizationFullProtocol(bolusDoseMg, targetCe, step, minRate, maxRate) {
-        let bestRate = 1.0;
-        let bestError = Infinity;
+    searchRateForFinalCe(bolusDoseMg, targetCe, minRate, maxRate) {
+        const options = this.rateSearchOptions(minRate, maxRate);
         const results = [];
-
-        for (let rate = minRate; rate <= maxRate; rate += step) {
+        const search = RateOptimizer.minimize((rate) => {
             const finalCe = this.simulateFullProtocolFinalCe(bolusDoseMg, rate, targetCe);
             const error = Math.abs(finalCe - targetCe);
-
-            results.push({
-                rate: rate,
-                finalCe: finalCe,
-                error: error,
-                relativeError: (error / targetCe) * 100
-            });
-
-            if (error < bestError) {
-                bestError = error;
-                bestRate = rate;
-            }
-        }
+            results.push({ rate: rate, finalCe: finalCe, error: error, relativeError: (error / targetCe) * 100 });
+            return error;
+        }, minRate, maxRate, options);
 
         return {
-            bestRate: bestRate,
-            bestError: bestError,
-            results: results
+            bestRate: search.rate,
+            bestError: search.value,
+            results: results,
+            convergence: this.convergenceRecord('golden-section', search, options.tolerance)
         };
     }
 
     /**
-     * Grid search optimization for multi-point target maintenance
+     * Rate with the best multi-point maintenance score (bracketing scan + golden-section search).
+     * Among rates with equal scores (e.g. all points within tolerance) the lowest is chosen,
+     * as the grid search did.
+     * @param {Function} onProgress - Fraction of the search done (0-1)
      */
-    gridSearchOptimizationMultiPoint(bolusDoseMg, targetCe, step, minRate, maxRate) {
-        let bestRate = 100.0;
-        let bestScore = 0;
+    searchRateMultiPoint(bolusDoseMg, targetCe, minRate, maxRate, onProgress = null) {
+        const options = this.rateSearchOptions(minRate, maxRate);
         const results = [];
-
-        for (let rate = minRate; rate <= maxRate; rate += step) {
+        const search = RateOptimizer.minimize((rate) => {
             const performanceData = this.simulateMultiPointProtocol(bolusDoseMg, rate, targetCe);
-            const score = performanceData.score;
-
             results.push({
                 rate: rate,
-                score: score,
+                score: performanceData.score,
                 averageError: performanceData.averageError,
                 maintenancePoints: performanceData.maintenancePoints
             });
+            return (100 - performanceData.score) + 1e-6 * rate / maxRate;
+        }, minRate, maxRate, { ...options, onProgress: onProgress });
 
-            if (score > bestScore) {
-                bestScore = score;
-                bestRate = rate;
-            }
-        }
-
+        const best = results.find(entry => entry.rate === search.rate);
         return {
-            bestRate: bestRate,
-            bestScore: bestScore,
-            results: results
+            bestRate: search.rate,
+            bestScore: best.score,
+            results: results,
+            convergence: this.convergenceRecord('golden-section', search, options.tolerance)
         };
     }
 
@@ -382,8 +387,7 @@ class AdvancedProtocolEngine {
         const upperThreshold = targetCe * this.settings.upperThresholdRatio;
         
         const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
+        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3, ce: bolusState.effectSiteConc };
         let currentRate = initialContinuousRate;
         
         const timeSeriesData = [];
@@ -396,7 +400,6 @@ class AdvancedProtocolEngine {
         
         for (let i = 0; i < numSteps; i++) {
             const currentTime = i * this.settings.timeStep;
-            const infusionRateMgMin = (currentRate) / 60.0;
             
             // Track adjustments per hour
             const hour = Math.floor(currentTime / 60);
@@ -405,23 +408,18 @@ class AdvancedProtocolEngine {
                 adjustmentsThisHour = 0;
             }
             
-            // Calculate plasma concentration
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            
-            // Update effect site concentration
-            if (i > 0) {
-                const dCedt = this.pkParams.ke0 * (plasmaConc - currentCe);
-                currentCe = currentCe + this.settings.timeStep * dCedt;
-            }
+            // Plasma and effect-site concentrations from the coupled RK4 state
+            const plasmaConc = PKPDSimulationCore.plasmaConcentration(state, this.pkParams);
+            const currentCe = Math.max(0, state.ce);
             
             // Enhanced step-down logic with hourly limits
             if (currentCe >= upperThreshold && 
                 currentTime - lastAdjustmentTime >= this.settings.adjustmentInterval &&
                 adjustmentsThisHour < this.settings.maxAdjustmentsPerHour &&
-                currentRate > this.settings.minimumRate) {
+                currentRate > this.minimumRate) {
                 
                 const oldRate = currentRate;
-                currentRate = Math.max(this.settings.minimumRate, currentRate * this.settings.reductionFactor);
+                currentRate = Math.max(this.minimumRate, currentRate * this.settings.reductionFactor);
                 
                 adjustmentCount++;
                 adjustmentsThisHour++;
@@ -440,9 +438,9 @@ class AdvancedProtocolEngine {
                 isBolus: i === 0
             });
             
-            // Update system state using RK4
+            // Update system state (RK4 or analytical); a step-down applies from its own time
             if (i < numSteps - 1) {
-                state = this.updateSystemStateRK4(state, infusionRateMgMin, this.settings.timeStep);
+                state = this.advanceState(state, currentRate / 60.0, this.settings.timeStep);
             }
         }
         
@@ -456,8 +454,7 @@ class AdvancedProtocolEngine {
         const upperThreshold = targetCe * this.settings.upperThresholdRatio;
         
         const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
+        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3, ce: bolusState.effectSiteConc };
         let currentRate = initialContinuousRate;
         
         let lastAdjustmentTime = -this.settings.adjustmentInterval;
@@ -466,33 +463,27 @@ class AdvancedProtocolEngine {
         
         for (let i = 0; i < numSteps; i++) {
             const currentTime = i * this.settings.timeStep;
-            const infusionRateMgMin = (currentRate) / 60.0;
             
-            // Calculate plasma concentration
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            
-            // Update effect site concentration
-            if (i > 0) {
-                const dCedt = this.pkParams.ke0 * (plasmaConc - currentCe);
-                currentCe = currentCe + this.settings.timeStep * dCedt;
-            }
+            // Plasma and effect-site concentrations from the coupled RK4 state
+            const plasmaConc = PKPDSimulationCore.plasmaConcentration(state, this.pkParams);
+            const currentCe = Math.max(0, state.ce);
             
             // Step-down logic
             if (currentCe >= upperThreshold && 
                 currentTime - lastAdjustmentTime >= this.settings.adjustmentInterval &&
-                currentRate > this.settings.minimumRate) {
+                currentRate > this.minimumRate) {
                 
-                currentRate = Math.max(this.settings.minimumRate, currentRate * this.settings.reductionFactor);
+                currentRate = Math.max(this.minimumRate, currentRate * this.settings.reductionFactor);
                 lastAdjustmentTime = currentTime;
             }
             
-            // Update system state using RK4
+            // Update system state (RK4 or analytical); a step-down applies from its own time
             if (i < numSteps - 1) {
-                state = this.updateSystemStateRK4(state, infusionRateMgMin, this.settings.timeStep);
+                state = this.advanceState(state, currentRate / 60.0, this.settings.timeStep);
             }
         }
         
-        return currentCe;
+        return Math.max(0, state.ce);
     }
 
     /**
@@ -527,7 +518,7 @@ class AdvancedProtocolEngine {
                     thresholdRatio: current.ce / targetCe
                 });
                 
-                console.log(`${current.time.toFixed(1)}min: Step-down #${lastAdjustmentNumber} - Ce=${current.ce.toFixed(3)} → Rate ${previous.infusionRate.toFixed(2)} → ${current.infusionRate.toFixed(2)} mg/hr (-${reductionPercent.toFixed(1)}%)`);
+                console.log(`${current.time.toFixed(1)}min: Step-down #${lastAdjustmentNumber} - Ce=${current.ce.toFixed(3)} → Rate ${previous.infusionRate.toFixed(2)} → ${current.infusionRate.toFixed(2)} ${this.dosingUnits.rate} (-${reductionPercent.toFixed(1)}%)`);
             }
         }
         
@@ -539,7 +530,7 @@ class AdvancedProtocolEngine {
         for (const timePoint of maintenancePoints) {
             const pointData = timeSeriesData.find(point => Math.abs(point.time - timePoint) < 0.5);
             if (pointData) {
-                console.log(`  ${timePoint}min: Ce=${pointData.ce.toFixed(3)} μg/mL (target: ${targetCe} μg/mL)`);
+                console.log(`  ${timePoint}min: Ce=${pointData.ce.toFixed(3)} ${this.concentrationUnit} (target: ${targetCe} ${this.concentrationUnit})`);
             }
         }
         
@@ -592,7 +583,7 @@ class AdvancedProtocolEngine {
                 totalPointScore += pointScore;
                 pointsEvaluated++;
                 
-                console.log(`  ${timePoint}min point: Ce=${avgCe.toFixed(3)} μg/mL, Error=${(relativeError*100).toFixed(1)}%, Score=${pointScore.toFixed(1)}`);
+                console.log(`  ${timePoint}min point: Ce=${avgCe.toFixed(3)} ${this.concentrationUnit}, Error=${(relativeError*100).toFixed(1)}%, Score=${pointScore.toFixed(1)}`);
             }
         }
         
@@ -703,27 +694,13 @@ class AdvancedProtocolEngine {
      * Simulate bolus + continuous infusion for specific time
      */
     simulateBolusAndContinuous(bolusDoseMg, continuousRate, targetTime) {
-        const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
-        
-        const infusionRateMgMin = (continuousRate ) / 60.0;
-        const numSteps = Math.floor(targetTime / this.settings.timeStep);
-        
-        
-        for (let i = 0; i < numSteps; i++) {
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            
-            // Update effect site concentration
-            const dCedt = this.pkParams.ke0 * (plasmaConc - currentCe);
-            currentCe = currentCe + this.settings.timeStep * dCedt;
-            
-            // Update system state
-            state = this.updateSystemStateRK4(state, infusionRateMgMin, this.settings.timeStep);
-        }
-        
+        const result = PKPDSimulationCore.simulate(
+            { pk: this.pkParams, pd: this.pdParams, model: this.model },
+            [new DoseEvent(0, bolusDoseMg, continuousRate)],
+            { duration: targetTime, timeStep: this.settings.timeStep, method: this.settings.simulationMethod }
+        );
         
-        return currentCe;
+        return result.effectSiteConcentrations[result.effectSiteConcentrations.length - 1];
     }
 
     /**
@@ -741,56 +718,25 @@ class AdvancedProtocolEngine {
     }
 
     /**
-     * 4th order Runge-Kutta integration (Context7 Math.NET style)
+     * Advance the state with the configured simulation method
+     */
+    advanceState(state, infusionRateMgMin, dt) {
+        return PKPDSimulationCore.advance(state, this.pkParams, infusionRateMgMin, dt, this.settings.simulationMethod);
+    }
+
+    /**
+     * Unified RK4 method as per numerical-unification-guide.yml
+     * Delegates to PKPDSimulationCore (a1, a2, a3 and effect-site concentration)
      */
     updateSystemStateRK4(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.patient.pkParams;
-        
-        const derivatives = (s) => ({
-            da1dt: infusionRateMgMin - (k10 + k12 + k13) * s.a1 + k21 * s.a2 + k31 * s.a3,
-            da2dt: k12 * s.a1 - k21 * s.a2,
-            da3dt: k13 * s.a1 - k31 * s.a3
-        });
-        
-        const k1 = derivatives(state);
-        const k2 = derivatives({
-            a1: state.a1 + 0.5 * dt * k1.da1dt,
-            a2: state.a2 + 0.5 * dt * k1.da2dt,
-            a3: state.a3 + 0.5 * dt * k1.da3dt
-        });
-        const k3 = derivatives({
-            a1: state.a1 + 0.5 * dt * k2.da1dt,
-            a2: state.a2 + 0.5 * dt * k2.da2dt,
-            a3: state.a3 + 0.5 * dt * k2.da3dt
-        });
-        const k4 = derivatives({
-            a1: state.a1 + dt * k3.da1dt,
-            a2: state.a2 + dt * k3.da2dt,
-            a3: state.a3 + dt * k3.da3dt
-        });
-        
-        return {
-            a1: state.a1 + (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt),
-            a2: state.a2 + (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt),
-            a3: state.a3 + (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt)
-        };
+        return PKPDSimulationCore.updateSystemStateRK4(state, this.patient.pkParams, infusionRateMgMin, dt);
     }
 
     /**
      * Unified Euler method for fallback
      */
     updateSystemStateEuler(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.patient.pkParams;
-        
-        const da1dt = infusionRateMgMin - (k10 + k12 + k13) * state.a1 + k21 * state.a2 + k31 * state.a3;
-        const da2dt = k12 * state.a1 - k21 * state.a2;
-        const da3dt = k13 * state.a1 - k31 * state.a3;
-        
-        return {
-            a1: state.a1 + dt * da1dt,
-            a2: state.a2 + dt * da2dt,
-            a3: state.a3 + dt * da3dt
-        };
+        return PKPDSimulationCore.updateSystemStateEuler(state, this.patient.pkParams, infusionRateMgMin, dt);
     }
 
     /**
@@ -819,7 +765,7 @@ class AdvancedProtocolEngine {
         schedule.push({
             time: 0,
             action: 'Bolus Administration',
-            dose: `${bolusDoseMg.toFixed(1)} mg`,
+            dose: `${bolusDoseMg.toFixed(1)} ${this.dosingUnits.amount}`,
             rate: '-',
             comment: 'Initial bolus administration',
             type: 'bolus'
@@ -830,7 +776,7 @@ class AdvancedProtocolEngine {
             time: 0,
             action: 'Start Continuous Infusion',
             dose: '-',
-            rate: `${continuousRate.toFixed(2)} mg/hr`,
+            rate: `${continuousRate.toFixed(2)} ${this.dosingUnits.rate}`,
             comment: 'Initial continuous infusion rate',
             type: 'start_continuous'
         });
@@ -849,8 +795,8 @@ class AdvancedProtocolEngine {
                 time: Math.round(adj.time),
                 action: `Step-down #${adj.adjustmentNumber}`,
                 dose: '-',
-                rate: `${adj.newRate.toFixed(2)} mg/hr`,
-                comment: `Threshold reached, dose reduced (Ce: ${actualCe.toFixed(2)} μg/mL, -${adj.reductionPercent.toFixed(1)}%)`,
+                rate: `${adj.newRate.toFixed(2)} ${this.dosingUnits.rate}`,
+                comment: `Threshold reached, dose reduced (Ce: ${actualCe.toFixed(2)} ${this.concentrationUnit}, -${adj.reductionPercent.toFixed(1)}%)`,
                 type: 'step_down',
                 ceAtEvent: actualCe,
                 reductionPercent: adj.reductionPercent
@@ -882,7 +828,7 @@ class AdvancedProtocolEngine {
                         action: `Maintenance Point`,
                         dose: '-',
                         rate: '-',
-                        comment: `Ce: ${pointData.ce.toFixed(3)} μg/mL (Error: ${errorPercent.toFixed(1)}%)`,
+                        comment: `Ce: ${pointData.ce.toFixed(3)} ${this.concentrationUnit} (Error: ${errorPercent.toFixed(1)}%)`,
                         type: 'maintenance_point'
                     });
                 }
@@ -902,7 +848,7 @@ class AdvancedProtocolEngine {
         schedule.push({
             time: 0,
             action: 'Bolus Administration',
-            dose: `${bolusDoseMg.toFixed(1)} mg`,
+            dose: `${bolusDoseMg.toFixed(1)} ${this.dosingUnits.amount}`,
             rate: '-',
             comment: 'Initial bolus administration',
             type: 'bolus'
@@ -913,7 +859,7 @@ class AdvancedProtocolEngine {
             time: 0,
             action: 'Start Continuous Infusion',
             dose: '-',
-            rate: `${continuousRate.toFixed(2)} mg/hr`,
+            rate: `${continuousRate.toFixed(2)} ${this.dosingUnits.rate}`,
             comment: 'Initial continuous infusion rate',
             type: 'start_continuous'
         });
@@ -924,8 +870,8 @@ class AdvancedProtocolEngine {
                 time: Math.round(adj.time),
                 action: `Step-down #${adj.adjustmentNumber}`,
                 dose: '-',
-                rate: `${adj.newRate.toFixed(2)} mg/hr`,
-                comment: `Threshold reached, dose reduced (Ce: ${adj.ceAtEvent.toFixed(2)} μg/mL, -${adj.reductionPercent.toFixed(1)}%)`,
+                rate: `${adj.newRate.toFixed(2)} ${this.dosingUnits.rate}`,
+                comment: `Threshold reached, dose reduced (Ce: ${adj.ceAtEvent.toFixed(2)} ${this.concentrationUnit}, -${adj.reductionPercent.toFixed(1)}%)`,
                 type: 'step_down',
                 ceAtEvent: adj.ceAtEvent,
                 reductionPercent: adj.reductionPercent
@@ -956,7 +902,7 @@ class AdvancedProtocolEngine {
                         action: `Maintenance Point`,
                         dose: '-',
                         rate: '-',
-                        comment: `Ce: ${pointData.ce.toFixed(3)} μg/mL (Error: ${errorPercent.toFixed(1)}%)`,
+                        comment: `Ce: ${pointData.ce.toFixed(3)} ${this.concentrationUnit} (Error: ${errorPercent.toFixed(1)}%)`,
                         type: 'maintenance_point'
                     });
                 }
@@ -976,7 +922,7 @@ class AdvancedProtocolEngine {
         schedule.push({
             time: 0,
             action: 'Bolus Administration',
-            dose: `${bolusDoseMg.toFixed(1)} mg`,
+            dose: `${bolusDoseMg.toFixed(1)} ${this.dosingUnits.amount}`,
             rate: '-',
             comment: 'Initial bolus administration',
             type: 'bolus'
@@ -987,7 +933,7 @@ class AdvancedProtocolEngine {
             time: 0,
             action: 'Start Continuous Infusion',
             dose: '-',
-            rate: `${continuousRate.toFixed(2)} mg/hr`,
+            rate: `${continuousRate.toFixed(2)} ${this.dosingUnits.rate}`,
             comment: 'Initial continuous infusion rate',
             type: 'start_continuous'
         });
@@ -998,8 +944,8 @@ class AdvancedProtocolEngine {
                 time: Math.round(adj.time),
                 action: `Step-down #${adj.adjustmentNumber}`,
                 dose: '-',
-                rate: `${adj.newRate.toFixed(2)} mg/hr`,
-                comment: `Threshold reached, dose reduced (Ce: ${adj.ceAtEvent.toFixed(2)} μg/mL, -${adj.reductionPercent.toFixed(1)}%)`,
+                rate: `${adj.newRate.toFixed(2)} ${this.dosingUnits.rate}`,
+                comment: `Threshold reached, dose reduced (Ce: ${adj.ceAtEvent.toFixed(2)} ${this.concentrationUnit}, -${adj.reductionPercent.toFixed(1)}%)`,
                 type: 'step_down',
                 ceAtEvent: adj.ceAtEvent,
                 reductionPercent: adj.reductionPercent
@@ -1030,6 +976,18 @@ class AdvancedProtocolEngine {
         };
     }
 
+    /**
+     * Protocol as monitoring dose events: the bolus with the initial rate, then one per step-down
+     */
+    toDoseEvents(result = this.lastResult) {
+        if (!result) return [];
+        const protocol = result.protocol;
+        return [
+            new DoseEvent(0, protocol.bolusDose, protocol.initialContinuousRate),
+            ...protocol.dosageAdjustments.map(adjustment => new DoseEvent(adjustment.time, 0, adjustment.newRate))
+        ];
+    }
+
     getLastResult() {
         return this.lastResult;
     }
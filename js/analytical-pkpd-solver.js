@@ -0,0 +1,144 @@
+/**
+ * Closed-Form Analytical PK/PD Solver
+ * 固有値による3コンパートメント＋効果部位モデルの解析解
+ *
+ * Features:
+ * - Exact Cp and Ce for piecewise-constant dosing (boluses and constant-rate infusions)
+ * - Eigenvalues from the same cubic as MasuiKe0Calculator.calculatePlasmaCoefficients
+ * - Exact state propagation over any interval, so accuracy does not depend on the time step
+ * - Evaluation at arbitrary times, not only on a grid
+ *
+ * With K the 3×3 compartment matrix, eigenvalues λ_i = -α, -β, -γ and right/left
+ * eigenvectors v_i = (1, k12/(λ_i+k21), k13/(λ_i+k31)), w_i = (1, k21/(λ_i+k21), k31/(λ_i+k31)):
+ *   a(t) = Σ v_i [ (w_i·a0) e^(λ_i t) + R (e^(λ_i t) - 1) / λ_i ] / (w_i·v_i)
+ * The effect site is then integrated exactly against the sum of exponentials in a1.
+ * Requires distinct eigenvalues (Q2, Q3 > 0), which every registered model satisfies.
+ */
+
+class AnalyticalPKPDSolver {
+    /**
+     * @param {Object} pkParams - PKParameters or rate constants (v1, ke0, k10, k12, k13, k21, k31)
+     */
+    constructor(pkParams) {
+        const { k10, k12, k13, k21, k31 } = pkParams;
+        const coefficients = MasuiKe0Calculator.calculatePlasmaCoefficients({ k10, k12, k13, k21, k31 });
+
+        this.v1 = pkParams.v1;
+        this.ke0 = pkParams.ke0;
+        this.modes = [coefficients.alpha, coefficients.beta, coefficients.gamma].map(rate => {
+            const lambda = -rate;
+            const v = [1, k12 / (lambda + k21), k13 / (lambda + k31)];
+            const w = [1, k21 / (lambda + k21), k31 / (lambda + k31)];
+            return {
+                lambda: lambda,
+                v: v,
+                w: w,
+                norm: w[0] * v[0] + w[1] * v[1] + w[2] * v[2]
+            };
+        });
+        this.cachedStep = null;  // Exponentials for the last dt (fixed-grid runs reuse them)
+    }
+
+    /**
+     * e^(λ_i dt), e^(-ke0 dt) and the effect-site convolution weights for a step length
+     */
+    stepFactors(dt) {
+        if (this.cachedStep && this.cachedStep.dt === dt) return this.cachedStep;
+
+        const ke0 = this.ke0;
+        const decayCe = Math.exp(-ke0 * dt);
+        const modeFactors = this.modes.map(mode => {
+            const decay = Math.exp(mode.lambda * dt);
+            // ∫ ke0 e^(-ke0 (dt - s)) e^(λ s) ds, with its limit at ke0 = -λ
+            const rate = ke0 + mode.lambda;
+            const convolution = Math.abs(rate) < 1e-12 * ke0
+                ? ke0 * dt * decayCe
+                : ke0 * (decay - decayCe) / rate;
+            return { decay: decay, convolution: convolution };
+        });
+
+        this.cachedStep = { dt: dt, decayCe: decayCe, modes: modeFactors };
+        return this.cachedStep;
+    }
+
+    /**
+     * Exact state after dt with a constant infusion (amount per minute into V1)
+     * @param {Object} state - { a1, a2, a3, ce }
+     * @returns {Object} New { a1, a2, a3, ce }
+     */
+    advance(state, infusionRatePerMin, dt) {
+        if (dt <= 0) return { ...state };
+
+        const factors = this.stepFactors(dt);
+        const next = { a1: 0, a2: 0, a3: 0, ce: state.ce * factors.decayCe };
+
+        // Constant part of a1(t) from the infusion
+        let constant = 0;
+
+        this.modes.forEach((mode, i) => {
+            const { lambda, v, w, norm } = mode;
+            const { decay, convolution } = factors.modes[i];
+            const projection = w[0] * state.a1 + w[1] * state.a2 + w[2] * state.a3;
+            const steadyPart = infusionRatePerMin / (lambda * norm);
+            const amplitude = projection / norm + steadyPart;
+            const weight = amplitude * decay - steadyPart;
+
+            next.a1 += v[0] * weight;
+            next.a2 += v[1] * weight;
+            next.a3 += v[2] * weight;
+
+            constant -= steadyPart;
+            next.ce += amplitude * convolution / this.v1;
+        });
+
+        next.ce += constant * (1 - factors.decayCe) / this.v1;
+        return next;
+    }
+
+    /**
+     * Cp and Ce at arbitrary times for a dose timeline
+     * Events at a requested time are applied before that time is reported.
+     * @param {Array} doseEvents - Timeline accepted by PKPDSimulationCore.buildDoseTimeline
+     * @param {Array<number>} times - Minutes (any order)
+     */
+    concentrationsAt(doseEvents, times) {
+        const timeline = PKPDSimulationCore.buildDoseTimeline(doseEvents);
+        const order = times.map((time, i) => i).sort((a, b) => times[a] - times[b]);
+        const plasmaConcentrations = new Array(times.length);
+        const effectSiteConcentrations = new Array(times.length);
+
+        let state = PKPDSimulationCore.createInitialState();
+        let infusionRatePerMin = 0.0;
+        let currentTime = 0.0;
+        let eventIndex = 0;
+
+        order.forEach(i => {
+            const time = times[i];
+            while (eventIndex < timeline.length &&
+                   timeline[eventIndex].time <= time + SIMULATION_TIME_EPSILON) {
+                const event = timeline[eventIndex];
+                state = this.advance(state, infusionRatePerMin, event.time - currentTime);
+                currentTime = event.time;
+                state.a1 += event.bolusAmount;
+                infusionRatePerMin = event.infusionRatePerMin;
+                eventIndex++;
+            }
+
+            state = this.advance(state, infusionRatePerMin, time - currentTime);
+            currentTime = Math.max(currentTime, time);
+            plasmaConcentrations[i] = Math.max(0.0, state.a1 / this.v1);
+            effectSiteConcentrations[i] = Math.max(0.0, state.ce);
+        });
+
+        return { times: times, plasmaConcentrations, effectSiteConcentrations };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.AnalyticalPKPDSolver = AnalyticalPKPDSolver;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnalyticalPKPDSolver };
+}
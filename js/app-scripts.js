@@ -0,0 +1,74 @@
+/**
+ * Application Script List
+ * アプリケーションスクリプト一覧
+ *
+ * Features:
+ * - The one list of the app's scripts, in load order
+ * - index.html script tags are generated from it (npm run sync-scripts)
+ * - js/simulation-worker.js imports the calculation scripts, utils/node-app-loader.js
+ *   loads everything except the UI scripts, sw.js caches all of them
+ *
+ * Paths are relative to the application root. A new script is added here, then
+ * `npm run sync-scripts` updates index.html.
+ */
+
+const AppScripts = {
+    // Models and engines; no DOM needed, so they also run in the Web Worker and in Node
+    calculation: [
+        'utils/lsoda.js',
+        'utils/masui-ke0-calculator.js',
+        'utils/time-to-peak-calculator.js',
+        'utils/rate-optimizer.js',
+        'js/models.js',
+        'js/model-registry.js',
+        'js/eleveld-pk-pd.js',
+        'js/remimazolam-pk-pd.js',
+        'js/marsh-pk.js',
+        'js/schnider-pk.js',
+        'js/pediatric-pk.js',
+        'js/minto-remifentanil-pk.js',
+        'js/dexmedetomidine-pk.js',
+        'js/custom-pk-pd.js',
+        'js/interaction-model.js',
+        'js/pkpd-simulation-core.js',
+        'js/analytical-pkpd-solver.js',
+        'js/population-variability.js',
+        'js/model-comparison.js',
+        'js/bayesian-pd-estimator.js',
+        'js/bayesian-pk-estimator.js',
+        'js/loc-response-model.js',
+        'js/induction-engine.js',
+        'js/protocol-engine.js',
+        'js/advanced-protocol-engine.js',
+        'js/tci-controller.js',
+        'js/monitoring-engine.js',
+        'js/simulation-transfer.js'
+    ],
+
+    // Main thread only, but usable without a DOM (falls back to direct calls)
+    mainThread: [
+        'js/simulation-worker-client.js'
+    ],
+
+    // Need the DOM and Chart.js
+    ui: [
+        'js/realtime-chart.js',
+        'js/main.js'
+    ],
+
+    /**
+     * Every script of index.html, in load order
+     */
+    all() {
+        return [...this.calculation, ...this.mainThread, ...this.ui];
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.AppScripts = AppScripts;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AppScripts };
+}
@@ -0,0 +1,251 @@
+/**
+ * Bayesian PD Individualisation from Observed BIS
+ * 観測BISによる薬力学パラメータの個別化
+ *
+ * Features:
+ * - Maximum a posteriori (MAP) estimate of Ce50, ke0 and the BIS slope (γ)
+ *   from observed BIS readings and the model's population priors
+ * - Priors: typical values from the model (Eleveld: pd_theta with covariates),
+ *   log-normal ω² from the model's `variability`, additive BIS residual error
+ * - Plasma concentrations are kept from the PK model; only the effect site and
+ *   BIS curve are re-fitted, so one Cp series serves every objective evaluation
+ * - Nelder-Mead simplex search on the η scale
+ * - Uses the Bouillon interaction BIS when a remifentanil Ce series is given
+ *
+ * Objective (η = ln(P_individual / P_typical)):
+ *   OBJ = Σ ((BIS_obs - BIS_pred) / σ)² + Σ η² / ω²
+ */
+
+const BayesianPDDefaults = {
+    // Eleveld has no between-patient variability on the slope; a weakly
+    // informative prior (CV about 40%) lets the slope move only with clear data
+    slopeVariance: 0.16,
+    maxIterations: 500,
+    tolerance: 1e-6,
+    initialStep: 0.3
+};
+
+class BayesianPDEstimator {
+
+    /**
+     * Whether a model has the priors needed for BIS individualisation
+     */
+    static supports(model) {
+        return !!(model && model.variability && model.variability.pd && model.variability.residual);
+    }
+
+    /**
+     * Effect-site concentrations for a plasma series and ke0
+     * Exact first-order step with Cp held at the interval midpoint
+     */
+    static effectSiteSeries(times, plasmaConcentrations, ke0, lastIndex = times.length - 1) {
+        const ce = new Array(lastIndex + 1);
+        ce[0] = 0.0;
+
+        for (let i = 1; i <= lastIndex; i++) {
+            const dt = times[i] - times[i - 1];
+            const cpMid = 0.5 * (plasmaConcentrations[i - 1] + plasmaConcentrations[i]);
+            ce[i] = cpMid + (ce[i - 1] - cpMid) * Math.exp(-ke0 * dt);
+        }
+
+        return ce;
+    }
+
+    /**
+     * Individual PD parameters for a set of η values
+     */
+    static individualParameters(typicalPD, eta) {
+        const slopeFactor = Math.exp(eta.gamma);
+        return new PDParameters(
+            typicalPD.ce50 * Math.exp(eta.ce50),
+            typicalPD.ke0 * Math.exp(eta.ke0),
+            typicalPD.bis_baseline,
+            typicalPD.gamma_low * slopeFactor,
+            typicalPD.gamma_high * slopeFactor
+        );
+    }
+
+    /**
+     * Predicted BIS at each observation for given PD parameters
+     */
+    static predictObservations(context, pd) {
+        const ce = this.effectSiteSeries(context.times, context.plasmaConcentrations, pd.ke0, context.lastIndex);
+
+        return context.indices.map(index => context.remifentanilCe
+            ? BouillonInteractionModel.calculateBIS(ce[index], context.remifentanilCe[index], pd, context.model)
+            : PKPDSimulationCore.calculateBIS(ce[index], pd, context.model));
+    }
+
+    /**
+     * Nelder-Mead simplex minimisation
+     * @returns {Object} { x, value, iterations, converged }
+     */
+    static nelderMead(objective, start, options = {}) {
+        const settings = { ...BayesianPDDefaults, ...options };
+        const n = start.length;
+
+        let simplex = [start.slice()];
+        for (let i = 0; i < n; i++) {
+            const vertex = start.slice();
+            vertex[i] += settings.initialStep;
+            simplex.push(vertex);
+        }
+        let values = simplex.map(objective);
+
+        const combine = (a, b, weight) => a.map((value, i) => value + weight * (b[i] - value));
+
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < settings.maxIterations) {
+            iterations++;
+
+            const order = values.map((value, i) => i).sort((a, b) => values[a] - values[b]);
+            simplex = order.map(i => simplex[i]);
+            values = order.map(i => values[i]);
+
+            if (Math.abs(values[n] - values[0]) < settings.tolerance) {
+                converged = true;
+                break;
+            }
+
+            const centroid = new Array(n).fill(0);
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+            }
+
+            const worst = simplex[n];
+            const reflected = combine(centroid, worst, -1.0);
+            const reflectedValue = objective(reflected);
+
+            if (reflectedValue < values[0]) {
+                const expanded = combine(centroid, worst, -2.0);
+                const expandedValue = objective(expanded);
+                if (expandedValue < reflectedValue) {
+                    simplex[n] = expanded;
+                    values[n] = expandedValue;
+                } else {
+                    simplex[n] = reflected;
+                    values[n] = reflectedValue;
+                }
+            } else if (reflectedValue < values[n - 1]) {
+                simplex[n] = reflected;
+                values[n] = reflectedValue;
+            } else {
+                const contracted = reflectedValue < values[n]
+                    ? combine(centroid, reflected, 0.5)
+                    : combine(centroid, worst, 0.5);
+                const contractedValue = objective(contracted);
+
+                if (contractedValue < Math.min(reflectedValue, values[n])) {
+                    simplex[n] = contracted;
+                    values[n] = contractedValue;
+                } else {
+                    // Shrink towards the best vertex
+                    for (let i = 1; i <= n; i++) {
+                        simplex[i] = combine(simplex[0], simplex[i], 0.5);
+                        values[i] = objective(simplex[i]);
+                    }
+                }
+            }
+        }
+
+        const best = values.indexOf(Math.min(...values));
+        return { x: simplex[best], value: values[best], iterations: iterations, converged: converged };
+    }
+
+    /**
+     * MAP estimate of the individual PD parameters
+     * @param {Object} modelParams - Typical { pk, pd, model }
+     * @param {Object} simulation - { times, plasmaConcentrations } from the PK simulation
+     * @param {Array<BISObservation>} observations - Observed BIS readings
+     * @param {Object} options - { remifentanilCe (aligned with times), slopeVariance, ... }
+     * @returns {Object} { prior, posterior, eta, objective, iterations, converged, observations }
+     */
+    static estimate(modelParams, simulation, observations, options = {}) {
+        const model = modelParams.model;
+        if (!modelParams.pd || !this.supports(model)) {
+            throw new Error(`${model.displayName} has no BIS priors for individualisation`);
+        }
+        if (!observations || observations.length === 0) {
+            throw new Error('At least one observed BIS value is required');
+        }
+
+        const settings = { ...BayesianPDDefaults, ...options };
+        const times = simulation.times;
+        const timeStep = times[1] - times[0];
+        const lastTime = times[times.length - 1];
+
+        const usable = observations.filter(observation => observation.timeInMinutes <= lastTime);
+        if (usable.length === 0) {
+            throw new Error('Observed BIS values are outside the simulated time range');
+        }
+
+        const indices = usable.map(observation => Math.round(observation.timeInMinutes / timeStep));
+        const context = {
+            times: times,
+            plasmaConcentrations: simulation.plasmaConcentrations,
+            remifentanilCe: settings.remifentanilCe || null,
+            model: model,
+            indices: indices,
+            lastIndex: Math.max(...indices)
+        };
+
+        const omega = model.variability.pd;
+        const sigma = model.variability.residual.bis;
+        const typicalPD = modelParams.pd;
+        const toEta = (x) => ({ ce50: x[0], ke0: x[1], gamma: x[2] });
+
+        const objective = (x) => {
+            const eta = toEta(x);
+            const predicted = this.predictObservations(context, this.individualParameters(typicalPD, eta));
+
+            let value = eta.ce50 * eta.ce50 / omega.ce50 +
+                eta.ke0 * eta.ke0 / omega.ke0 +
+                eta.gamma * eta.gamma / settings.slopeVariance;
+
+            usable.forEach((observation, i) => {
+                const residual = (observation.bisValue - predicted[i]) / sigma;
+                value += residual * residual;
+            });
+
+            return value;
+        };
+
+        const result = this.nelderMead(objective, [0, 0, 0], settings);
+        const eta = toEta(result.x);
+        const posterior = this.individualParameters(typicalPD, eta);
+
+        const priorPredictions = this.predictObservations(context, typicalPD);
+        const posteriorPredictions = this.predictObservations(context, posterior);
+
+        console.log(`Bayesian PD estimate from ${usable.length} BIS observations: ` +
+            `Ce50 ${typicalPD.ce50.toFixed(2)} → ${posterior.ce50.toFixed(2)}, ` +
+            `ke0 ${typicalPD.ke0.toFixed(3)} → ${posterior.ke0.toFixed(3)} (${result.iterations} iterations)`);
+
+        return {
+            prior: typicalPD,
+            posterior: posterior,
+            eta: eta,
+            objective: result.value,
+            iterations: result.iterations,
+            converged: result.converged,
+            observations: usable.map((observation, i) => ({
+                timeInMinutes: observation.timeInMinutes,
+                observed: observation.bisValue,
+                predictedPrior: priorPredictions[i],
+                predictedPosterior: posteriorPredictions[i]
+            }))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.BayesianPDEstimator = BayesianPDEstimator;
+    window.BayesianPDDefaults = BayesianPDDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BayesianPDEstimator, BayesianPDDefaults };
+}
@@ -0,0 +1,147 @@
+/**
+ * Bayesian PK Individualisation from Measured Plasma Concentrations
+ * 実測血中濃度による薬物動態パラメータの個別化
+ *
+ * Features:
+ * - Maximum a posteriori (MAP) estimate of V1, CL and Q2 from measured plasma
+ *   concentrations and the model's population priors
+ * - Priors: typical values from the model (Eleveld: theta with covariates),
+ *   log-normal ω² from the model's `variability`, log-scale residual error (θ7)
+ * - V2, V3, Q3 and ke0 stay at their covariate values
+ * - Same Nelder-Mead search as BayesianPDEstimator, on the η scale
+ *
+ * Objective (η = ln(P_individual / P_typical)):
+ *   OBJ = Σ ((ln C_obs - ln C_pred) / σ)² + Σ η² / ω²
+ */
+
+const BayesianPKDefaults = {
+    estimatedParameters: ['v1', 'cl', 'q2'],
+    minimumConcentration: 1e-6  // Floor before taking logarithms
+};
+
+class BayesianPKEstimator {
+
+    /**
+     * Whether a model has the priors needed for plasma concentration individualisation
+     */
+    static supports(model) {
+        return !!(model && model.variability && model.variability.pk &&
+            model.variability.residual && model.variability.residual.plasma);
+    }
+
+    /**
+     * Individual PK parameters for a set of η values (unlisted parameters keep η = 0)
+     */
+    static individualParameters(typicalPK, eta) {
+        const scale = (name) => Math.exp(eta[name] || 0);
+        return new PKParameters(
+            typicalPK.v1 * scale('v1'),
+            typicalPK.v2 * scale('v2'),
+            typicalPK.v3 * scale('v3'),
+            typicalPK.cl * scale('cl'),
+            typicalPK.q2 * scale('q2'),
+            typicalPK.q3 * scale('q3'),
+            typicalPK.ke0
+        );
+    }
+
+    /**
+     * Predicted plasma concentrations at each sample time
+     */
+    static predictObservations(modelParams, pk, doseEvents, observations, timeStep) {
+        const duration = Math.max(...observations.map(observation => observation.timeInMinutes));
+        const simulation = PKPDSimulationCore.simulate(
+            { pk: pk, pd: null, model: modelParams.model },
+            doseEvents,
+            { duration: duration, timeStep: timeStep }
+        );
+
+        return observations.map(observation =>
+            simulation.plasmaConcentrations[Math.round(observation.timeInMinutes / timeStep)]);
+    }
+
+    /**
+     * MAP estimate of the individual PK parameters
+     * @param {Object} modelParams - Typical { pk, pd, model }
+     * @param {Array} doseEvents - Timeline accepted by PKPDSimulationCore.simulate
+     * @param {Array<PlasmaConcentrationObservation>} observations - Measured concentrations
+     * @param {Object} options - { timeStep, estimatedParameters, ... }
+     * @returns {Object} { prior, posterior, eta, objective, iterations, converged, observations }
+     */
+    static estimate(modelParams, doseEvents, observations, options = {}) {
+        const model = modelParams.model;
+        if (!this.supports(model)) {
+            throw new Error(`${model.displayName} has no PK priors for individualisation`);
+        }
+        if (!observations || observations.length === 0) {
+            throw new Error('At least one measured plasma concentration is required');
+        }
+
+        const settings = { ...BayesianPKDefaults, ...options };
+        const timeStep = settings.timeStep || 0.1;
+        const omega = model.variability.pk;
+        const sigma = model.variability.residual.plasma;
+        const typicalPK = modelParams.pk;
+        const names = settings.estimatedParameters;
+        const logObserved = observations.map(observation =>
+            Math.log(Math.max(settings.minimumConcentration, observation.concentration)));
+
+        const toEta = (x) => {
+            const eta = {};
+            names.forEach((name, i) => { eta[name] = x[i]; });
+            return eta;
+        };
+
+        const objective = (x) => {
+            const eta = toEta(x);
+            const predicted = this.predictObservations(
+                modelParams, this.individualParameters(typicalPK, eta), doseEvents, observations, timeStep);
+
+            let value = 0;
+            names.forEach(name => { value += eta[name] * eta[name] / omega[name]; });
+            predicted.forEach((concentration, i) => {
+                const residual = (logObserved[i] - Math.log(Math.max(settings.minimumConcentration, concentration))) / sigma;
+                value += residual * residual;
+            });
+
+            return value;
+        };
+
+        const result = BayesianPDEstimator.nelderMead(objective, names.map(() => 0), settings);
+        const eta = toEta(result.x);
+        const posterior = this.individualParameters(typicalPK, eta);
+
+        const priorPredictions = this.predictObservations(modelParams, typicalPK, doseEvents, observations, timeStep);
+        const posteriorPredictions = this.predictObservations(modelParams, posterior, doseEvents, observations, timeStep);
+
+        console.log(`Bayesian PK estimate from ${observations.length} plasma samples: ` +
+            `V1 ${typicalPK.v1.toFixed(2)} → ${posterior.v1.toFixed(2)} L, ` +
+            `CL ${typicalPK.cl.toFixed(3)} → ${posterior.cl.toFixed(3)} L/min, ` +
+            `Q2 ${typicalPK.q2.toFixed(3)} → ${posterior.q2.toFixed(3)} L/min (${result.iterations} iterations)`);
+
+        return {
+            prior: typicalPK,
+            posterior: posterior,
+            eta: eta,
+            objective: result.value,
+            iterations: result.iterations,
+            converged: result.converged,
+            observations: observations.map((observation, i) => ({
+                timeInMinutes: observation.timeInMinutes,
+                observed: observation.concentration,
+                predictedPrior: priorPredictions[i],
+                predictedPosterior: posteriorPredictions[i]
+            }))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.BayesianPKEstimator = BayesianPKEstimator;
+    window.BayesianPKDefaults = BayesianPKDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BayesianPKEstimator, BayesianPKDefaults };
+}
@@ -0,0 +1,273 @@
+/**
+ * Custom User-Defined PK/PD Parameter Sets
+ * ユーザー定義PK/PDパラメータセット
+ *
+ * Features:
+ * - Fixed propofol parameter sets: V1-V3, CL, Q2, Q3, ke0, Ce50, gamma and BIS baseline
+ * - Validated with the same checks as EleveldPKPDCalculator.validateParameters
+ * - Registered in PKPDModelRegistry, so every engine can select them via Patient.modelId
+ * - JSON import/export and browser storage of saved sets
+ * - Each name has its own model id; an existing set is only replaced when asked to
+ *
+ * Parameters are absolute values (L, L/min) and are not scaled by patient covariates.
+ * BIS uses the Eleveld sigmoid; gammaLow (Ce < Ce50) defaults to gamma.
+ *
+ * JSON format (one object or an array):
+ *   { "name": "...", "description": "...", "v1": 4.27, "v2": 18.9, "v3": 238,
+ *     "cl": 1.89, "q2": 1.29, "q3": 0.836, "ke0": 0.456, "ce50": 3.08,
+ *     "gamma": 1.47, "gammaLow": 1.89, "bisBaseline": 93 }
+ */
+
+const CUSTOM_MODEL_PREFIX = 'custom-';
+const CUSTOM_MODEL_STORAGE_KEY = 'customPKPDParameterSets';
+
+// Editable fields in display order
+const CustomParameterFields = [
+    { key: 'v1', label: 'V1', unit: 'L' },
+    { key: 'v2', label: 'V2', unit: 'L' },
+    { key: 'v3', label: 'V3', unit: 'L' },
+    { key: 'cl', label: 'CL', unit: 'L/min' },
+    { key: 'q2', label: 'Q2', unit: 'L/min' },
+    { key: 'q3', label: 'Q3', unit: 'L/min' },
+    { key: 'ke0', label: 'ke0', unit: 'min⁻¹' },
+    { key: 'ce50', label: 'Ce50', unit: 'µg/mL' },
+    { key: 'gamma', label: 'Gamma', unit: '' },
+    { key: 'bisBaseline', label: 'BIS baseline', unit: '' }
+];
+
+class CustomPKPDModel {
+
+    static isCustomModelId(modelId) {
+        return typeof modelId === 'string' && modelId.startsWith(CUSTOM_MODEL_PREFIX);
+    }
+
+    /**
+     * Model id for a set name: lossless, so two names never share an id, and the
+     * same name gets the same id again in a later session
+     */
+    static modelIdFor(name) {
+        return CUSTOM_MODEL_PREFIX + encodeURIComponent(name);
+    }
+
+    static exists(name) {
+        return PKPDModelRegistry.has(this.modelIdFor(String(name || '').trim()));
+    }
+
+    /**
+     * Plain parameter set with numeric fields from user input or JSON
+     */
+    static normalize(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('Parameter set must be an object');
+        }
+
+        const set = {
+            name: String(raw.name || '').trim(),
+            description: String(raw.description || '').trim()
+        };
+        CustomParameterFields.forEach(field => {
+            set[field.key] = parseFloat(raw[field.key]);
+        });
+        set.gammaLow = raw.gammaLow !== undefined && raw.gammaLow !== null && raw.gammaLow !== ''
+            ? parseFloat(raw.gammaLow)
+            : set.gamma;
+
+        return set;
+    }
+
+    static toModelParameters(set) {
+        return {
+            pk: new PKParameters(set.v1, set.v2, set.v3, set.cl, set.q2, set.q3, set.ke0),
+            pd: new PDParameters(set.ce50, set.ke0, set.bisBaseline, set.gammaLow, set.gamma)
+        };
+    }
+
+    /**
+     * @returns {Object} { isValid, errors }
+     */
+    static validate(set) {
+        const errors = [];
+
+        if (!set.name) errors.push('Name is required');
+
+        CustomParameterFields.forEach(field => {
+            if (!isFinite(set[field.key])) errors.push(`${field.label} must be a number`);
+        });
+        if (isFinite(set.gamma) && !isFinite(set.gammaLow)) errors.push('gammaLow must be a number');
+
+        if (errors.length === 0) {
+            errors.push(...EleveldPKPDCalculator.validateParameters(this.toModelParameters(set)).errors);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Validate and register a parameter set
+     * @param {Object} options - { replace: replace a set with the same name instead of failing }
+     * @returns {Object} Registered model
+     */
+    static register(raw, options = {}) {
+        const set = this.normalize(raw);
+        const validation = this.validate(set);
+        if (!validation.isValid) {
+            throw new Error(`Invalid parameter set "${set.name || 'unnamed'}": ` + validation.errors.join(', '));
+        }
+
+        const id = this.modelIdFor(set.name);
+        if (PKPDModelRegistry.has(id)) {
+            if (!options.replace) {
+                throw new Error(`A parameter set named "${set.name}" already exists`);
+            }
+            PKPDModelRegistry.unregister(id);
+        }
+
+        const parameterSet = Object.freeze({ ...set });
+        return PKPDModelRegistry.register({
+            id: id,
+            drug: 'propofol',
+            displayName: `${set.name} (Custom)`,
+            shortName: set.name,
+            description: set.description || 'User-defined parameter set',
+            covariates: [],
+            validationLimits: ValidationLimits,
+            parameterSet: parameterSet,
+            getModelParameters: (patient) => this.toModelParameters(parameterSet),
+            calculateBIS: (ce, pdParams) => EleveldPKPDCalculator.calculateBIS(ce, pdParams),
+            validateParameters: (params) => EleveldPKPDCalculator.validateParameters(params),
+            printParameters: (patient, params) => this.printParameters(parameterSet, params)
+        });
+    }
+
+    static remove(modelId) {
+        if (!this.isCustomModelId(modelId)) {
+            throw new Error(`${modelId} is not a custom parameter set`);
+        }
+        return PKPDModelRegistry.unregister(modelId);
+    }
+
+    static list() {
+        return PKPDModelRegistry.list().filter(model => this.isCustomModelId(model.id));
+    }
+
+    /**
+     * JSON array of the given (or all) custom parameter sets
+     */
+    static exportJSON(models = null) {
+        const sets = (models || this.list()).map(model => ({ ...model.parameterSet }));
+        return JSON.stringify(sets, null, 2);
+    }
+
+    /**
+     * Validated parameter sets of a JSON document (object or array)
+     */
+    static parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON: ' + error.message);
+        }
+
+        const sets = (Array.isArray(data) ? data : [data]).map(raw => this.normalize(raw));
+        if (sets.length === 0) {
+            throw new Error('No parameter sets found');
+        }
+
+        const names = new Set();
+        sets.forEach(set => {
+            const validation = this.validate(set);
+            if (!validation.isValid) {
+                throw new Error(`Invalid parameter set "${set.name || 'unnamed'}": ` + validation.errors.join(', '));
+            }
+            if (names.has(set.name)) {
+                throw new Error(`Parameter set "${set.name}" appears more than once`);
+            }
+            names.add(set.name);
+        });
+
+        return sets;
+    }
+
+    /**
+     * Names in a JSON document that are already registered
+     */
+    static existingNames(text) {
+        return this.parseJSON(text).filter(set => this.exists(set.name)).map(set => set.name);
+    }
+
+    /**
+     * Register every parameter set in a JSON document (object or array)
+     * Nothing is registered if any set is invalid, or already exists without options.replace
+     * @param {Object} options - { replace }
+     * @returns {Array} Registered models
+     */
+    static importJSON(text, options = {}) {
+        const sets = this.parseJSON(text);
+
+        if (!options.replace) {
+            const existing = sets.filter(set => this.exists(set.name)).map(set => set.name);
+            if (existing.length > 0) {
+                throw new Error(`Parameter sets already exist: ${existing.join(', ')}`);
+            }
+        }
+
+        return sets.map(set => this.register(set, options));
+    }
+
+    /**
+     * Persist custom sets in browser storage (no-op outside the browser)
+     */
+    static save() {
+        if (typeof localStorage === 'undefined') return;
+        localStorage.setItem(CUSTOM_MODEL_STORAGE_KEY, this.exportJSON());
+    }
+
+    static loadSaved() {
+        if (typeof localStorage === 'undefined') return [];
+        const stored = localStorage.getItem(CUSTOM_MODEL_STORAGE_KEY);
+        if (!stored) return [];
+
+        const models = [];
+        try {
+            JSON.parse(stored).forEach(raw => {
+                try {
+                    models.push(this.register(raw));
+                } catch (error) {
+                    console.warn('Skipping saved parameter set:', error.message);
+                }
+            });
+        } catch (error) {
+            console.warn('Saved parameter sets could not be read:', error.message);
+        }
+        return models;
+    }
+
+    static printParameters(set, params) {
+        console.log(`=== Custom Parameter Set: ${set.name} ===`);
+        printPKParameters(params.pk);
+        console.log("PD Parameters:");
+        console.log(`  Ce50: ${params.pd.ce50.toFixed(3)} µg/mL`);
+        console.log(`  BIS baseline: ${params.pd.bis_baseline.toFixed(1)}`);
+        console.log(`  Gamma (Ce < Ce50): ${params.pd.gamma_low.toFixed(3)}`);
+        console.log(`  Gamma (Ce ≥ Ce50): ${params.pd.gamma_high.toFixed(3)}`);
+    }
+}
+
+// Register parameter sets saved in an earlier session
+if (typeof PKPDModelRegistry !== 'undefined') {
+    CustomPKPDModel.loadSaved();
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CustomPKPDModel = CustomPKPDModel;
+    window.CustomParameterFields = CustomParameterFields;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CustomPKPDModel, CustomParameterFields };
+}
@@ -0,0 +1,119 @@
+/**
+ * Hannivoort Dexmedetomidine PK Calculator
+ * Hannivoort デクスメデトミジン薬物動態モデル
+ *
+ * Features:
+ * - Hannivoort et al. (Anesthesiology 2015) three-compartment model
+ * - Volumes scale linearly and clearances allometrically (exponent 0.75) with weight
+ * - Doses in µg (loading µg/kg over a set time, maintenance µg/kg/h), concentrations in ng/mL
+ * - Step 3 monitoring timeline only; induction and protocol optimization are not offered
+ *
+ * Hannivoort is a plasma PK model without an effect compartment or BIS model.
+ * Ce is shown with an approximate ke0 (t½ke0 about 6 min) and BIS is not predicted.
+ */
+
+const HannivoortModelConstants = {
+    weight_ref: 70,          // kg
+    clearanceExponent: 0.75, // allometric exponent for CL, Q2, Q3
+
+    v1: 1.78,    // L
+    v2: 30.3,    // L
+    v3: 52.0,    // L
+    cl: 0.686,   // L/min
+    q2: 2.98,    // L/min
+    q3: 0.602,   // L/min
+
+    ke0: 0.12    // min^-1 (approximation; not part of the published model)
+};
+
+// Adult volunteer model (18-72 years, 51-110 kg in the original study)
+const DexmedetomidineValidationLimits = {
+    ...ValidationLimits,
+    Patient: {
+        ...ValidationLimits.Patient,
+        minimumAge: 18,
+        minimumWeight: 40.0,
+        minimumHeight: 120.0
+    },
+
+    PlasmaConcentration: {
+        minimumValue: 0.0,
+        maximumValue: 20.0           // ng/mL
+    }
+};
+
+class HannivoortPKCalculator {
+
+    static getModelParameters(patient) {
+        const c = HannivoortModelConstants;
+        const weightRatio = patient.weight / c.weight_ref;
+        const clearanceScale = Math.pow(weightRatio, c.clearanceExponent);
+
+        const pk = new PKParameters(
+            c.v1 * weightRatio,
+            c.v2 * weightRatio,
+            c.v3 * weightRatio,
+            c.cl * clearanceScale,
+            c.q2 * clearanceScale,
+            c.q3 * clearanceScale,
+            c.ke0
+        );
+
+        return {
+            pk: pk,
+            pd: null
+        };
+    }
+
+    static calculateBIS(ce, pdParams) {
+        return null;
+    }
+
+    static validateParameters(params) {
+        const errors = validatePositivePK(params);
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static printParameters(patient, params) {
+        console.log("=== Hannivoort Dexmedetomidine Model Parameters ===");
+        console.log(`Patient: ${patient.weight}kg`);
+        console.log("");
+        printPKParameters(params.pk, { ke0Note: '(approximate)' });
+    }
+}
+
+// Register with the PK/PD model registry
+if (typeof PKPDModelRegistry !== 'undefined') {
+    PKPDModelRegistry.register({
+        id: 'hannivoort',
+        drug: 'dexmedetomidine',
+        concentrationUnit: 'ng/mL',
+        dosingUnits: DosingUnits.MICROGRAM,
+        dosingMode: DosingMode.LOADING_MAINTENANCE,
+        monitoringOnly: true,
+        displayName: 'Hannivoort (Dexmedetomidine)',
+        shortName: 'Hannivoort',
+        description: 'Hannivoort et al. Anesthesiology 2015 dexmedetomidine model for sedation (no BIS prediction)',
+        covariates: [ModelCovariates.WEIGHT],
+        validationLimits: DexmedetomidineValidationLimits,
+        getModelParameters: (patient) => HannivoortPKCalculator.getModelParameters(patient),
+        calculateBIS: (ce, pdParams) => HannivoortPKCalculator.calculateBIS(ce, pdParams),
+        validateParameters: (params) => HannivoortPKCalculator.validateParameters(params),
+        printParameters: (patient, params) => HannivoortPKCalculator.printParameters(patient, params)
+    });
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.HannivoortPKCalculator = HannivoortPKCalculator;
+    window.HannivoortModelConstants = HannivoortModelConstants;
+    window.DexmedetomidineValidationLimits = DexmedetomidineValidationLimits;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HannivoortPKCalculator, HannivoortModelConstants, DexmedetomidineValidationLimits };
+}
@@ -1,6 +1,42 @@
 // Eleveld et al. 2018 Propofol PK-PD Model Implementation
 // Based on: Eleveld et al., BJA 2018; doi: 10.1016/j.bja.2018.01.018
 
+// Eleveld's dataset spans preterm neonates to the elderly (PMA 27 weeks - 88 years,
+// 0.68-160 kg), so neonates and infants are allowed with age in weeks or months
+const EleveldValidationLimits = {
+    ...ValidationLimits,
+    Patient: {
+        ...ValidationLimits.Patient,
+        minimumAge: 0,
+        minimumWeight: 0.5,
+        minimumHeight: 25.0,
+        minimumBMI: 5.0,
+        minimumGestationalAge: 22,     // weeks
+        maximumGestationalAge: 44,     // weeks
+        minimumPostmenstrualAge: 27    // weeks
+    }
+};
+
+// Inter-individual variance (ω²) and residual error from Eleveld et al. 2018
+const EleveldVariabilityConstants = {
+    pk: {
+        v1: 0.610,
+        v2: 0.565,
+        v3: 0.597,
+        cl: 0.265,
+        q2: 0.346,
+        q3: 0.209
+    },
+    pd: {
+        ce50: 0.242,
+        ke0: 0.702
+    },
+    residual: {
+        plasma: EleveldModelConstants.theta[7],  // Log-scale plasma concentration residual error (SD)
+        bis: EleveldModelConstants.pd_theta[5]   // Additive BIS residual error (SD)
+    }
+};
+
 class EleveldPKPDCalculator {
     
     /**
@@ -78,8 +114,12 @@ class EleveldPKPDCalculator {
         const f_central_wgt = this.f_sigmoid(wgt, theta[12], 1);
         const f_central_wgt_ref = this.f_sigmoid(wgt_ref, theta[12], 1);
         
+        // Venous samples: larger V1 (θ17, most pronounced at low weight) and smaller Q2 (θ18)
+        const isVenous = patient.samplingSite === SamplingSiteType.VENOUS;
+        
         // Step 2.2: Volume calculations
-        const V1 = theta[1] * (f_central_wgt / f_central_wgt_ref);
+        const V1_arterial = theta[1] * (f_central_wgt / f_central_wgt_ref);
+        const V1 = isVenous ? V1_arterial * (1 + theta[17] * (1 - f_central_wgt)) : V1_arterial;
         const V2 = theta[2] * (wgt / wgt_ref) * this.f_ageing(theta[10], age, age_ref);
         const V3 = theta[3] * (ffm / ffm_ref) * this.f_opiates(theta[13], age, opioid_coadmin);
         
@@ -94,12 +134,13 @@ class EleveldPKPDCalculator {
                    (f_CLmaturation / f_CLmaturation_ref) * 
                    this.f_opiates(theta[11], age, opioid_coadmin);
         
-        // Q2 and Q3 calculations
-        const f_Q3maturation = this.f_sigmoid(pma, theta[14], 1);
+        // Q2 and Q3 calculations; Q3 maturation uses postnatal age + 40 weeks, not PMA
+        const f_Q3maturation = this.f_sigmoid((age * 52) + 40, theta[14], 1);
         const f_Q3maturation_ref = this.f_sigmoid((age_ref * 52) + 40, theta[14], 1);
         
-        const Q2 = theta[5] * Math.pow(V2 / theta[2], 0.75) * 
+        const Q2_arterial = theta[5] * Math.pow(V2 / theta[2], 0.75) * 
                    (1 + theta[16] * (1 - f_Q3maturation));
+        const Q2 = isVenous ? Q2_arterial * theta[18] : Q2_arterial;
         
         const Q3 = theta[6] * Math.pow(V3 / theta[3], 0.75) * 
                    (f_Q3maturation / f_Q3maturation_ref);
@@ -126,8 +167,9 @@ class EleveldPKPDCalculator {
         // Ce50 calculation (with age effect)
         const Ce50 = pd_theta[1] * Math.exp(pd_theta[7] * (age - 35));
         
-        // ke0 calculation (with weight effect)
-        const ke0 = pd_theta[2] * Math.pow(wgt / 70, -0.25);
+        // ke0 calculation (with weight effect); arterial θ2 or venous θ8
+        const ke0_ref = patient.samplingSite === SamplingSiteType.VENOUS ? pd_theta[8] : pd_theta[2];
+        const ke0 = ke0_ref * Math.pow(wgt / 70, -0.25);
         
         // Baseline BIS
         const BIS_baseline = pd_theta[3];
@@ -167,7 +209,8 @@ class EleveldPKPDCalculator {
         return {
             pk: new PKParameters(pk.V1, pk.V2, pk.V3, pk.CL, pk.Q2, pk.Q3, pd.ke0),
             pd: pd,
-            ffm: pk.FFM
+            ffm: pk.FFM,
+            samplingSite: patient.samplingSite
         };
     }
     
@@ -175,16 +218,7 @@ class EleveldPKPDCalculator {
      * Validate calculated parameters
      */
     static validateParameters(params) {
-        const errors = [];
-        
-        // Check PK parameters
-        if (params.pk.v1 <= 0) errors.push("V1 must be positive");
-        if (params.pk.v2 <= 0) errors.push("V2 must be positive");
-        if (params.pk.v3 <= 0) errors.push("V3 must be positive");
-        if (params.pk.cl <= 0) errors.push("CL must be positive");
-        if (params.pk.q2 <= 0) errors.push("Q2 must be positive");
-        if (params.pk.q3 <= 0) errors.push("Q3 must be positive");
-        if (params.pk.ke0 <= 0) errors.push("ke0 must be positive");
+        const errors = validatePositivePK(params);
         
         // Check PD parameters
         if (params.pd.ce50 <= 0) errors.push("Ce50 must be positive");
@@ -192,9 +226,10 @@ class EleveldPKPDCalculator {
         if (params.pd.gamma_low <= 0) errors.push("Gamma low must be positive");
         if (params.pd.gamma_high <= 0) errors.push("Gamma high must be positive");
         
-        // Check parameter ranges (clinical validity)
-        if (params.pk.ke0 < 0.05 || params.pk.ke0 > 1.0) {
-            errors.push(`ke0 value (${params.pk.ke0.toFixed(3)}) outside typical range (0.05-1.0)`);
+        // Check parameter ranges (clinical validity); venous ke0 is roughly eight times arterial
+        const ke0Range = params.samplingSite === SamplingSiteType.VENOUS ? [0.5, 5.0] : [0.05, 1.0];
+        if (params.pk.ke0 < ke0Range[0] || params.pk.ke0 > ke0Range[1]) {
+            errors.push(`ke0 value (${params.pk.ke0.toFixed(3)}) outside typical range (${ke0Range[0]}-${ke0Range[1]})`);
         }
         
         if (params.pd.ce50 < 0.5 || params.pd.ce50 > 10.0) {
@@ -212,9 +247,11 @@ class EleveldPKPDCalculator {
      */
     static printParameters(patient, params) {
         console.log("=== Eleveld Model Parameters ===");
-        console.log(`Patient: ${patient.age}y, ${patient.weight}kg, ${patient.height}cm, ${SexType.displayName(patient.sex)}`);
+        console.log(`Patient: ${patient.formattedAge}, ${patient.weight}kg, ${patient.height}cm, ${SexType.displayName(patient.sex)}`);
         console.log(`FFM: ${params.ffm.toFixed(3)} kg`);
+        console.log(`PMA: ${patient.pma.toFixed(1)} weeks (gestational age ${patient.gestationalAgeWeeks} weeks)`);
         console.log(`Opioid coadministration: ${OpioidType.displayName(patient.opioidCoadmin)}`);
+        console.log(`Sampling site: ${SamplingSiteType.displayName(patient.samplingSite)}`);
         
         // Debug: Show opioid parameter effects
         const theta = EleveldModelConstants.theta;
@@ -230,14 +267,7 @@ class EleveldPKPDCalculator {
             console.log(`With opioids: CL reduced by ${((1-opioidFactorCL)*100).toFixed(1)}%, V3 reduced by ${((1-opioidFactorV3)*100).toFixed(1)}%`);
         }
         console.log("");
-        console.log("PK Parameters:");
-        console.log(`  V1: ${params.pk.v1.toFixed(3)} L`);
-        console.log(`  V2: ${params.pk.v2.toFixed(3)} L`);
-        console.log(`  V3: ${params.pk.v3.toFixed(3)} L`);
-        console.log(`  CL: ${params.pk.cl.toFixed(3)} L/min`);
-        console.log(`  Q2: ${params.pk.q2.toFixed(3)} L/min`);
-        console.log(`  Q3: ${params.pk.q3.toFixed(3)} L/min`);
-        console.log(`  ke0: ${params.pk.ke0.toFixed(3)} min⁻¹`);
+        printPKParameters(params.pk);
         console.log("");
         console.log("PD Parameters:");
         console.log(`  Ce50: ${params.pd.ce50.toFixed(3)} µg/mL`);
@@ -252,4 +282,30 @@ class EleveldPKPDCalculator {
             validation.errors.forEach(error => console.warn(`  - ${error}`));
         }
     }
-}
\ No newline at end of file
+}
+
+// Register with the PK/PD model registry
+if (typeof PKPDModelRegistry !== 'undefined') {
+    PKPDModelRegistry.register({
+        id: 'eleveld',
+        drug: 'propofol',
+        displayName: 'Eleveld (Propofol)',
+        shortName: 'Eleveld',
+        description: 'Eleveld et al. BJA 2018 general-purpose propofol PK/PD model',
+        covariates: [
+            ModelCovariates.AGE,
+            ModelCovariates.WEIGHT,
+            ModelCovariates.HEIGHT,
+            ModelCovariates.SEX,
+            ModelCovariates.OPIOID,
+            ModelCovariates.SAMPLING_SITE,
+            ModelCovariates.GESTATIONAL_AGE
+        ],
+        validationLimits: EleveldValidationLimits,
+        variability: EleveldVariabilityConstants,
+        getModelParameters: (patient) => EleveldPKPDCalculator.getModelParameters(patient),
+        calculateBIS: (ce, pdParams) => EleveldPKPDCalculator.calculateBIS(ce, pdParams),
+        validateParameters: (params) => EleveldPKPDCalculator.validateParameters(params),
+        printParameters: (patient, params) => EleveldPKPDCalculator.printParameters(patient, params)
+    });
+}
@@ -16,6 +16,7 @@ class InductionEngine {
         this.elapsedTime = 0;
         this.patient = null;
         this.pkParams = null;
+        this.model = null;
         this.pdParams = null;  // BIS calculation parameters
         this.state = { a1: 0, a2: 0, a3: 0, ce: 0 };
         this.bolusDose = 0;
@@ -67,7 +68,7 @@ class InductionEngine {
         this.patient.pdParams = this.pdParams;
         this.bolusDose = bolusDose;
         this.continuousDose = continuousDose;
-        this.state = { a1: bolusDose, a2: 0, a3: 0, ce: 0 };
+        this.state = PKPDSimulationCore.createInitialState(bolusDose);
         this.startTime = new Date();
         this.elapsedTime = 0;
         this.snapshots = [];
@@ -164,38 +165,16 @@ class InductionEngine {
 
 
     calculatePKParameters(patient) {
-        console.log('Calculating PK parameters for induction with Eleveld model');
+        console.log('Calculating PK parameters for induction via unified simulation core');
         
-        // Use the Eleveld PK-PD calculator
-        const modelParams = EleveldPKPDCalculator.getModelParameters(patient);
+        // Shared, validated parameters for the patient's registered model
+        const modelParams = PKPDSimulationCore.calculateModelParameters(patient);
         
-        // Validate parameters
-        const validation = EleveldPKPDCalculator.validateParameters(modelParams);
-        if (!validation.isValid) {
-            throw new Error('Invalid Eleveld model parameters: ' + validation.errors.join(', '));
-        }
-        
-        // Store PD parameters for BIS calculation
+        // Store PD parameters and model for BIS calculation
         this.pdParams = modelParams.pd;
+        this.model = modelParams.model;
         
-        console.log('Eleveld PK/PD parameters calculated successfully for induction');
-        
-        const pkParams = modelParams.pk;
-        
-        return {
-            v1: pkParams.v1,
-            v2: pkParams.v2,
-            v3: pkParams.v3,
-            cl: pkParams.cl,
-            q2: pkParams.q2,
-            q3: pkParams.q3,
-            ke0: pkParams.ke0,
-            k10: pkParams.k10,
-            k12: pkParams.k12,
-            k21: pkParams.k21,
-            k13: pkParams.k13,
-            k31: pkParams.k31
-        };
+        return PKPDSimulationCore.toRateConstants(modelParams.pk);
     }
 
     getPlasmaConcentration() {
@@ -209,7 +188,9 @@ class InductionEngine {
     updateBISValue() {
         if (this.pdParams) {
             const effectSiteConc = this.getEffectSiteConcentration();
-            this.bisValue = EleveldPKPDCalculator.calculateBIS(effectSiteConc, this.pdParams);
+            this.bisValue = PKPDSimulationCore.calculateBIS(effectSiteConc, this.pdParams, this.model);
+        } else {
+            this.bisValue = null;  // Model has no BIS prediction (e.g. Marsh)
         }
     }
 
@@ -250,6 +231,7 @@ class InductionEngine {
             integrationStats: this.getIntegrationStats(),
             snapshots: [...this.snapshots],
             patient: this.patient,
+            model: this.model,
             dose: {
                 bolus: this.bolusDose,
                 continuous: this.continuousDose
@@ -272,6 +254,7 @@ class InductionEngine {
         this.patient = null;
         this.pkParams = null;
         this.pdParams = null;
+        this.model = null;
         this.state = { a1: 0, a2: 0, a3: 0, ce: 0 };
         this.bolusDose = 0;
         this.continuousDose = 0;
@@ -283,69 +266,17 @@ class InductionEngine {
 
     /**
      * Unified RK4 method as per numerical-unification-guide.yml
-     * Includes 4-compartment system: a1, a2, a3, and effect-site concentration
+     * Delegates to PKPDSimulationCore (a1, a2, a3 and effect-site concentration)
      */
     updateSystemStateRK4(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31, ke0, v1 } = this.patient.pkParams;
-        
-        const derivatives = (s) => {
-            const plasmaConc = s.a1 / v1;
-            return {
-                da1dt: infusionRateMgMin - (k10 + k12 + k13) * s.a1 + k21 * s.a2 + k31 * s.a3,
-                da2dt: k12 * s.a1 - k21 * s.a2,
-                da3dt: k13 * s.a1 - k31 * s.a3,
-                dcedt: ke0 * (plasmaConc - s.ce)
-            };
-        };
-        
-        const k1 = derivatives(state);
-        const k2 = derivatives({
-            a1: state.a1 + 0.5 * dt * k1.da1dt,
-            a2: state.a2 + 0.5 * dt * k1.da2dt,
-            a3: state.a3 + 0.5 * dt * k1.da3dt,
-            ce: state.ce + 0.5 * dt * k1.dcedt
-        });
-        const k3 = derivatives({
-            a1: state.a1 + 0.5 * dt * k2.da1dt,
-            a2: state.a2 + 0.5 * dt * k2.da2dt,
-            a3: state.a3 + 0.5 * dt * k2.da3dt,
-            ce: state.ce + 0.5 * dt * k2.dcedt
-        });
-        const k4 = derivatives({
-            a1: state.a1 + dt * k3.da1dt,
-            a2: state.a2 + dt * k3.da2dt,
-            a3: state.a3 + dt * k3.da3dt,
-            ce: state.ce + dt * k3.dcedt
-        });
-        
-        return {
-            a1: state.a1 + (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt),
-            a2: state.a2 + (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt),
-            a3: state.a3 + (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt),
-            ce: state.ce + (dt / 6.0) * (k1.dcedt + 2*k2.dcedt + 2*k3.dcedt + k4.dcedt)
-        };
+        return PKPDSimulationCore.updateSystemStateRK4(state, this.patient.pkParams, infusionRateMgMin, dt);
     }
 
     /**
      * Unified Euler method for fallback
-     * Includes 4-compartment system: a1, a2, a3, and effect-site concentration
      */
     updateSystemStateEuler(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31, ke0, v1 } = this.patient.pkParams;
-        
-        const plasmaConc = state.a1 / v1;
-        
-        const da1dt = infusionRateMgMin - (k10 + k12 + k13) * state.a1 + k21 * state.a2 + k31 * state.a3;
-        const da2dt = k12 * state.a1 - k21 * state.a2;
-        const da3dt = k13 * state.a1 - k31 * state.a3;
-        const dcedt = ke0 * (plasmaConc - state.ce);
-        
-        return {
-            a1: state.a1 + dt * da1dt,
-            a2: state.a2 + dt * da2dt,
-            a3: state.a3 + dt * da3dt,
-            ce: state.ce + dt * dcedt
-        };
+        return PKPDSimulationCore.updateSystemStateEuler(state, this.patient.pkParams, infusionRateMgMin, dt);
     }
 
     /**
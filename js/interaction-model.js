@@ -0,0 +1,121 @@
+/**
+ * Propofol-Remifentanil Response Surface Interaction (Bouillon)
+ * プロポフォール・レミフェンタニル相互作用モデル
+ *
+ * Features:
+ * - Greco response surface for probability of tolerating stimuli
+ *   (shake and shout, laryngoscopy) from propofol and remifentanil Ce
+ * - Hierarchical BIS model: remifentanil lowers the propofol Ce50 of the
+ *   hypnotic model's own BIS curve (remifentanil alone does not change BIS)
+ * - Based on Bouillon et al. Anesthesiology 2004;100:1353-72
+ *
+ * Greco model:
+ *   U = Cp/C50p + Cr/C50r + α·(Cp/C50p)·(Cr/C50r)
+ *   P(tolerance) = U^γ / (1 + U^γ)
+ */
+
+const BouillonInteractionConstants = {
+    // Probability of tolerating a stimulus (Greco)
+    stimuli: {
+        TOSS: {
+            name: 'Tolerance of shake and shout',
+            c50Propofol: 1.80,     // µg/mL
+            c50Remifentanil: 12.5, // ng/mL
+            gamma: 3.5,
+            alpha: 2.0
+        },
+        TOL: {
+            name: 'Tolerance of laryngoscopy',
+            c50Propofol: 5.60,     // µg/mL
+            c50Remifentanil: 48.8, // ng/mL
+            gamma: 8.3,
+            alpha: 6.0
+        }
+    },
+
+    // Hierarchical BIS: propofol Ce50 × (1 - Cr / (Cr + c50RemifentanilShift))
+    bis: {
+        c50RemifentanilShift: 19.3  // ng/mL
+    }
+};
+
+class BouillonInteractionModel {
+
+    /**
+     * Probability of tolerating a stimulus for given effect-site concentrations
+     * @param {number} propofolCe - µg/mL
+     * @param {number} remifentanilCe - ng/mL
+     * @param {string} stimulus - Key of BouillonInteractionConstants.stimuli
+     */
+    static probabilityOfTolerance(propofolCe, remifentanilCe, stimulus = 'TOL') {
+        const params = BouillonInteractionConstants.stimuli[stimulus];
+        if (!params) {
+            throw new Error(`Unknown stimulus: ${stimulus}`);
+        }
+
+        const uP = Math.max(0, propofolCe) / params.c50Propofol;
+        const uR = Math.max(0, remifentanilCe) / params.c50Remifentanil;
+        const u = uP + uR + params.alpha * uP * uR;
+
+        if (u <= 0) return 0;
+
+        const uGamma = Math.pow(u, params.gamma);
+        return uGamma / (1 + uGamma);
+    }
+
+    /**
+     * Propofol PD parameters with Ce50 lowered by remifentanil
+     */
+    static interactionPDParameters(pdParams, remifentanilCe) {
+        const cr = Math.max(0, remifentanilCe);
+        const c50Shift = BouillonInteractionConstants.bis.c50RemifentanilShift;
+        const ce50Factor = 1 - cr / (cr + c50Shift);
+
+        return new PDParameters(
+            pdParams.ce50 * ce50Factor,
+            pdParams.ke0,
+            pdParams.bis_baseline,
+            pdParams.gamma_low,
+            pdParams.gamma_high
+        );
+    }
+
+    /**
+     * Combined BIS from propofol and remifentanil Ce
+     * Returns null when the hypnotic model has no BIS model
+     */
+    static calculateBIS(propofolCe, remifentanilCe, pdParams, model) {
+        if (!pdParams) return null;
+        const shiftedPD = this.interactionPDParameters(pdParams, remifentanilCe);
+        return PKPDSimulationCore.calculateBIS(propofolCe, shiftedPD, model);
+    }
+
+    /**
+     * Interaction predictions along aligned propofol and remifentanil Ce series
+     * @returns {Object} { bisValues, probabilityTOSS, probabilityTOL }
+     */
+    static evaluateSeries(propofolCe, remifentanilCe, pdParams, model) {
+        return {
+            bisValues: propofolCe.map((ce, i) => this.calculateBIS(ce, remifentanilCe[i], pdParams, model)),
+            probabilityTOSS: propofolCe.map((ce, i) => this.probabilityOfTolerance(ce, remifentanilCe[i], 'TOSS')),
+            probabilityTOL: propofolCe.map((ce, i) => this.probabilityOfTolerance(ce, remifentanilCe[i], 'TOL'))
+        };
+    }
+
+    /**
+     * Whether the interaction surface applies to a hypnotic model
+     */
+    static appliesTo(model) {
+        return model && model.drug === 'propofol';
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.BouillonInteractionModel = BouillonInteractionModel;
+    window.BouillonInteractionConstants = BouillonInteractionConstants;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BouillonInteractionModel, BouillonInteractionConstants };
+}
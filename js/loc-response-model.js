@@ -0,0 +1,108 @@
+/**
+ * Individual Loss-of-Consciousness Response Model
+ * 意識消失Ceによる個別Ce50推定
+ *
+ * Features:
+ * - Individual Ce50 for unconsciousness from the Ce recorded at LOC, and
+ *   optionally the Ce at return of consciousness (ROC)
+ * - Sigmoid probability of unconsciousness: P(Ce) = Ce^γ / (Ce50^γ + Ce^γ)
+ * - Protocol target from a chosen probability (e.g. Ce95) instead of an additive margin
+ *
+ * LOC is taken to occur at P = transitionProbability (0.75) and ROC at 1 - that (0.25).
+ * LOC only: the population slope of the model (dosingDefaults.protocol.locGamma) is used
+ * and Ce50 is set so that P(LOC Ce) = transitionProbability.
+ * LOC and ROC: Ce50 is their geometric mean, and the slope is set so that LOC and ROC
+ * bracket the central part of the transition. If ROC Ce is not below LOC Ce, the
+ * population slope is kept.
+ */
+
+const LOCResponseDefaults = {
+    transitionProbability: 0.75,  // P(unconscious) at LOC Ce; 1 - this at ROC Ce
+    minimumGamma: 1.0,
+    maximumGamma: 10.0,
+    targetProbability: 0.95,
+    minimumTargetProbability: 0.5,
+    maximumTargetProbability: 0.99
+};
+
+class LOCResponseModel {
+
+    /**
+     * Population slope of the LOC transition for a registered model
+     * @param {Object} model - Registry entry (default model when omitted)
+     */
+    static populationGamma(model = PKPDModelRegistry.get()) {
+        const gamma = model.dosingDefaults.protocol.locGamma;
+        if (!(gamma > 0)) {
+            throw new Error(`${model.displayName} has no LOC slope (dosingDefaults.protocol.locGamma)`);
+        }
+        return gamma;
+    }
+
+    /**
+     * Individual Ce50 and slope from LOC Ce and optional ROC Ce
+     * @param {Object} options - { model, gamma, transitionProbability, ... }; the population
+     *   slope is options.gamma, or else the model's
+     * @returns {Object} { ce50, gamma, locCe, rocCe, usesROC }
+     */
+    static estimate(locCe, rocCe = null, options = {}) {
+        const settings = { ...LOCResponseDefaults, ...options };
+        if (settings.gamma === undefined) {
+            settings.gamma = this.populationGamma(options.model);
+        }
+        const p = settings.transitionProbability;
+
+        if (!(locCe > 0)) {
+            throw new Error('LOC Ce must be positive');
+        }
+        if (rocCe !== null && !(rocCe > 0)) {
+            throw new Error('ROC Ce must be positive');
+        }
+
+        if (rocCe === null) {
+            const ce50 = locCe / Math.pow(p / (1 - p), 1 / settings.gamma);
+            return { ce50: ce50, gamma: settings.gamma, locCe: locCe, rocCe: null, usesROC: false };
+        }
+
+        const ce50 = Math.sqrt(locCe * rocCe);
+        let gamma = settings.gamma;
+
+        if (rocCe < locCe) {
+            gamma = 2 * Math.log(p / (1 - p)) / Math.log(locCe / rocCe);
+            gamma = Math.min(settings.maximumGamma, Math.max(settings.minimumGamma, gamma));
+        }
+
+        return { ce50: ce50, gamma: gamma, locCe: locCe, rocCe: rocCe, usesROC: true };
+    }
+
+    /**
+     * Probability of unconsciousness at a given Ce
+     */
+    static probability(ce, estimate) {
+        if (ce <= 0) return 0;
+        const ceGamma = Math.pow(ce, estimate.gamma);
+        return ceGamma / (Math.pow(estimate.ce50, estimate.gamma) + ceGamma);
+    }
+
+    /**
+     * Ce giving the chosen probability of unconsciousness (e.g. 0.95 for Ce95)
+     */
+    static concentrationForProbability(probability, estimate) {
+        const settings = LOCResponseDefaults;
+        if (!(probability >= settings.minimumTargetProbability && probability <= settings.maximumTargetProbability)) {
+            throw new Error(`Probability must be between ${settings.minimumTargetProbability * 100}% and ${settings.maximumTargetProbability * 100}%`);
+        }
+
+        return estimate.ce50 * Math.pow(probability / (1 - probability), 1 / estimate.gamma);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LOCResponseModel = LOCResponseModel;
+    window.LOCResponseDefaults = LOCResponseDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOCResponseModel, LOCResponseDefaults };
+}
@@ -10,8 +10,13 @@ class MainApplicationController {
         this.inductionEngine = new InductionEngine();
         this.protocolEngine = new ProtocolEngine();
         this.advancedProtocolEngine = new AdvancedProtocolEngine();
+        this.tciController = new EffectSiteTCIController();
         this.monitoringEngine = new MonitoringEngine();
 
+        // Web Workers for protocol optimisation and monitoring runs
+        this.protocolWorker = new SimulationWorkerClient();
+        this.monitoringWorker = new SimulationWorkerClient();
+
         // Chart instances
         this.realtimeChart = null;
         this.protocolChart = null;
@@ -23,8 +28,21 @@ class MainApplicationController {
 
         // Workflow data (shared between steps)
         this.locCe = null;           // LOC Ce from induction (Step 1 -> Step 2)
-        this.safetyMargin = 1.5;     // Default safety margin for propofol
+        this.safetyMargin = 1.5;     // Default safety margin (replaced by the model's dosing defaults)
         this.protocolResult = null;  // Protocol result (Step 2 -> Step 3)
+        this.tciResult = null;       // Effect-site TCI pump profile (Step 2 -> Step 3)
+        this.protocolMode = 'stepdown';
+
+        // Model comparison of each step: checklist input name and result elements
+        this.comparisonViews = {
+            induction: { list: 'inductionComparisonModelList', input: 'inductionComparisonModel',
+                results: 'inductionComparisonResults', table: 'inductionComparisonTable', skipped: 'inductionComparisonSkipped' },
+            protocol: { list: 'protocolComparisonModelList', input: 'protocolComparisonModel',
+                results: 'protocolComparisonResults', table: 'protocolComparisonTable', skipped: 'protocolComparisonSkipped' },
+            monitoring: { list: 'comparisonModelList', input: 'comparisonModel',
+                results: 'comparisonResults', table: 'comparisonTable', skipped: 'comparisonSkipped' }
+        };
+        this.inductionComparisonDuration = 30;  // Minutes of the induction regimen compared in Step 1
 
         // Touch tracking for swipe
         this.touchStartX = 0;
@@ -50,6 +68,7 @@ class MainApplicationController {
 
         this.initializeDefaultPatient();
         this.setupEventListeners();
+        this.setupCustomParameterSets();
         this.setupWizard();
         this.setupStepperControls();
         this.setupInductionCallbacks();
@@ -79,6 +98,7 @@ class MainApplicationController {
 
         this.protocolEngine.setPatient(this.appState.patient);
         this.advancedProtocolEngine.setPatient(this.appState.patient);
+        this.tciController.setPatient(this.appState.patient);
         this.monitoringEngine.setPatient(this.appState.patient);
     }
 
@@ -140,6 +160,7 @@ class MainApplicationController {
 
     goToStep(step) {
         if (step < 0 || step >= this.totalSteps) return;
+        if (document.querySelector(`.step-tab[data-step="${step}"]`).disabled) return;
 
         this.currentStep = step;
         const track = document.getElementById('wizardTrack');
@@ -177,28 +198,74 @@ class MainApplicationController {
         document.getElementById('closePatientModal').addEventListener('click', () => this.hidePatientModal());
         document.getElementById('cancelPatientEdit').addEventListener('click', () => this.hidePatientModal());
         document.getElementById('patientForm').addEventListener('submit', (e) => this.savePatientData(e));
+        document.getElementById('editModel').addEventListener('change', (e) => {
+            this.updateModelCovariateFields(e.target.value);
+            this.fillCustomSetEditor(e.target.value);
+        });
+        ['editAge', 'editAgeUnit', 'editGestationalAge'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updatePMACalculation());
+        });
 
         // Step 1: Induction
         document.getElementById('startInductionBtn').addEventListener('click', () => this.startInduction());
         document.getElementById('stopInductionBtn').addEventListener('click', () => this.stopInduction());
         document.getElementById('recordSnapshotBtn').addEventListener('click', () => this.recordSnapshot());
         document.getElementById('recordLOCBtn').addEventListener('click', () => this.recordLOC());
+        document.getElementById('inductionComparisonDetails').addEventListener('toggle', (e) => {
+            if (e.target.open) this.updateComparisonModelList();
+        });
+        document.getElementById('compareInductionBtn').addEventListener('click', () => this.compareInductionModels());
 
         // Step 2: Protocol
         document.getElementById('optimizeProtocolBtn').addEventListener('click', () => this.optimizeProtocol());
-
-        // Safety margin change
-        document.getElementById('safetyMargin').addEventListener('change', () => this.updateTargetCeFromMargin());
+        document.querySelectorAll('input[name="protocolMode"]').forEach(radio => {
+            radio.addEventListener('change', (e) => this.setProtocolMode(e.target.value));
+        });
+        document.getElementById('protocolComparisonDetails').addEventListener('toggle', (e) => {
+            if (e.target.open) this.updateComparisonModelList();
+        });
+        document.getElementById('protocolComparisonModelList').addEventListener('change', () => this.updateProtocolComparison());
+
+        // Safety margin, target probability and ROC Ce changes
+        document.getElementById('safetyMargin').addEventListener('change', () => this.updateTargetCe());
+        document.getElementById('targetProbability').addEventListener('change', () => this.updateTargetCe());
+        document.getElementById('rocCe').addEventListener('change', () => this.updateTargetCe());
+        document.querySelectorAll('input[name="targetMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateTargetCe());
+        });
 
         // Step 3: Monitoring
         document.getElementById('addDoseBtn').addEventListener('click', () => this.showDoseModal());
         document.getElementById('runSimulationBtn').addEventListener('click', () => this.runMonitoringSimulation());
+        document.querySelectorAll('input[name="simulationMethod"]').forEach(radio => {
+            radio.addEventListener('change', (e) => this.setSimulationMethod(e.target.value));
+        });
+        document.getElementById('modelComparisonDetails').addEventListener('toggle', (e) => {
+            if (e.target.open) this.updateComparisonModelList();
+        });
         document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportCsv());
+        document.getElementById('addBISBtn').addEventListener('click', () => this.showBISModal());
+        document.getElementById('individualisePDBtn').addEventListener('click', () => this.individualisePD());
+        document.getElementById('addPlasmaBtn').addEventListener('click', () => this.showPlasmaModal());
+        document.getElementById('individualisePKBtn').addEventListener('click', () => this.individualisePK());
+
+        // BIS observation modal
+        document.getElementById('closeBISModal').addEventListener('click', () => this.hideBISModal());
+        document.getElementById('cancelBISAdd').addEventListener('click', () => this.hideBISModal());
+        document.getElementById('bisForm').addEventListener('submit', (e) => this.addBISObservation(e));
+
+        // Plasma concentration modal
+        document.getElementById('closePlasmaModal').addEventListener('click', () => this.hidePlasmaModal());
+        document.getElementById('cancelPlasmaAdd').addEventListener('click', () => this.hidePlasmaModal());
+        document.getElementById('plasmaForm').addEventListener('submit', (e) => this.addPlasmaObservation(e));
 
         // Dose modal
         document.getElementById('closeDoseModal').addEventListener('click', () => this.hideDoseModal());
         document.getElementById('cancelDoseAdd').addEventListener('click', () => this.hideDoseModal());
         document.getElementById('doseForm').addEventListener('submit', (e) => this.addDoseEvent(e));
+        document.querySelectorAll('input[name="doseDrug"]').forEach(radio => {
+            radio.addEventListener('change', (e) => this.updateDoseModalUnits(e.target.value));
+        });
 
         // Modal backdrop clicks
         document.querySelectorAll('.modal').forEach(modal => {
@@ -277,7 +344,7 @@ class MainApplicationController {
         // Safety margin update
         if (targetId === 'safetyMargin') {
             this.safetyMargin = value;
-            this.updateTargetCeFromMargin();
+            this.updateTargetCe();
         }
     }
 
@@ -352,7 +419,14 @@ class MainApplicationController {
         const patient = this.appState.patient;
 
         document.getElementById('editPatientId').value = patient.id;
-        document.getElementById('editAge').value = patient.age;
+        this.populateModelSelect();
+        const modelId = PKPDModelRegistry.forPatient(patient).id;
+        document.getElementById('editModel').value = modelId;
+        this.updateModelCovariateFields(modelId);
+        this.fillCustomSetEditor(modelId);
+        document.getElementById('editAgeUnit').value = patient.ageUnit;
+        document.getElementById('editAge').value = Math.round(AgeUnit.fromYears(patient.age, patient.ageUnit) * 100) / 100;
+        document.getElementById('editGestationalAge').value = patient.gestationalAgeWeeks;
         document.getElementById('editWeight').value = patient.weight;
         document.getElementById('editHeight').value = patient.height;
         document.querySelector(`input[name="sex"][value="${patient.sex === SexType.MALE ? 'male' : 'female'}"]`).checked = true;
@@ -363,8 +437,12 @@ class MainApplicationController {
             document.querySelector(`input[name="opioid"][value="${patient.opioidCoadmin === OpioidType.YES ? 'yes' : 'no'}"]`).checked = true;
         }
 
+        // Plasma sampling site (Eleveld arterial/venous predictions)
+        document.querySelector(`input[name="sampling"][value="${patient.samplingSite === SamplingSiteType.VENOUS ? 'venous' : 'arterial'}"]`).checked = true;
+
         document.getElementById('editAnesthesiaStart').value = patient.formattedStartTime;
         this.updateBMICalculation();
+        this.updatePMACalculation();
 
         modal.classList.add('active');
     }
@@ -373,10 +451,275 @@ class MainApplicationController {
         document.getElementById('patientModal').classList.remove('active');
     }
 
+    populateModelSelect() {
+        // Rebuilt each time: custom parameter sets can be added or removed
+        const select = document.getElementById('editModel');
+        select.innerHTML = '';
+
+        PKPDModelRegistry.listByClass(DrugClass.HYPNOTIC).forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.displayName;
+            option.title = model.description;
+            select.appendChild(option);
+        });
+    }
+
+    // =============================================
+    // Custom Parameter Sets
+    // =============================================
+    setupCustomParameterSets() {
+        const container = document.getElementById('customParameterInputs');
+        CustomParameterFields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.htmlFor = `customParam_${field.key}`;
+            label.textContent = field.unit ? `${field.label} (${field.unit})` : field.label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `customParam_${field.key}`;
+            input.step = 'any';
+            input.inputMode = 'decimal';
+
+            group.appendChild(label);
+            group.appendChild(input);
+            container.appendChild(group);
+        });
+
+        document.getElementById('saveCustomSetBtn').addEventListener('click', () => this.saveCustomSet());
+        document.getElementById('deleteCustomSetBtn').addEventListener('click', () => this.deleteCustomSet());
+        document.getElementById('exportCustomSetBtn').addEventListener('click', () => this.exportCustomSets());
+        document.getElementById('importCustomSetBtn').addEventListener('click', () => document.getElementById('customSetFile').click());
+        document.getElementById('customSetFile').addEventListener('change', (e) => this.importCustomSets(e.target));
+    }
+
+    fillCustomSetEditor(modelId) {
+        // Selecting a saved set loads it into the editor for review or changes
+        if (!CustomPKPDModel.isCustomModelId(modelId)) return;
+
+        const set = PKPDModelRegistry.get(modelId).parameterSet;
+        document.getElementById('customSetName').value = set.name;
+        document.getElementById('customSetDescription').value = set.description;
+        CustomParameterFields.forEach(field => {
+            document.getElementById(`customParam_${field.key}`).value = set[field.key];
+        });
+        document.getElementById('customParam_gammaLow').value = set.gammaLow !== set.gamma ? set.gammaLow : '';
+    }
+
+    selectModelInPatientModal(modelId) {
+        this.populateModelSelect();
+        document.getElementById('editModel').value = modelId;
+        this.updateModelCovariateFields(modelId);
+    }
+
+    saveCustomSet() {
+        const raw = {
+            name: document.getElementById('customSetName').value,
+            description: document.getElementById('customSetDescription').value,
+            gammaLow: document.getElementById('customParam_gammaLow').value
+        };
+        CustomParameterFields.forEach(field => {
+            raw[field.key] = document.getElementById(`customParam_${field.key}`).value;
+        });
+
+        const replace = CustomPKPDModel.exists(raw.name);
+        if (replace && !confirm(`Replace the saved parameter set "${raw.name.trim()}"?`)) return;
+
+        try {
+            const model = CustomPKPDModel.register(raw, { replace: replace });
+            CustomPKPDModel.save();
+            this.selectModelInPatientModal(model.id);
+        } catch (error) {
+            alert('Parameter Set Error:\n' + error.message);
+        }
+    }
+
+    deleteCustomSet() {
+        const modelId = document.getElementById('editModel').value;
+        if (!CustomPKPDModel.isCustomModelId(modelId)) {
+            alert('Select a custom parameter set to delete.');
+            return;
+        }
+        if (modelId === this.appState.patient.modelId) {
+            alert('This parameter set is used by the current patient.\nSelect and save another model first.');
+            return;
+        }
+        if (!confirm(`Delete ${PKPDModelRegistry.get(modelId).displayName}?`)) return;
+
+        CustomPKPDModel.remove(modelId);
+        CustomPKPDModel.save();
+        this.selectModelInPatientModal(PKPDModelRegistry.forPatient(this.appState.patient).id);
+    }
+
+    async importCustomSets(fileInput) {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const existing = CustomPKPDModel.existingNames(text);
+            if (existing.length > 0 &&
+                !confirm(`Replace the saved parameter sets ${existing.map(name => `"${name}"`).join(', ')}?`)) {
+                return;
+            }
+
+            const models = CustomPKPDModel.importJSON(text, { replace: existing.length > 0 });
+            CustomPKPDModel.save();
+            this.selectModelInPatientModal(models[0].id);
+            this.fillCustomSetEditor(models[0].id);
+        } catch (error) {
+            alert('Import error:\n' + error.message);
+        } finally {
+            fileInput.value = '';
+        }
+    }
+
+    exportCustomSets() {
+        if (CustomPKPDModel.list().length === 0) {
+            alert('No custom parameter sets to export.');
+            return;
+        }
+        this.downloadFile(CustomPKPDModel.exportJSON(), 'custom_pkpd_parameter_sets.json', 'application/json');
+    }
+
+    updateModelCovariateFields(modelId) {
+        // Only show covariate inputs the selected model actually uses
+        document.querySelectorAll('#patientForm [data-covariate]').forEach(field => {
+            field.hidden = !PKPDModelRegistry.requiresCovariate(modelId, field.dataset.covariate);
+        });
+    }
+
+    onModelChanged(previousModel, model) {
+        // Dose events and protocol results are in the previous drug's units
+        if (model.drug !== previousModel.drug) {
+            this.monitoringEngine.clearDoseEvents();
+            this.protocolResult = null;
+            this.tciResult = null;
+            this.appState.protocolResult = null;
+            document.getElementById('protocolResults').classList.add('hidden');
+            this.updateMonitoringDisplay();
+        }
+
+        // Step 1/2 comparisons were made against the previous model
+        this.updateComparisonTable(null, this.comparisonViews.induction);
+        this.updateComparisonTable(null, this.comparisonViews.protocol);
+
+        this.applyModelDosingDefaults(model);
+        this.updateWizardSteps(model);
+
+        // Prediction bands need the model's inter-individual variability (ω²)
+        document.getElementById('populationVariabilityCard').classList.toggle('hidden', !model.variability);
+        // BIS individualisation needs the model's PD priors and residual error
+        document.getElementById('observedBISCard').classList.toggle('hidden', !BayesianPDEstimator.supports(model));
+        document.getElementById('measuredPlasmaCard').classList.toggle('hidden', !BayesianPKEstimator.supports(model));
+        this.updateComparisonModelList();
+    }
+
+    updateComparisonModelList() {
+        Object.values(this.comparisonViews).forEach(view => this.renderComparisonModelList(view));
+    }
+
+    renderComparisonModelList(view) {
+        // Other models of the patient's drug; custom parameter sets can appear at any time
+        const container = document.getElementById(view.list);
+        const reference = PKPDModelRegistry.forPatient(this.appState.patient);
+        const checked = new Set(this.selectedComparisonModels(view));
+        const models = ModelComparison.comparableModels(reference.id).filter(model => model.id !== reference.id);
+
+        container.innerHTML = '';
+        if (models.length === 0) {
+            container.textContent = `No other ${reference.drug} models are registered`;
+            return;
+        }
+
+        models.forEach(model => {
+            const label = document.createElement('label');
+            label.className = 'radio-label';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = view.input;
+            input.value = model.id;
+            input.checked = checked.has(model.id);
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(' ' + model.shortName));
+            container.appendChild(label);
+        });
+    }
+
+    selectedComparisonModels(view = this.comparisonViews.monitoring) {
+        return Array.from(document.querySelectorAll(`input[name="${view.input}"]:checked`)).map(input => input.value);
+    }
+
+    /**
+     * Step 1/2 model comparison on the main thread (a few models on a 0.1 min grid)
+     */
+    runModelComparison(doseEvents, duration, view) {
+        try {
+            const comparison = ModelComparison.run(this.appState.patient, doseEvents, this.selectedComparisonModels(view),
+                { duration: duration, timeStep: 0.1, sampleInterval: 10 });
+            this.updateComparisonTable(comparison, view);
+        } catch (error) {
+            console.error('Model comparison failed:', error);
+            this.updateComparisonTable(null, view);
+            alert('Model comparison error:\n' + error.message);
+        }
+    }
+
+    updateWizardSteps(model) {
+        // Monitoring-only models (e.g. dexmedetomidine) have no induction or protocol step
+        [0, 1].forEach(step => {
+            document.querySelector(`.step-tab[data-step="${step}"]`).disabled = model.monitoringOnly;
+        });
+
+        if (model.monitoringOnly) {
+            this.goToStep(2);
+        }
+    }
+
+    applyModelDosingDefaults(model) {
+        // Step 1/2 inputs: values, ranges and stepper increments for the model's drug
+        const induction = model.dosingDefaults.induction;
+        const protocol = model.dosingDefaults.protocol;
+        const inductionLimits = model.validationLimits.Induction;
+
+        const configure = (id, value, min, max, step) => {
+            const input = document.getElementById(id);
+            input.min = min;
+            input.max = max;
+            input.step = step;
+            input.value = value;
+            document.querySelectorAll(`.stepper-btn[data-target="${id}"]`).forEach(btn => btn.setAttribute('data-step', step));
+        };
+
+        configure('inductionBolus', induction.bolus,
+            inductionLimits.minimumBolusRange, inductionLimits.maximumBolusRange, induction.bolusStep);
+        configure('inductionContinuous', induction.continuous,
+            inductionLimits.minimumContinuousRange, inductionLimits.maximumContinuousRange, induction.continuousStep);
+        configure('protocolBolus', protocol.bolus,
+            inductionLimits.minimumBolusRange, inductionLimits.maximumBolusRange, induction.bolusStep);
+        configure('targetConcentration', protocol.targetCe.toFixed(1),
+            protocol.targetMin, protocol.targetMax, protocol.targetStep);
+
+        const pumpRate = model.validationLimits.Dosing.maximumPumpRate;
+        configure('tciMaximumRate', pumpRate, pumpRate / 120, pumpRate, pumpRate / 120);
+
+        document.getElementById('safetyMargin').value = protocol.safetyMargin.toFixed(1);
+        this.safetyMargin = protocol.safetyMargin;
+        this.updateTargetCe();
+
+        console.log(`Dosing defaults applied for ${model.displayName}`);
+    }
+
     showDoseModal() {
+        const drugName = PKPDModelRegistry.forPatient(this.appState.patient).drug;
+        document.getElementById('doseHypnoticName').textContent = drugName.charAt(0).toUpperCase() + drugName.slice(1);
+        document.querySelector('input[name="doseDrug"][value="hypnotic"]').checked = true;
+        this.updateDoseModalUnits('hypnotic');
+
         document.getElementById('doseTime').value = this.appState.patient.formattedStartTime;
-        document.getElementById('doseBolusAmount').value = 0;
-        document.getElementById('doseContinuousRate').value = 0;
         document.getElementById('anesthesiaStartReference').textContent = this.appState.patient.formattedStartTime;
         document.getElementById('doseModal').classList.add('active');
     }
@@ -385,6 +728,72 @@ class MainApplicationController {
         document.getElementById('doseModal').classList.remove('active');
     }
 
+    showBISModal() {
+        document.getElementById('bisTime').value = this.appState.patient.formattedStartTime;
+        document.getElementById('bisStartReference').textContent = this.appState.patient.formattedStartTime;
+        document.getElementById('bisModal').classList.add('active');
+    }
+
+    hideBISModal() {
+        document.getElementById('bisModal').classList.remove('active');
+    }
+
+    showPlasmaModal() {
+        const patient = this.appState.patient;
+        document.getElementById('plasmaConcentrationUnit').textContent = PKPDModelRegistry.forPatient(patient).concentrationUnit;
+        document.getElementById('plasmaSampleConcentration').max = patient.validationLimits.PlasmaConcentration.maximumValue;
+        document.getElementById('plasmaTime').value = this.appState.patient.formattedStartTime;
+        document.getElementById('plasmaStartReference').textContent = this.appState.patient.formattedStartTime;
+        document.getElementById('plasmaModal').classList.add('active');
+    }
+
+    hidePlasmaModal() {
+        document.getElementById('plasmaModal').classList.remove('active');
+    }
+
+    updateDoseModalUnits(drug) {
+        // Units, limits and stepper increments for each drug timeline
+        const model = PKPDModelRegistry.forPatient(this.appState.patient);
+        const isLoadingMaintenance = drug !== 'remifentanil' && model.dosingMode === DosingMode.LOADING_MAINTENANCE;
+        const settings = drug === 'remifentanil'
+            ? { bolusLabel: 'Bolus (µg)', bolusMax: 500, bolusStep: '10',
+                rateLabel: 'Continuous (µg/kg/min)', rateMax: 2, rateStep: '0.05' }
+            : this.hypnoticDoseSettings(model);
+
+        const bolusInput = document.getElementById('doseBolusAmount');
+        const rateInput = document.getElementById('doseContinuousRate');
+
+        document.getElementById('doseBolusLabel').textContent = settings.bolusLabel;
+        document.getElementById('doseContinuousLabel').textContent = settings.rateLabel;
+        bolusInput.max = settings.bolusMax;
+        rateInput.max = settings.rateMax;
+        bolusInput.step = isLoadingMaintenance ? '0.1' : '1';
+        rateInput.step = drug === 'remifentanil' || isLoadingMaintenance ? '0.01' : '5';
+        document.getElementById('doseLoadingDurationGroup').hidden = !isLoadingMaintenance;
+        document.querySelectorAll('.stepper-btn[data-target="doseBolusAmount"]').forEach(btn => btn.setAttribute('data-step', settings.bolusStep));
+        document.querySelectorAll('.stepper-btn[data-target="doseContinuousRate"]').forEach(btn => btn.setAttribute('data-step', settings.rateStep));
+
+        bolusInput.value = 0;
+        rateInput.value = 0;
+    }
+
+    hypnoticDoseSettings(model) {
+        if (model.dosingMode === DosingMode.LOADING_MAINTENANCE) {
+            const limits = model.validationLimits.Dexmedetomidine;
+            return {
+                bolusLabel: 'Loading (µg/kg)', bolusMax: limits.maximumLoading, bolusStep: '0.1',
+                rateLabel: 'Maintenance (µg/kg/h)', rateMax: limits.maximumMaintenance, rateStep: '0.1'
+            };
+        }
+
+        const limits = model.validationLimits.Induction;
+        const induction = model.dosingDefaults.induction;
+        return {
+            bolusLabel: 'Bolus (mg)', bolusMax: limits.maximumBolusRange, bolusStep: String(induction.bolusStep),
+            rateLabel: 'Continuous (mg/hr)', rateMax: limits.maximumContinuousRange, rateStep: String(induction.continuousStep)
+        };
+    }
+
     // =============================================
     // Patient Data
     // =============================================
@@ -397,8 +806,12 @@ class MainApplicationController {
         const [hours, minutes] = timeValue.split(':').map(Number);
         anesthesiaStart.setHours(hours, minutes, 0, 0);
 
+        const previousModelId = this.appState.patient.modelId;
         this.appState.patient.id = document.getElementById('editPatientId').value;
-        this.appState.patient.age = parseInt(document.getElementById('editAge').value);
+        this.appState.patient.modelId = document.getElementById('editModel').value;
+        this.appState.patient.ageUnit = document.getElementById('editAgeUnit').value;
+        this.appState.patient.age = AgeUnit.toYears(parseFloat(document.getElementById('editAge').value), this.appState.patient.ageUnit);
+        this.appState.patient.gestationalAgeWeeks = parseFloat(document.getElementById('editGestationalAge').value);
         this.appState.patient.weight = parseFloat(document.getElementById('editWeight').value);
         this.appState.patient.height = parseFloat(document.getElementById('editHeight').value);
         this.appState.patient.sex = formData.get('sex') === 'male' ? SexType.MALE : SexType.FEMALE;
@@ -407,6 +820,7 @@ class MainApplicationController {
         if (typeof OpioidType !== 'undefined') {
             this.appState.patient.opioidCoadmin = formData.get('opioid') === 'yes' ? OpioidType.YES : OpioidType.NO;
         }
+        this.appState.patient.samplingSite = formData.get('sampling') === 'venous' ? SamplingSiteType.VENOUS : SamplingSiteType.ARTERIAL;
 
         this.appState.patient.anesthesiaStartTime = anesthesiaStart;
 
@@ -416,9 +830,23 @@ class MainApplicationController {
             return;
         }
 
-        this.protocolEngine.setPatient(this.appState.patient);
-        this.advancedProtocolEngine.setPatient(this.appState.patient);
-        this.monitoringEngine.setPatient(this.appState.patient);
+        try {
+            this.protocolEngine.setPatient(this.appState.patient);
+            this.advancedProtocolEngine.setPatient(this.appState.patient);
+            this.tciController.setPatient(this.appState.patient);
+            this.monitoringEngine.setPatient(this.appState.patient);
+        } catch (error) {
+            console.error('Model parameter calculation failed:', error);
+            alert('Model Error:\n' + error.message);
+            this.appState.patient.modelId = previousModelId;
+            return;
+        }
+
+        if (this.appState.patient.modelId !== previousModelId) {
+            this.onModelChanged(PKPDModelRegistry.get(previousModelId), PKPDModelRegistry.forPatient(this.appState.patient));
+        }
+        this.updateBISObservationsDisplay();
+        this.updatePlasmaObservationsDisplay();
 
         this.updatePatientDisplay();
         this.hidePatientModal();
@@ -426,8 +854,55 @@ class MainApplicationController {
 
     updatePatientDisplay() {
         const p = this.appState.patient;
-        const summary = `${p.age}y ${p.weight}kg`;
+        const model = PKPDModelRegistry.forPatient(p);
+        const summary = `${p.shortAge} ${p.weight}kg · ${model.shortName}`;
         document.getElementById('headerPatientSummary').textContent = summary;
+        this.updateModelParametersDisplay();
+    }
+
+    updateModelParametersDisplay() {
+        // Population PK/PD parameters of the current patient, with ke0 ⇔ tpeak
+        const container = document.getElementById('modelParameterGrid');
+        container.innerHTML = '';
+
+        let modelParams;
+        let tPeak = null;
+        try {
+            modelParams = PKPDSimulationCore.calculateModelParameters(this.appState.patient);
+            tPeak = TimeToPeakCalculator.timeToPeak(modelParams.pk, modelParams.pk.ke0);
+        } catch (error) {
+            console.warn('Model parameters unavailable:', error.message);
+            if (!modelParams) return;
+        }
+
+        const pk = modelParams.pk;
+        const items = [
+            ['V1', pk.v1, 'L', 2], ['V2', pk.v2, 'L', 2], ['V3', pk.v3, 'L', 1],
+            ['CL', pk.cl, 'L/min', 3], ['Q2', pk.q2, 'L/min', 3], ['Q3', pk.q3, 'L/min', 3],
+            ['ke0', pk.ke0, 'min⁻¹', 3], ['tpeak', tPeak, 'min', 2]
+        ];
+        if (modelParams.pd) {
+            items.push(['Ce50', modelParams.pd.ce50, modelParams.model.concentrationUnit, 2]);
+        }
+
+        items.forEach(([label, value, unit, digits]) => {
+            const card = document.createElement('div');
+            card.className = 'result-card';
+            card.innerHTML = `
+                <span class="result-label">${label}</span>
+                <span class="result-value">${value !== null ? value.toFixed(digits) : '---'}</span>
+                <span class="result-unit">${unit}</span>
+            `;
+            container.appendChild(card);
+        });
+    }
+
+    updatePMACalculation() {
+        const age = parseFloat(document.getElementById('editAge').value);
+        const ageUnit = document.getElementById('editAgeUnit').value;
+        const gestationalAge = parseFloat(document.getElementById('editGestationalAge').value);
+        const pma = AgeUnit.fromYears(AgeUnit.toYears(age, ageUnit), AgeUnit.WEEKS) + gestationalAge;
+        document.getElementById('pmaCalculated').textContent = isNaN(pma) ? '---' : pma.toFixed(1);
     }
 
     updateBMICalculation() {
@@ -485,7 +960,17 @@ class MainApplicationController {
         document.querySelector('.step-tab[data-step="0"]').classList.add('completed');
 
         // Update target Ce calculation
-        this.updateTargetCeFromMargin();
+        this.updateTargetCe();
+    }
+
+    /**
+     * The bolus and continuous rate of Step 1 in the checked models, next to the patient's model
+     */
+    compareInductionModels() {
+        const bolus = parseFloat(document.getElementById('inductionBolus').value);
+        const continuous = parseFloat(document.getElementById('inductionContinuous').value);
+        this.runModelComparison([new DoseEvent(0, bolus, continuous)], this.inductionComparisonDuration,
+            this.comparisonViews.induction);
     }
 
     updateInductionDisplay(state) {
@@ -554,17 +1039,56 @@ class MainApplicationController {
         if (this.locCe !== null) {
             document.getElementById('locTransferBanner').classList.remove('hidden');
             document.getElementById('transferredLocCe').textContent = this.locCe.toFixed(3);
+            this.updateTargetCe();
+        }
+    }
+
+    updateTargetCe() {
+        const useProbability = document.querySelector('input[name="targetMode"]:checked').value === 'probability';
+        document.getElementById('marginTargetRow').classList.toggle('hidden', useProbability);
+        document.getElementById('probabilityTargetRows').classList.toggle('hidden', !useProbability);
+
+        if (useProbability) {
+            this.updateTargetCeFromProbability();
+        } else {
             this.updateTargetCeFromMargin();
         }
     }
 
+    updateTargetCeFromProbability() {
+        document.getElementById('individualLocCe50').textContent = '---';
+        document.getElementById('individualLocGamma').textContent = '---';
+        if (this.locCe === null) {
+            document.getElementById('calculatedTargetCe').textContent = '---';
+            return;
+        }
+
+        // Individual Ce50 and slope from LOC (and ROC when entered), target at the chosen probability
+        const rocCe = parseFloat(document.getElementById('rocCe').value);
+        const probability = parseFloat(document.getElementById('targetProbability').value) / 100;
+        try {
+            const model = PKPDModelRegistry.forPatient(this.appState.patient);
+            const estimate = LOCResponseModel.estimate(this.locCe, rocCe > 0 ? rocCe : null, { model: model });
+            const targetCe = Math.round(LOCResponseModel.concentrationForProbability(probability, estimate) * 1000) / 1000;
+
+            document.getElementById('individualLocCe50').textContent = estimate.ce50.toFixed(3);
+            document.getElementById('individualLocGamma').textContent = estimate.gamma.toFixed(2);
+            document.getElementById('calculatedTargetCe').textContent = targetCe.toFixed(3);
+            document.getElementById('targetConcentration').value = targetCe.toFixed(1);
+        } catch (error) {
+            console.warn('Target Ce from probability failed:', error.message);
+            document.getElementById('calculatedTargetCe').textContent = '---';
+        }
+    }
+
     updateTargetCeFromMargin() {
         if (this.locCe === null) {
             document.getElementById('calculatedTargetCe').textContent = '---';
             return;
         }
 
-        this.safetyMargin = parseFloat(document.getElementById('safetyMargin').value) || 1.5;
+        const defaultMargin = PKPDModelRegistry.forPatient(this.appState.patient).dosingDefaults.protocol.safetyMargin;
+        this.safetyMargin = parseFloat(document.getElementById('safetyMargin').value) || defaultMargin;
         const targetCe = Math.round((this.locCe + this.safetyMargin) * 1000) / 1000;
 
         document.getElementById('calculatedTargetCe').textContent = targetCe.toFixed(3);
@@ -573,7 +1097,32 @@ class MainApplicationController {
         document.getElementById('targetConcentration').value = targetCe.toFixed(1);
     }
 
-    optimizeProtocol() {
+    setProtocolMode(mode) {
+        this.protocolMode = mode;
+        const isTCI = mode === 'tci';
+
+        document.getElementById('protocolBolusItem').classList.toggle('hidden', isTCI);
+        document.getElementById('stepDownSettings').classList.toggle('hidden', isTCI);
+        document.getElementById('tciDurationItem').classList.toggle('hidden', !isTCI);
+        document.getElementById('tciSettings').classList.toggle('hidden', !isTCI);
+        document.getElementById('tciAdvancedSettings').classList.toggle('hidden', !isTCI);
+        document.getElementById('optimizeProtocolBtn').textContent = isTCI ? 'Run TCI Pump' : 'Execute Optimization';
+
+        // Results of the selected mode, if it has been run
+        document.getElementById('protocolResults').classList.add('hidden');
+        if (isTCI && this.tciResult) {
+            this.updateTCIDisplay(this.tciResult);
+        } else if (!isTCI && this.protocolResult) {
+            this.updateProtocolDisplay(this.protocolResult);
+        }
+    }
+
+    async optimizeProtocol() {
+        if (this.protocolMode === 'tci') {
+            this.runTCI();
+            return;
+        }
+
         const targetConcentration = parseFloat(document.getElementById('targetConcentration').value);
         const bolusDose = parseFloat(document.getElementById('protocolBolus').value);
         const targetTime = parseFloat(document.getElementById('targetReachTime').value);
@@ -591,10 +1140,13 @@ class MainApplicationController {
                 adjustmentInterval: adjustmentInterval
             });
 
-            const result = this.advancedProtocolEngine.optimizeBolusProtocol(
-                targetConcentration,
-                bolusDose,
-                targetTime
+            // Optimisation runs in a Web Worker; the engine receives its lastResult and history
+            const [result] = await this.runInBackground(
+                this.protocolWorker,
+                this.advancedProtocolEngine,
+                [{ method: 'optimizeBolusProtocol', args: [targetConcentration, bolusDose, targetTime] }],
+                'protocolProgress',
+                'optimizeProtocolBtn'
             );
 
             this.protocolResult = result;
@@ -604,13 +1156,97 @@ class MainApplicationController {
             // Mark Step 2 as completed
             document.querySelector('.step-tab[data-step="1"]').classList.add('completed');
         } catch (error) {
+            if (error.cancelled) return;
             console.error('Protocol optimization failed:', error);
             alert('Optimization error:\n' + error.message);
         }
     }
 
+    /**
+     * Run engine methods in a Web Worker while showing a progress bar with a Cancel button
+     * @param {SimulationWorkerClient} client - Worker of the step
+     * @param {Object} engine - Engine whose state is updated with the worker's result
+     * @param {Array} calls - [{ method, args, weight }]
+     * @param {string} progressId - .calculation-progress element
+     * @param {string} buttonId - Button disabled while calculating
+     * @returns {Promise<Array>} Call results; rejects with error.cancelled after Cancel
+     */
+    runInBackground(client, engine, calls, progressId, buttonId) {
+        const progress = document.getElementById(progressId);
+        const button = document.getElementById(buttonId);
+        const fill = progress.querySelector('.progress-fill');
+        const label = progress.querySelector('.progress-label');
+        const cancelButton = progress.querySelector('.progress-cancel');
+
+        const showProgress = (fraction) => {
+            const percent = `${Math.round(fraction * 100)}%`;
+            fill.style.width = percent;
+            label.textContent = percent;
+        };
+
+        showProgress(0);
+        progress.classList.remove('hidden');
+        button.disabled = true;
+        cancelButton.onclick = () => client.cancel();
+
+        return client.run(engine, calls, { onProgress: showProgress }).finally(() => {
+            progress.classList.add('hidden');
+            button.disabled = false;
+            cancelButton.onclick = null;
+        });
+    }
+
+    /**
+     * Effect-site TCI pump for the target Ce (and its later changes); fast enough for the main thread
+     */
+    runTCI() {
+        const targetConcentration = parseFloat(document.getElementById('targetConcentration').value);
+        const duration = parseFloat(document.getElementById('tciDuration').value);
+
+        try {
+            const targetSchedule = EffectSiteTCIController.parseTargetSchedule(
+                document.getElementById('tciTargetChanges').value, targetConcentration);
+            this.tciController.updateSettings({
+                maximumRate: parseFloat(document.getElementById('tciMaximumRate').value),
+                limitPlasma: document.querySelector('input[name="tciLimitPlasma"]:checked').value === 'on'
+            });
+            const result = this.tciController.run(targetSchedule, duration);
+
+            this.tciResult = result;
+            this.updateTCIDisplay(result);
+
+            // Mark Step 2 as completed
+            document.querySelector('.step-tab[data-step="1"]').classList.add('completed');
+        } catch (error) {
+            console.error('TCI calculation failed:', error);
+            alert('TCI error:\n' + error.message);
+        }
+    }
+
+    updateTCIDisplay(result) {
+        document.getElementById('protocolResults').classList.remove('hidden');
+        document.getElementById('stepDownResultsGrid').classList.add('hidden');
+        document.getElementById('tciResultsGrid').classList.remove('hidden');
+
+        const last = result.timeSeriesData[result.timeSeriesData.length - 1];
+        const finalRate = result.pumpProfile[result.pumpProfile.length - 1].rate;
+        document.getElementById('tciPeakRate').textContent = result.maximumRateUsed.toFixed(1);
+        document.getElementById('tciFinalRate').textContent = finalRate.toFixed(1);
+        document.getElementById('tciTimeToTarget').textContent =
+            result.timeToTarget === null ? '---' : result.timeToTarget.toFixed(1);
+        document.getElementById('tciTotalDose').textContent = result.totalDoseMg.toFixed(1);
+        document.getElementById('tciRateChanges').textContent = result.pumpProfile.length;
+        document.getElementById('tciFinalCe').textContent = last.ce.toFixed(3);
+
+        this.updateProtocolChart(this.tciController.getChartData(), result.model);
+        this.updateProtocolTable(this.tciController.generateSchedule(result));
+        this.updateProtocolComparison();
+    }
+
     updateProtocolDisplay(result) {
         document.getElementById('protocolResults').classList.remove('hidden');
+        document.getElementById('stepDownResultsGrid').classList.remove('hidden');
+        document.getElementById('tciResultsGrid').classList.add('hidden');
         document.getElementById('optimalRate').textContent = result.optimization.optimalRate.toFixed(2);
 
         // Display final Ce from time series data
@@ -623,22 +1259,36 @@ class MainApplicationController {
         document.getElementById('convergenceTime').textContent =
             result.performance.convergenceTime === Infinity ? '---' : result.performance.convergenceTime.toFixed(1);
 
-        this.updateProtocolChart(result);
+        this.updateProtocolChart(this.advancedProtocolEngine.getChartData(), result.model);
         this.updateProtocolTable(result.schedule);
+        this.updateProtocolComparison();
     }
 
-    updateProtocolChart(result) {
+    /**
+     * The displayed step-down protocol or TCI pump profile in the checked models
+     */
+    updateProtocolComparison() {
+        const view = this.comparisonViews.protocol;
+        const isTCI = this.protocolMode === 'tci';
+        const result = isTCI ? this.tciResult : this.protocolResult;
+        if (!result || this.selectedComparisonModels(view).length === 0) {
+            this.updateComparisonTable(null, view);
+            return;
+        }
+
+        const doseEvents = isTCI ? this.tciController.toDoseEvents(result) : this.advancedProtocolEngine.toDoseEvents(result);
+        const timeSeries = isTCI ? result.timeSeriesData : result.protocol.timeSeriesData;
+        this.runModelComparison(doseEvents, timeSeries[timeSeries.length - 1].time, view);
+    }
+
+    updateProtocolChart(chartData, model) {
         const ctx = document.getElementById('protocolChart').getContext('2d');
         if (this.protocolChart) this.protocolChart.destroy();
 
-        const chartData = this.advancedProtocolEngine.getChartData();
         if (!chartData || !chartData.times) return;
 
         // Convert times to clock-time labels
-        const labels = chartData.times.map(t => {
-            const ct = this.appState.patient.minutesToClockTime(t);
-            return ct.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit', hour12: false });
-        });
+        const labels = chartData.times.map(t => this.appState.patient.formattedClockTime(t));
 
         this.protocolChart = new Chart(ctx, {
             type: 'line',
@@ -667,7 +1317,7 @@ class MainApplicationController {
                         label: 'Rate',
                         data: chartData.infusionRates,
                         borderColor: '#9B72B0',
-                        tension: 0.1, pointRadius: 0, borderWidth: 1.5, fill: false,
+                        stepped: 'after', pointRadius: 0, borderWidth: 1.5, fill: false,
                         yAxisID: 'y1'
                     }
                 ]
@@ -688,10 +1338,10 @@ class MainApplicationController {
                 },
                 scales: {
                     x: { ticks: { maxTicksLimit: 8, font: { size: 10 }, color: '#8B949E' }, grid: { color: 'rgba(255,255,255,0.06)' } },
-                    y: { beginAtZero: true, title: { display: true, text: 'Conc (ug/mL)', font: { size: 10 }, color: '#8B949E' }, ticks: { color: '#8B949E' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+                    y: { beginAtZero: true, title: { display: true, text: `Conc (${model ? model.concentrationUnit : 'µg/mL'})`, font: { size: 10 }, color: '#8B949E' }, ticks: { color: '#8B949E' }, grid: { color: 'rgba(255,255,255,0.06)' } },
                     y1: {
                         type: 'linear', display: true, position: 'right', beginAtZero: true,
-                        title: { display: true, text: 'Rate (mg/hr)', font: { size: 10 }, color: '#8B949E' },
+                        title: { display: true, text: `Rate (${model ? model.dosingUnits.rate : 'mg/hr'})`, font: { size: 10 }, color: '#8B949E' },
                         ticks: { color: '#8B949E' },
                         grid: { drawOnChartArea: false }
                     }
@@ -737,12 +1387,29 @@ class MainApplicationController {
     // Step 3: Monitoring
     // =============================================
     onEnterMonitoringStep() {
-        // If protocol result exists, offer to transfer
-        if (this.protocolResult) {
+        // If a result of the selected protocol mode exists, offer to transfer
+        if (this.protocolMode === 'tci' && this.tciResult) {
+            this.transferTCIToMonitoring();
+        } else if (this.protocolMode !== 'tci' && this.protocolResult) {
             this.transferProtocolToMonitoring();
         }
     }
 
+    transferTCIToMonitoring() {
+        const result = this.tciResult;
+        if (!result) return;
+
+        document.getElementById('transferredProtocolInfo').textContent =
+            `TCI pump: ${result.pumpProfile.length} rate changes, ${result.totalDoseMg.toFixed(0)} mg`;
+        document.getElementById('protocolTransferBanner').classList.remove('hidden');
+
+        // Only auto-load if monitoring has no events yet
+        if (this.monitoringEngine.getDoseEvents().length === 0) {
+            this.tciController.toDoseEvents(result).forEach(event => this.monitoringEngine.addDoseEvent(event));
+            this.updateMonitoringDisplay();
+        }
+    }
+
     transferProtocolToMonitoring() {
         const result = this.protocolResult;
         if (!result) return;
@@ -797,27 +1464,273 @@ class MainApplicationController {
         if (minutesFromStart < 0) minutesFromStart += 1440;
         minutesFromStart = Math.max(0, Math.round(minutesFromStart));
 
-        const doseEvent = new DoseEvent(minutesFromStart, bolusAmount, continuousRate);
-        const validation = doseEvent.validate();
+        const isRemifentanil = new FormData(e.target).get('doseDrug') === 'remifentanil';
+        const model = PKPDModelRegistry.forPatient(this.appState.patient);
+        let doseEvent;
+        if (isRemifentanil) {
+            doseEvent = new RemifentanilDoseEvent(minutesFromStart, bolusAmount, continuousRate);
+        } else if (model.dosingMode === DosingMode.LOADING_MAINTENANCE) {
+            const loadingDuration = parseFloat(document.getElementById('doseLoadingDuration').value);
+            doseEvent = new DexmedetomidineDoseEvent(minutesFromStart, bolusAmount, loadingDuration, continuousRate);
+        } else {
+            doseEvent = new DoseEvent(minutesFromStart, bolusAmount, continuousRate);
+        }
+        const validation = doseEvent.validate(this.appState.patient.validationLimits);
         if (!validation.isValid) {
             alert('Input Error:\n' + validation.errors.join('\n'));
             return;
         }
 
-        this.monitoringEngine.addDoseEvent(doseEvent);
+        if (isRemifentanil) {
+            this.monitoringEngine.addRemifentanilDoseEvent(doseEvent);
+        } else {
+            this.monitoringEngine.addDoseEvent(doseEvent);
+        }
         this.updateMonitoringDisplay();
         this.hideDoseModal();
     }
 
+    /**
+     * Minutes from anesthesia start for an HH:MM time input (past midnight wraps)
+     */
+    clockInputToMinutes(timeValue) {
+        const clockTime = new Date(this.appState.patient.anesthesiaStartTime);
+        const [hours, minutes] = timeValue.split(':').map(Number);
+        clockTime.setHours(hours, minutes, 0, 0);
+
+        let minutesFromStart = this.appState.patient.clockTimeToMinutes(clockTime);
+        if (minutesFromStart < 0) minutesFromStart += 1440;
+        return Math.max(0, Math.round(minutesFromStart));
+    }
+
+    createObservationElement(className, title, detail, onDelete) {
+        const div = document.createElement('div');
+        div.className = `dose-event ${className}`;
+
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'dose-info';
+
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+
+        const details = document.createElement('div');
+        details.className = 'dose-details';
+        const span = document.createElement('span');
+        span.textContent = detail;
+        details.appendChild(span);
+
+        infoDiv.appendChild(heading);
+        infoDiv.appendChild(details);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'delete-dose';
+        deleteBtn.textContent = '\u00D7';
+        deleteBtn.addEventListener('click', onDelete);
+
+        div.appendChild(infoDiv);
+        div.appendChild(deleteBtn);
+        return div;
+    }
+
+    addBISObservation(e) {
+        e.preventDefault();
+
+        const minutesFromStart = this.clockInputToMinutes(document.getElementById('bisTime').value);
+        const bisValue = parseFloat(document.getElementById('bisValue').value);
+
+        const observation = new BISObservation(minutesFromStart, bisValue);
+        const validation = observation.validate(this.appState.patient.validationLimits);
+        if (!validation.isValid) {
+            alert('Input Error:\n' + validation.errors.join('\n'));
+            return;
+        }
+
+        this.monitoringEngine.addBISObservation(observation);
+        this.updateBISObservationsDisplay();
+        this.hideBISModal();
+    }
+
+    updateBISObservationsDisplay() {
+        const container = document.getElementById('bisObservationsList');
+        container.innerHTML = '';
+
+        this.monitoringEngine.getBISObservations().forEach((observation, index) => {
+            container.appendChild(this.createObservationElement(
+                'dose-event-bis',
+                `${observation.timeInMinutes} min (${observation.formattedClockTime(this.appState.patient)})`,
+                `BIS ${observation.bisValue.toFixed(0)}`,
+                () => {
+                    this.monitoringEngine.removeBISObservation(index);
+                    this.updateBISObservationsDisplay();
+                }
+            ));
+        });
+
+        this.updateIndividualPDResults(this.monitoringEngine.individualPD);
+    }
+
+    individualisePD() {
+        if (this.monitoringEngine.getBISObservations().length === 0) {
+            alert('No BIS observations registered.\nAdd observed BIS values first.');
+            return;
+        }
+        try {
+            const estimate = this.monitoringEngine.individualisePD();
+            const result = this.monitoringEngine.getLastResult();
+            this.appState.simulationResult = result;
+            this.updateIndividualPDResults(estimate);
+            this.updateMonitoringResults(result);
+        } catch (error) {
+            console.error('PD individualisation failed:', error);
+            alert('Individualisation error:\n' + error.message);
+        }
+    }
+
+    updateIndividualPDResults(estimate) {
+        document.getElementById('individualPDResults').classList.toggle('hidden', !estimate);
+        if (!estimate) return;
+
+        const show = (id, posterior, prior, digits) => {
+            document.getElementById(`individual${id}`).textContent = posterior.toFixed(digits);
+            document.getElementById(`population${id}`).textContent = `pop ${prior.toFixed(digits)}`;
+        };
+        show('Ce50', estimate.posterior.ce50, estimate.prior.ce50, 2);
+        show('Ke0', estimate.posterior.ke0, estimate.prior.ke0, 3);
+        show('Slope', estimate.posterior.gamma_high, estimate.prior.gamma_high, 2);
+    }
+
+    addPlasmaObservation(e) {
+        e.preventDefault();
+
+        const minutesFromStart = this.clockInputToMinutes(document.getElementById('plasmaTime').value);
+        const concentration = parseFloat(document.getElementById('plasmaSampleConcentration').value);
+
+        const observation = new PlasmaConcentrationObservation(minutesFromStart, concentration);
+        const patient = this.appState.patient;
+        const validation = observation.validate(patient.validationLimits, PKPDModelRegistry.forPatient(patient).concentrationUnit);
+        if (!validation.isValid) {
+            alert('Input Error:\n' + validation.errors.join('\n'));
+            return;
+        }
+
+        this.monitoringEngine.addPlasmaObservation(observation);
+        this.updatePlasmaObservationsDisplay();
+        this.hidePlasmaModal();
+    }
+
+    updatePlasmaObservationsDisplay() {
+        const container = document.getElementById('plasmaObservationsList');
+        container.innerHTML = '';
+        const unit = PKPDModelRegistry.forPatient(this.appState.patient).concentrationUnit;
+
+        this.monitoringEngine.getPlasmaObservations().forEach((observation, index) => {
+            container.appendChild(this.createObservationElement(
+                'dose-event-plasma',
+                `${observation.timeInMinutes} min (${observation.formattedClockTime(this.appState.patient)})`,
+                `${observation.concentration.toFixed(2)}${unit}`,
+                () => {
+                    this.monitoringEngine.removePlasmaObservation(index);
+                    this.updatePlasmaObservationsDisplay();
+                }
+            ));
+        });
+
+        this.updateIndividualPKResults(this.monitoringEngine.individualPK);
+    }
+
+    individualisePK() {
+        if (this.monitoringEngine.getPlasmaObservations().length === 0) {
+            alert('No plasma concentrations registered.\nAdd measured concentrations first.');
+            return;
+        }
+        try {
+            const estimate = this.monitoringEngine.individualisePK();
+            const result = this.monitoringEngine.getLastResult();
+            this.appState.simulationResult = result;
+            this.updateIndividualPKResults(estimate);
+            // A PK update clears an earlier PD estimate
+            this.updateIndividualPDResults(this.monitoringEngine.individualPD);
+            this.updateMonitoringResults(result);
+        } catch (error) {
+            console.error('PK individualisation failed:', error);
+            alert('Individualisation error:\n' + error.message);
+        }
+    }
+
+    updateIndividualPKResults(estimate) {
+        document.getElementById('individualPKResults').classList.toggle('hidden', !estimate);
+        if (!estimate) return;
+
+        ['v1', 'cl', 'q2'].forEach(name => {
+            const id = name.toUpperCase();
+            document.getElementById(`individual${id}`).textContent = estimate.posterior[name].toFixed(2);
+            document.getElementById(`population${id}`).textContent = `pop ${estimate.prior[name].toFixed(2)}`;
+        });
+    }
+
     updateMonitoringDisplay() {
-        const events = this.monitoringEngine.getDoseEvents();
         const container = document.getElementById('doseEventsList');
         container.innerHTML = '';
 
-        events.forEach((event, index) => {
-            const item = this.createDoseEventElement(event, index);
-            container.appendChild(item);
+        // Both drug timelines in one list, ordered by time
+        const items = [
+            ...this.monitoringEngine.getDoseEvents().map((event, index) => ({ event, index, isRemifentanil: false })),
+            ...this.monitoringEngine.getRemifentanilDoseEvents().map((event, index) => ({ event, index, isRemifentanil: true }))
+        ].sort((a, b) => a.event.timeInMinutes - b.event.timeInMinutes);
+
+        items.forEach(item => {
+            const element = item.isRemifentanil
+                ? this.createRemifentanilDoseEventElement(item.event, item.index)
+                : this.createDoseEventElement(item.event, item.index);
+            container.appendChild(element);
+        });
+    }
+
+    createRemifentanilDoseEventElement(event, index) {
+        const div = document.createElement('div');
+        div.className = 'dose-event dose-event-remifentanil';
+
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'dose-info';
+
+        const title = document.createElement('h4');
+        title.textContent = `${event.timeInMinutes} min (${event.formattedClockTime(this.appState.patient)}) · Remifentanil`;
+
+        const details = document.createElement('div');
+        details.className = 'dose-details';
+
+        if (event.bolusUg > 0 || event.continuousUgKgMin > 0) {
+            if (event.bolusUg > 0) {
+                const span = document.createElement('span');
+                span.textContent = `Bolus: ${event.bolusUg.toFixed(0)}µg`;
+                details.appendChild(span);
+            }
+            if (event.continuousUgKgMin > 0) {
+                const span = document.createElement('span');
+                span.textContent = `${event.continuousUgKgMin.toFixed(2)}µg/kg/min`;
+                details.appendChild(span);
+            }
+        } else {
+            const span = document.createElement('span');
+            span.textContent = 'Discontinued';
+            span.className = 'dose-stop';
+            details.appendChild(span);
+        }
+
+        infoDiv.appendChild(title);
+        infoDiv.appendChild(details);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'delete-dose';
+        deleteBtn.textContent = '\u00D7';
+        deleteBtn.addEventListener('click', () => {
+            this.monitoringEngine.removeRemifentanilDoseEvent(index);
+            this.updateMonitoringDisplay();
         });
+
+        div.appendChild(infoDiv);
+        div.appendChild(deleteBtn);
+        return div;
     }
 
     createDoseEventElement(event, index) {
@@ -828,12 +1741,15 @@ class MainApplicationController {
         infoDiv.className = 'dose-info';
 
         const title = document.createElement('h4');
-        title.textContent = `${event.timeInMinutes} min (${event.formattedClockTime(this.appState.patient)})`;
+        // TCI pump steps are 10 s apart, so times may be fractions of a minute
+        title.textContent = `${parseFloat(event.timeInMinutes.toFixed(2))} min (${event.formattedClockTime(this.appState.patient)})`;
 
         const details = document.createElement('div');
         details.className = 'dose-details';
 
-        if (event.bolusMg > 0 || event.continuousMgKgHr > 0) {
+        if (event instanceof DexmedetomidineDoseEvent) {
+            this.appendLoadingMaintenanceDetails(details, event);
+        } else if (event.bolusMg > 0 || event.continuousMgKgHr > 0) {
             if (event.bolusMg > 0) {
                 const span = document.createElement('span');
                 span.textContent = `Bolus: ${event.bolusMg.toFixed(1)}mg`;
@@ -867,17 +1783,63 @@ class MainApplicationController {
         return div;
     }
 
-    runMonitoringSimulation() {
-        const events = this.monitoringEngine.getDoseEvents();
-        if (!events || events.length === 0) {
+    appendLoadingMaintenanceDetails(details, event) {
+        if (event.hasLoading) {
+            const span = document.createElement('span');
+            span.textContent = `Load: ${event.loadingUgKg.toFixed(1)}µg/kg over ${event.loadingDurationMin}min`;
+            details.appendChild(span);
+        }
+        if (event.maintenanceUgKgHr > 0) {
+            const span = document.createElement('span');
+            span.textContent = `${event.maintenanceUgKgHr.toFixed(2)}µg/kg/h`;
+            details.appendChild(span);
+        }
+        if (!event.hasLoading && event.maintenanceUgKgHr <= 0) {
+            const span = document.createElement('span');
+            span.textContent = 'Discontinued';
+            span.className = 'dose-stop';
+            details.appendChild(span);
+        }
+    }
+
+    setSimulationMethod(method) {
+        // Same solver for protocol optimisation and monitoring
+        this.monitoringEngine.setSimulationMethod(method);
+        this.protocolEngine.updateSettings({ simulationMethod: method });
+        this.advancedProtocolEngine.updateSettings({ simulationMethod: method });
+    }
+
+    async runMonitoringSimulation() {
+        const events = [
+            ...this.monitoringEngine.getDoseEvents(),
+            ...this.monitoringEngine.getRemifentanilDoseEvents()
+        ];
+        if (events.length === 0) {
             alert('No dose events registered.\nPlease run Protocol optimization first, or add dose events manually.');
             return;
         }
         try {
-            const result = this.monitoringEngine.runSimulation();
+            // Simulation, variability bands and model comparison run together in a Web Worker
+            const calls = [{ method: 'runSimulation', args: [] }];
+
+            const bandsEnabled = document.querySelector('input[name="monteCarlo"]:checked').value === 'on';
+            if (bandsEnabled && this.monitoringEngine.model && this.monitoringEngine.model.variability) {
+                const numberOfPatients = parseInt(document.getElementById('monteCarloPatients').value);
+                calls.push({ method: 'runMonteCarlo', args: [numberOfPatients], weight: Math.max(1, numberOfPatients / 10) });
+            }
+
+            const comparisonModels = this.selectedComparisonModels();
+            if (comparisonModels.length > 0) {
+                calls.push({ method: 'runComparison', args: [comparisonModels], weight: comparisonModels.length });
+            }
+
+            const [result] = await this.runInBackground(
+                this.monitoringWorker, this.monitoringEngine, calls, 'simulationProgress', 'runSimulationBtn');
             this.appState.simulationResult = result;
+
             this.updateMonitoringResults(result);
         } catch (error) {
+            if (error.cancelled) return;
             console.error('Simulation failed:', error);
             alert('Simulation error:\n' + error.message);
         }
@@ -887,11 +1849,84 @@ class MainApplicationController {
         document.getElementById('simulationResults').classList.remove('hidden');
         document.getElementById('maxPlasmaConc').textContent = result.maxPlasmaConcentration.toFixed(3);
         document.getElementById('maxEffectConc').textContent = result.maxEffectSiteConcentration.toFixed(3);
-        document.getElementById('minBISValue').textContent = result.minBISValue ? result.minBISValue.toFixed(1) : '---';
+        // BIS 0 is a value; only a model without BIS has none
+        const minBIS = result.minBISValue;
+        document.getElementById('minBISValue').textContent = minBIS !== null && minBIS !== undefined ? minBIS.toFixed(1) : '---';
+        const unit = result.model ? result.model.concentrationUnit : 'µg/mL';
+        document.getElementById('maxPlasmaConcUnit').textContent = unit;
+        document.getElementById('maxEffectConcUnit').textContent = unit;
+
+        // Propofol-remifentanil response surface summary
+        const interactionResults = document.getElementById('interactionResults');
+        interactionResults.classList.toggle('hidden', !result.hasRemifentanil);
+        if (result.hasRemifentanil) {
+            document.getElementById('maxRemifentanilEffectConc').textContent = result.maxRemifentanilEffectSiteConcentration.toFixed(2);
+
+            const timeToTOL90 = result.timeToProbabilityTOL(0.9);
+            document.getElementById('maxProbabilityTOL').textContent = result.hasInteraction
+                ? (Math.max(...result.interaction.probabilityTOL) * 100).toFixed(0)
+                : '---';
+            document.getElementById('timeToTOL90').textContent = timeToTOL90 !== null
+                ? this.appState.patient.formattedClockTime(timeToTOL90)
+                : '---';
+        }
 
+        this.updateComparisonTable(this.monitoringEngine.lastComparisonResult);
         this.updateMonitoringChart(result);
     }
 
+    updateComparisonTable(comparison, view = this.comparisonViews.monitoring) {
+        document.getElementById(view.results).classList.toggle('hidden', !comparison);
+        if (!comparison) return;
+
+        const container = document.getElementById(view.table);
+        container.innerHTML = '';
+
+        // Model names may come from imported parameter sets, so cells are filled as text
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        const addCell = (row, tag, text, note = null) => {
+            const cell = document.createElement(tag);
+            cell.textContent = text;
+            if (note !== null) {
+                const span = document.createElement('span');
+                span.className = 'difference';
+                span.textContent = note;
+                cell.appendChild(span);
+            }
+            row.appendChild(cell);
+        };
+
+        addCell(headerRow, 'th', 'Time');
+        comparison.models.forEach(model => {
+            const th = document.createElement('th');
+            th.appendChild(document.createTextNode(model.shortName));
+            th.appendChild(document.createElement('br'));
+            th.appendChild(document.createTextNode('Cp / Ce'));
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        const signed = (value, digits) => (value >= 0 ? '+' : '') + value.toFixed(digits);
+        comparison.differences.forEach(row => {
+            const tr = tbody.insertRow();
+            addCell(tr, 'td', `${Math.round(row.timeInMinutes)} min`);
+            row.values.forEach((value, i) => {
+                let difference = 'reference';
+                if (i > 0) {
+                    difference = `Ce ${signed(value.ceDifference, 2)}` +
+                        (value.cePercent !== null ? ` (${signed(value.cePercent, 0)}%)` : '');
+                }
+                addCell(tr, 'td', `${value.cp.toFixed(2)} / ${value.ce.toFixed(2)}`, difference);
+            });
+        });
+
+        container.appendChild(table);
+        document.getElementById(view.skipped).textContent = comparison.skipped
+            .map(model => `${model.displayName} skipped: ${model.reason}`)
+            .join(' / ');
+    }
+
     updateMonitoringChart(result) {
         const ctx = document.getElementById('monitoringChart').getContext('2d');
         if (this.monitoringChart) this.monitoringChart.destroy();
@@ -899,24 +1934,187 @@ class MainApplicationController {
         const chartData = this.monitoringEngine.getChartData();
         if (!chartData) return;
 
-        this.monitoringChart = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: chartData.labels,
-                datasets: [
+        const datasets = [
+            {
+                label: 'Cp',
+                data: chartData.plasmaData,
+                borderColor: '#3266AD',
+                fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5
+            },
+            {
+                label: 'Ce',
+                data: chartData.effectData,
+                borderColor: '#1D9E75',
+                fill: false, tension: 0.1, pointRadius: 0, borderWidth: 2
+            }
+        ];
+
+        const scales = {
+            x: { ticks: { maxTicksLimit: 8, font: { size: 10 }, color: '#8B949E' }, grid: { color: 'rgba(255,255,255,0.06)' } },
+            y: { beginAtZero: true, title: { display: true, text: `Conc (${result.model ? result.model.concentrationUnit : 'µg/mL'})`, font: { size: 10 }, color: '#8B949E' }, ticks: { color: '#8B949E' }, grid: { color: 'rgba(255,255,255,0.06)' } }
+        };
+
+        // Population prediction next to the individualised one, with measured samples
+        if (chartData.populationPlasmaData) {
+            datasets.push(
+                {
+                    label: 'Cp (population)',
+                    data: chartData.populationPlasmaData,
+                    borderColor: 'rgba(50,102,173,0.6)',
+                    fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1, borderDash: [6, 3]
+                },
+                {
+                    label: 'Ce (population)',
+                    data: chartData.populationEffectData,
+                    borderColor: 'rgba(29,158,117,0.6)',
+                    fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1, borderDash: [6, 3]
+                }
+            );
+        }
+        if (chartData.measuredPlasmaData.some(value => value !== null)) {
+            datasets.push({
+                label: 'Measured Cp',
+                data: chartData.measuredPlasmaData,
+                borderColor: '#3266AD', backgroundColor: '#3266AD',
+                showLine: false, pointRadius: 4, pointStyle: 'rect'
+            });
+        }
+
+        const bisScale = {
+            position: 'right', min: 0, max: 100,
+            title: { display: true, text: 'BIS', font: { size: 10 }, color: '#8B949E' },
+            ticks: { color: '#8B949E' }, grid: { drawOnChartArea: false }
+        };
+
+        // Observed BIS readings against the (individualised) BIS prediction
+        if (chartData.observedBISData.some(value => value !== null)) {
+            datasets.push(
+                {
+                    label: chartData.individualPD ? 'BIS (individual)' : 'BIS',
+                    data: chartData.bisData,
+                    borderColor: '#C9D1D9',
+                    yAxisID: 'yBIS',
+                    fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5
+                },
+                {
+                    label: 'Observed BIS',
+                    data: chartData.observedBISData,
+                    borderColor: '#E6EDF3', backgroundColor: '#E6EDF3',
+                    yAxisID: 'yBIS',
+                    showLine: false, pointRadius: 4, pointStyle: 'crossRot'
+                }
+            );
+            scales.yBIS = bisScale;
+        }
+
+        // Population variability: median and percentile bands for Ce and BIS
+        const monteCarlo = chartData.monteCarlo;
+        if (monteCarlo) {
+            const bandLabel = `${monteCarlo.lowerPercentile}-${monteCarlo.upperPercentile}%`;
+            datasets.push(
+                {
+                    label: `Ce ${bandLabel} (n=${monteCarlo.numberOfPatients})`,
+                    data: monteCarlo.ce.lower,
+                    borderColor: 'rgba(29,158,117,0.3)',
+                    fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1
+                },
+                {
+                    label: 'Ce upper',
+                    data: monteCarlo.ce.upper,
+                    borderColor: 'rgba(29,158,117,0.3)', backgroundColor: 'rgba(29,158,117,0.15)',
+                    fill: '-1', tension: 0.1, pointRadius: 0, borderWidth: 1
+                },
+                {
+                    label: 'Ce median',
+                    data: monteCarlo.ce.median,
+                    borderColor: '#1D9E75',
+                    fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1, borderDash: [4, 4]
+                }
+            );
+
+            if (monteCarlo.bis) {
+                datasets.push(
                     {
-                        label: 'Cp',
-                        data: chartData.plasmaData,
-                        borderColor: '#3266AD',
-                        fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5
+                        label: `BIS ${bandLabel}`,
+                        data: monteCarlo.bis.lower,
+                        borderColor: 'rgba(139,148,158,0.3)',
+                        yAxisID: 'yBIS',
+                        fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1
                     },
                     {
-                        label: 'Ce',
-                        data: chartData.effectData,
-                        borderColor: '#1D9E75',
-                        fill: false, tension: 0.1, pointRadius: 0, borderWidth: 2
+                        label: 'BIS upper',
+                        data: monteCarlo.bis.upper,
+                        borderColor: 'rgba(139,148,158,0.3)', backgroundColor: 'rgba(139,148,158,0.12)',
+                        yAxisID: 'yBIS',
+                        fill: '-1', tension: 0.1, pointRadius: 0, borderWidth: 1
+                    },
+                    {
+                        label: 'BIS median',
+                        data: monteCarlo.bis.median,
+                        borderColor: '#8B949E',
+                        yAxisID: 'yBIS',
+                        fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5, borderDash: [4, 4]
                     }
-                ]
+                );
+                scales.yBIS = bisScale;
+            }
+        }
+
+        // Other models on the same dose timeline (the reference is the main Cp/Ce)
+        if (chartData.comparison) {
+            const colors = ['#EF9F27', '#D4537E', '#9B7FD1', '#5BA4CF', '#E6EDF3'];
+            chartData.comparison.models.slice(1).forEach((model, i) => {
+                const color = colors[i % colors.length];
+                datasets.push(
+                    {
+                        label: `Cp ${model.shortName}`,
+                        data: model.cp,
+                        borderColor: color,
+                        fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1, borderDash: [2, 3]
+                    },
+                    {
+                        label: `Ce ${model.shortName}`,
+                        data: model.ce,
+                        borderColor: color,
+                        fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5, borderDash: [6, 3]
+                    }
+                );
+            });
+        }
+
+        // Remifentanil Ce on its own axis (ng/mL)
+        if (chartData.remifentanilEffectData) {
+            datasets.push({
+                label: 'Remi Ce',
+                data: chartData.remifentanilEffectData,
+                borderColor: '#D4537E',
+                yAxisID: 'y1',
+                fill: false, tension: 0.1, pointRadius: 0, borderWidth: 2, borderDash: [6, 3]
+            });
+            scales.y1 = {
+                position: 'right', beginAtZero: true,
+                title: { display: true, text: 'Remi (ng/mL)', font: { size: 10 }, color: '#8B949E' },
+                ticks: { color: '#8B949E' }, grid: { drawOnChartArea: false }
+            };
+        }
+
+        // Probability of tolerating laryngoscopy (%) from the response surface
+        if (chartData.tolData) {
+            datasets.push({
+                label: 'P(TOL) %',
+                data: chartData.tolData.map(p => p * 100),
+                borderColor: '#EF9F27',
+                yAxisID: 'y2',
+                fill: false, tension: 0.1, pointRadius: 0, borderWidth: 1.5
+            });
+            scales.y2 = { display: false, min: 0, max: 100 };
+        }
+
+        this.monitoringChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: chartData.labels,
+                datasets: datasets
             },
             options: {
                 responsive: true,
@@ -930,12 +2128,15 @@ class MainApplicationController {
                         backgroundColor: '#161B22', titleColor: '#E6EDF3', bodyColor: '#C9D1D9',
                         borderColor: '#30363D', borderWidth: 1
                     },
-                    legend: { labels: { boxWidth: 12, font: { size: 11 }, color: '#8B949E' } }
+                    legend: {
+                        labels: {
+                            boxWidth: 12, font: { size: 11 }, color: '#8B949E',
+                            // Upper band edges only carry the fill
+                            filter: (item) => !item.text.endsWith(' upper')
+                        }
+                    }
                 },
-                scales: {
-                    x: { ticks: { maxTicksLimit: 8, font: { size: 10 }, color: '#8B949E' }, grid: { color: 'rgba(255,255,255,0.06)' } },
-                    y: { beginAtZero: true, title: { display: true, text: 'Conc (ug/mL)', font: { size: 10 }, color: '#8B949E' }, ticks: { color: '#8B949E' }, grid: { color: 'rgba(255,255,255,0.06)' } }
-                }
+                scales: scales
             }
         });
     }
@@ -946,28 +2147,33 @@ class MainApplicationController {
     exportCsv() {
         try {
             const csvContent = this.monitoringEngine.exportToCSV();
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
             const now = new Date();
             const dateStr = now.toISOString().split('T')[0];
             const patientId = this.appState.patient.id.replace(/[^a-zA-Z0-9]/g, '_');
-            const filename = `propofol_${patientId}_${dateStr}.csv`;
-
-            const link = document.createElement('a');
-            if (link.download !== undefined) {
-                const url = URL.createObjectURL(blob);
-                link.setAttribute('href', url);
-                link.setAttribute('download', filename);
-                link.style.visibility = 'hidden';
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                URL.revokeObjectURL(url);
-            }
+            const drug = PKPDModelRegistry.forPatient(this.appState.patient).drug;
+            const filename = `${drug}_${patientId}_${dateStr}.csv`;
+
+            this.downloadFile(csvContent, filename, 'text/csv;charset=utf-8;');
         } catch (error) {
             console.error('CSV export failed:', error);
             alert('Export error:\n' + error.message);
         }
     }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type: type });
+        const link = document.createElement('a');
+        if (link.download !== undefined) {
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', filename);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }
+    }
 }
 
 // Initialize
@@ -0,0 +1,123 @@
+/**
+ * Marsh Propofol PK Calculator
+ * Marsh プロポフォール薬物動態モデル
+ *
+ * Features:
+ * - Marsh et al. (BJA 1991) weight-proportional three-compartment model
+ * - Fixed rate constants, volumes scale with total body weight only
+ * - ke0 variants: modified Marsh 0.26 /min (Diprifusor) and 1.2 /min
+ * - Same interface as EleveldPKPDCalculator for the model registry
+ *
+ * Marsh has no published BIS model, so no PD parameters are returned and
+ * BIS is not predicted for this model.
+ */
+
+const MarshModelConstants = {
+    v1PerKg: 0.228,  // L/kg
+    k10: 0.119,      // min^-1
+    k12: 0.112,      // min^-1
+    k13: 0.0419,     // min^-1
+    k21: 0.055,      // min^-1
+    k31: 0.0033,     // min^-1
+
+    ke0Variants: {
+        modified: 0.26,  // Diprifusor effect-site setting
+        fast: 1.2        // Struys et al. 2000
+    }
+};
+
+// Adult-only model (Diprifusor minimum age 16 years)
+const MarshValidationLimits = {
+    ...ValidationLimits,
+    Patient: {
+        ...ValidationLimits.Patient,
+        minimumAge: 16
+    }
+};
+
+class MarshPKCalculator {
+
+    /**
+     * Calculate Marsh PK parameters for a patient
+     * @param {Patient} patient
+     * @param {number} ke0 - Effect-site equilibration rate constant (min^-1)
+     */
+    static getModelParameters(patient, ke0 = MarshModelConstants.ke0Variants.modified) {
+        const c = MarshModelConstants;
+
+        const v1 = c.v1PerKg * patient.weight;
+        const v2 = v1 * c.k12 / c.k21;
+        const v3 = v1 * c.k13 / c.k31;
+
+        const pk = new PKParameters(
+            v1,
+            v2,
+            v3,
+            c.k10 * v1,  // CL (L/min)
+            c.k12 * v1,  // Q2 (L/min)
+            c.k13 * v1,  // Q3 (L/min)
+            ke0
+        );
+
+        return {
+            pk: pk,
+            pd: null
+        };
+    }
+
+    /**
+     * Marsh has no BIS model
+     */
+    static calculateBIS(ce, pdParams) {
+        return null;
+    }
+
+    static validateParameters(params) {
+        const errors = validatePositivePK(params);
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static printParameters(patient, params) {
+        console.log("=== Marsh Model Parameters ===");
+        console.log(`Patient: ${patient.weight}kg`);
+        console.log("");
+        printPKParameters(params.pk);
+    }
+}
+
+// Register both ke0 variants with the PK/PD model registry
+if (typeof PKPDModelRegistry !== 'undefined') {
+    [
+        { id: 'marsh', ke0: MarshModelConstants.ke0Variants.modified },
+        { id: 'marsh-fast', ke0: MarshModelConstants.ke0Variants.fast }
+    ].forEach(variant => {
+        PKPDModelRegistry.register({
+            id: variant.id,
+            drug: 'propofol',
+            displayName: `Marsh (Propofol, ke0 ${variant.ke0})`,
+            shortName: `Marsh ${variant.ke0}`,
+            description: `Marsh et al. BJA 1991 weight-proportional propofol model, ke0 ${variant.ke0} min⁻¹ (no BIS prediction)`,
+            covariates: [ModelCovariates.WEIGHT],
+            validationLimits: MarshValidationLimits,
+            getModelParameters: (patient) => MarshPKCalculator.getModelParameters(patient, variant.ke0),
+            calculateBIS: (ce, pdParams) => MarshPKCalculator.calculateBIS(ce, pdParams),
+            validateParameters: (params) => MarshPKCalculator.validateParameters(params),
+            printParameters: (patient, params) => MarshPKCalculator.printParameters(patient, params)
+        });
+    });
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MarshPKCalculator = MarshPKCalculator;
+    window.MarshModelConstants = MarshModelConstants;
+    window.MarshValidationLimits = MarshValidationLimits;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarshPKCalculator, MarshModelConstants, MarshValidationLimits };
+}
@@ -0,0 +1,128 @@
+/**
+ * Minto Remifentanil PK Calculator
+ * Minto レミフェンタニル薬物動態モデル
+ *
+ * Features:
+ * - Minto et al. (Anesthesiology 1997) three-compartment model with effect site
+ * - Covariates: age and James lean body mass (same LBM guard as Schnider)
+ * - Adult validation limits (20-85 years, the age range of the study)
+ * - Doses in µg, concentrations in ng/mL
+ * - Registered as an opioid so it runs as a second drug timeline
+ *
+ * Minto's PD model is EEG spectral edge, not BIS, so no BIS is predicted here;
+ * remifentanil's effect on BIS comes from the propofol-remifentanil interaction.
+ */
+
+const MintoModelConstants = {
+    age_ref: 40,     // years
+    lbm_ref: 55,     // kg
+
+    v1: { ref: 5.1, age: -0.0201, lbm: 0.072 },      // L
+    v2: { ref: 9.82, age: -0.0811, lbm: 0.108 },     // L
+    v3: { ref: 5.42 },                               // L
+    cl: { ref: 2.6, age: -0.0162, lbm: 0.0191 },     // L/min
+    q2: { ref: 2.05, age: -0.0301 },                 // L/min
+    q3: { ref: 0.076, age: -0.00113 },               // L/min
+    ke0: { ref: 0.595, age: -0.007 }                 // min^-1
+};
+
+// Minto's volunteers were adults aged 20-85 years
+const MintoValidationLimits = {
+    ...ValidationLimits,
+    Patient: {
+        ...ValidationLimits.Patient,
+        minimumAge: 20,
+        maximumAge: 85,
+        minimumWeight: 40.0,
+        minimumHeight: 120.0
+    },
+
+    PlasmaConcentration: {
+        minimumValue: 0.0,
+        maximumValue: 100.0          // ng/mL
+    }
+};
+
+class MintoPKCalculator {
+
+    static getModelParameters(patient) {
+        const c = MintoModelConstants;
+        const lbmResult = SchniderPKCalculator.calculateLBM(patient.weight, patient.height, patient.sex);
+        const dAge = patient.age - c.age_ref;
+        const dLbm = lbmResult.lbm - c.lbm_ref;
+
+        const pk = new PKParameters(
+            c.v1.ref + c.v1.age * dAge + c.v1.lbm * dLbm,
+            c.v2.ref + c.v2.age * dAge + c.v2.lbm * dLbm,
+            c.v3.ref,
+            c.cl.ref + c.cl.age * dAge + c.cl.lbm * dLbm,
+            c.q2.ref + c.q2.age * dAge,
+            c.q3.ref + c.q3.age * dAge,
+            c.ke0.ref + c.ke0.age * dAge
+        );
+
+        return {
+            pk: pk,
+            pd: null,
+            lbm: lbmResult.lbm,
+            lbmGuardApplied: lbmResult.guardApplied
+        };
+    }
+
+    static calculateBIS(ce, pdParams) {
+        return null;
+    }
+
+    static validateParameters(params) {
+        const errors = validatePositivePK(params);
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static printParameters(patient, params) {
+        console.log("=== Minto Remifentanil Model Parameters ===");
+        console.log(`Patient: ${patient.age}y, ${patient.weight}kg, ${patient.height}cm, ${SexType.displayName(patient.sex)}`);
+        console.log(`LBM (James): ${params.lbm.toFixed(3)} kg${params.lbmGuardApplied ? ' (obesity guard applied)' : ''}`);
+        console.log("");
+        printPKParameters(params.pk);
+    }
+}
+
+// Register with the PK/PD model registry
+if (typeof PKPDModelRegistry !== 'undefined') {
+    PKPDModelRegistry.register({
+        id: 'minto',
+        drug: 'remifentanil',
+        drugClass: DrugClass.OPIOID,
+        concentrationUnit: 'ng/mL',
+        dosingUnits: DosingUnits.MICROGRAM,
+        displayName: 'Minto (Remifentanil)',
+        shortName: 'Minto',
+        description: 'Minto et al. Anesthesiology 1997 remifentanil model with James LBM',
+        covariates: [
+            ModelCovariates.AGE,
+            ModelCovariates.WEIGHT,
+            ModelCovariates.HEIGHT,
+            ModelCovariates.SEX
+        ],
+        validationLimits: MintoValidationLimits,
+        getModelParameters: (patient) => MintoPKCalculator.getModelParameters(patient),
+        calculateBIS: (ce, pdParams) => MintoPKCalculator.calculateBIS(ce, pdParams),
+        validateParameters: (params) => MintoPKCalculator.validateParameters(params),
+        printParameters: (patient, params) => MintoPKCalculator.printParameters(patient, params)
+    });
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MintoPKCalculator = MintoPKCalculator;
+    window.MintoModelConstants = MintoModelConstants;
+    window.MintoValidationLimits = MintoValidationLimits;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MintoPKCalculator, MintoModelConstants, MintoValidationLimits };
+}
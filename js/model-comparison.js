@@ -0,0 +1,173 @@
+/**
+ * Side-by-Side Model Comparison
+ * 複数モデル比較シミュレーション
+ *
+ * Features:
+ * - Runs one patient and dose timeline through several registered models of the same drug
+ * - Cp, Ce and BIS per model on the monitoring time grid (PKPDSimulationCore)
+ * - Differences from a reference model (the patient's selected model) at key times
+ * - Models the patient falls outside of are reported and skipped instead of failing the run
+ *
+ * Every model receives the same doses; covariates come from the same patient, so
+ * models that ignore a covariate (e.g. Marsh and age) simply do not use it.
+ */
+
+const ModelComparisonDefaults = {
+    keyTimes: [1, 2, 3, 5, 10, 15, 30, 60, 90, 120, 180, 240],  // Minutes on the dose timeline
+    maximumModels: 6
+};
+
+class ModelComparison {
+
+    /**
+     * Registered models that can be compared with a given model (same drug)
+     */
+    static comparableModels(referenceModelId) {
+        const reference = PKPDModelRegistry.get(referenceModelId);
+        return PKPDModelRegistry.list(reference.drug);
+    }
+
+    /**
+     * Copy of the patient with another model selected
+     */
+    static patientForModel(patient, modelId) {
+        const copy = Object.assign(Object.create(Object.getPrototypeOf(patient)), patient);
+        copy.modelId = modelId;
+        return copy;
+    }
+
+    /**
+     * Simulate every model with the same dose timeline
+     * @param {Patient} patient - Patient (its modelId is the reference unless options.referenceModelId is given)
+     * @param {Array} doseEvents - Timeline accepted by PKPDSimulationCore.simulate
+     * @param {Array<string>} modelIds - Models to compare; the reference is added if missing
+     * @param {Object} options - { duration, timeStep, method, sampleInterval, keyTimes, referenceModelId,
+     *   onProgress (fraction done) }
+     * @returns {Object} { referenceModelId, times, models, skipped, differences }
+     */
+    static run(patient, doseEvents, modelIds, options = {}) {
+        const settings = { ...ModelComparisonDefaults, ...options };
+        const referenceModelId = settings.referenceModelId || PKPDModelRegistry.forPatient(patient).id;
+        const drug = PKPDModelRegistry.get(referenceModelId).drug;
+        const ids = [referenceModelId, ...modelIds.filter(id => id !== referenceModelId)];
+
+        if (ids.length < 2) {
+            throw new Error('Select at least one model to compare with');
+        }
+        if (ids.length > settings.maximumModels) {
+            throw new Error(`At most ${settings.maximumModels} models can be compared at once`);
+        }
+
+        const sampleInterval = settings.sampleInterval || 1;
+        const sampled = (values) => values.filter((_, i) => i % sampleInterval === 0);
+        const models = [];
+        const skipped = [];
+        let times = [];
+
+        ids.forEach((modelId, index) => {
+            if (settings.onProgress && index > 0) {
+                settings.onProgress(index / ids.length);
+            }
+            const model = PKPDModelRegistry.get(modelId);
+            if (model.drug !== drug) {
+                skipped.push({ modelId: modelId, displayName: model.displayName, reason: `Not a ${drug} model` });
+                return;
+            }
+
+            try {
+                const modelPatient = this.patientForModel(patient, modelId);
+                const validation = modelPatient.validate();
+                if (!validation.isValid) {
+                    throw new Error(validation.errors.join(', '));
+                }
+
+                const simulation = PKPDSimulationCore.simulate(
+                    PKPDSimulationCore.calculateModelParameters(modelPatient, modelId),
+                    doseEvents,
+                    { duration: settings.duration, timeStep: settings.timeStep, method: settings.method }
+                );
+
+                times = sampled(simulation.times);
+                const cp = sampled(simulation.plasmaConcentrations);
+                const ce = sampled(simulation.effectSiteConcentrations);
+
+                models.push({
+                    modelId: modelId,
+                    displayName: model.displayName,
+                    shortName: model.shortName,
+                    cp: cp,
+                    ce: ce,
+                    bis: sampled(simulation.bisValues),
+                    maxCp: Math.max(...cp),
+                    maxCe: Math.max(...ce)
+                });
+            } catch (error) {
+                console.warn(`Model comparison: ${model.displayName} skipped:`, error.message);
+                skipped.push({ modelId: modelId, displayName: model.displayName, reason: error.message });
+            }
+        });
+
+        if (models.length === 0 || models[0].modelId !== referenceModelId) {
+            const reason = skipped.length > 0 ? skipped[0].reason : 'no result';
+            throw new Error(`Reference model could not be simulated: ${reason}`);
+        }
+
+        console.log(`Model comparison: ${models.map(model => model.shortName).join(', ')}` +
+            (skipped.length > 0 ? ` (${skipped.length} skipped)` : ''));
+
+        return {
+            referenceModelId: referenceModelId,
+            times: times,
+            models: models,
+            skipped: skipped,
+            differences: this.differences(times, models, settings.keyTimes)
+        };
+    }
+
+    /**
+     * Cp and Ce of each model at the key times, with the difference from the reference (first) model
+     * @returns {Array} [{ timeInMinutes, values: [{ modelId, cp, ce, cpDifference, ceDifference, cePercent }] }]
+     */
+    static differences(times, models, keyTimes) {
+        const lastTime = times[times.length - 1];
+        const reference = models[0];
+
+        return keyTimes
+            .filter(time => time <= lastTime)
+            .map(time => {
+                const index = this.nearestIndex(times, time);
+                const referenceCp = reference.cp[index];
+                const referenceCe = reference.ce[index];
+
+                return {
+                    timeInMinutes: times[index],
+                    values: models.map(model => ({
+                        modelId: model.modelId,
+                        cp: model.cp[index],
+                        ce: model.ce[index],
+                        cpDifference: model.cp[index] - referenceCp,
+                        ceDifference: model.ce[index] - referenceCe,
+                        cePercent: referenceCe > 0 ? (model.ce[index] - referenceCe) / referenceCe * 100 : null
+                    }))
+                };
+            });
+    }
+
+    static nearestIndex(times, time) {
+        let best = 0;
+        times.forEach((value, i) => {
+            if (Math.abs(value - time) < Math.abs(times[best] - time)) best = i;
+        });
+        return best;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ModelComparison = ModelComparison;
+    window.ModelComparisonDefaults = ModelComparisonDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelComparison, ModelComparisonDefaults };
+}
@@ -0,0 +1,244 @@
+/**
+ * PK/PD Model Registry for Propofol TCI TIVA
+ * 薬物・PK/PDモデル登録レジストリ
+ *
+ * Features:
+ * - Drug models register themselves instead of being hard-wired into engines
+ * - Each model declares its covariates, PK/PD parameter function,
+ *   BIS/effect function and validation limits
+ * - Patient.modelId selects the model used by every engine and wizard step
+ * - Falls back to the default (Eleveld propofol) model when none is chosen
+ * - Per-model induction/protocol dosing defaults for the wizard steps
+ * - Models can be removed again (user-defined parameter sets)
+ * - Models may define ke0 through a time to peak effect (TimeToPeakCalculator)
+ * - Shared PK positivity check and parameter printout for models' validateParameters
+ *   and printParameters
+ */
+
+const DEFAULT_MODEL_ID = 'eleveld';
+
+// Covariates a model may declare; these map to Patient properties and modal fields
+const ModelCovariates = {
+    AGE: 'age',
+    WEIGHT: 'weight',
+    HEIGHT: 'height',
+    SEX: 'sex',
+    ASA_PS: 'asaPS',
+    OPIOID: 'opioidCoadmin',
+    SAMPLING_SITE: 'samplingSite',
+    GESTATIONAL_AGE: 'gestationalAgeWeeks'
+};
+
+// Primary (wizard) drugs are hypnotics; opioids run as a second drug timeline
+const DrugClass = {
+    HYPNOTIC: 'hypnotic',
+    OPIOID: 'opioid'
+};
+
+// How the primary drug is entered in the Step 3 dose modal
+const DosingMode = {
+    BOLUS_INFUSION: 'bolus-infusion',            // DoseEvent: bolus mg + mg/hr
+    LOADING_MAINTENANCE: 'loading-maintenance'   // DexmedetomidineDoseEvent: µg/kg over minutes + µg/kg/h
+};
+
+// Units of a model's dose amounts and infusion rates (the simulation's amount per minute × 60)
+const DosingUnits = {
+    MILLIGRAM: Object.freeze({ amount: 'mg', rate: 'mg/hr' }),
+    MICROGRAM: Object.freeze({ amount: 'µg', rate: 'µg/hr' })
+};
+
+// Step 1/2 dosing defaults (propofol); models for other drugs supply their own.
+// Bolus and continuous input ranges come from the model's ValidationLimits.Induction.
+const DEFAULT_DOSING = {
+    induction: {
+        bolus: 140,          // mg
+        bolusStep: 5,
+        continuous: 200,     // mg/hr
+        continuousStep: 10
+    },
+    protocol: {
+        targetCe: 3.0,       // µg/mL
+        targetMin: 0.5,
+        targetMax: 8.0,
+        targetStep: 0.1,
+        bolus: 140,          // mg
+        safetyMargin: 1.5,   // µg/mL added to LOC Ce
+        locGamma: 3.5,       // LOC slope for the probability target (Bouillon 2004, tolerance of shake and shout)
+        rateScale: 1.0       // Scales the optimizer's mg/hr search grid
+    }
+};
+
+const registeredModels = new Map();
+
+/**
+ * Freeze a dosing defaults object and its sections; models sharing one object
+ * (every model without its own defaults shares DEFAULT_DOSING) cannot change it for the others
+ */
+function freezeDosingDefaults(dosingDefaults) {
+    Object.values(dosingDefaults).forEach(section => Object.freeze(section));
+    return Object.freeze(dosingDefaults);
+}
+
+freezeDosingDefaults(DEFAULT_DOSING);
+
+// PK parameters of the three-compartment + effect-site model, with their display labels
+const PK_PARAMETER_LABELS = [
+    ['v1', 'V1', 'L'], ['v2', 'V2', 'L'], ['v3', 'V3', 'L'],
+    ['cl', 'CL', 'L/min'], ['q2', 'Q2', 'L/min'], ['q3', 'Q3', 'L/min'], ['ke0', 'ke0', 'min⁻¹']
+];
+
+/**
+ * Positivity check shared by every model's validateParameters
+ * @param {Object} params - Model parameters with pk
+ * @returns {Array} Error messages; the model adds its own range checks to them
+ */
+function validatePositivePK(params) {
+    return PK_PARAMETER_LABELS
+        .filter(([key]) => params.pk[key] <= 0)
+        .map(([, label]) => `${label} must be positive`);
+}
+
+/**
+ * "PK Parameters:" block shared by every model's printParameters
+ * @param {Object} pk - PKParameters
+ * @param {Object} options - { ke0Digits (default 3), ke0Note (appended to the ke0 line) }
+ */
+function printPKParameters(pk, options = {}) {
+    const { ke0Digits = 3, ke0Note = '' } = options;
+    console.log("PK Parameters:");
+    PK_PARAMETER_LABELS.forEach(([key, label, unit]) => {
+        const digits = key === 'ke0' ? ke0Digits : 3;
+        const note = key === 'ke0' && ke0Note ? ` ${ke0Note}` : '';
+        console.log(`  ${label}: ${pk[key].toFixed(digits)} ${unit}${note}`);
+    });
+}
+
+class PKPDModelRegistry {
+
+    /**
+     * Register a drug model
+     * @param {Object} definition - Model definition:
+     *   id, drug, displayName, covariates, validationLimits,
+     *   getModelParameters(patient), calculateBIS(ce, pd), validateParameters(params),
+     *   optional shortName, description, drugClass ('hypnotic' or 'opioid'),
+     *   concentrationUnit, dosingUnits (DosingUnits), dosingDefaults ({ induction, protocol }), dosingMode,
+     *   monitoringOnly (no induction/protocol steps), variability (inter-individual ω²
+     *   as { pk, pd }), timeToPeakEffect (minutes; ke0 is then derived from each
+     *   patient's PK set) and printParameters(patient, params)
+     */
+    static register(definition) {
+        const required = ['id', 'drug', 'displayName', 'covariates', 'validationLimits'];
+        const missing = required.filter(key => definition[key] === undefined || definition[key] === null);
+        if (missing.length > 0) {
+            throw new Error(`Model definition is missing: ${missing.join(', ')}`);
+        }
+
+        const functions = ['getModelParameters', 'calculateBIS', 'validateParameters'];
+        const notFunctions = functions.filter(key => typeof definition[key] !== 'function');
+        if (notFunctions.length > 0) {
+            throw new Error(`Model "${definition.id}" must provide functions: ${notFunctions.join(', ')}`);
+        }
+
+        if (registeredModels.has(definition.id)) {
+            throw new Error(`Model "${definition.id}" is already registered`);
+        }
+
+        const model = Object.freeze({
+            shortName: definition.displayName,
+            description: '',
+            drugClass: DrugClass.HYPNOTIC,
+            concentrationUnit: 'µg/mL',
+            dosingUnits: DosingUnits.MILLIGRAM,
+            dosingMode: DosingMode.BOLUS_INFUSION,
+            monitoringOnly: false,
+            variability: null,
+            timeToPeakEffect: null,
+            printParameters: null,
+            ...definition,
+            dosingDefaults: freezeDosingDefaults(definition.dosingDefaults || DEFAULT_DOSING),
+            covariates: Object.freeze([...definition.covariates])
+        });
+
+        registeredModels.set(model.id, model);
+        console.log(`PK/PD model registered: ${model.displayName} (${model.drug})`);
+        return model;
+    }
+
+    /**
+     * Look up a model by id; null/undefined returns the default model
+     */
+    static get(modelId = null) {
+        const id = modelId || DEFAULT_MODEL_ID;
+        const model = registeredModels.get(id);
+        if (!model) {
+            throw new Error(`Unknown PK/PD model: ${id}`);
+        }
+        return model;
+    }
+
+    static has(modelId) {
+        return registeredModels.has(modelId);
+    }
+
+    /**
+     * Remove a registered model (used for user-defined parameter sets)
+     */
+    static unregister(modelId) {
+        if (modelId === DEFAULT_MODEL_ID) {
+            throw new Error('The default model cannot be removed');
+        }
+        const removed = registeredModels.delete(modelId);
+        if (removed) {
+            console.log(`PK/PD model removed: ${modelId}`);
+        }
+        return removed;
+    }
+
+    /**
+     * List registered models, optionally filtered by drug
+     */
+    static list(drug = null) {
+        const models = Array.from(registeredModels.values());
+        return drug ? models.filter(model => model.drug === drug) : models;
+    }
+
+    /**
+     * List registered models of one drug class (e.g. hypnotics for the patient modal)
+     */
+    static listByClass(drugClass) {
+        return this.list().filter(model => model.drugClass === drugClass);
+    }
+
+    static get defaultModelId() {
+        return DEFAULT_MODEL_ID;
+    }
+
+    /**
+     * Model selected for a patient (Patient.modelId, or the default)
+     */
+    static forPatient(patient) {
+        return this.get(patient ? patient.modelId : null);
+    }
+
+    static requiresCovariate(modelId, covariate) {
+        return this.get(modelId).covariates.includes(covariate);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PKPDModelRegistry = PKPDModelRegistry;
+    window.ModelCovariates = ModelCovariates;
+    window.DrugClass = DrugClass;
+    window.DosingMode = DosingMode;
+    window.DosingUnits = DosingUnits;
+    window.validatePositivePK = validatePositivePK;
+    window.printPKParameters = printPKParameters;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PKPDModelRegistry, ModelCovariates, DrugClass, DosingMode, DosingUnits,
+        validatePositivePK, printPKParameters
+    };
+}
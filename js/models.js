@@ -29,6 +29,40 @@ const OpioidType = {
     }
 };
 
+// Units for entering age; Patient.age is always stored in years
+const AgeUnit = {
+    YEARS: 'years',
+    MONTHS: 'months',
+    WEEKS: 'weeks',
+    
+    // Weeks use 52 per year, matching the post-menstrual age calculation
+    perYear(unit) {
+        return unit === this.WEEKS ? 52 : unit === this.MONTHS ? 12 : 1;
+    },
+    
+    toYears(value, unit) {
+        return value / this.perYear(unit);
+    },
+    
+    fromYears(years, unit) {
+        return years * this.perYear(unit);
+    },
+    
+    shortLabel(unit) {
+        return unit === this.WEEKS ? "wk" : unit === this.MONTHS ? "mo" : "y";
+    }
+};
+
+// Blood sampling site the predicted plasma concentration refers to (Eleveld)
+const SamplingSiteType = {
+    ARTERIAL: 0,
+    VENOUS: 1,
+    
+    displayName(value) {
+        return value === this.VENOUS ? "Venous" : "Arterial";
+    }
+};
+
 // Constants from Eleveld et al. 2018 Model
 const EleveldModelConstants = {
     // PK Model Parameters (Table 2)
@@ -49,8 +83,8 @@ const EleveldModelConstants = {
         14: 68.3,    // Maturation of Q3 (weeks)
         15: 2.10,    // CL_ref (female) (L/min)
         16: 1.30,    // Higher Q2 for maturation of Q3
-        17: 1.42,    // V1 venous samples (children) modifier
-        18: 0.68     // Higher Q2 venous samples modifier
+        17: 1.42,    // V1 venous samples modifier (larger in children)
+        18: 0.68     // Q2 venous samples modifier
     },
     
     // PD Model Parameters (Table 3)
@@ -113,10 +147,37 @@ const ValidationLimits = {
         maximumBolus: 1000.0,  // Higher for propofol
         minimumContinuous: 0.0,
         maximumContinuous: 2000.0,  // mg/hr for propofol (protocol optimization may exceed 500)
+        maximumPumpRate: 12000.0,   // mg/hr a TCI pump may deliver (1200 mL/hr of 1% propofol)
         minimumTargetConcentration: 0.1,
         maximumTargetConcentration: 10.0  // Higher for propofol
     },
     
+    Remifentanil: {
+        minimumBolus: 0.0,
+        maximumBolus: 500.0,         // µg
+        minimumContinuous: 0.0,
+        maximumContinuous: 2.0       // µg/kg/min
+    },
+    
+    Dexmedetomidine: {
+        minimumLoading: 0.0,
+        maximumLoading: 2.0,         // µg/kg
+        minimumLoadingDuration: 1,   // min
+        maximumLoadingDuration: 60,  // min
+        minimumMaintenance: 0.0,
+        maximumMaintenance: 2.0      // µg/kg/h
+    },
+    
+    BIS: {
+        minimumValue: 0,
+        maximumValue: 100
+    },
+    
+    PlasmaConcentration: {
+        minimumValue: 0.0,
+        maximumValue: 50.0           // In the model's concentrationUnit (µg/mL for propofol)
+    },
+    
     Induction: {
         minimumBolusRange: 10.0,     // Propofol typical range
         maximumBolusRange: 200.0,
@@ -136,6 +197,18 @@ class Patient {
         this.asaPS = asaPS;
         this.opioidCoadmin = opioidCoadmin;
         this.anesthesiaStartTime = anesthesiaStartTime || new Date();
+        this.ageUnit = AgeUnit.YEARS;     // Unit the age was entered in (display only)
+        this.gestationalAgeWeeks = 40;    // Gestational age at birth; 40 = term
+        this.samplingSite = SamplingSiteType.ARTERIAL; // Arterial or venous plasma predictions
+        this.modelId = null; // PKPDModelRegistry id; null selects the default model
+    }
+    
+    get validationLimits() {
+        // Limits of the selected model when the registry is loaded
+        if (typeof PKPDModelRegistry !== 'undefined') {
+            return PKPDModelRegistry.forPatient(this).validationLimits;
+        }
+        return ValidationLimits;
     }
     
     get bmi() {
@@ -143,8 +216,18 @@ class Patient {
     }
     
     get pma() {
-        // Post-menstrual age in weeks (for adults: age * 52 + 40)
-        return (this.age * 52) + 40;
+        // Post-menstrual age in weeks: postnatal age plus gestational age at birth
+        return (this.age * 52) + this.gestationalAgeWeeks;
+    }
+    
+    get formattedAge() {
+        const value = Math.round(AgeUnit.fromYears(this.age, this.ageUnit) * 10) / 10;
+        return `${value} ${this.ageUnit}`;
+    }
+    
+    get shortAge() {
+        const value = Math.round(AgeUnit.fromYears(this.age, this.ageUnit) * 10) / 10;
+        return `${value}${AgeUnit.shortLabel(this.ageUnit)}`;
     }
     
     get ffm() {
@@ -189,12 +272,23 @@ class Patient {
         return minutesDiff;
     }
     
+    /**
+     * HH:MM on a 00-23 hour clock (toLocaleTimeString with hour12: false gives 24:00 at midnight)
+     */
+    static formatClockTime(date) {
+        return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+    }
+    
+    /**
+     * Clock time (HH:MM) of a time on the anesthesia timeline; shared by dose events,
+     * observations and time points
+     */
+    formattedClockTime(minutesFromStart) {
+        return Patient.formatClockTime(this.minutesToClockTime(minutesFromStart));
+    }
+    
     get formattedStartTime() {
-        return this.anesthesiaStartTime.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false
-        });
+        return Patient.formatClockTime(this.anesthesiaStartTime);
     }
     
     validate() {
@@ -204,22 +298,37 @@ class Patient {
             errors.push("Patient ID is required");
         }
         
-        if (this.age < ValidationLimits.Patient.minimumAge || this.age > ValidationLimits.Patient.maximumAge) {
-            errors.push("Age must be between 1 and 100 years");
+        const limits = this.validationLimits.Patient;
+        
+        if (this.age < limits.minimumAge || this.age > limits.maximumAge) {
+            // Limits are in years; state them in the unit the age was entered in
+            const inUnit = (years) => Math.round(AgeUnit.fromYears(years, this.ageUnit) * 10) / 10;
+            const inYears = this.ageUnit === AgeUnit.YEARS ? '' : ` (${limits.minimumAge}-${limits.maximumAge} years)`;
+            errors.push(`Age must be between ${inUnit(limits.minimumAge)} and ${inUnit(limits.maximumAge)} ${this.ageUnit}${inYears}`);
         }
         
-        if (this.weight < ValidationLimits.Patient.minimumWeight || this.weight > ValidationLimits.Patient.maximumWeight) {
-            errors.push("Weight must be between 3 kg and 200 kg");
+        if (this.weight < limits.minimumWeight || this.weight > limits.maximumWeight) {
+            errors.push(`Weight must be between ${limits.minimumWeight} kg and ${limits.maximumWeight} kg`);
         }
         
-        if (this.height < ValidationLimits.Patient.minimumHeight || this.height > ValidationLimits.Patient.maximumHeight) {
-            errors.push("Height must be between 70 cm and 220 cm");
+        if (this.height < limits.minimumHeight || this.height > limits.maximumHeight) {
+            errors.push(`Height must be between ${limits.minimumHeight} cm and ${limits.maximumHeight} cm`);
         }
         
-        if (this.bmi < ValidationLimits.Patient.minimumBMI || this.bmi > ValidationLimits.Patient.maximumBMI) {
+        if (this.bmi < limits.minimumBMI || this.bmi > limits.maximumBMI) {
             errors.push(`BMI value is extreme (calculated: ${this.bmi.toFixed(1)})`);
         }
         
+        // Maturation limits (only for models with gestational/post-menstrual age covariates)
+        if (limits.minimumGestationalAge !== undefined &&
+            (this.gestationalAgeWeeks < limits.minimumGestationalAge || this.gestationalAgeWeeks > limits.maximumGestationalAge)) {
+            errors.push(`Gestational age must be between ${limits.minimumGestationalAge} and ${limits.maximumGestationalAge} weeks`);
+        }
+        
+        if (limits.minimumPostmenstrualAge !== undefined && this.pma < limits.minimumPostmenstrualAge) {
+            errors.push(`Post-menstrual age (${this.pma.toFixed(1)} weeks) is below ${limits.minimumPostmenstrualAge} weeks`);
+        }
+        
         return {
             isValid: errors.length === 0,
             errors: errors
@@ -229,10 +338,11 @@ class Patient {
 
 // Dose Event Class
 class DoseEvent {
-    constructor(timeInMinutes, bolusMg, continuousMgHr) {
+    constructor(timeInMinutes, bolusMg, continuousMgHr, pumpControlled = false) {
         this.timeInMinutes = timeInMinutes;
         this.bolusMg = bolusMg;
         this.continuousMgHr = continuousMgHr; // Changed from mg/kg/hr to mg/hr
+        this.pumpControlled = pumpControlled; // Rate set by the TCI pump: limited by maximumPumpRate
     }
     
     continuousRateMgMin(patient) {
@@ -247,23 +357,205 @@ class DoseEvent {
     }
     
     formattedClockTime(patient) {
-        const clockTime = patient.minutesToClockTime(this.timeInMinutes);
-        return clockTime.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false
-        });
+        return patient.formattedClockTime(this.timeInMinutes);
     }
     
-    validate() {
+    /**
+     * @param {Object} limits - Model validation limits (Patient.validationLimits)
+     */
+    validate(limits = ValidationLimits) {
+        const errors = [];
+        const dosing = limits.Dosing;
+        
+        if (this.bolusMg < dosing.minimumBolus || this.bolusMg > dosing.maximumBolus) {
+            errors.push(`Bolus dose must be between ${dosing.minimumBolus} mg and ${dosing.maximumBolus} mg`);
+        }
+        
+        const maximumRate = this.pumpControlled ? dosing.maximumPumpRate : dosing.maximumContinuous;
+        if (this.continuousMgHr < dosing.minimumContinuous || this.continuousMgHr > maximumRate) {
+            errors.push(`Continuous infusion rate must be between ${dosing.minimumContinuous} mg/hr and ${maximumRate} mg/hr`);
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+}
+
+// Remifentanil Dose Event Class (second drug timeline, µg and µg/kg/min)
+class RemifentanilDoseEvent {
+    constructor(timeInMinutes, bolusUg, continuousUgKgMin) {
+        this.timeInMinutes = timeInMinutes;
+        this.bolusUg = bolusUg;
+        this.continuousUgKgMin = continuousUgKgMin;
+    }
+    
+    continuousRateUgMin(patient) {
+        return this.continuousUgKgMin * patient.weight;
+    }
+    
+    // Dose timeline entry for PKPDSimulationCore (µg and µg/min)
+    toSimulationDose(patient) {
+        return {
+            timeInMinutes: this.timeInMinutes,
+            bolusAmount: this.bolusUg,
+            infusionRatePerMin: this.continuousRateUgMin(patient)
+        };
+    }
+    
+    formattedClockTime(patient) {
+        return patient.formattedClockTime(this.timeInMinutes);
+    }
+    
+    validate(limits = ValidationLimits) {
+        const errors = [];
+        const remifentanil = limits.Remifentanil;
+        
+        if (this.bolusUg < remifentanil.minimumBolus || this.bolusUg > remifentanil.maximumBolus) {
+            errors.push(`Remifentanil bolus must be between ${remifentanil.minimumBolus} µg and ${remifentanil.maximumBolus} µg`);
+        }
+        
+        if (this.continuousUgKgMin < remifentanil.minimumContinuous || this.continuousUgKgMin > remifentanil.maximumContinuous) {
+            errors.push(`Remifentanil infusion must be between ${remifentanil.minimumContinuous} and ${remifentanil.maximumContinuous} µg/kg/min`);
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+}
+
+// Dexmedetomidine Dose Event Class (loading infusion over a set time, then maintenance in µg/kg/h)
+class DexmedetomidineDoseEvent {
+    constructor(timeInMinutes, loadingUgKg, loadingDurationMin, maintenanceUgKgHr) {
+        this.timeInMinutes = timeInMinutes;
+        this.loadingUgKg = loadingUgKg;
+        this.loadingDurationMin = loadingDurationMin;
+        this.maintenanceUgKgHr = maintenanceUgKgHr;
+    }
+    
+    get hasLoading() {
+        return this.loadingUgKg > 0 && this.loadingDurationMin > 0;
+    }
+    
+    get loadingEndTimeInMinutes() {
+        return this.hasLoading ? this.timeInMinutes + this.loadingDurationMin : this.timeInMinutes;
+    }
+    
+    loadingRateUgMin(patient) {
+        return this.hasLoading ? (this.loadingUgKg * patient.weight) / this.loadingDurationMin : 0;
+    }
+    
+    maintenanceRateUgMin(patient) {
+        return (this.maintenanceUgKgHr * patient.weight) / 60.0;
+    }
+    
+    // Dose timeline entries for PKPDSimulationCore (µg/min): loading rate, then maintenance
+    toSimulationDoses(patient) {
+        const maintenance = {
+            timeInMinutes: this.loadingEndTimeInMinutes,
+            bolusAmount: 0,
+            infusionRatePerMin: this.maintenanceRateUgMin(patient)
+        };
+        
+        if (!this.hasLoading) {
+            return [maintenance];
+        }
+        
+        return [
+            {
+                timeInMinutes: this.timeInMinutes,
+                bolusAmount: 0,
+                infusionRatePerMin: this.loadingRateUgMin(patient)
+            },
+            maintenance
+        ];
+    }
+    
+    formattedClockTime(patient) {
+        return patient.formattedClockTime(this.timeInMinutes);
+    }
+    
+    validate(limits = ValidationLimits) {
         const errors = [];
+        const dexmedetomidine = limits.Dexmedetomidine;
         
-        if (this.bolusMg < ValidationLimits.Dosing.minimumBolus || this.bolusMg > ValidationLimits.Dosing.maximumBolus) {
-            errors.push("Bolus dose must be between 0 mg and 1000 mg");
+        if (this.loadingUgKg < dexmedetomidine.minimumLoading || this.loadingUgKg > dexmedetomidine.maximumLoading) {
+            errors.push(`Loading dose must be between ${dexmedetomidine.minimumLoading} and ${dexmedetomidine.maximumLoading} µg/kg`);
         }
         
-        if (this.continuousMgHr < ValidationLimits.Dosing.minimumContinuous || this.continuousMgHr > ValidationLimits.Dosing.maximumContinuous) {
-            errors.push("Continuous infusion rate must be between 0 mg/hr and 2000 mg/hr");
+        if (this.loadingUgKg > 0 &&
+            (this.loadingDurationMin < dexmedetomidine.minimumLoadingDuration || this.loadingDurationMin > dexmedetomidine.maximumLoadingDuration)) {
+            errors.push(`Loading infusion time must be between ${dexmedetomidine.minimumLoadingDuration} and ${dexmedetomidine.maximumLoadingDuration} min`);
+        }
+        
+        if (this.maintenanceUgKgHr < dexmedetomidine.minimumMaintenance || this.maintenanceUgKgHr > dexmedetomidine.maximumMaintenance) {
+            errors.push(`Maintenance infusion must be between ${dexmedetomidine.minimumMaintenance} and ${dexmedetomidine.maximumMaintenance} µg/kg/h`);
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+}
+
+// Observed BIS Class (monitor reading at a clock time, for PD individualisation)
+class BISObservation {
+    constructor(timeInMinutes, bisValue) {
+        this.timeInMinutes = timeInMinutes;
+        this.bisValue = bisValue;
+    }
+    
+    formattedClockTime(patient) {
+        return patient.formattedClockTime(this.timeInMinutes);
+    }
+    
+    validate(limits = ValidationLimits) {
+        const errors = [];
+        
+        if (this.timeInMinutes < limits.Dosing.minimumTime || this.timeInMinutes > limits.Dosing.maximumTime) {
+            errors.push(`Observation time must be between ${limits.Dosing.minimumTime} and ${limits.Dosing.maximumTime} min`);
+        }
+        
+        if (isNaN(this.bisValue) || this.bisValue < limits.BIS.minimumValue || this.bisValue > limits.BIS.maximumValue) {
+            errors.push(`BIS must be between ${limits.BIS.minimumValue} and ${limits.BIS.maximumValue}`);
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+}
+
+// Measured Plasma Concentration Class (blood sample at a clock time, for PK individualisation)
+class PlasmaConcentrationObservation {
+    constructor(timeInMinutes, concentration) {
+        this.timeInMinutes = timeInMinutes;
+        this.concentration = concentration;
+    }
+    
+    formattedClockTime(patient) {
+        return patient.formattedClockTime(this.timeInMinutes);
+    }
+    
+    /**
+     * @param {Object} limits - Model validation limits; PlasmaConcentration is in the model's unit
+     * @param {string} concentrationUnit - The model's concentrationUnit, for the error message
+     */
+    validate(limits = ValidationLimits, concentrationUnit = 'µg/mL') {
+        const errors = [];
+        const plasma = limits.PlasmaConcentration;
+        
+        if (this.timeInMinutes <= limits.Dosing.minimumTime || this.timeInMinutes > limits.Dosing.maximumTime) {
+            errors.push(`Sample time must be after ${limits.Dosing.minimumTime} and up to ${limits.Dosing.maximumTime} min`);
+        }
+        
+        if (isNaN(this.concentration) || this.concentration <= plasma.minimumValue || this.concentration > plasma.maximumValue) {
+            errors.push(`Measured concentration must be above ${plasma.minimumValue} and up to ${plasma.maximumValue} ${concentrationUnit}`);
         }
         
         return {
@@ -344,12 +636,15 @@ class SystemState {
 
 // Time Point Class
 class TimePoint {
-    constructor(timeInMinutes, doseEvent, plasmaConcentration, effectSiteConcentration, bisValue = null) {
+    constructor(timeInMinutes, doseEvent, plasmaConcentration, effectSiteConcentration, bisValue = null,
+                remifentanilEffectSiteConcentration = null, interaction = null) {
         this.timeInMinutes = timeInMinutes;
         this.doseEvent = doseEvent;
         this.plasmaConcentration = plasmaConcentration;
         this.effectSiteConcentration = effectSiteConcentration;
         this.bisValue = bisValue;
+        this.remifentanilEffectSiteConcentration = remifentanilEffectSiteConcentration; // ng/mL
+        this.interaction = interaction; // { probabilityTOSS, probabilityTOL } or null
     }
     
     get plasmaConcentrationString() {
@@ -365,19 +660,15 @@ class TimePoint {
     }
     
     formattedClockTime(patient) {
-        const clockTime = patient.minutesToClockTime(this.timeInMinutes);
-        return clockTime.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false
-        });
+        return patient.formattedClockTime(this.timeInMinutes);
     }
 }
 
 // Simulation Result Class
 class SimulationResult {
     constructor(timePoints, patient = null, doseEvents = null, calculationMethod = "Eleveld Model + VHAC", 
-                calculatedAt = null, plasmaConcentrations = [], effectSiteConcentrations = [], timeVector = [], bisValues = []) {
+                calculatedAt = null, plasmaConcentrations = [], effectSiteConcentrations = [], timeVector = [], bisValues = [],
+                remifentanil = null, interaction = null, model = null) {
         this.timePoints = timePoints;
         this.patient = patient;
         this.doseEvents = doseEvents;
@@ -387,6 +678,38 @@ class SimulationResult {
         this.effectSiteConcentrations = effectSiteConcentrations;
         this.timeVector = timeVector;
         this.bisValues = bisValues;
+        // Second drug: { modelName, doseEvents, plasmaConcentrations, effectSiteConcentrations } or null
+        this.remifentanil = remifentanil;
+        // Response surface: { bisValues, probabilityTOSS, probabilityTOL } or null
+        this.interaction = interaction;
+        // Registered PK/PD model of the primary drug (labels CSV columns) or null
+        this.model = model;
+    }
+    
+    get drugName() {
+        const drug = this.model ? this.model.drug : 'propofol';
+        return drug.charAt(0).toUpperCase() + drug.slice(1);
+    }
+    
+    get hasInteraction() {
+        return this.interaction !== null;
+    }
+    
+    /**
+     * First time (minutes) at which P(tolerance of laryngoscopy) reaches the given probability
+     */
+    timeToProbabilityTOL(probability = 0.9) {
+        if (!this.hasInteraction) return null;
+        const index = this.interaction.probabilityTOL.findIndex(p => p >= probability);
+        return index >= 0 ? this.timeVector[index] : null;
+    }
+    
+    get hasRemifentanil() {
+        return this.remifentanil !== null;
+    }
+    
+    get maxRemifentanilEffectSiteConcentration() {
+        return this.hasRemifentanil ? Math.max(...this.remifentanil.effectSiteConcentrations) : null;
     }
     
     get maxPlasmaConcentration() {
@@ -405,7 +728,8 @@ class SimulationResult {
     
     get minBISValue() {
         if (this.bisValues.length > 0) {
-            return Math.min(...this.bisValues.filter(bis => bis !== null && !isNaN(bis)));
+            const validBIS = this.bisValues.filter(bis => bis !== null && !isNaN(bis));
+            return validBIS.length > 0 ? Math.min(...validBIS) : null;  // null: model has no BIS
         }
         const validBIS = this.timePoints
             .map(tp => tp.bisValue)
@@ -417,26 +741,77 @@ class SimulationResult {
         return this.timePoints.length > 0 ? this.timePoints[this.timePoints.length - 1].timeInMinutes : 0;
     }
     
-    toCSV() {
+    /**
+     * One CSV field, quoted when it contains a comma, quote or line break (RFC 4180)
+     */
+    static csvField(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    /**
+     * @param {Object} options - { elapsedTime: true } writes minutes from the start instead of clock times
+     */
+    toCSV(options = {}) {
         const csvLines = [];
+        // Optional remifentanil and response-surface columns
+        const secondDrugHeader =
+            (this.hasRemifentanil ? ",Remifentanil Effect-site Conc.(ng/mL)" : "") +
+            (this.hasInteraction ? ",P(Tolerate Shake&Shout),P(Tolerate Laryngoscopy)" : "");
+        const secondDrugColumns = (tp) => {
+            let columns = "";
+            if (this.hasRemifentanil) {
+                columns += `,${tp.remifentanilEffectSiteConcentration.toFixed(3)}`;
+            }
+            if (tp.interaction) {
+                columns += `,${tp.interaction.probabilityTOSS.toFixed(3)},${tp.interaction.probabilityTOL.toFixed(3)}`;
+            }
+            return columns;
+        };
+        
+        // Drug-labelled concentration columns, e.g. "Predicted Remimazolam Plasma Conc.(µg/mL)"
+        const unit = this.model ? this.model.concentrationUnit : 'µg/mL';
+        const drugLabel = this.model ? `${this.drugName} ` : '';
+        const concentrationHeader = `Predicted ${drugLabel}Plasma Conc.(${unit}),Predicted ${drugLabel}Effect-site Conc.(${unit}),Predicted BIS Value`;
         
         if (this.patient) {
-            const patientInfo = `Patient ID:${this.patient.id},Age:${this.patient.age} years,Weight:${this.patient.weight} kg,Height:${this.patient.height} cm,Sex:${SexType.displayName(this.patient.sex)},ASA-PS:${AsapsType.displayName(this.patient.asaPS)},Opioid Co-admin:${OpioidType.displayName(this.patient.opioidCoadmin)},Anesthesia Start:${this.patient.formattedStartTime}`;
-            csvLines.push(patientInfo);
-            
-            csvLines.push("Time,Predicted Plasma Conc.(µg/mL),Predicted Effect-site Conc.(µg/mL),Predicted BIS Value");
+            const patientInfo = [
+                `Patient ID:${this.patient.id}`,
+                `Age:${this.patient.formattedAge}`,
+                `Weight:${this.patient.weight} kg`,
+                `Height:${this.patient.height} cm`,
+                `Sex:${SexType.displayName(this.patient.sex)}`,
+                `ASA-PS:${AsapsType.displayName(this.patient.asaPS)}`,
+                `Opioid Co-admin:${OpioidType.displayName(this.patient.opioidCoadmin)}`,
+                `Anesthesia Start:${this.patient.formattedStartTime}`
+            ];
+            if (this.model) {
+                patientInfo.push(`Drug:${this.drugName}`, `Model:${this.model.displayName}`);
+            }
+            if (this.model && this.model.covariates.includes('samplingSite')) {
+                patientInfo.push(`Sampling:${SamplingSiteType.displayName(this.patient.samplingSite)}`);
+            }
+            if (this.model && this.model.covariates.includes('gestationalAgeWeeks') && this.patient.age < 2) {
+                patientInfo.push(`Gestational Age:${this.patient.gestationalAgeWeeks} weeks`, `PMA:${this.patient.pma.toFixed(1)} weeks`);
+            }
+            // Patient IDs and model names may contain commas or quotes
+            csvLines.push(patientInfo.map(field => SimulationResult.csvField(field)).join(','));
+        }
+        
+        if (this.patient && !options.elapsedTime) {
+            csvLines.push(`Time,${concentrationHeader}` + secondDrugHeader);
             
             for (const tp of this.timePoints) {
                 const clockTime = tp.formattedClockTime(this.patient);
                 const line = `${clockTime},${tp.plasmaConcentration.toFixed(3)},${tp.effectSiteConcentration.toFixed(3)},${tp.bisValueString}`;
-                csvLines.push(line);
+                csvLines.push(line + secondDrugColumns(tp));
             }
         } else {
-            csvLines.push("Time(min),Predicted Plasma Conc.(µg/mL),Predicted Effect-site Conc.(µg/mL),Predicted BIS Value");
+            csvLines.push(`Time(min),${concentrationHeader}` + secondDrugHeader);
             
             for (const tp of this.timePoints) {
                 const line = `${tp.timeInMinutes},${tp.plasmaConcentration.toFixed(3)},${tp.effectSiteConcentration.toFixed(3)},${tp.bisValueString}`;
-                csvLines.push(line);
+                csvLines.push(line + secondDrugColumns(tp));
             }
         }
         
@@ -508,10 +883,16 @@ if (typeof window !== 'undefined') {
     window.SexType = SexType;
     window.AsapsType = AsapsType;
     window.OpioidType = OpioidType;
+    window.SamplingSiteType = SamplingSiteType;
+    window.AgeUnit = AgeUnit;
     window.EleveldModelConstants = EleveldModelConstants;
     window.ValidationLimits = ValidationLimits;
     window.Patient = Patient;
     window.DoseEvent = DoseEvent;
+    window.RemifentanilDoseEvent = RemifentanilDoseEvent;
+    window.DexmedetomidineDoseEvent = DexmedetomidineDoseEvent;
+    window.BISObservation = BISObservation;
+    window.PlasmaConcentrationObservation = PlasmaConcentrationObservation;
     window.PKParameters = PKParameters;
     window.PDParameters = PDParameters;
     window.SystemState = SystemState;
@@ -527,10 +908,16 @@ if (typeof module !== 'undefined' && module.exports) {
         SexType,
         AsapsType,
         OpioidType,
+        SamplingSiteType,
+        AgeUnit,
         EleveldModelConstants,
         ValidationLimits,
         Patient,
         DoseEvent,
+        RemifentanilDoseEvent,
+        DexmedetomidineDoseEvent,
+        BISObservation,
+        PlasmaConcentrationObservation,
         PKParameters,
         PDParameters,
         SystemState,
@@ -4,9 +4,15 @@
  * 
  * Features:
  * - High-precision effect-site concentration calculation
- * - RK4 integration with high precision
+ * - RK4 integration with high precision, or the closed-form analytical solver
  * - Real-time dose event management
  * - Advanced pharmacokinetic simulation
+ * - Optional remifentanil (Minto) timeline alongside the hypnotic
+ * - Bouillon response surface for combined BIS and tolerance probabilities
+ * - Observed BIS readings with Bayesian individualisation of Ce50, ke0 and slope
+ * - Measured plasma concentrations with Bayesian individualisation of V1, CL and Q2
+ * - Side-by-side Cp/Ce of other models of the same drug for the same dose timeline
+ * - Progress reporting for background runs (SimulationWorkerClient)
  */
 
 
@@ -54,10 +60,27 @@ class MonitoringEngine {
     constructor() {
         this.patient = null;
         this.pkParams = null;
+        this.model = null;
         this.doseEvents = [];
+        this.remifentanilDoseEvents = [];  // Second drug timeline (µg, µg/kg/min)
+        this.remifentanilModelId = 'minto';
         this.lastSimulationResult = null;
-        this.calculationMethod = 'Unified RK4 + Simple Effect-Site';
+        this.lastMonteCarloResult = null;  // Population variability bands for lastSimulationResult
+        this.lastComparisonResult = null;  // Other models' Cp/Ce for lastSimulationResult
+        this.bisObservations = [];         // Observed BIS readings (BISObservation)
+        this.individualPD = null;          // BayesianPDEstimator result used instead of the population PD
+        this.plasmaObservations = [];      // Measured plasma concentrations (PlasmaConcentrationObservation)
+        this.individualPK = null;          // BayesianPKEstimator result used instead of the population PK
+        this.populationPrediction = null;  // Population Cp/Ce for comparison while individualised
+        this.simulationMethod = SimulationMethod.RK4;
         this.precision = 0.1; // 0.1-minute time step
+        this.progressListener = null;  // fraction (0-1) callback during Monte Carlo and comparison runs
+    }
+
+    reportProgress(fraction) {
+        if (this.progressListener) {
+            this.progressListener(fraction);
+        }
     }
 
     setPatient(patient) {
@@ -66,12 +89,31 @@ class MonitoringEngine {
         // Set pkParams on patient object for unified access
         this.patient.pkParams = this.pkParams;
         this.patient.pdParams = this.pdParams;
+        this.individualPD = null;
+        this.individualPK = null;
         console.log('Patient set for monitoring engine:', patient.id);
     }
 
+    get calculationMethod() {
+        return `${SimulationMethodLabels[this.simulationMethod]} (PK/PD Simulation Core)`;
+    }
+
+    setSimulationMethod(method) {
+        if (!SimulationMethodLabels[method]) {
+            throw new Error(`Unknown simulation method: ${method}`);
+        }
+        this.simulationMethod = method;
+        console.log('Monitoring simulation method:', SimulationMethodLabels[method]);
+    }
+
+    get validationLimits() {
+        return this.patient ? this.patient.validationLimits : ValidationLimits;
+    }
+
     addDoseEvent(doseEvent) {
-        if (!doseEvent.validate().isValid) {
-            throw new Error('Invalid dose event: ' + doseEvent.validate().errors.join(', '));
+        const validation = doseEvent.validate(this.validationLimits);
+        if (!validation.isValid) {
+            throw new Error('Invalid dose event: ' + validation.errors.join(', '));
         }
         
         this.doseEvents.push(doseEvent);
@@ -97,27 +139,116 @@ class MonitoringEngine {
         console.log('All dose events cleared');
     }
 
-    calculatePKParameters(patient) {
-        console.log('Calculating PK parameters for monitoring with Eleveld model');
+    addRemifentanilDoseEvent(doseEvent) {
+        const validation = doseEvent.validate(this.validationLimits);
+        if (!validation.isValid) {
+            throw new Error('Invalid remifentanil dose event: ' + validation.errors.join(', '));
+        }
         
-        // Use the Eleveld PK-PD calculator
-        const modelParams = EleveldPKPDCalculator.getModelParameters(patient);
+        this.remifentanilDoseEvents.push(doseEvent);
+        this.remifentanilDoseEvents.sort((a, b) => a.timeInMinutes - b.timeInMinutes);
+        console.log('Remifentanil dose event added:', doseEvent);
+    }
+
+    removeRemifentanilDoseEvent(index) {
+        if (index >= 0 && index < this.remifentanilDoseEvents.length) {
+            const removed = this.remifentanilDoseEvents.splice(index, 1)[0];
+            console.log('Remifentanil dose event removed:', removed);
+            return removed;
+        }
+        return null;
+    }
+
+    getRemifentanilDoseEvents() {
+        return [...this.remifentanilDoseEvents];
+    }
+
+    clearRemifentanilDoseEvents() {
+        this.remifentanilDoseEvents = [];
+        console.log('All remifentanil dose events cleared');
+    }
+
+    addBISObservation(observation) {
+        const validation = observation.validate(this.validationLimits);
+        if (!validation.isValid) {
+            throw new Error('Invalid BIS observation: ' + validation.errors.join(', '));
+        }
         
-        // Validate parameters
-        const validation = EleveldPKPDCalculator.validateParameters(modelParams);
+        this.bisObservations.push(observation);
+        this.bisObservations.sort((a, b) => a.timeInMinutes - b.timeInMinutes);
+        this.individualPD = null;
+        console.log('BIS observation added:', observation);
+    }
+
+    removeBISObservation(index) {
+        if (index >= 0 && index < this.bisObservations.length) {
+            const removed = this.bisObservations.splice(index, 1)[0];
+            this.individualPD = null;
+            console.log('BIS observation removed:', removed);
+            return removed;
+        }
+        return null;
+    }
+
+    getBISObservations() {
+        return [...this.bisObservations];
+    }
+
+    clearBISObservations() {
+        this.bisObservations = [];
+        this.individualPD = null;
+        console.log('All BIS observations cleared');
+    }
+
+    addPlasmaObservation(observation) {
+        const unit = PKPDModelRegistry.forPatient(this.patient).concentrationUnit;
+        const validation = observation.validate(this.validationLimits, unit);
         if (!validation.isValid) {
-            throw new Error('Invalid Eleveld model parameters: ' + validation.errors.join(', '));
+            throw new Error('Invalid plasma concentration: ' + validation.errors.join(', '));
+        }
+        
+        this.plasmaObservations.push(observation);
+        this.plasmaObservations.sort((a, b) => a.timeInMinutes - b.timeInMinutes);
+        this.individualPK = null;
+        console.log('Plasma concentration added:', observation);
+    }
+
+    removePlasmaObservation(index) {
+        if (index >= 0 && index < this.plasmaObservations.length) {
+            const removed = this.plasmaObservations.splice(index, 1)[0];
+            this.individualPK = null;
+            console.log('Plasma concentration removed:', removed);
+            return removed;
         }
+        return null;
+    }
+
+    getPlasmaObservations() {
+        return [...this.plasmaObservations];
+    }
+
+    clearPlasmaObservations() {
+        this.plasmaObservations = [];
+        this.individualPK = null;
+        console.log('All plasma concentrations cleared');
+    }
+
+    calculatePKParameters(patient) {
+        console.log('Calculating PK parameters for monitoring via unified simulation core');
+        
+        // Shared, validated parameters for the patient's registered model
+        const modelParams = PKPDSimulationCore.calculateModelParameters(patient);
         
-        // Store PD parameters for BIS calculation
+        // Store PD parameters and model for BIS calculation
         this.pdParams = modelParams.pd;
+        this.model = modelParams.model;
         
-        console.log('Eleveld PK/PD parameters calculated successfully');
-        if (window.DEBUG) {
-            EleveldPKPDCalculator.printParameters(patient, modelParams);
+        console.log(`${this.model.displayName} PK/PD parameters calculated successfully`);
+        if (typeof window !== 'undefined' && window.DEBUG && this.model.printParameters) {
+            this.model.printParameters(patient, modelParams);
         }
         
-        return modelParams.pk;
+        return PKPDSimulationCore.toRateConstants(modelParams.pk);
     }
 
     /**
@@ -128,52 +259,69 @@ class MonitoringEngine {
             throw new Error('Patient and PK parameters must be set before simulation');
         }
 
-        if (!this.doseEvents || this.doseEvents.length === 0) {
+        const allEvents = [...this.doseEvents, ...this.remifentanilDoseEvents];
+        if (allEvents.length === 0) {
             throw new Error('At least one dose event is required for simulation');
         }
 
-        console.log('Running monitoring simulation with VHAC + RK4 engine');
+        console.log('Running monitoring simulation with unified simulation core');
+        this.lastMonteCarloResult = null;
+        this.lastComparisonResult = null;
+
+        // Primary drug doses, with loading infusions expanded into timeline steps
+        const primaryDoses = this.buildPrimaryDoseTimeline();
 
         // Determine simulation duration
-        const maxEventTime = Math.max(...this.doseEvents.map(event => event.timeInMinutes));
+        const maxEventTime = Math.max(
+            ...allEvents.map(event => event.timeInMinutes),
+            ...primaryDoses.map(dose => dose.timeInMinutes),
+            ...this.bisObservations.map(observation => observation.timeInMinutes),
+            ...this.plasmaObservations.map(observation => observation.timeInMinutes)
+        );
         const finalDuration = simulationDurationMin || (maxEventTime + 120.0);
 
-        // Create time sequence
-        const timeStep = this.precision;
-        const numSteps = Math.round(finalDuration / timeStep);
-        const times = [];
-        for (let i = 0; i <= numSteps; i++) {
-            times.push(i * timeStep);
-        }
-
-        // Calculate plasma concentrations using advanced methods
-        const plasmaResult = this.calculatePlasmaConcentrationsAdvanced(times);
+        // Individualised PK (from plasma samples) and PD (from observed BIS) replace covariate values
+        const pdParams = this.individualPD ? this.individualPD.posterior : this.pdParams;
+        const basePK = this.individualPK ? PKPDSimulationCore.toRateConstants(this.individualPK.posterior) : this.pkParams;
+        const pkParams = this.individualPD ? { ...basePK, ke0: pdParams.ke0 } : basePK;
 
-        // Calculate effect-site concentrations using proper differential equation integration
-        const effectSiteConcentrations = this.calculateEffectSiteConcentrationsRK4(
-            plasmaResult.concentrations, 
-            times
+        // Cp, Ce and BIS from the same core used by Induction and Protocol steps
+        const simulation = PKPDSimulationCore.simulate(
+            { pk: pkParams, pd: pdParams, model: this.model },
+            primaryDoses,
+            { duration: finalDuration, timeStep: this.precision, method: this.simulationMethod }
         );
-
-        // Calculate BIS values using PD parameters
-        const bisValues = effectSiteConcentrations.map(ce => {
-            if (this.pdParams) {
-                return EleveldPKPDCalculator.calculateBIS(ce, this.pdParams);
-            }
-            return null;
-        });
+        const times = simulation.times;
+
+        // Population prediction alongside an individualised one
+        const populationSimulation = this.individualPK || this.individualPD
+            ? PKPDSimulationCore.simulate(
+                { pk: this.pkParams, pd: this.pdParams, model: this.model },
+                primaryDoses,
+                { duration: finalDuration, timeStep: this.precision, method: this.simulationMethod })
+            : null;
+
+        // Remifentanil runs through the same core on the same time grid
+        const remifentanil = this.remifentanilDoseEvents.length > 0
+            ? this.simulateRemifentanil(finalDuration)
+            : null;
+
+        // Propofol-remifentanil response surface replaces propofol-only BIS
+        const interaction = remifentanil && BouillonInteractionModel.appliesTo(this.model)
+            ? BouillonInteractionModel.evaluateSeries(
+                simulation.effectSiteConcentrations,
+                remifentanil.effectSiteConcentrations,
+                pdParams,
+                this.model)
+            : null;
+        const bisValues = interaction ? interaction.bisValues : simulation.bisValues;
 
         // Create time points (sample every 1 minute for display)
         const timePoints = [];
-        const sampleInterval = Math.round(1.0 / timeStep);
+        const sampleInterval = Math.round(1.0 / this.precision);
 
         for (let i = 0; i < times.length; i += sampleInterval) {
-            if (i >= times.length) break;
-
             const currentTime = times[i];
-            const plasma = plasmaResult.concentrations[i];
-            const effectSite = effectSiteConcentrations[i];
-            const bis = bisValues[i];
 
             // Find corresponding dose event
             const doseEvent = this.doseEvents.find(event => 
@@ -182,312 +330,245 @@ class MonitoringEngine {
             const timePoint = new TimePoint(
                 Math.round(currentTime),
                 doseEvent || null,
-                plasma,
-                effectSite,
-                bis
+                simulation.plasmaConcentrations[i],
+                simulation.effectSiteConcentrations[i],
+                bisValues[i],
+                remifentanil ? remifentanil.effectSiteConcentrations[i] : null,
+                interaction ? {
+                    probabilityTOSS: interaction.probabilityTOSS[i],
+                    probabilityTOL: interaction.probabilityTOL[i]
+                } : null
             );
             timePoints.push(timePoint);
         }
 
+        this.populationPrediction = populationSimulation ? {
+            plasmaConcentrations: timePoints.map((tp, k) => populationSimulation.plasmaConcentrations[k * sampleInterval]),
+            effectSiteConcentrations: timePoints.map((tp, k) => populationSimulation.effectSiteConcentrations[k * sampleInterval])
+        } : null;
+
         this.lastSimulationResult = new SimulationResult(
             timePoints,
             this.patient,
             this.doseEvents,
-            this.calculationMethod + " (Eleveld Model)",
+            `${this.calculationMethod} - ${this.model.displayName}${this.individualisationLabel}`,
             new Date(),
-            plasmaResult.concentrations,
-            effectSiteConcentrations,
+            simulation.plasmaConcentrations,
+            simulation.effectSiteConcentrations,
             times,
-            bisValues
+            bisValues,
+            remifentanil,
+            interaction,
+            this.model
         );
 
         console.log('Monitoring simulation completed');
-        console.log(`Max plasma concentration: ${this.lastSimulationResult.maxPlasmaConcentration.toFixed(3)} μg/mL`);
-        console.log(`Max effect site concentration: ${this.lastSimulationResult.maxEffectSiteConcentration.toFixed(3)} μg/mL`);
-        console.log(`Min BIS value: ${this.lastSimulationResult.minBISValue.toFixed(1)}`);
+        console.log(`Max plasma concentration: ${this.lastSimulationResult.maxPlasmaConcentration.toFixed(3)} ${this.model.concentrationUnit}`);
+        console.log(`Max effect site concentration: ${this.lastSimulationResult.maxEffectSiteConcentration.toFixed(3)} ${this.model.concentrationUnit}`);
+        if (this.lastSimulationResult.minBISValue !== null) {
+            console.log(`Min BIS value: ${this.lastSimulationResult.minBISValue.toFixed(1)}`);
+        }
+
+        if (remifentanil) {
+            console.log(`Max remifentanil effect site concentration: ${this.lastSimulationResult.maxRemifentanilEffectSiteConcentration.toFixed(2)} ng/mL`);
+        }
 
         return this.lastSimulationResult;
     }
 
     /**
-     * Calculate plasma concentrations using 3-compartment model with high precision
+     * Individualise Ce50, ke0 and slope from the observed BIS readings, then
+     * re-run the simulation with the posterior PD parameters
+     * @returns {Object} BayesianPDEstimator result
      */
-    calculatePlasmaConcentrationsAdvanced(times) {
-        const timeStep = times.length > 1 ? times[1] - times[0] : this.precision;
-        
-        // Initialize state with t=0 bolus as initial condition (unified bolus processing)
-        let initialBolus = 0;
-        const bolusEvents = [];
-        const infusionEvents = [];
-        
-        for (const event of this.doseEvents) {
-            const eventTime = event.timeInMinutes;
-            
-            if (event.bolusMg > 0) {
-                if (eventTime === 0) {
-                    // t=0 bolus becomes initial condition
-                    initialBolus += event.bolusMg;
-                } else {
-                    // Non-zero time bolus events (future implementation)
-                    bolusEvents.push({ time: eventTime, dose: event.bolusMg });
-                }
-            }
-            
-            // Add infusion rate changes (including rate = 0 for stopping infusion)
-            const newRate = event.continuousMgHr;
-            if (infusionEvents.length === 0 || 
-                newRate !== infusionEvents[infusionEvents.length - 1].rate) {
-                infusionEvents.push({ time: eventTime, rate: newRate });
-            }
+    individualisePD() {
+        if (this.bisObservations.length === 0) {
+            throw new Error('At least one observed BIS value is required');
         }
-        
-        // Sort events
-        bolusEvents.sort((a, b) => a.time - b.time);
-        infusionEvents.sort((a, b) => a.time - b.time);
-        
-        // Add initial zero infusion if needed
-        if (infusionEvents.length === 0 || infusionEvents[0].time > 0) {
-            infusionEvents.unshift({ time: 0.0, rate: 0.0 });
-        }
-        
-        // Initialize state with t=0 bolus as initial condition
-        let state = new SystemState(initialBolus, 0, 0);
-        const plasmaConcentrations = [];
-        
-        let bolusIndex = 0;
-        let infusionIndex = 0;
-        let currentInfusionRate = 0.0;
-        
-        // Use RK4 for now due to LSODA stability issues
-        // TODO: Fix LSODA implementation in future version
-        console.log('Using RK4 integration for monitoring simulation');
-        console.log('Bolus events to process:', bolusEvents);
-        console.log('Infusion events to process:', infusionEvents);
-        return this.calculatePlasmaConcentrationsRK4(times, bolusEvents, infusionEvents);
-        
-        // LSODA implementation commented out temporarily
-        /*
-        if (typeof LSODA !== 'undefined') {
-            return this.calculatePlasmaConcentrationsLSODA(times, bolusEvents, infusionEvents);
-        } else {
-            return this.calculatePlasmaConcentrationsRK4(times, bolusEvents, infusionEvents);
+        if (!this.pdParams || !BayesianPDEstimator.supports(this.model)) {
+            throw new Error(`${this.model.displayName} does not support BIS individualisation`);
         }
-        */
+
+        // Cp series from the current PK (population, or individualised from plasma samples)
+        this.individualPD = null;
+        const population = this.runSimulation();
+        const modelParams = PKPDSimulationCore.calculateModelParameters(this.patient);
+
+        const estimate = BayesianPDEstimator.estimate(
+            modelParams,
+            { times: population.timeVector, plasmaConcentrations: population.plasmaConcentrations },
+            this.bisObservations,
+            { remifentanilCe: population.hasInteraction ? population.remifentanil.effectSiteConcentrations : null }
+        );
+
+        this.individualPD = estimate;
+        this.runSimulation();
+        return estimate;
     }
 
     /**
-     * LSODA-based plasma concentration calculation
+     * Individualise V1, CL and Q2 from the measured plasma concentrations, then
+     * re-run the simulation with the posterior PK parameters
+     * @returns {Object} BayesianPKEstimator result
      */
-    calculatePlasmaConcentrationsLSODA(times, bolusEvents, infusionEvents) {
-        const solver = new PKLSODASolver();
-        const pkParams = {
-            k10: this.pkParams.k10,
-            k12: this.pkParams.k12,
-            k21: this.pkParams.k21,
-            k13: this.pkParams.k13,
-            k31: this.pkParams.k31
-        };
+    individualisePK() {
+        if (this.plasmaObservations.length === 0) {
+            throw new Error('At least one measured plasma concentration is required');
+        }
+        if (!BayesianPKEstimator.supports(this.model)) {
+            throw new Error(`${this.model.displayName} does not support plasma concentration individualisation`);
+        }
 
-        // Prepare infusion rates array
-        const infusionRates = times.map(t => {
-            const currentEvent = infusionEvents.slice().reverse().find(event => t >= event.time);
-            const rate = currentEvent ? currentEvent.rate : 0.0;
-            return rate / 60.0; // Convert from mg/hr to mg/min
-        });
+        const modelParams = PKPDSimulationCore.calculateModelParameters(this.patient);
+        const estimate = BayesianPKEstimator.estimate(
+            modelParams,
+            this.buildPrimaryDoseTimeline(),
+            this.plasmaObservations,
+            { timeStep: this.precision }
+        );
 
-        try {
-            // Convert bolus events to proper format for LSODA
-            const bolusDoses = bolusEvents.map(event => ({
-                time: event.time,
-                amount: event.dose
-            }));
-            
-            console.log('Debug LSODA inputs:');
-            console.log('Times length:', times.length, 'First/Last:', times[0], times[times.length-1]);
-            console.log('Infusion rates length:', infusionRates.length, 'First few:', infusionRates.slice(0, 3));
-            console.log('Bolus doses:', bolusDoses);
-            console.log('PK params:', pkParams);
-            
-            const result = solver.solve3Compartment(
-                pkParams,
-                times,
-                infusionRates,
-                bolusDoses,
-                [0, 0, 0]
-            );
+        this.individualPK = estimate;
+        if (this.individualPD) {
+            // The PD estimate was fitted to the previous Cp prediction
+            this.individualPD = null;
+            console.log('Individualised PD cleared after PK update; individualise PD again to refit');
+        }
+        this.runSimulation();
+        return estimate;
+    }
 
-            const concentrations = result.y.map(state => 
-                Math.max(0.0, state[0] / this.pkParams.v1)
-            );
+    get individualisationLabel() {
+        const parts = [];
+        if (this.individualPK) parts.push('PK');
+        if (this.individualPD) parts.push('PD');
+        return parts.length > 0 ? ` (individualised ${parts.join('/')})` : '';
+    }
 
-            console.log('LSODA simulation completed successfully');
-            console.log('LSODA result length:', result.y.length);
-            console.log('First few states:', result.y.slice(0, 3));
-            console.log('First few concentrations:', concentrations.slice(0, 3));
-            console.log('Max concentration:', Math.max(...concentrations));
-            return {
-                concentrations: concentrations,
-                method: 'LSODA'
-            };
-        } catch (error) {
-            console.warn('LSODA failed, falling back to RK4:', error);
-            return this.calculatePlasmaConcentrationsRK4(times, bolusEvents, infusionEvents);
-        }
+    clearIndividualPK() {
+        this.individualPK = null;
+        console.log('Individualised PK cleared; using population PK');
+    }
+
+    clearIndividualPD() {
+        this.individualPD = null;
+        console.log('Individualised PD cleared; using population PD');
     }
 
     /**
-     * RK4-based plasma concentration calculation (fallback)
+     * Median and 5-95% Ce/BIS bands for the last simulation's dose timeline,
+     * sampling inter-individual variability around the typical parameters
      */
-    calculatePlasmaConcentrationsRK4(times, bolusEvents, infusionEvents) {
-        const timeStep = times.length > 1 ? times[1] - times[0] : this.precision;
-        
-        // Calculate initial bolus dose for t=0
-        let initialBolus = 0;
-        for (const event of this.doseEvents) {
-            if (event.timeInMinutes === 0 && event.bolusMg > 0) {
-                initialBolus += event.bolusMg;
-            }
+    runMonteCarlo(numberOfPatients = MonteCarloDefaults.numberOfPatients, seed = MonteCarloDefaults.seed) {
+        if (!this.lastSimulationResult) {
+            throw new Error('Run the simulation before the population variability analysis');
         }
-        
-        let state = new SystemState(initialBolus, 0.0, 0.0); // Initialize with bolus dose
-        const plasmaConcentrations = [];
-        
-        console.log('RK4 starting with timeStep:', timeStep, 'initial bolus:', initialBolus, 'initial state:', state);
-        
-        let bolusIndex = 0;
-        let infusionIndex = 0;
-        let currentInfusionRate = 0.0;
-        
-        for (let index = 0; index < times.length; index++) {
-            const currentTime = times[index];
-            
-            // Apply bolus doses - exclude t=0 boluses (already in initial condition)
-            while (bolusIndex < bolusEvents.length && 
-                   Math.abs(bolusEvents[bolusIndex].time - currentTime) < timeStep / 2) {
-                if (bolusEvents[bolusIndex].time > 0) { // Only apply non-zero time boluses
-                    state.a1 += bolusEvents[bolusIndex].dose;
-                    console.log(`Applied bolus: ${bolusEvents[bolusIndex].dose}mg at time ${currentTime} (bolus time: ${bolusEvents[bolusIndex].time})`);
-                }
-                bolusIndex++;
+
+        const result = this.lastSimulationResult;
+        const modelParams = PKPDSimulationCore.calculateModelParameters(this.patient);
+
+        this.lastMonteCarloResult = PopulationVariabilitySimulator.run(
+            modelParams,
+            this.buildPrimaryDoseTimeline(),
+            {
+                duration: result.timeVector[result.timeVector.length - 1],
+                timeStep: this.precision,
+                method: this.simulationMethod,
+                sampleInterval: Math.round(1.0 / this.precision),
+                numberOfPatients: numberOfPatients,
+                seed: seed,
+                remifentanilCe: result.hasInteraction ? result.remifentanil.effectSiteConcentrations : null,
+                onProgress: (fraction) => this.reportProgress(fraction)
             }
-            
-            // Update infusion rate
-            while (infusionIndex < infusionEvents.length && 
-                   currentTime >= infusionEvents[infusionIndex].time) {
-                currentInfusionRate = infusionEvents[infusionIndex].rate;
-                infusionIndex++;
+        );
+
+        console.log(`Population variability bands calculated (${this.lastMonteCarloResult.numberOfPatients} virtual patients)`);
+        return this.lastMonteCarloResult;
+    }
+
+    /**
+     * Cp and Ce of other models for the last simulation's dose timeline, with
+     * differences from the patient's model at key times (population parameters)
+     * @param {Array<string>} modelIds - Models to compare with the patient's model
+     */
+    runComparison(modelIds) {
+        if (!this.lastSimulationResult) {
+            throw new Error('Run the simulation before comparing models');
+        }
+
+        const result = this.lastSimulationResult;
+        this.lastComparisonResult = ModelComparison.run(
+            this.patient,
+            this.buildPrimaryDoseTimeline(),
+            modelIds,
+            {
+                duration: result.timeVector[result.timeVector.length - 1],
+                timeStep: this.precision,
+                method: this.simulationMethod,
+                sampleInterval: Math.round(1.0 / this.precision),
+                onProgress: (fraction) => this.reportProgress(fraction)
             }
-            
-            // Calculate plasma concentration
-            const plasmaConc = Math.max(0.0, state.a1 / this.pkParams.v1);
-            plasmaConcentrations.push(plasmaConc);
-            
-            // Update state for next time step using RK4
-            if (index < times.length - 1) {
-                const infusionRateMgMin = currentInfusionRate / 60.0;
-                state = this.updateSystemStateRK4(state, infusionRateMgMin, timeStep);
+        );
+
+        return this.lastComparisonResult;
+    }
+
+    /**
+     * Primary drug doses for the simulation core. Events with a loading infusion
+     * (DexmedetomidineDoseEvent) expand into loading and maintenance steps; a later
+     * event ends a loading infusion that is still running.
+     */
+    buildPrimaryDoseTimeline() {
+        const doses = [];
+
+        this.doseEvents.forEach((event, index) => {
+            if (typeof event.toSimulationDoses !== 'function') {
+                doses.push(event);
+                return;
             }
-        }
-        
-        console.log('RK4 simulation completed');
-        console.log('RK4 result length:', plasmaConcentrations.length);
-        console.log('First few concentrations:', plasmaConcentrations.slice(0, 5));
-        console.log('Max concentration:', Math.max(...plasmaConcentrations));
-        console.log('Final concentration:', plasmaConcentrations[plasmaConcentrations.length - 1]);
-        
+
+            const nextEvent = this.doseEvents[index + 1];
+            event.toSimulationDoses(this.patient)
+                .filter(dose => !nextEvent ||
+                    dose.timeInMinutes === event.timeInMinutes ||
+                    dose.timeInMinutes < nextEvent.timeInMinutes)
+                .forEach(dose => doses.push(dose));
+        });
+
+        return doses;
+    }
+
+    /**
+     * Simulate the remifentanil dose timeline (ng/mL) for the current patient
+     */
+    simulateRemifentanil(durationMin) {
+        const modelParams = PKPDSimulationCore.calculateModelParameters(this.patient, this.remifentanilModelId);
+        const simulation = PKPDSimulationCore.simulate(
+            modelParams,
+            this.remifentanilDoseEvents.map(event => event.toSimulationDose(this.patient)),
+            { duration: durationMin, timeStep: this.precision, method: this.simulationMethod }
+        );
+
         return {
-            concentrations: plasmaConcentrations,
-            method: 'RK4'
+            modelName: modelParams.model.displayName,
+            doseEvents: [...this.remifentanilDoseEvents],
+            plasmaConcentrations: simulation.plasmaConcentrations,
+            effectSiteConcentrations: simulation.effectSiteConcentrations
         };
     }
 
     /**
      * Unified RK4 method as per numerical-unification-guide.yml
-     * Note: For monitoring engine, we only calculate plasma concentrations here
-     * Effect-site concentrations are calculated separately for display purposes
+     * Delegates to PKPDSimulationCore (a1, a2, a3 and effect-site concentration)
      */
     updateSystemStateRK4(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.patient.pkParams;
-        
-        const derivatives = (s) => ({
-            da1dt: infusionRateMgMin - (k10 + k12 + k13) * s.a1 + k21 * s.a2 + k31 * s.a3,
-            da2dt: k12 * s.a1 - k21 * s.a2,
-            da3dt: k13 * s.a1 - k31 * s.a3
-        });
-        
-        // 4th order Runge-Kutta integration
-        const k1 = derivatives(state);
-        const k2 = derivatives({
-            a1: state.a1 + 0.5 * dt * k1.da1dt,
-            a2: state.a2 + 0.5 * dt * k1.da2dt,
-            a3: state.a3 + 0.5 * dt * k1.da3dt
-        });
-        const k3 = derivatives({
-            a1: state.a1 + 0.5 * dt * k2.da1dt,
-            a2: state.a2 + 0.5 * dt * k2.da2dt,
-            a3: state.a3 + 0.5 * dt * k2.da3dt
-        });
-        const k4 = derivatives({
-            a1: state.a1 + dt * k3.da1dt,
-            a2: state.a2 + dt * k3.da2dt,
-            a3: state.a3 + dt * k3.da3dt
-        });
-        
-        return new SystemState(
-            state.a1 + (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt),
-            state.a2 + (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt),
-            state.a3 + (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt)
-        );
+        return PKPDSimulationCore.updateSystemStateRK4(state, this.patient.pkParams, infusionRateMgMin, dt);
     }
 
     /**
      * Unified Euler method for fallback
      */
     updateSystemStateEuler(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.patient.pkParams;
-        
-        const da1dt = infusionRateMgMin - (k10 + k12 + k13) * state.a1 + k21 * state.a2 + k31 * state.a3;
-        const da2dt = k12 * state.a1 - k21 * state.a2;
-        const da3dt = k13 * state.a1 - k31 * state.a3;
-        
-        return new SystemState(
-            state.a1 + dt * da1dt,
-            state.a2 + dt * da2dt,
-            state.a3 + dt * da3dt
-        );
-    }
-
-    /**
-     * Calculate effect-site concentrations using RK4 integration
-     * Properly solves dCe/dt = ke0 * (Cp - Ce)
-     */
-    calculateEffectSiteConcentrationsRK4(plasmaConcentrations, times) {
-        if (!plasmaConcentrations || plasmaConcentrations.length === 0) {
-            return [];
-        }
-        
-        const ke0 = this.patient.pkParams.ke0;
-        const effectSiteConcentrations = new Array(plasmaConcentrations.length);
-        effectSiteConcentrations[0] = 0.0; // Initial effect-site concentration is zero
-        
-        for (let i = 1; i < plasmaConcentrations.length; i++) {
-            const dt = times[i] - times[i-1];
-            const cpPrev = plasmaConcentrations[i-1];
-            const cpCurrent = plasmaConcentrations[i];
-            const cePrev = effectSiteConcentrations[i-1];
-            
-            // Use RK4 to solve dCe/dt = ke0 * (Cp - Ce)
-            // We need to interpolate Cp during the time step
-            const k1 = ke0 * (cpPrev - cePrev);
-            const k2 = ke0 * ((cpPrev + cpCurrent) / 2 - (cePrev + 0.5 * dt * k1));
-            const k3 = ke0 * ((cpPrev + cpCurrent) / 2 - (cePrev + 0.5 * dt * k2));
-            const k4 = ke0 * (cpCurrent - (cePrev + dt * k3));
-            
-            effectSiteConcentrations[i] = cePrev + (dt / 6.0) * (k1 + 2*k2 + 2*k3 + k4);
-            effectSiteConcentrations[i] = Math.max(0, effectSiteConcentrations[i]);
-        }
-        
-        return effectSiteConcentrations;
+        return PKPDSimulationCore.updateSystemStateEuler(state, this.patient.pkParams, infusionRateMgMin, dt);
     }
 
     /**
@@ -518,6 +599,26 @@ class MonitoringEngine {
             plasmaData: timePoints.map(tp => tp.plasmaConcentration),
             effectData: timePoints.map(tp => tp.effectSiteConcentration),
             bisData: timePoints.map(tp => tp.bisValue),
+            remifentanilEffectData: this.lastSimulationResult.hasRemifentanil
+                ? timePoints.map(tp => tp.remifentanilEffectSiteConcentration)
+                : null,
+            tolData: this.lastSimulationResult.hasInteraction
+                ? timePoints.map(tp => tp.interaction.probabilityTOL)
+                : null,
+            monteCarlo: this.lastMonteCarloResult,
+            comparison: this.lastComparisonResult,
+            observedBISData: timePoints.map(tp => {
+                const observation = this.bisObservations.find(obs => Math.round(obs.timeInMinutes) === tp.timeInMinutes);
+                return observation ? observation.bisValue : null;
+            }),
+            individualPD: this.individualPD,
+            measuredPlasmaData: timePoints.map(tp => {
+                const observation = this.plasmaObservations.find(obs => Math.round(obs.timeInMinutes) === tp.timeInMinutes);
+                return observation ? observation.concentration : null;
+            }),
+            populationPlasmaData: this.populationPrediction ? this.populationPrediction.plasmaConcentrations : null,
+            populationEffectData: this.populationPrediction ? this.populationPrediction.effectSiteConcentrations : null,
+            individualPK: this.individualPK,
             doseEvents: this.doseEvents.map(event => ({
                 time: event.timeInMinutes,
                 clockTime: event.formattedClockTime(this.patient),
@@ -537,7 +638,15 @@ class MonitoringEngine {
 
     reset() {
         this.doseEvents = [];
+        this.remifentanilDoseEvents = [];
         this.lastSimulationResult = null;
+        this.lastMonteCarloResult = null;
+        this.lastComparisonResult = null;
+        this.bisObservations = [];
+        this.individualPD = null;
+        this.plasmaObservations = [];
+        this.individualPK = null;
+        this.populationPrediction = null;
         console.log('Monitoring engine reset');
     }
 }
@@ -0,0 +1,219 @@
+/**
+ * Pediatric Propofol PK Calculators (Kataria and Paedfusor)
+ * 小児プロポフォール薬物動態モデル
+ *
+ * Features:
+ * - Kataria et al. (Anesthesiology 1994) weight and age covariate model
+ * - Paedfusor (Absalom et al. BJA 2003) with age-banded V1 and k10 for 13-16 years
+ * - ke0 from Munoz et al. (BJA 2004) time-to-peak-effect estimates
+ * - Pediatric validation limits; same interface as EleveldPKPDCalculator
+ *
+ * Neither model has a BIS model, so BIS is not predicted.
+ */
+
+const KatariaModelConstants = {
+    v1PerKg: 0.41,       // L/kg
+    v2PerKg: 0.78,       // L/kg
+    v2PerYear: 3.1,      // L per year of age
+    v2Intercept: -15.5,  // L
+    v3PerKg: 6.9,        // L/kg
+    clPerKg: 0.035,      // L/kg/min
+    q2PerKg: 0.077,      // L/kg/min
+    q3PerKg: 0.026,      // L/kg/min
+    ke0: 0.41            // min^-1 (Munoz 2004)
+};
+
+const PaedfusorModelConstants = {
+    // V1 (L/kg) and k10 by age; k10 for 1-12 years is 0.1527 * weight^-0.3
+    v1PerKgChild: 0.4584,
+    k10Coefficient: 0.1527,
+    k10WeightExponent: -0.3,
+    adolescent: {
+        13: { v1PerKg: 0.400, k10: 0.0678 },
+        14: { v1PerKg: 0.342, k10: 0.0792 },
+        15: { v1PerKg: 0.284, k10: 0.0954 },
+        16: { v1PerKg: 0.22857, k10: 0.119 }
+    },
+    k12: 0.114,    // min^-1
+    k13: 0.0419,   // min^-1
+    k21: 0.055,    // min^-1
+    k31: 0.0033,   // min^-1
+    ke0: 0.91      // min^-1 (Munoz 2004)
+};
+
+const KatariaValidationLimits = {
+    ...ValidationLimits,
+    Patient: {
+        ...ValidationLimits.Patient,
+        minimumAge: 3,
+        maximumAge: 16,
+        minimumWeight: 15.0,
+        maximumWeight: 61.0
+    }
+};
+
+const PaedfusorValidationLimits = {
+    ...ValidationLimits,
+    Patient: {
+        ...ValidationLimits.Patient,
+        minimumAge: 1,
+        maximumAge: 16,
+        minimumWeight: 5.0,
+        maximumWeight: 61.0
+    }
+};
+
+/**
+ * The pediatric PK-only models have no range checks beyond the shared positivity check
+ */
+function validatePediatricPKParameters(params) {
+    const errors = validatePositivePK(params);
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+function printPediatricPKParameters(title, patient, params) {
+    console.log(`=== ${title} Model Parameters ===`);
+    console.log(`Patient: ${patient.age}y, ${patient.weight}kg`);
+    console.log("");
+    printPKParameters(params.pk);
+}
+
+class KatariaPKCalculator {
+
+    static getModelParameters(patient) {
+        const c = KatariaModelConstants;
+        const weight = patient.weight;
+
+        const pk = new PKParameters(
+            c.v1PerKg * weight,
+            c.v2PerKg * weight + c.v2PerYear * patient.age + c.v2Intercept,
+            c.v3PerKg * weight,
+            c.clPerKg * weight,
+            c.q2PerKg * weight,
+            c.q3PerKg * weight,
+            c.ke0
+        );
+
+        return {
+            pk: pk,
+            pd: null
+        };
+    }
+
+    static calculateBIS(ce, pdParams) {
+        return null;
+    }
+
+    static validateParameters(params) {
+        return validatePediatricPKParameters(params);
+    }
+
+    static printParameters(patient, params) {
+        printPediatricPKParameters('Kataria', patient, params);
+    }
+}
+
+class PaedfusorPKCalculator {
+
+    /**
+     * V1 (L/kg) and k10 (min^-1) for the patient's age band
+     */
+    static getAgeBand(age, weight) {
+        const c = PaedfusorModelConstants;
+        const band = c.adolescent[Math.min(16, Math.floor(age))];
+
+        if (band) {
+            return band;
+        }
+
+        return {
+            v1PerKg: c.v1PerKgChild,
+            k10: c.k10Coefficient * Math.pow(weight, c.k10WeightExponent)
+        };
+    }
+
+    static getModelParameters(patient) {
+        const c = PaedfusorModelConstants;
+        const band = this.getAgeBand(patient.age, patient.weight);
+
+        const v1 = band.v1PerKg * patient.weight;
+        const pk = new PKParameters(
+            v1,
+            v1 * c.k12 / c.k21,
+            v1 * c.k13 / c.k31,
+            band.k10 * v1,
+            c.k12 * v1,
+            c.k13 * v1,
+            c.ke0
+        );
+
+        return {
+            pk: pk,
+            pd: null
+        };
+    }
+
+    static calculateBIS(ce, pdParams) {
+        return null;
+    }
+
+    static validateParameters(params) {
+        return validatePediatricPKParameters(params);
+    }
+
+    static printParameters(patient, params) {
+        printPediatricPKParameters('Paedfusor', patient, params);
+    }
+}
+
+// Register with the PK/PD model registry
+if (typeof PKPDModelRegistry !== 'undefined') {
+    PKPDModelRegistry.register({
+        id: 'kataria',
+        drug: 'propofol',
+        displayName: 'Kataria (Propofol, pediatric)',
+        shortName: 'Kataria',
+        description: 'Kataria et al. Anesthesiology 1994 pediatric propofol model, 3-16 years (no BIS prediction)',
+        covariates: [ModelCovariates.AGE, ModelCovariates.WEIGHT],
+        validationLimits: KatariaValidationLimits,
+        getModelParameters: (patient) => KatariaPKCalculator.getModelParameters(patient),
+        calculateBIS: (ce, pdParams) => KatariaPKCalculator.calculateBIS(ce, pdParams),
+        validateParameters: (params) => KatariaPKCalculator.validateParameters(params),
+        printParameters: (patient, params) => KatariaPKCalculator.printParameters(patient, params)
+    });
+
+    PKPDModelRegistry.register({
+        id: 'paedfusor',
+        drug: 'propofol',
+        displayName: 'Paedfusor (Propofol, pediatric)',
+        shortName: 'Paedfusor',
+        description: 'Paedfusor (Absalom et al. BJA 2003) pediatric propofol model, 1-16 years (no BIS prediction)',
+        covariates: [ModelCovariates.AGE, ModelCovariates.WEIGHT],
+        validationLimits: PaedfusorValidationLimits,
+        getModelParameters: (patient) => PaedfusorPKCalculator.getModelParameters(patient),
+        calculateBIS: (ce, pdParams) => PaedfusorPKCalculator.calculateBIS(ce, pdParams),
+        validateParameters: (params) => PaedfusorPKCalculator.validateParameters(params),
+        printParameters: (patient, params) => PaedfusorPKCalculator.printParameters(patient, params)
+    });
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.KatariaPKCalculator = KatariaPKCalculator;
+    window.PaedfusorPKCalculator = PaedfusorPKCalculator;
+    window.KatariaModelConstants = KatariaModelConstants;
+    window.PaedfusorModelConstants = PaedfusorModelConstants;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        KatariaPKCalculator,
+        PaedfusorPKCalculator,
+        KatariaModelConstants,
+        PaedfusorModelConstants
+    };
+}
@@ -0,0 +1,337 @@
+/**
+ * Unified PK/PD Simulation Core for Propofol TCI TIVA
+ * 共通PK/PDシミュレーションコア
+ *
+ * Features:
+ * - Single source of patient PK/PD parameters for every engine,
+ *   resolved through PKPDModelRegistry for the patient's chosen model
+ * - Coupled 4-state RK4 integration (a1, a2, a3, Ce) with Euler fallback
+ * - Bolus doses applied at their exact event time, not rounded to the grid
+ * - Dose timeline simulation returning Cp, Ce and BIS
+ * - ke0 derived from a model's time to peak effect when it declares one
+ * - Selectable closed-form analytical solver (AnalyticalPKPDSolver) alongside RK4
+ * - Selectable adaptive LSODA solver (PKLSODASolver) with exact infusion step handling
+ *
+ * InductionEngine, ProtocolEngine, AdvancedProtocolEngine and MonitoringEngine
+ * all delegate to this core so that the same patient and doses give the same
+ * numbers in every step (see numerical-unification-guide.yml).
+ */
+
+// Time comparisons closer than this are treated as simultaneous (minutes)
+const SIMULATION_TIME_EPSILON = 1e-9;
+
+// State propagation methods for simulate() and advance()
+const SimulationMethod = {
+    RK4: 'rk4',                 // Fixed-step Runge-Kutta (default)
+    ANALYTICAL: 'analytical',   // Exact eigenvalue solution for piecewise-constant dosing
+    LSODA: 'lsoda'              // Adaptive Adams/BDF with automatic stiffness switching
+};
+
+const SimulationMethodLabels = {
+    [SimulationMethod.RK4]: 'Unified RK4',
+    [SimulationMethod.ANALYTICAL]: 'Analytical (eigenvalue)',
+    [SimulationMethod.LSODA]: 'LSODA (adaptive Adams/BDF)'
+};
+
+// Analytical solvers are reused for the same PK parameter object
+const analyticalSolvers = new WeakMap();
+
+// One LSODA instance serves every caller: advance() continues its integration only for the
+// state, rate and parameter values it last returned, and restarts for anything else
+let sharedLSODASolver = null;
+
+class PKPDSimulationCore {
+
+    /**
+     * Calculate and validate PK/PD parameters for a patient
+     * The model is taken from PKPDModelRegistry via Patient.modelId unless
+     * modelId is given (e.g. a second drug such as remifentanil)
+     * @returns {Object} { pk, pd, model, ... } as returned by the model
+     */
+    static calculateModelParameters(patient, modelId = null) {
+        const model = modelId ? PKPDModelRegistry.get(modelId) : PKPDModelRegistry.forPatient(patient);
+        const modelParams = model.getModelParameters(patient);
+
+        // Models defined by a time to peak effect get ke0 from the patient's PK set
+        if (model.timeToPeakEffect) {
+            const ke0 = TimeToPeakCalculator.ke0ForTimeToPeak(modelParams.pk, model.timeToPeakEffect);
+            modelParams.pk.ke0 = ke0;
+            if (modelParams.pd) modelParams.pd.ke0 = ke0;
+        }
+
+        const validation = model.validateParameters(modelParams);
+        if (!validation.isValid) {
+            throw new Error(`Invalid ${model.displayName} model parameters: ` + validation.errors.join(', '));
+        }
+
+        modelParams.model = model;
+        return modelParams;
+    }
+
+    /**
+     * Flatten PKParameters into a plain object with rate constants
+     */
+    static toRateConstants(pk) {
+        return {
+            v1: pk.v1,
+            v2: pk.v2,
+            v3: pk.v3,
+            cl: pk.cl,
+            q2: pk.q2,
+            q3: pk.q3,
+            ke0: pk.ke0,
+            k10: pk.k10,
+            k12: pk.k12,
+            k21: pk.k21,
+            k13: pk.k13,
+            k31: pk.k31
+        };
+    }
+
+    /**
+     * Calculate BIS value from effect-site concentration
+     * Uses the model's own effect function (default model when none is given)
+     */
+    static calculateBIS(ce, pdParams, model = null) {
+        if (!pdParams) return null;
+        return (model || PKPDModelRegistry.get()).calculateBIS(ce, pdParams);
+    }
+
+    /**
+     * Initial state with a bolus given as initial condition
+     */
+    static createInitialState(bolusMg = 0) {
+        return { a1: bolusMg, a2: 0.0, a3: 0.0, ce: 0.0 };
+    }
+
+    static plasmaConcentration(state, pkParams) {
+        return Math.max(0.0, state.a1 / pkParams.v1);
+    }
+
+    /**
+     * Right-hand side of the 3-compartment + effect-site system
+     */
+    static derivatives(state, pkParams, infusionRateMgMin) {
+        const { k10, k12, k21, k13, k31, ke0, v1 } = pkParams;
+        const plasmaConc = state.a1 / v1;
+
+        return {
+            da1dt: infusionRateMgMin - (k10 + k12 + k13) * state.a1 + k21 * state.a2 + k31 * state.a3,
+            da2dt: k12 * state.a1 - k21 * state.a2,
+            da3dt: k13 * state.a1 - k31 * state.a3,
+            dcedt: ke0 * (plasmaConc - state.ce)
+        };
+    }
+
+    /**
+     * Unified RK4 step for the 4-state system (a1, a2, a3, Ce)
+     */
+    static updateSystemStateRK4(state, pkParams, infusionRateMgMin, dt) {
+        const f = (s) => this.derivatives(s, pkParams, infusionRateMgMin);
+        const advance = (k, h) => ({
+            a1: state.a1 + h * k.da1dt,
+            a2: state.a2 + h * k.da2dt,
+            a3: state.a3 + h * k.da3dt,
+            ce: state.ce + h * k.dcedt
+        });
+
+        const k1 = f(state);
+        const k2 = f(advance(k1, 0.5 * dt));
+        const k3 = f(advance(k2, 0.5 * dt));
+        const k4 = f(advance(k3, dt));
+
+        return {
+            a1: state.a1 + (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt),
+            a2: state.a2 + (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt),
+            a3: state.a3 + (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt),
+            ce: state.ce + (dt / 6.0) * (k1.dcedt + 2*k2.dcedt + 2*k3.dcedt + k4.dcedt)
+        };
+    }
+
+    /**
+     * Analytical solver for a PK parameter object (created once per object)
+     */
+    static analyticalSolver(pkParams) {
+        let solver = analyticalSolvers.get(pkParams);
+        if (!solver) {
+            solver = new AnalyticalPKPDSolver(pkParams);
+            analyticalSolvers.set(pkParams, solver);
+        }
+        return solver;
+    }
+
+    static lsodaSolver() {
+        if (!sharedLSODASolver) {
+            sharedLSODASolver = new PKLSODASolver();
+        }
+        return sharedLSODASolver;
+    }
+
+    /**
+     * Advance the 4-state system by dt with the chosen method
+     */
+    static advance(state, pkParams, infusionRateMgMin, dt, method = SimulationMethod.RK4) {
+        if (method === SimulationMethod.ANALYTICAL) {
+            return this.analyticalSolver(pkParams).advance(state, infusionRateMgMin, dt);
+        }
+        if (method === SimulationMethod.LSODA) {
+            return this.lsodaSolver().advance(state, pkParams, infusionRateMgMin, dt);
+        }
+        if (method !== SimulationMethod.RK4) {
+            throw new Error(`Unknown simulation method: ${method}`);
+        }
+        return this.updateSystemStateRK4(state, pkParams, infusionRateMgMin, dt);
+    }
+
+    /**
+     * Unified Euler step for fallback
+     */
+    static updateSystemStateEuler(state, pkParams, infusionRateMgMin, dt) {
+        const d = this.derivatives(state, pkParams, infusionRateMgMin);
+
+        return {
+            a1: Math.max(0, state.a1 + dt * d.da1dt),
+            a2: Math.max(0, state.a2 + dt * d.da2dt),
+            a3: Math.max(0, state.a3 + dt * d.da3dt),
+            ce: Math.max(0, state.ce + dt * d.dcedt)
+        };
+    }
+
+    /**
+     * Normalise dose events into a sorted timeline
+     * Each event adds its bolus and sets the infusion rate from its time onward.
+     * Accepts DoseEvent (mg, mg/hr) or a plain { timeInMinutes, bolusAmount,
+     * infusionRatePerMin } in the model's own dose unit (e.g. µg for remifentanil)
+     */
+    static buildDoseTimeline(doseEvents) {
+        return (doseEvents || [])
+            .map((event, index) => ({
+                index: index,
+                time: event.timeInMinutes,
+                bolusAmount: event.bolusAmount !== undefined ? event.bolusAmount : (event.bolusMg || 0),
+                infusionRatePerMin: event.infusionRatePerMin !== undefined
+                    ? event.infusionRatePerMin
+                    : (event.continuousMgHr || 0) / 60.0
+            }))
+            .sort((a, b) => a.time - b.time || a.index - b.index);
+    }
+
+    /**
+     * Simulate a dose timeline and return Cp, Ce and BIS on a fixed time grid
+     * @param {Object} modelParams - { pk, pd, model } from calculateModelParameters
+     * @param {Array} doseEvents - Bolus and infusion events (see buildDoseTimeline)
+     * @param {Object} options - { duration, timeStep, method (SimulationMethod, default RK4) }
+     */
+    static simulate(modelParams, doseEvents, options = {}) {
+        const pkParams = this.toRateConstants(modelParams.pk);
+        const pdParams = modelParams.pd;
+        const model = modelParams.model || null;
+        const timeStep = options.timeStep || 0.1;
+        const method = options.method || SimulationMethod.RK4;
+
+        const timeline = this.buildDoseTimeline(doseEvents);
+        const lastEventTime = timeline.length > 0 ? timeline[timeline.length - 1].time : 0;
+        const duration = options.duration != null ? options.duration : lastEventTime + 120.0;
+        const numSteps = Math.round(duration / timeStep);
+
+        if (method === SimulationMethod.LSODA) {
+            return this.simulateLSODA(pkParams, pdParams, model, doseEvents, numSteps, timeStep);
+        }
+
+        let state = this.createInitialState();
+        let infusionRatePerMin = 0.0;
+        let eventIndex = 0;
+
+        const applyEventsUpTo = (time) => {
+            while (eventIndex < timeline.length &&
+                   timeline[eventIndex].time <= time + SIMULATION_TIME_EPSILON) {
+                state.a1 += timeline[eventIndex].bolusAmount;
+                infusionRatePerMin = timeline[eventIndex].infusionRatePerMin;
+                eventIndex++;
+            }
+        };
+
+        const times = [];
+        const plasmaConcentrations = [];
+        const effectSiteConcentrations = [];
+        const bisValues = [];
+
+        for (let i = 0; i <= numSteps; i++) {
+            const currentTime = i * timeStep;
+            applyEventsUpTo(currentTime);
+
+            const ce = Math.max(0.0, state.ce);
+            times.push(currentTime);
+            plasmaConcentrations.push(this.plasmaConcentration(state, pkParams));
+            effectSiteConcentrations.push(ce);
+            bisValues.push(this.calculateBIS(ce, pdParams, model));
+
+            if (i === numSteps) break;
+
+            // Split the step at any event inside it so boluses land at their exact time
+            const stepEnd = (i + 1) * timeStep;
+            let t = currentTime;
+            while (eventIndex < timeline.length &&
+                   timeline[eventIndex].time < stepEnd - SIMULATION_TIME_EPSILON) {
+                const eventTime = timeline[eventIndex].time;
+                state = this.advance(state, pkParams, infusionRatePerMin, eventTime - t, method);
+                t = eventTime;
+                applyEventsUpTo(eventTime);
+            }
+            // Whole steps use timeStep itself so solvers can reuse per-step factors
+            state = this.advance(state, pkParams, infusionRatePerMin, t === currentTime ? timeStep : stepEnd - t, method);
+        }
+
+        return {
+            times: times,
+            plasmaConcentrations: plasmaConcentrations,
+            effectSiteConcentrations: effectSiteConcentrations,
+            bisValues: bisValues,
+            finalState: state,
+            method: SimulationMethodLabels[method]
+        };
+    }
+
+    /**
+     * LSODA integrates the whole timeline at once, restarting at each dose event,
+     * and reports the grid by interpolation instead of stepping through it
+     */
+    static simulateLSODA(pkParams, pdParams, model, doseEvents, numSteps, timeStep) {
+        const times = [];
+        for (let i = 0; i <= numSteps; i++) {
+            times.push(i * timeStep);
+        }
+
+        const solution = new PKLSODASolver().solve(pkParams, doseEvents, times);
+        const last = solution.y[solution.y.length - 1];
+
+        return {
+            times: times,
+            plasmaConcentrations: solution.plasmaConcentrations,
+            effectSiteConcentrations: solution.effectSiteConcentrations,
+            bisValues: solution.effectSiteConcentrations.map(ce => this.calculateBIS(ce, pdParams, model)),
+            finalState: { a1: last[0], a2: last[1], a3: last[2], ce: last[3] },
+            method: SimulationMethodLabels[SimulationMethod.LSODA],
+            solverStats: solution.stats
+        };
+    }
+
+    /**
+     * Convenience wrapper: calculate parameters for the patient, then simulate
+     */
+    static simulatePatient(patient, doseEvents, options = {}) {
+        const modelParams = this.calculateModelParameters(patient);
+        return this.simulate(modelParams, doseEvents, options);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PKPDSimulationCore = PKPDSimulationCore;
+    window.SimulationMethod = SimulationMethod;
+    window.SimulationMethodLabels = SimulationMethodLabels;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PKPDSimulationCore, SimulationMethod, SimulationMethodLabels };
+}
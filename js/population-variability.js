@@ -0,0 +1,205 @@
+/**
+ * Population Variability Monte Carlo Simulator
+ * 個体間変動モンテカルロシミュレーション
+ *
+ * Features:
+ * - Samples log-normal inter-individual variability (P_i = P_typical · exp(η), η ~ N(0, ω²))
+ *   around a model's typical PK/PD parameters
+ * - Uses the ω² a model registers as `variability` (Eleveld: EleveldVariabilityConstants)
+ * - Runs the same dose timeline through PKPDSimulationCore for N virtual patients
+ * - Median and 5-95% prediction bands for Ce and BIS on the monitoring time grid
+ * - Seeded random number generator so a run is reproducible
+ *
+ * Residual (measurement) error is not added; the bands show between-patient
+ * variability of the true concentrations. The BIS baseline is not varied.
+ */
+
+const MonteCarloDefaults = {
+    numberOfPatients: 200,
+    minimumPatients: 20,
+    maximumPatients: 1000,
+    seed: 20180101,
+    lowerPercentile: 5,
+    upperPercentile: 95
+};
+
+class PopulationVariabilitySimulator {
+
+    /**
+     * Seeded uniform random number generator (mulberry32)
+     */
+    static createRandom(seed = MonteCarloDefaults.seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Standard normal deviate (Box-Muller)
+     */
+    static normal(random) {
+        let u = 0;
+        while (u === 0) u = random();
+        const v = random();
+        return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    }
+
+    /**
+     * One virtual patient: typical parameters with sampled η on each varied parameter
+     * @param {Object} modelParams - { pk, pd, model } from PKPDSimulationCore.calculateModelParameters
+     * @param {Object} omega - { pk: {name: ω²}, pd: {name: ω²} }
+     */
+    static sampleParameters(modelParams, omega, random) {
+        const eta = (name, group) => {
+            const variance = omega[group][name];
+            return variance ? Math.exp(Math.sqrt(variance) * this.normal(random)) : 1.0;
+        };
+
+        const typicalPK = modelParams.pk;
+        // ke0 is shared by PK (effect compartment) and PD, so it is sampled once
+        const ke0 = typicalPK.ke0 * eta('ke0', 'pd');
+
+        const pk = new PKParameters(
+            typicalPK.v1 * eta('v1', 'pk'),
+            typicalPK.v2 * eta('v2', 'pk'),
+            typicalPK.v3 * eta('v3', 'pk'),
+            typicalPK.cl * eta('cl', 'pk'),
+            typicalPK.q2 * eta('q2', 'pk'),
+            typicalPK.q3 * eta('q3', 'pk'),
+            ke0
+        );
+
+        const typicalPD = modelParams.pd;
+        const pd = typicalPD
+            ? new PDParameters(
+                typicalPD.ce50 * eta('ce50', 'pd'),
+                ke0,
+                typicalPD.bis_baseline,
+                typicalPD.gamma_low,
+                typicalPD.gamma_high
+            )
+            : null;
+
+        return { pk: pk, pd: pd, model: modelParams.model };
+    }
+
+    /**
+     * Percentile of a sorted array (linear interpolation)
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return null;
+        const position = (sorted.length - 1) * p / 100;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Median and lower/upper percentile band for each sampled time
+     * @param {Array<Array<number>>} series - One array per virtual patient
+     */
+    static summarize(series, lowerPercentile, upperPercentile) {
+        const length = series.length > 0 ? series[0].length : 0;
+        const band = { lower: [], median: [], upper: [] };
+
+        for (let i = 0; i < length; i++) {
+            const values = series
+                .map(values => values[i])
+                .filter(value => value !== null && !isNaN(value))
+                .sort((a, b) => a - b);
+
+            band.lower.push(this.percentile(values, lowerPercentile));
+            band.median.push(this.percentile(values, 50));
+            band.upper.push(this.percentile(values, upperPercentile));
+        }
+
+        return band;
+    }
+
+    /**
+     * Run a dose timeline for N virtual patients
+     * @param {Object} modelParams - Typical { pk, pd, model }
+     * @param {Array} doseEvents - Timeline accepted by PKPDSimulationCore.simulate
+     * @param {Object} options - { duration, timeStep, method, sampleInterval, numberOfPatients, seed,
+     *   remifentanilCe (aligned Ce series for the Bouillon interaction), onProgress (fraction done) }
+     * @returns {Object} { numberOfPatients, times, ce, cp, bis } with { lower, median, upper } bands
+     */
+    static run(modelParams, doseEvents, options = {}) {
+        const omega = modelParams.model.variability;
+        if (!omega) {
+            throw new Error(`${modelParams.model.displayName} has no population variability model`);
+        }
+
+        const settings = { ...MonteCarloDefaults, ...options };
+        const n = Math.round(settings.numberOfPatients);
+        if (n < settings.minimumPatients || n > settings.maximumPatients) {
+            throw new Error(`Number of virtual patients must be between ${settings.minimumPatients} and ${settings.maximumPatients}`);
+        }
+
+        const sampleInterval = settings.sampleInterval || 1;
+        const sampled = (values) => values.filter((_, i) => i % sampleInterval === 0);
+        const remifentanilCe = settings.remifentanilCe ? sampled(settings.remifentanilCe) : null;
+        const random = this.createRandom(settings.seed);
+        const cpSeries = [];
+        const ceSeries = [];
+        const bisSeries = [];
+        let times = [];
+
+        console.log(`Monte Carlo: ${n} virtual patients (${modelParams.model.displayName})`);
+
+        for (let k = 0; k < n; k++) {
+            const individual = this.sampleParameters(modelParams, omega, random);
+            const simulation = PKPDSimulationCore.simulate(individual, doseEvents, {
+                duration: settings.duration,
+                timeStep: settings.timeStep,
+                method: settings.method
+            });
+
+            const ce = sampled(simulation.effectSiteConcentrations);
+            times = sampled(simulation.times);
+            cpSeries.push(sampled(simulation.plasmaConcentrations));
+            ceSeries.push(ce);
+
+            if (!individual.pd) {
+                bisSeries.push(ce.map(() => null));
+            } else if (remifentanilCe) {
+                bisSeries.push(ce.map((value, i) =>
+                    BouillonInteractionModel.calculateBIS(value, remifentanilCe[i], individual.pd, individual.model)));
+            } else {
+                bisSeries.push(sampled(simulation.bisValues));
+            }
+
+            if (settings.onProgress) {
+                settings.onProgress((k + 1) / n);
+            }
+        }
+
+        return {
+            numberOfPatients: n,
+            seed: settings.seed,
+            lowerPercentile: settings.lowerPercentile,
+            upperPercentile: settings.upperPercentile,
+            times: times,
+            cp: this.summarize(cpSeries, settings.lowerPercentile, settings.upperPercentile),
+            ce: this.summarize(ceSeries, settings.lowerPercentile, settings.upperPercentile),
+            bis: modelParams.pd
+                ? this.summarize(bisSeries, settings.lowerPercentile, settings.upperPercentile)
+                : null
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.PopulationVariabilitySimulator = PopulationVariabilitySimulator;
+    window.MonteCarloDefaults = MonteCarloDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PopulationVariabilitySimulator, MonteCarloDefaults };
+}
@@ -3,16 +3,18 @@
  * プロトコール最適化エンジン
  * 
  * Features:
- * - Bolus + continuous infusion optimization
+ * - Bolus + continuous infusion optimization (bracketed Brent root search for the rate)
  * - Target concentration-based protocol generation
  * - Step-down protocol with threshold management
  * - Runge-Kutta integration for accurate simulation
+ * - Optional closed-form analytical or adaptive LSODA solver (settings.simulationMethod)
  */
 
 class ProtocolEngine {
     constructor() {
         this.patient = null;
         this.pkParams = null;
+        this.model = null;
         this.settings = {
             targetCe: 3.0,                 // Appropriate for propofol
             upperThreshold: 1.2,           // 120% of target
@@ -20,9 +22,19 @@ class ProtocolEngine {
             timeStep: 0.1,
             simulationDuration: 120,
             targetReachTime: 20,
-            adjustmentInterval: 5.0        // 5 minutes minimum between adjustments
+            adjustmentInterval: 5.0,       // 5 minutes minimum between adjustments
+            simulationMethod: SimulationMethod.RK4,  // RK4, closed-form analytical or LSODA
+            minimumRate: 0.1,              // Step-downs stop here; propofol mg/hr scaled by the model's rateScale
+            
+            // Rate search (RateOptimizer.findRate), propofol mg/hr scaled by the model's rateScale
+            minimumSearchRate: 0.1,
+            initialUpperRate: 200,         // First bracket [minimum, initial upper]; doubled until Ce reaches the target
+            maximumSearchRate: 4000,
+            rateTolerance: 0.01,
+            maxSearchIterations: 100
         };
         this.lastResult = null;
+        this.optimizationHistory = [];
     }
 
     setPatient(patient) {
@@ -37,39 +49,32 @@ class ProtocolEngine {
         this.settings = { ...this.settings, ...newSettings };
     }
 
+    /**
+     * Lowest rate a step-down reduces to, in the model's rate unit
+     */
+    get minimumRate() {
+        return this.settings.minimumRate * this.model.dosingDefaults.protocol.rateScale;
+    }
+
+    get concentrationUnit() {
+        return this.model.concentrationUnit;
+    }
+
+    get dosingUnits() {
+        return this.model.dosingUnits;
+    }
+
     calculatePKParameters(patient) {
-        console.log('Calculating PK parameters for protocol optimization with Eleveld model');
+        console.log('Calculating PK parameters for protocol optimization via unified simulation core');
         
-        // Use the Eleveld PK-PD calculator
-        const modelParams = EleveldPKPDCalculator.getModelParameters(patient);
+        // Shared, validated parameters for the patient's registered model
+        const modelParams = PKPDSimulationCore.calculateModelParameters(patient);
         
-        // Validate parameters
-        const validation = EleveldPKPDCalculator.validateParameters(modelParams);
-        if (!validation.isValid) {
-            throw new Error('Invalid Eleveld model parameters: ' + validation.errors.join(', '));
-        }
-        
-        // Store PD parameters for BIS calculation
+        // Store PD parameters and model for BIS calculation
         this.pdParams = modelParams.pd;
+        this.model = modelParams.model;
         
-        console.log('Eleveld PK/PD parameters calculated successfully for protocol optimization');
-        
-        const pkParams = modelParams.pk;
-        
-        return {
-            v1: pkParams.v1,
-            v2: pkParams.v2,
-            v3: pkParams.v3,
-            cl: pkParams.cl,
-            q2: pkParams.q2,
-            q3: pkParams.q3,
-            ke0: pkParams.ke0,
-            k10: pkParams.k10,
-            k12: pkParams.k12,
-            k21: pkParams.k21,
-            k13: pkParams.k13,
-            k31: pkParams.k31
-        };
+        return PKPDSimulationCore.toRateConstants(modelParams.pk);
     }
 
     /**
@@ -83,54 +88,71 @@ class ProtocolEngine {
         timeToTarget = timeToTarget || this.settings.targetReachTime;
         
         console.log(`=== Protocol Optimization ===`);
-        console.log(`Bolus dose: ${bolusDoseMg} mg`);
-        console.log(`Target concentration: ${targetCe} μg/mL`);
+        console.log(`Bolus dose: ${bolusDoseMg} ${this.dosingUnits.amount}`);
+        console.log(`Target concentration: ${targetCe} ${this.concentrationUnit}`);
         console.log(`Target time: ${timeToTarget} minutes`);
 
-        // Test range of continuous infusion rates
-        const testRates = [];
-        for (let rate = 0.1; rate <= 6.0; rate += 0.05) {
-            testRates.push(rate);
-        }
-
-        let bestRate = 1.0;
-        let bestError = Infinity;
-        const results = [];
-
-        for (const testRate of testRates) {
-            const ceAtTarget = this.simulateBolusAndContinuous(bolusDoseMg, testRate, timeToTarget);
-            const error = Math.abs(ceAtTarget - targetCe);
-
-            results.push({
-                rate: testRate,
-                ceAtTarget: ceAtTarget,
-                error: error,
-                relativeError: (error / targetCe) * 100
-            });
-
-            if (error < bestError) {
-                bestError = error;
-                bestRate = testRate;
+        // Ce at the target time rises with the rate: bracket the target, then Brent
+        const rateScale = this.model.dosingDefaults.protocol.rateScale;
+        const tolerance = this.settings.rateTolerance * rateScale;
+        const search = RateOptimizer.findRate(
+            (rate) => this.simulateBolusAndContinuous(bolusDoseMg, rate, timeToTarget),
+            targetCe,
+            {
+                lower: this.settings.minimumSearchRate * rateScale,
+                upper: this.settings.initialUpperRate * rateScale,
+                maximum: this.settings.maximumSearchRate * rateScale,
+                tolerance: tolerance,
+                maxIterations: this.settings.maxSearchIterations
             }
+        );
+
+        const bestRate = search.rate;
+        const predictedCe = search.value;
+        const bestError = Math.abs(predictedCe - targetCe);
+        
+        console.log(`Optimal continuous rate: ${bestRate.toFixed(2)} ${this.dosingUnits.rate}`);
+        console.log(`Predicted concentration: ${predictedCe.toFixed(3)} ${this.concentrationUnit}`);
+        console.log(`Error: ${bestError.toFixed(4)} ${this.concentrationUnit} (${(bestError/targetCe*100).toFixed(2)}%)`);
+        console.log(`Rate search: ${search.iterations} Brent iterations, ${search.evaluations} simulations, ${search.status}`);
+        if (search.status === 'below-range') {
+            console.warn('Bolus alone exceeds the target at the target time; using the minimum rate');
+        } else if (search.status === 'above-range') {
+            console.warn('Target not reached at the maximum search rate');
         }
 
-        const predictedCe = this.simulateBolusAndContinuous(bolusDoseMg, bestRate, timeToTarget);
-        
-        console.log(`Optimal continuous rate: ${bestRate.toFixed(2)} mg/hr`);
-        console.log(`Predicted concentration: ${predictedCe.toFixed(3)} μg/mL`);
-        console.log(`Error: ${bestError.toFixed(4)} μg/mL (${(bestError/targetCe*100).toFixed(2)}%)`);
+        const convergence = {
+            method: 'brent',
+            iterations: search.iterations,
+            evaluations: search.evaluations,
+            converged: search.converged,
+            status: search.status,
+            bracket: search.bracket,
+            tolerance: tolerance
+        };
+        this.optimizationHistory.push({
+            timestamp: new Date(),
+            targetCe: targetCe,
+            bolusDose: bolusDoseMg,
+            targetTime: timeToTarget,
+            optimalRate: bestRate,
+            predictedCe: predictedCe,
+            convergence: convergence
+        });
 
-        return new ProtocolResult(
+        const result = new ProtocolResult(
             bestRate,
             predictedCe,
             this.generateProtocolSchedule(bolusDoseMg, bestRate),
             targetCe,
             timeToTarget
         );
+        result.convergence = convergence;
+        return result;
     }
 
     /**
-     * Generate complete protocol schedule with step-down adjustments using LSODA
+     * Generate complete protocol schedule with step-down adjustments
      */
     generateCompleteProtocol(bolusDoseMg, initialContinuousRate) {
         if (!this.patient || !this.pkParams) {
@@ -139,168 +161,116 @@ class ProtocolEngine {
 
         console.log(`=== Complete Protocol Generation ===`);
         
-        // Always use RK4 for now due to LSODA stability issues
-        // TODO: Fix LSODA implementation in future version
-        console.log('Using RK4 integration for protocol generation');
-        return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate);
-        
-        // LSODA implementation commented out temporarily
-        /*
-        if (typeof PKLSODASolver !== 'undefined') {
+        if (this.settings.simulationMethod === SimulationMethod.LSODA) {
             try {
                 return this.generateCompleteProtocolLSODA(bolusDoseMg, initialContinuousRate);
             } catch (error) {
                 console.warn('LSODA protocol generation failed, falling back to RK4:', error);
-                return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate);
+                return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate, SimulationMethod.RK4);
             }
-        } else {
-            console.warn('LSODA solver not available, using RK4');
-            return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate);
         }
-        */
+        
+        console.log(`Using ${SimulationMethodLabels[this.settings.simulationMethod]} for protocol generation`);
+        return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate);
     }
 
     /**
-     * Generate complete protocol using LSODA solver with step-down adjustments
+     * Generate complete protocol using LSODA with step-down adjustments
+     * The integration runs forward once and restarts where each rate reduction starts.
      */
     generateCompleteProtocolLSODA(bolusDoseMg, initialContinuousRate) {
         const solver = new PKLSODASolver();
-        
-        // Create simulation timeline
         const timeStep = this.settings.timeStep;
-        const numSteps = Math.round(this.settings.simulationDuration / timeStep);
-        const times = [];
-        for (let i = 0; i <= numSteps; i++) {
-            times.push(i * timeStep);
-        }
-        
-        // Start with bolus and initial continuous rate
-        const events = [];
-        const rateChanges = [{ time: 0, rate: initialContinuousRate }];
         let currentRate = initialContinuousRate;
+        let appliedRate = currentRate;
+        let y = [bolusDoseMg, 0, 0, 0];
+        solver.start(this.pkParams, 0, y, appliedRate / 60.0, timeStep);
         
-        const bolusEvents = bolusDoseMg > 0 ? [{ time: 0, amount: bolusDoseMg }] : [];
-        
-        let iteration = 0;
-        const maxIterations = 10; // Prevent infinite loops
-        let protocolComplete = false;
-        let lastAdjustmentTime = -5;
-        let adjustmentCount = 0;
+        const timeSeriesData = [];
         const dosageAdjustments = [];
+        let lastAdjustmentTime = -5; // Allow first adjustment
+        let adjustmentCount = 0;
         
-        while (!protocolComplete && iteration < maxIterations) {
-            iteration++;
-            
-            // Create infusion rate array for current protocol
-            const infusionRates = times.map(t => {
-                let rate = 0;
-                for (const change of rateChanges) {
-                    if (t >= change.time) {
-                        rate = change.rate / 60.0; // mg/min
-                    }
-                }
-                return rate;
-            });
-            
-            // Solve using LSODA
-            const solution = solver.solve3Compartment(
-                this.pkParams,
-                times,
-                infusionRates,
-                bolusEvents,
-                [0, 0, 0] // Initial conditions
-            );
-            
-            // Calculate effect site concentrations
-            const plasmaConcentrations = solution.y.map(state => state[0] / this.pkParams.v1);
-            const effectSiteConcentrations = calculateEffectSiteHybrid(
-                plasmaConcentrations,
-                times,
-                this.pkParams.ke0
-            );
-            
-            // Check for threshold violations and add adjustments
-            protocolComplete = true;
-            
-            for (let i = 1; i < times.length; i++) {
-                const currentTime = times[i];
-                const currentCe = effectSiteConcentrations[i];
-                
-                // Check threshold and adjust dosage
-                if (currentCe >= this.settings.upperThreshold && 
-                    currentTime - lastAdjustmentTime >= this.settings.adjustmentInterval && 
-                    currentRate > 0.1) {
-                    
-                    const oldRate = currentRate;
-                    currentRate = Math.max(0.1, currentRate * this.settings.reductionFactor);
-                    
-                    // Add new rate change
-                    rateChanges.push({ time: currentTime, rate: currentRate });
-                    
-                    dosageAdjustments.push({
-                        time: currentTime,
-                        type: 'threshold_reduction',
-                        oldRate: oldRate,
-                        newRate: currentRate,
-                        ceAtEvent: currentCe,
-                        adjustmentNumber: ++adjustmentCount
-                    });
-                    
-                    lastAdjustmentTime = currentTime;
-                    protocolComplete = false;
-                    
-                    console.log(`${currentTime.toFixed(1)}min: Threshold reached Ce=${currentCe.toFixed(3)} → Rate ${oldRate.toFixed(2)} → ${currentRate.toFixed(2)} mg/hr`);
-                    break; // Restart simulation with new protocol
-                }
+        const numSteps = Math.floor(this.settings.simulationDuration / timeStep) + 1;
+        
+        for (let i = 0; i < numSteps; i++) {
+            const currentTime = i * timeStep;
+            if (i > 0) {
+                y = solver.stateAt(currentTime);
             }
             
-            // If no more adjustments needed, prepare final data
-            if (protocolComplete) {
-                const timeSeriesData = times.map((time, index) => ({
-                    time: parseFloat(time.toFixed(1)),
-                    ce: effectSiteConcentrations[index],
-                    plasma: plasmaConcentrations[index],
-                    infusionRate: infusionRates[index] * 60.0, // Convert back to mg/hr
-                    targetCe: this.settings.targetCe,
-                    upperThreshold: this.settings.upperThreshold,
-                    adjustmentNumber: adjustmentCount,
-                    isBolus: index === 0
-                }));
+            const plasmaConc = Math.max(0, y[0] / this.pkParams.v1);
+            const currentCe = Math.max(0, y[3]);
+            
+            // Check threshold and adjust dosage
+            if (currentCe >= this.settings.upperThreshold && 
+                currentTime - lastAdjustmentTime >= this.settings.adjustmentInterval && 
+                currentRate > this.minimumRate) {
                 
-                // Evaluate performance
-                const performance = this.evaluateProtocolPerformance(timeSeriesData, dosageAdjustments);
+                const oldRate = currentRate;
+                currentRate = Math.max(this.minimumRate, currentRate * this.settings.reductionFactor);
                 
-                console.log("");
-                console.log("=== Performance Evaluation (LSODA) ===");
-                console.log(`Final effect site concentration: ${performance.finalCe.toFixed(3)} μg/mL`);
-                console.log(`Average deviation: ${performance.avgDeviation.toFixed(4)} μg/mL`);
-                console.log(`Target accuracy: ${performance.targetAccuracy.toFixed(1)}%`);
-                console.log(`Total adjustments: ${performance.totalAdjustments}`);
-                console.log(`Maximum concentration: ${performance.maxCe.toFixed(3)} μg/mL`);
+                dosageAdjustments.push({
+                    time: currentTime,
+                    type: 'threshold_reduction',
+                    oldRate: oldRate,
+                    newRate: currentRate,
+                    ceAtEvent: currentCe,
+                    adjustmentNumber: ++adjustmentCount
+                });
                 
-                return {
-                    timeSeriesData: timeSeriesData,
-                    dosageAdjustments: dosageAdjustments,
-                    performance: performance,
-                    bolusDose: bolusDoseMg,
-                    initialContinuousRate: initialContinuousRate,
-                    calculationMethod: 'LSODA + VHAC'
-                };
+                lastAdjustmentTime = currentTime;
+                console.log(`${currentTime.toFixed(1)}min: Threshold reached Ce=${currentCe.toFixed(3)} → Rate ${oldRate.toFixed(2)} → ${currentRate.toFixed(2)} ${this.dosingUnits.rate}`);
             }
+            
+            // As in the fixed-step loop, a reduction applies from its own time point
+            if (currentRate !== appliedRate) {
+                appliedRate = currentRate;
+                solver.start(this.pkParams, currentTime, y, appliedRate / 60.0, timeStep);
+            }
+            
+            timeSeriesData.push({
+                time: parseFloat(currentTime.toFixed(1)),
+                ce: currentCe,
+                plasma: plasmaConc,
+                infusionRate: currentRate,
+                targetCe: this.settings.targetCe,
+                upperThreshold: this.settings.upperThreshold,
+                adjustmentNumber: adjustmentCount,
+                isBolus: i === 0
+            });
         }
         
-        // If we reached max iterations, fall back to RK4
-        console.warn('Maximum iterations reached in LSODA protocol generation, falling back to RK4');
-        return this.generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate);
+        // Evaluate performance
+        const performance = this.evaluateProtocolPerformance(timeSeriesData, dosageAdjustments);
+        const stats = solver.stats;
+        
+        console.log("");
+        console.log("=== Performance Evaluation (LSODA) ===");
+        console.log(`Final effect site concentration: ${performance.finalCe.toFixed(3)} ${this.concentrationUnit}`);
+        console.log(`Average deviation: ${performance.avgDeviation.toFixed(4)} ${this.concentrationUnit}`);
+        console.log(`Target accuracy: ${performance.targetAccuracy.toFixed(1)}%`);
+        console.log(`Total adjustments: ${performance.totalAdjustments}`);
+        console.log(`Maximum concentration: ${performance.maxCe.toFixed(3)} ${this.concentrationUnit}`);
+        console.log(`LSODA: ${stats.steps} steps (${stats.adamsSteps} Adams, ${stats.bdfSteps} BDF), ${stats.methodSwitches} method switches`);
+        
+        return {
+            timeSeriesData: timeSeriesData,
+            dosageAdjustments: dosageAdjustments,
+            performance: performance,
+            bolusDose: bolusDoseMg,
+            initialContinuousRate: initialContinuousRate,
+            calculationMethod: SimulationMethodLabels[SimulationMethod.LSODA],
+            solverStats: stats
+        };
     }
 
     /**
-     * Generate complete protocol using RK4 (fallback method)
+     * Generate complete protocol by fixed steps (RK4 or analytical; RK4 is the LSODA fallback)
      */
-    generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate) {
+    generateCompleteProtocolRK4(bolusDoseMg, initialContinuousRate, method = this.settings.simulationMethod) {
         const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
+        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3, ce: bolusState.effectSiteConc };
         let currentRate = initialContinuousRate;
         
         const timeSeriesData = [];
@@ -312,24 +282,18 @@ class ProtocolEngine {
         
         for (let i = 0; i < numSteps; i++) {
             const currentTime = i * this.settings.timeStep;
-            const infusionRateMgMin = currentRate / 60.0;
             
-            // Calculate plasma concentration
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            
-            // Update effect site concentration
-            if (i > 0) {
-                const dCedt = this.pkParams.ke0 * (plasmaConc - currentCe);
-                currentCe = currentCe + this.settings.timeStep * dCedt;
-            }
+            // Plasma and effect-site concentrations from the coupled RK4 state
+            const plasmaConc = PKPDSimulationCore.plasmaConcentration(state, this.pkParams);
+            const currentCe = Math.max(0, state.ce);
             
             // Check threshold and adjust dosage
             if (currentCe >= this.settings.upperThreshold && 
                 currentTime - lastAdjustmentTime >= this.settings.adjustmentInterval && 
-                currentRate > 0.1) {
+                currentRate > this.minimumRate) {
                 
                 const oldRate = currentRate;
-                currentRate = Math.max(0.1, currentRate * this.settings.reductionFactor);
+                currentRate = Math.max(this.minimumRate, currentRate * this.settings.reductionFactor);
                 
                 dosageAdjustments.push({
                     time: currentTime,
@@ -341,7 +305,7 @@ class ProtocolEngine {
                 });
                 
                 lastAdjustmentTime = currentTime;
-                console.log(`${currentTime.toFixed(1)}min: Threshold reached Ce=${currentCe.toFixed(3)} → Rate ${oldRate.toFixed(2)} → ${currentRate.toFixed(2)} mg/hr`);
+                console.log(`${currentTime.toFixed(1)}min: Threshold reached Ce=${currentCe.toFixed(3)} → Rate ${oldRate.toFixed(2)} → ${currentRate.toFixed(2)} ${this.dosingUnits.rate}`);
             }
             
             // Record data
@@ -356,9 +320,9 @@ class ProtocolEngine {
                 isBolus: i === 0
             });
             
-            // Update system state
+            // Update system state; a reduction applies from its own time point
             if (i < numSteps - 1) {
-                state = this.updateSystemStateRK4(state, infusionRateMgMin, this.settings.timeStep);
+                state = this.advanceState(state, currentRate / 60.0, this.settings.timeStep, method);
             }
         }
         
@@ -366,12 +330,12 @@ class ProtocolEngine {
         const performance = this.evaluateProtocolPerformance(timeSeriesData, dosageAdjustments);
         
         console.log("");
-        console.log("=== Performance Evaluation (RK4) ===");
-        console.log(`Final effect site concentration: ${performance.finalCe.toFixed(3)} μg/mL`);
-        console.log(`Average deviation: ${performance.avgDeviation.toFixed(4)} μg/mL`);
+        console.log(`=== Performance Evaluation (${SimulationMethodLabels[method]}) ===`);
+        console.log(`Final effect site concentration: ${performance.finalCe.toFixed(3)} ${this.concentrationUnit}`);
+        console.log(`Average deviation: ${performance.avgDeviation.toFixed(4)} ${this.concentrationUnit}`);
         console.log(`Target accuracy: ${performance.targetAccuracy.toFixed(1)}%`);
         console.log(`Total adjustments: ${performance.totalAdjustments}`);
-        console.log(`Maximum concentration: ${performance.maxCe.toFixed(3)} μg/mL`);
+        console.log(`Maximum concentration: ${performance.maxCe.toFixed(3)} ${this.concentrationUnit}`);
         
         return {
             timeSeriesData: timeSeriesData,
@@ -379,103 +343,48 @@ class ProtocolEngine {
             performance: performance,
             bolusDose: bolusDoseMg,
             initialContinuousRate: initialContinuousRate,
-            calculationMethod: 'Unified RK4'
+            calculationMethod: SimulationMethodLabels[method]
         };
     }
 
     /**
-     * Simulate bolus + continuous infusion for specific time using LSODA
+     * Simulate bolus + continuous infusion and return Ce at targetTime
      */
     simulateBolusAndContinuous(bolusDoseMg, continuousRate, targetTime) {
-        // Always use RK4 for now due to LSODA stability issues
-        // TODO: Fix LSODA implementation in future version
-        console.log('Using RK4 integration for protocol optimization');
-        return this.simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime);
-        
-        // LSODA implementation commented out temporarily
-        /*
-        if (typeof PKLSODASolver !== 'undefined') {
+        if (this.settings.simulationMethod === SimulationMethod.LSODA) {
             try {
                 return this.simulateBolusAndContinuousLSODA(bolusDoseMg, continuousRate, targetTime);
             } catch (error) {
                 console.warn('LSODA simulation failed, falling back to RK4:', error);
-                return this.simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime);
+                return this.simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime, SimulationMethod.RK4);
             }
-        } else {
-            console.warn('LSODA solver not available, using RK4');
-            return this.simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime);
         }
-        */
+        return this.simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime);
     }
 
     /**
-     * Simulate bolus + continuous infusion using LSODA solver
+     * Simulate bolus + continuous infusion using LSODA
+     * Only Ce at targetTime is needed, so the solver steps there without a time grid.
      */
     simulateBolusAndContinuousLSODA(bolusDoseMg, continuousRate, targetTime) {
         const solver = new PKLSODASolver();
+        solver.start(this.pkParams, 0, [bolusDoseMg, 0, 0, 0], continuousRate / 60.0, targetTime);
         
-        // Create time points
-        const timeStep = this.settings.timeStep;
-        const numSteps = Math.round(targetTime / timeStep);
-        const times = [];
-        for (let i = 0; i <= numSteps; i++) {
-            times.push(i * timeStep);
-        }
-        
-        // Create infusion rate array
-        const infusionRateMgMin = continuousRate / 60.0;
-        const infusionRates = times.map(() => infusionRateMgMin);
-        
-        // Create bolus events
-        const bolusEvents = bolusDoseMg > 0 ? [{ time: 0, amount: bolusDoseMg }] : [];
-        
-        // Solve using LSODA
-        const solution = solver.solve3Compartment(
-            this.pkParams,
-            times,
-            infusionRates,
-            bolusEvents,
-            [0, 0, 0] // Initial conditions
-        );
-        
-        // Extract final state
-        const finalState = solution.y[solution.y.length - 1];
-        const finalPlasmaConc = finalState[0] / this.pkParams.v1;
-        
-        // Calculate final effect site concentration using VHAC
-        const plasmaConcentrations = solution.y.map(state => state[0] / this.pkParams.v1);
-        const effectSiteConcentrations = calculateEffectSiteHybrid(
-            plasmaConcentrations,
-            times,
-            this.pkParams.ke0
-        );
-        
-        return effectSiteConcentrations[effectSiteConcentrations.length - 1];
+        const finalState = solver.stateAt(targetTime, targetTime);
+        return Math.max(0, finalState[3]);
     }
 
     /**
-     * Simulate bolus + continuous infusion using RK4 (fallback method)
+     * Simulate bolus + continuous infusion using the unified simulation core
      */
-    simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime) {
-        const bolusState = this.calculateBolusInitialConcentration(bolusDoseMg);
-        let state = { a1: bolusState.a1, a2: bolusState.a2, a3: bolusState.a3 };
-        let currentCe = bolusState.effectSiteConc;
-        
-        const infusionRateMgMin = continuousRate / 60.0;
-        const numSteps = Math.floor(targetTime / this.settings.timeStep);
-        
-        for (let i = 0; i < numSteps; i++) {
-            const plasmaConc = state.a1 / this.pkParams.v1;
-            
-            // Update effect site concentration
-            const dCedt = this.pkParams.ke0 * (plasmaConc - currentCe);
-            currentCe = currentCe + this.settings.timeStep * dCedt;
-            
-            // Update system state
-            state = this.updateSystemStateRK4(state, infusionRateMgMin, this.settings.timeStep);
-        }
+    simulateBolusAndContinuousRK4(bolusDoseMg, continuousRate, targetTime, method = this.settings.simulationMethod) {
+        const result = PKPDSimulationCore.simulate(
+            { pk: this.pkParams, pd: this.pdParams, model: this.model },
+            [new DoseEvent(0, bolusDoseMg, continuousRate)],
+            { duration: targetTime, timeStep: this.settings.timeStep, method: method }
+        );
         
-        return currentCe;
+        return result.effectSiteConcentrations[result.effectSiteConcentrations.length - 1];
     }
 
     /**
@@ -494,58 +403,25 @@ class ProtocolEngine {
     }
 
     /**
-     * 4th order Runge-Kutta integration for 3-compartment PK system
-     * Note: Effect-site concentration is calculated separately in protocol engine
+     * Advance the state with the configured simulation method
+     */
+    advanceState(state, infusionRateMgMin, dt, method = this.settings.simulationMethod) {
+        return PKPDSimulationCore.advance(state, this.pkParams, infusionRateMgMin, dt, method);
+    }
+
+    /**
+     * Unified RK4 method as per numerical-unification-guide.yml
+     * Delegates to PKPDSimulationCore (a1, a2, a3 and effect-site concentration)
      */
     updateSystemStateRK4(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.patient.pkParams;
-        
-        const derivatives = (s) => ({
-            da1dt: infusionRateMgMin - (k10 + k12 + k13) * s.a1 + k21 * s.a2 + k31 * s.a3,
-            da2dt: k12 * s.a1 - k21 * s.a2,
-            da3dt: k13 * s.a1 - k31 * s.a3
-        });
-        
-        // 4th order Runge-Kutta integration
-        const k1 = derivatives(state);
-        const k2 = derivatives({
-            a1: state.a1 + 0.5 * dt * k1.da1dt,
-            a2: state.a2 + 0.5 * dt * k1.da2dt,
-            a3: state.a3 + 0.5 * dt * k1.da3dt
-        });
-        const k3 = derivatives({
-            a1: state.a1 + 0.5 * dt * k2.da1dt,
-            a2: state.a2 + 0.5 * dt * k2.da2dt,
-            a3: state.a3 + 0.5 * dt * k2.da3dt
-        });
-        const k4 = derivatives({
-            a1: state.a1 + dt * k3.da1dt,
-            a2: state.a2 + dt * k3.da2dt,
-            a3: state.a3 + dt * k3.da3dt
-        });
-        
-        return {
-            a1: state.a1 + (dt / 6.0) * (k1.da1dt + 2*k2.da1dt + 2*k3.da1dt + k4.da1dt),
-            a2: state.a2 + (dt / 6.0) * (k1.da2dt + 2*k2.da2dt + 2*k3.da2dt + k4.da2dt),
-            a3: state.a3 + (dt / 6.0) * (k1.da3dt + 2*k2.da3dt + 2*k3.da3dt + k4.da3dt)
-        };
+        return PKPDSimulationCore.updateSystemStateRK4(state, this.patient.pkParams, infusionRateMgMin, dt);
     }
 
     /**
      * Unified Euler method for fallback
      */
     updateSystemStateEuler(state, infusionRateMgMin, dt) {
-        const { k10, k12, k21, k13, k31 } = this.patient.pkParams;
-        
-        const da1dt = infusionRateMgMin - (k10 + k12 + k13) * state.a1 + k21 * state.a2 + k31 * state.a3;
-        const da2dt = k12 * state.a1 - k21 * state.a2;
-        const da3dt = k13 * state.a1 - k31 * state.a3;
-        
-        return {
-            a1: state.a1 + dt * da1dt,
-            a2: state.a2 + dt * da2dt,
-            a3: state.a3 + dt * da3dt
-        };
+        return PKPDSimulationCore.updateSystemStateEuler(state, this.patient.pkParams, infusionRateMgMin, dt);
     }
 
     /**
@@ -617,7 +493,7 @@ class ProtocolEngine {
         schedule.push({
             time: 0,
             action: 'Bolus',
-            dose: `${bolusDoseMg.toFixed(1)} mg`,
+            dose: `${bolusDoseMg.toFixed(1)} ${this.dosingUnits.amount}`,
             rate: '-',
             comment: 'Initial bolus administration'
         });
@@ -627,7 +503,7 @@ class ProtocolEngine {
             time: 0,
             action: 'Start Continuous',
             dose: '-',
-            rate: `${continuousRate.toFixed(0)} mg/hr`,
+            rate: `${continuousRate.toFixed(0)} ${this.dosingUnits.rate}`,
             comment: 'Begin continuous infusion'
         });
         
@@ -638,8 +514,8 @@ class ProtocolEngine {
                     time: Math.round(adj.time),
                     action: 'Rate Adjustment',
                     dose: '-',
-                    rate: `${adj.newRate.toFixed(0)} mg/hr`,
-                    comment: `Reduce rate (Ce: ${adj.ceAtEvent.toFixed(2)} μg/mL)`
+                    rate: `${adj.newRate.toFixed(0)} ${this.dosingUnits.rate}`,
+                    comment: `Reduce rate (Ce: ${adj.ceAtEvent.toFixed(2)} ${this.concentrationUnit})`
                 });
             });
         }
@@ -679,6 +555,10 @@ class ProtocolEngine {
         };
     }
 
+    getOptimizationHistory() {
+        return this.optimizationHistory;
+    }
+
     /**
      * Get chart data for visualization
      */
@@ -7,8 +7,54 @@
  * - Eleveld interface compatibility
  * - Appropriate remimazolam-specific defaults
  * - Clinical safety parameters
+ * - Remimazolam validation limits and induction/protocol dosing defaults
  */
 
+// Adult-only model; doses are far smaller than propofol (mg, mg/hr, µg/mL)
+const RemimazolamValidationLimits = {
+    ...ValidationLimits,
+    Patient: {
+        ...ValidationLimits.Patient,
+        minimumAge: 18,
+        minimumWeight: 30.0,
+        minimumHeight: 120.0
+    },
+    
+    Dosing: {
+        ...ValidationLimits.Dosing,
+        maximumBolus: 100.0,          // mg
+        maximumContinuous: 1000.0,    // mg/hr (12 mg/kg/hr induction for ~80 kg)
+        maximumPumpRate: 1200.0,      // mg/hr a TCI pump may deliver (1200 mL/hr of 1 mg/mL)
+        maximumTargetConcentration: 4.0
+    },
+    
+    Induction: {
+        minimumBolusRange: 0.0,
+        maximumBolusRange: 50.0,      // mg
+        minimumContinuousRange: 0.0,
+        maximumContinuousRange: 300.0 // mg/hr
+    }
+};
+
+const RemimazolamDosingDefaults = {
+    induction: {
+        bolus: 12,           // mg
+        bolusStep: 1,
+        continuous: 60,      // mg/hr (~1 mg/kg/hr maintenance)
+        continuousStep: 5
+    },
+    protocol: {
+        targetCe: 1.0,       // µg/mL
+        targetMin: 0.2,
+        targetMax: 3.0,
+        targetStep: 0.1,
+        bolus: 12,           // mg
+        safetyMargin: 0.3,   // µg/mL added to LOC Ce
+        locGamma: 1.4,       // LOC slope; the Masui model has no separate one, so its PD slope is used
+        rateScale: 0.1       // Maintenance rates are roughly a tenth of propofol's
+    }
+};
+
 class RemimazolamPKPDCalculator {
     
     /**
@@ -108,16 +154,7 @@ class RemimazolamPKPDCalculator {
      * Validate calculated parameters for remimazolam
      */
     static validateParameters(params) {
-        const errors = [];
-        
-        // Check PK parameters
-        if (params.pk.v1 <= 0) errors.push("V1 must be positive");
-        if (params.pk.v2 <= 0) errors.push("V2 must be positive");
-        if (params.pk.v3 <= 0) errors.push("V3 must be positive");
-        if (params.pk.cl <= 0) errors.push("CL must be positive");
-        if (params.pk.q2 <= 0) errors.push("Q2 must be positive");
-        if (params.pk.q3 <= 0) errors.push("Q3 must be positive");
-        if (params.pk.ke0 <= 0) errors.push("ke0 must be positive");
+        const errors = validatePositivePK(params);
         
         // Check PD parameters
         if (params.pd.ce50 <= 0) errors.push("Ce50 must be positive");
@@ -148,14 +185,7 @@ class RemimazolamPKPDCalculator {
         console.log(`Patient: ${patient.age}y, ${patient.weight}kg, ${patient.height}cm, ${SexType.displayName(patient.sex)}`);
         console.log(`ASA-PS: ${AsapsType.displayName(patient.asaPS)}`);
         console.log("");
-        console.log("PK Parameters:");
-        console.log(`  V1: ${params.pk.v1.toFixed(3)} L`);
-        console.log(`  V2: ${params.pk.v2.toFixed(3)} L`);
-        console.log(`  V3: ${params.pk.v3.toFixed(3)} L`);
-        console.log(`  CL: ${params.pk.cl.toFixed(3)} L/min`);
-        console.log(`  Q2: ${params.pk.q2.toFixed(3)} L/min`);
-        console.log(`  Q3: ${params.pk.q3.toFixed(3)} L/min`);
-        console.log(`  ke0: ${params.pk.ke0.toFixed(4)} min⁻¹`);
+        printPKParameters(params.pk, { ke0Digits: 4 });
         console.log("");
         console.log("PD Parameters:");
         console.log(`  Ce50: ${params.pd.ce50.toFixed(3)} µg/mL`);
@@ -172,11 +202,37 @@ class RemimazolamPKPDCalculator {
     }
 }
 
+// Register with the PK/PD model registry
+if (typeof PKPDModelRegistry !== 'undefined') {
+    PKPDModelRegistry.register({
+        id: 'masui-remimazolam',
+        drug: 'remimazolam',
+        displayName: 'Masui (Remimazolam)',
+        shortName: 'Masui',
+        description: 'Masui et al. remimazolam PK with ke0 derived from time to peak effect',
+        covariates: [
+            ModelCovariates.AGE,
+            ModelCovariates.WEIGHT,
+            ModelCovariates.HEIGHT,
+            ModelCovariates.SEX,
+            ModelCovariates.ASA_PS
+        ],
+        validationLimits: RemimazolamValidationLimits,
+        dosingDefaults: RemimazolamDosingDefaults,
+        getModelParameters: (patient) => RemimazolamPKPDCalculator.getModelParameters(patient),
+        calculateBIS: (ce, pdParams) => RemimazolamPKPDCalculator.calculateBIS(ce, pdParams),
+        validateParameters: (params) => RemimazolamPKPDCalculator.validateParameters(params),
+        printParameters: (patient, params) => RemimazolamPKPDCalculator.printParameters(patient, params)
+    });
+}
+
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.RemimazolamPKPDCalculator = RemimazolamPKPDCalculator;
+    window.RemimazolamValidationLimits = RemimazolamValidationLimits;
+    window.RemimazolamDosingDefaults = RemimazolamDosingDefaults;
 }
 
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { RemimazolamPKPDCalculator };
+    module.exports = { RemimazolamPKPDCalculator, RemimazolamValidationLimits, RemimazolamDosingDefaults };
 }
\ No newline at end of file
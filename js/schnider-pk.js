@@ -0,0 +1,157 @@
+/**
+ * Schnider Propofol PK Calculator
+ * Schnider プロポフォール薬物動態モデル
+ *
+ * Features:
+ * - Schnider et al. (Anesthesiology 1998) three-compartment model, ke0 0.456 /min
+ * - Covariates: age, total body weight, height and James lean body mass
+ * - Guard against the James LBM paradox in obese patients
+ * - Same interface as EleveldPKPDCalculator for the model registry
+ *
+ * The James equation is a parabola in weight: above a certain weight for a
+ * given height the calculated LBM falls again and eventually goes negative,
+ * which would increase CL in heavier patients. LBM is therefore held at the
+ * parabola's maximum for weights beyond it. BIS is not predicted.
+ */
+
+const SchniderModelConstants = {
+    v1: 4.27,        // L
+    v2_ref: 18.9,    // L
+    v2_age: -0.391,  // L per year from 53
+    v3: 238,         // L
+    cl_ref: 1.89,    // L/min
+    cl_weight: 0.0456,  // per kg from 77
+    cl_lbm: -0.0681,    // per kg from 59
+    cl_height: 0.0264,  // per cm from 177
+    q2_ref: 1.29,    // L/min
+    q2_age: -0.024,  // L/min per year from 53
+    q3: 0.836,       // L/min
+    ke0: 0.456,      // min^-1
+
+    age_ref: 53,     // years
+    weight_ref: 77,  // kg
+    lbm_ref: 59,     // kg
+    height_ref: 177, // cm
+
+    // James lean body mass equation: LBM = a * W - b * (W / H)^2
+    james_male: { a: 1.1, b: 128 },
+    james_female: { a: 1.07, b: 148 }
+};
+
+// Adult-only model (Diprifusor-era pumps, minimum age 16 years)
+const SchniderValidationLimits = {
+    ...ValidationLimits,
+    Patient: {
+        ...ValidationLimits.Patient,
+        minimumAge: 16
+    }
+};
+
+class SchniderPKCalculator {
+
+    /**
+     * James lean body mass (kg) with the obesity paradox guard
+     * @returns {Object} { lbm, rawLbm, guardApplied }
+     */
+    static calculateLBM(weight, height, sex) {
+        const c = sex === SexType.MALE ? SchniderModelConstants.james_male : SchniderModelConstants.james_female;
+
+        const rawLbm = c.a * weight - c.b * Math.pow(weight / height, 2);
+
+        // Weight at which dLBM/dW = 0; beyond it James LBM decreases with weight
+        const peakWeight = (c.a * height * height) / (2 * c.b);
+        const guardApplied = weight > peakWeight;
+        const lbm = guardApplied
+            ? c.a * peakWeight - c.b * Math.pow(peakWeight / height, 2)
+            : rawLbm;
+
+        return {
+            lbm: lbm,
+            rawLbm: rawLbm,
+            guardApplied: guardApplied
+        };
+    }
+
+    static getModelParameters(patient) {
+        const c = SchniderModelConstants;
+        const lbmResult = this.calculateLBM(patient.weight, patient.height, patient.sex);
+
+        if (lbmResult.guardApplied) {
+            console.warn(`Schnider: James LBM paradox guard applied (raw LBM ${lbmResult.rawLbm.toFixed(1)} kg, using ${lbmResult.lbm.toFixed(1)} kg)`);
+        }
+
+        const v2 = c.v2_ref + c.v2_age * (patient.age - c.age_ref);
+        const cl = c.cl_ref
+            + c.cl_weight * (patient.weight - c.weight_ref)
+            + c.cl_lbm * (lbmResult.lbm - c.lbm_ref)
+            + c.cl_height * (patient.height - c.height_ref);
+        const q2 = c.q2_ref + c.q2_age * (patient.age - c.age_ref);
+
+        const pk = new PKParameters(c.v1, v2, c.v3, cl, q2, c.q3, c.ke0);
+
+        return {
+            pk: pk,
+            pd: null,
+            lbm: lbmResult.lbm,
+            lbmGuardApplied: lbmResult.guardApplied
+        };
+    }
+
+    /**
+     * Schnider is used as a PK/ke0 model only; no BIS prediction
+     */
+    static calculateBIS(ce, pdParams) {
+        return null;
+    }
+
+    static validateParameters(params) {
+        const errors = validatePositivePK(params);
+        if (params.lbm <= 0) errors.push("Lean body mass must be positive");
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static printParameters(patient, params) {
+        console.log("=== Schnider Model Parameters ===");
+        console.log(`Patient: ${patient.age}y, ${patient.weight}kg, ${patient.height}cm, ${SexType.displayName(patient.sex)}`);
+        console.log(`LBM (James): ${params.lbm.toFixed(3)} kg${params.lbmGuardApplied ? ' (obesity guard applied)' : ''}`);
+        console.log("");
+        printPKParameters(params.pk);
+    }
+}
+
+// Register with the PK/PD model registry
+if (typeof PKPDModelRegistry !== 'undefined') {
+    PKPDModelRegistry.register({
+        id: 'schnider',
+        drug: 'propofol',
+        displayName: 'Schnider (Propofol)',
+        shortName: 'Schnider',
+        description: 'Schnider et al. Anesthesiology 1998 propofol model with James LBM, ke0 0.456 min⁻¹ (no BIS prediction)',
+        covariates: [
+            ModelCovariates.AGE,
+            ModelCovariates.WEIGHT,
+            ModelCovariates.HEIGHT,
+            ModelCovariates.SEX
+        ],
+        validationLimits: SchniderValidationLimits,
+        getModelParameters: (patient) => SchniderPKCalculator.getModelParameters(patient),
+        calculateBIS: (ce, pdParams) => SchniderPKCalculator.calculateBIS(ce, pdParams),
+        validateParameters: (params) => SchniderPKCalculator.validateParameters(params),
+        printParameters: (patient, params) => SchniderPKCalculator.printParameters(patient, params)
+    });
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SchniderPKCalculator = SchniderPKCalculator;
+    window.SchniderModelConstants = SchniderModelConstants;
+    window.SchniderValidationLimits = SchniderValidationLimits;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SchniderPKCalculator, SchniderModelConstants, SchniderValidationLimits };
+}
@@ -0,0 +1,263 @@
+/**
+ * Simulation Transfer for Background Calculations
+ * バックグラウンド計算用のエンジン状態転送
+ *
+ * Features:
+ * - Encodes engine state and results for postMessage and restores them with their classes
+ *   (Patient, DoseEvent, SimulationResult, ProtocolResult, ...), so a result computed in a
+ *   Web Worker is the same kind of object as one computed on the main thread
+ * - Registered PK/PD models travel by id and resolve to the receiving side's registry entry
+ * - Objects referenced twice (e.g. SimulationResult.patient and MonitoringEngine.patient)
+ *   stay one object after decoding; named shared objects map onto the receiver's own copy
+ * - execute() runs a list of engine method calls with progress reporting; the worker and
+ *   the main-thread fallback both use it
+ * - Only result fields come back from the worker, so doses, patient and settings changed
+ *   on the page while a run is in progress are kept
+ *
+ * Encoded nodes: primitives and Dates as they are, otherwise
+ *   { __type: 'object', ref, className, fields } | { __type: 'array', ref, items }
+ *   { __type: 'ref', ref } | { __type: 'model', id } | { __type: 'shared', name }
+ */
+
+// Classes restored with their prototype; others decode as plain objects
+const SimulationTransferClasses = () => ({
+    Patient, DoseEvent, RemifentanilDoseEvent, DexmedetomidineDoseEvent,
+    BISObservation, PlasmaConcentrationObservation, PKParameters, PDParameters,
+    SystemState, TimePoint, SimulationResult, ProtocolResult
+});
+
+// Engines that can run in the background, by class name
+const SimulationTransferEngines = () => ({
+    AdvancedProtocolEngine, MonitoringEngine
+});
+
+// Engine fields a background run produces; applyReply copies back only these
+const SimulationTransferResultFields = {
+    AdvancedProtocolEngine: ['lastResult', 'optimizationHistory'],
+    MonitoringEngine: ['lastSimulationResult', 'lastMonteCarloResult', 'lastComparisonResult', 'populationPrediction']
+};
+
+class SimulationTransfer {
+
+    /**
+     * @param {*} value - Value to encode (functions are dropped)
+     * @param {Object} shared - { name: object } encoded by name instead of by value
+     */
+    static encode(value, shared = {}) {
+        const classes = SimulationTransferClasses();
+        const sharedNames = new Map(Object.keys(shared).map(name => [shared[name], name]));
+        const refs = new Map();
+
+        const encodeValue = (item) => {
+            if (item === null || typeof item !== 'object') {
+                return typeof item === 'function' ? undefined : item;
+            }
+            if (this.isDate(item)) {
+                return new Date(item.getTime());
+            }
+            if (sharedNames.has(item)) {
+                return { __type: 'shared', name: sharedNames.get(item) };
+            }
+            if (this.isRegisteredModel(item)) {
+                return { __type: 'model', id: item.id };
+            }
+            if (refs.has(item)) {
+                return { __type: 'ref', ref: refs.get(item) };
+            }
+
+            const ref = refs.size;
+            refs.set(item, ref);
+
+            if (Array.isArray(item)) {
+                return { __type: 'array', ref: ref, items: item.map(encodeValue) };
+            }
+
+            const className = item.constructor && item.constructor !== Object &&
+                classes[item.constructor.name] === item.constructor
+                ? item.constructor.name
+                : null;
+            const fields = {};
+            Object.keys(item).forEach(key => {
+                const encoded = encodeValue(item[key]);
+                if (encoded !== undefined) fields[key] = encoded;
+            });
+            return { __type: 'object', ref: ref, className: className, fields: fields };
+        };
+
+        return encodeValue(value);
+    }
+
+    /**
+     * @param {*} encoded - Output of encode()
+     * @param {Object} shared - { name: object } substituted for shared nodes
+     */
+    static decode(encoded, shared = {}) {
+        const classes = SimulationTransferClasses();
+        const refs = new Map();
+
+        const decodeValue = (node) => {
+            if (node === null || typeof node !== 'object' || this.isDate(node)) {
+                return node;
+            }
+
+            switch (node.__type) {
+                case 'shared':
+                    if (!(node.name in shared)) {
+                        throw new Error(`No shared object named ${node.name}`);
+                    }
+                    return shared[node.name];
+                case 'model':
+                    return PKPDModelRegistry.get(node.id);
+                case 'ref':
+                    return refs.get(node.ref);
+                case 'array': {
+                    const items = [];
+                    refs.set(node.ref, items);
+                    node.items.forEach(item => items.push(decodeValue(item)));
+                    return items;
+                }
+                case 'object': {
+                    const target = node.className && classes[node.className]
+                        ? Object.create(classes[node.className].prototype)
+                        : {};
+                    refs.set(node.ref, target);
+                    Object.keys(node.fields).forEach(key => {
+                        target[key] = decodeValue(node.fields[key]);
+                    });
+                    return target;
+                }
+                default:
+                    throw new Error(`Unknown transfer node: ${node.__type}`);
+            }
+        };
+
+        return decodeValue(encoded);
+    }
+
+    // Works for Dates from another realm (e.g. the Node test contexts), unlike instanceof
+    static isDate(value) {
+        return Object.prototype.toString.call(value) === '[object Date]';
+    }
+
+    static isRegisteredModel(value) {
+        return typeof value.id === 'string' &&
+            PKPDModelRegistry.has(value.id) &&
+            PKPDModelRegistry.get(value.id) === value;
+    }
+
+    /**
+     * Own fields of an engine, without the progress listener
+     */
+    static engineState(engine) {
+        const state = {};
+        Object.keys(engine).forEach(key => {
+            if (key !== 'progressListener') state[key] = engine[key];
+        });
+        return state;
+    }
+
+    /**
+     * Message that recreates the engine elsewhere and runs the calls there
+     * @param {Object} engine - AdvancedProtocolEngine or MonitoringEngine
+     * @param {Array} calls - [{ method, args, weight }]
+     */
+    static createRequest(engine, calls) {
+        const engineClass = engine.constructor.name;
+        if (SimulationTransferEngines()[engineClass] !== engine.constructor) {
+            throw new Error(`${engineClass} cannot run in the background`);
+        }
+
+        return {
+            engineClass: engineClass,
+            customModels: typeof CustomPKPDModel !== 'undefined' ? CustomPKPDModel.exportJSON() : '[]',
+            state: this.encode(this.engineState(engine)),
+            calls: calls.map(call => ({ method: call.method, args: call.args || [], weight: call.weight || 1 }))
+        };
+    }
+
+    /**
+     * Result fields of an engine after a run
+     */
+    static resultState(engine) {
+        const state = {};
+        (SimulationTransferResultFields[engine.constructor.name] || []).forEach(key => {
+            state[key] = engine[key];
+        });
+        return state;
+    }
+
+    /**
+     * Run a request's calls on an engine; the reply carries the engine's result fields afterwards
+     * @param {Object} request - createRequest() output
+     * @param {Function} onProgress - Called with the overall fraction done (0-1)
+     * @returns {Object} Reply { state, results } for applyReply()
+     */
+    static runRequest(request, onProgress = () => {}) {
+        // Parameter sets the user registered on the main thread (replacing an earlier request's copy)
+        if (typeof CustomPKPDModel !== 'undefined' && request.customModels && request.customModels !== '[]') {
+            CustomPKPDModel.importJSON(request.customModels, { replace: true });
+        }
+
+        const EngineClass = SimulationTransferEngines()[request.engineClass];
+        if (!EngineClass) {
+            throw new Error(`Unknown engine: ${request.engineClass}`);
+        }
+        const engine = new EngineClass();
+        Object.assign(engine, this.decode(request.state));
+
+        const results = this.execute(engine, request.calls, onProgress);
+        const shared = engine.patient ? { patient: engine.patient } : {};
+        return this.encode({ state: this.resultState(engine), results: results }, shared);
+    }
+
+    /**
+     * Copy the reply's result fields onto the original engine
+     * @param {Object} patient - Patient the request was made with (results refer to it)
+     * @returns {Array} Decoded return values of the calls
+     */
+    static applyReply(engine, reply, patient = engine.patient) {
+        const shared = patient ? { patient: patient } : {};
+        const decoded = this.decode(reply, shared);
+        Object.assign(engine, decoded.state);
+        return decoded.results;
+    }
+
+    /**
+     * Call engine methods in order, reporting progress weighted by each call's weight
+     * @returns {Array} Return value of each call
+     */
+    static execute(engine, calls, onProgress = () => {}) {
+        const totalWeight = calls.reduce((sum, call) => sum + (call.weight || 1), 0);
+        const results = [];
+        let completedWeight = 0;
+
+        try {
+            calls.forEach(call => {
+                if (typeof engine[call.method] !== 'function') {
+                    throw new Error(`${engine.constructor.name} has no method ${call.method}`);
+                }
+                const weight = call.weight || 1;
+                engine.progressListener = (fraction) => {
+                    onProgress((completedWeight + weight * Math.min(1, Math.max(0, fraction))) / totalWeight);
+                };
+
+                results.push(engine[call.method](...(call.args || [])));
+                completedWeight += weight;
+                onProgress(completedWeight / totalWeight);
+            });
+        } finally {
+            engine.progressListener = null;
+        }
+
+        return results;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SimulationTransfer = SimulationTransfer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationTransfer };
+}
@@ -0,0 +1,153 @@
+/**
+ * Simulation Worker Client
+ * バックグラウンド計算クライアント（Web Worker）
+ *
+ * Features:
+ * - Runs engine methods (protocol optimisation, monitoring runs) in js/simulation-worker.js
+ *   so the page stays responsive
+ * - Progress callback and cancel(); a cancelled run leaves the engine unchanged
+ * - On completion the engine holds the worker's results (lastResult, lastSimulationResult, ...)
+ *   and the promise resolves with the same result objects a direct call returns; doses or
+ *   settings changed on the engine during the run are left as they are
+ * - Falls back to a direct call on the main thread where workers are unavailable
+ *   (e.g. index.html opened from file://); that run cannot be cancelled
+ */
+
+const SIMULATION_WORKER_URL = 'js/simulation-worker.js';
+
+class SimulationWorkerClient {
+    constructor(workerUrl = SIMULATION_WORKER_URL) {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.job = null;          // { id, resolve, reject, onProgress } of the running calculation
+        this.nextJobId = 1;
+        this.workersAvailable = typeof Worker !== 'undefined';
+    }
+
+    get isBusy() {
+        return this.job !== null;
+    }
+
+    /**
+     * Run engine methods in the background
+     * @param {Object} engine - AdvancedProtocolEngine or MonitoringEngine
+     * @param {Array} calls - [{ method, args, weight }] run in order on one engine copy
+     * @param {Object} options - { onProgress(fraction) }
+     * @returns {Promise<Array>} Return value of each call
+     */
+    run(engine, calls, options = {}) {
+        if (this.isBusy) {
+            return Promise.reject(new Error('A calculation is already running'));
+        }
+        const onProgress = options.onProgress || (() => {});
+
+        const worker = this.workersAvailable ? this.ensureWorker() : null;
+        if (!worker) {
+            return this.runOnMainThread(engine, calls, onProgress);
+        }
+
+        const patient = engine.patient;
+        let request;
+        try {
+            request = SimulationTransfer.createRequest(engine, calls);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return new Promise((resolve, reject) => {
+            const id = this.nextJobId++;
+            this.job = {
+                id: id,
+                onProgress: onProgress,
+                resolve: (reply) => {
+                    try {
+                        resolve(SimulationTransfer.applyReply(engine, reply, patient));
+                    } catch (error) {
+                        reject(error);
+                    }
+                },
+                reject: reject
+            };
+            worker.postMessage({ id: id, request: request });
+        });
+    }
+
+    runOnMainThread(engine, calls, onProgress) {
+        console.log('Web Worker unavailable; calculating on the main thread');
+        try {
+            return Promise.resolve(SimulationTransfer.execute(engine, calls, onProgress));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    ensureWorker() {
+        if (this.worker) return this.worker;
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('Web Worker could not be started:', error.message);
+            this.workersAvailable = false;
+            return null;
+        }
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.finishJob().reject(new Error(event.message || 'Background calculation failed'));
+            this.terminate();
+        };
+        return this.worker;
+    }
+
+    handleMessage(message) {
+        if (!this.job || message.id !== this.job.id) return;
+
+        switch (message.type) {
+            case 'progress':
+                this.job.onProgress(message.fraction);
+                break;
+            case 'done':
+                this.finishJob().resolve(message.reply);
+                break;
+            case 'error':
+                this.finishJob().reject(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Stop the running calculation; its promise rejects with error.cancelled = true
+     */
+    cancel() {
+        if (!this.job) return;
+
+        this.terminate();
+        const error = new Error('Calculation cancelled');
+        error.cancelled = true;
+        this.finishJob().reject(error);
+        console.log('Background calculation cancelled');
+    }
+
+    finishJob() {
+        const job = this.job || { resolve: () => {}, reject: () => {} };
+        this.job = null;
+        return job;
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SimulationWorkerClient = SimulationWorkerClient;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationWorkerClient };
+}
@@ -0,0 +1,41 @@
+/**
+ * Simulation Web Worker
+ * プロトコール最適化・長時間シミュレーション用ワーカー
+ *
+ * Features:
+ * - Loads the calculation scripts listed in js/app-scripts.js (index.html's order, without the UI)
+ * - Recreates the engine from the main thread's state and runs the requested calls
+ * - Posts progress while calculating, then the engine's result fields and the call results
+ *
+ * Messages in:  { id, request }            (SimulationTransfer.createRequest)
+ * Messages out: { id, type: 'progress', fraction }
+ *               { id, type: 'done', reply } (SimulationTransfer.applyReply)
+ *               { id, type: 'error', message }
+ * Cancelling terminates the worker (SimulationWorkerClient.cancel).
+ */
+
+// Engine logging stays on the main thread's console only
+console.log = () => {};
+
+importScripts('app-scripts.js');
+importScripts(...AppScripts.calculation.map(src => '../' + src));
+
+// Progress messages at most every 1%
+const PROGRESS_STEP = 0.01;
+
+self.onmessage = (event) => {
+    const { id, request } = event.data;
+    let lastReported = -1;
+
+    try {
+        const reply = SimulationTransfer.runRequest(request, (fraction) => {
+            if (fraction - lastReported >= PROGRESS_STEP || fraction >= 1) {
+                lastReported = fraction;
+                self.postMessage({ id: id, type: 'progress', fraction: fraction });
+            }
+        });
+        self.postMessage({ id: id, type: 'done', reply: reply });
+    } catch (error) {
+        self.postMessage({ id: id, type: 'error', message: error.message });
+    }
+};
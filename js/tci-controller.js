@@ -0,0 +1,333 @@
+/**
+ * Effect-Site Targeted TCI Controller
+ * 効果部位濃度目標TCIコントローラー（Shafer & Gregg法）
+ *
+ * Features:
+ * - Recomputes the pump rate every update interval (10 s) like an effect-site TCI pump
+ * - Shafer & Gregg (1992) rate: the largest rate over the next interval whose predicted
+ *   Ce peak does not exceed the target, from the free decay of the current state plus the
+ *   superposed Ce response to a unit infusion over one interval
+ * - Optional plasma limit (settings.limitPlasma, off by default; not part of Shafer & Gregg):
+ *   once Ce is at the target the rate is also limited so Cp does not exceed it, which
+ *   stops the pump alternating high and low rates during maintenance
+ * - Fixed target or a target that changes over time (piecewise constant)
+ * - Pump rate limited to the pump's maximum (the model's Dosing.maximumPumpRate, e.g.
+ *   1200 mL/hr of 1% propofol) and rounded down to the pump's rate resolution
+ * - Pump profile (rate changes only) as pump-controlled DoseEvents for the monitoring step
+ *
+ * Predictions use the closed-form AnalyticalPKPDSolver, so Ce between updates is exact
+ * for the piecewise-constant rates the pump delivers.
+ *
+ * Reference: Shafer SL, Gregg KM. Algorithms to rapidly achieve and maintain stable drug
+ * concentrations at the site of drug effect with a computer-controlled infusion pump.
+ * J Pharmacokinet Biopharm 1992;20:147-169.
+ */
+
+class EffectSiteTCIController {
+    constructor() {
+        this.patient = null;
+        this.pkParams = null;
+        this.pdParams = null;
+        this.model = null;
+        this.settings = {
+            updateInterval: 10 / 60,       // 10 seconds between rate updates (minutes)
+            predictionHorizon: 10.0,       // Minutes of Ce prediction searched for the peak
+            duration: 120,                 // Minutes of pump operation
+            maximumRate: null,             // Model's rate unit; null = model's pump limit (Dosing.maximumPumpRate)
+            rateResolution: 1.0,           // Pump rate step, propofol mg/hr scaled by the model's rateScale
+            targetTolerance: 0.05,         // ±5% of target: time to target and start of maintenance
+            limitPlasma: false             // Also keep Cp at or below the target once Ce reaches it
+        };
+        this.unitResponse = null;  // Ce after one interval of 1 amount unit/min, per horizon step
+        this.lastResult = null;
+    }
+
+    setPatient(patient) {
+        this.patient = patient;
+
+        const modelParams = PKPDSimulationCore.calculateModelParameters(patient);
+        this.pkParams = PKPDSimulationCore.toRateConstants(modelParams.pk);
+        this.pdParams = modelParams.pd;
+        this.model = modelParams.model;
+        this.unitResponse = null;
+        console.log('Effect-site TCI controller: Patient set', patient.id);
+    }
+
+    updateSettings(newSettings) {
+        this.settings = { ...this.settings, ...newSettings };
+        this.unitResponse = null;
+        console.log('TCI settings updated:', this.settings);
+    }
+
+    get maximumRate() {
+        if (this.settings.maximumRate !== null) return this.settings.maximumRate;
+        return this.model.validationLimits.Dosing.maximumPumpRate;
+    }
+
+    get dosingUnits() {
+        return this.model.dosingUnits;
+    }
+
+    get rateResolution() {
+        return this.settings.rateResolution * this.model.dosingDefaults.protocol.rateScale;
+    }
+
+    /**
+     * Target schedule from a fixed target or a list of target changes
+     * @param {number|Array} target - Ce, or [{ time, targetCe }] (the first change must be at 0)
+     * @returns {Array} [{ time, targetCe }] sorted by time
+     */
+    static normalizeTargetSchedule(target) {
+        const schedule = typeof target === 'number'
+            ? [{ time: 0, targetCe: target }]
+            : (target || []).map(entry => ({ time: entry.time, targetCe: entry.targetCe }))
+                .sort((a, b) => a.time - b.time);
+
+        if (schedule.length === 0 || schedule[0].time !== 0) {
+            throw new Error('Target schedule must start at time 0');
+        }
+        schedule.forEach(entry => {
+            if (!(entry.time >= 0) || !(entry.targetCe >= 0)) {
+                throw new Error(`Invalid target change: ${entry.targetCe} at ${entry.time} min`);
+            }
+        });
+        return schedule;
+    }
+
+    /**
+     * Target changes entered as "time=Ce" pairs, e.g. "30=2.5, 60=3.5"
+     * @param {string} text - Changes after the start (may be empty)
+     * @param {number} initialTarget - Target Ce from time 0
+     */
+    static parseTargetSchedule(text, initialTarget) {
+        const changes = (text || '').split(/[,;\n]/)
+            .map(part => part.trim())
+            .filter(part => part !== '')
+            .map(part => {
+                const match = part.match(/^(\d+(?:\.\d+)?)\s*(?:min)?\s*[=:]\s*(\d+(?:\.\d+)?)$/);
+                if (!match) {
+                    throw new Error(`Target change "${part}" must be written as time=Ce (e.g. 30=2.5)`);
+                }
+                return { time: parseFloat(match[1]), targetCe: parseFloat(match[2]) };
+            });
+
+        return this.normalizeTargetSchedule([
+            { time: 0, targetCe: initialTarget },
+            ...changes.filter(change => change.time > 0)
+        ]);
+    }
+
+    static targetAt(schedule, time) {
+        let targetCe = schedule[0].targetCe;
+        schedule.forEach(entry => {
+            if (entry.time <= time + SIMULATION_TIME_EPSILON) targetCe = entry.targetCe;
+        });
+        return targetCe;
+    }
+
+    /**
+     * Ce over the prediction horizon after one update interval of 1 amount unit/min from zero,
+     * at the end of each interval (index 0 = end of the infusion interval)
+     */
+    getUnitResponse() {
+        if (this.unitResponse) return this.unitResponse;
+
+        const solver = PKPDSimulationCore.analyticalSolver(this.pkParams);
+        const dt = this.settings.updateInterval;
+        const steps = Math.max(1, Math.round(this.settings.predictionHorizon / dt));
+        const response = [];
+
+        let state = solver.advance(PKPDSimulationCore.createInitialState(), 1.0, dt);
+        response.push(state.ce);
+        for (let i = 1; i < steps; i++) {
+            state = solver.advance(state, 0.0, dt);
+            response.push(state.ce);
+        }
+
+        this.unitResponse = response;
+        return response;
+    }
+
+    /**
+     * Cp at the end of one update interval of 1 amount unit/min from zero
+     */
+    getUnitPlasmaResponse() {
+        const solver = PKPDSimulationCore.analyticalSolver(this.pkParams);
+        return solver.advance(PKPDSimulationCore.createInitialState(), 1.0, this.settings.updateInterval).a1 / this.pkParams.v1;
+    }
+
+    /**
+     * Shafer & Gregg rate for the next interval
+     * With superposition Ce(t) = free(t) + R·unit(t), the largest R keeping every predicted
+     * Ce at or below the target is min over t of (target - free(t)) / unit(t); this is the
+     * rate at which the predicted peak equals the target.
+     * @param {Object} state - Current { a1, a2, a3, ce }
+     * @param {number} targetCe - Target effect-site concentration
+     * @returns {number} Rate (model's dosingUnits.rate), limited and rounded down to the pump resolution
+     */
+    calculateRate(state, targetCe) {
+        const solver = PKPDSimulationCore.analyticalSolver(this.pkParams);
+        const unit = this.getUnitResponse();
+        const dt = this.settings.updateInterval;
+
+        let rateMgMin = Infinity;
+        let free = state;
+        for (let i = 0; i < unit.length && rateMgMin > 0; i++) {
+            free = solver.advance(free, 0.0, dt);
+            if (unit[i] > 0) {
+                rateMgMin = Math.min(rateMgMin, (targetCe - free.ce) / unit[i]);
+            }
+        }
+
+        // At the target, hold Cp there too; peak targeting alone alternates high and low
+        // rates because the binding prediction flips between the next update and later ones
+        if (this.settings.limitPlasma && state.ce >= (1 - this.settings.targetTolerance) * targetCe) {
+            const freePlasma = solver.advance(state, 0.0, dt).a1 / this.pkParams.v1;
+            const unitPlasma = this.getUnitPlasmaResponse();
+            rateMgMin = Math.min(rateMgMin, (targetCe - freePlasma) / unitPlasma);
+        }
+
+        const rateMgHr = Math.min(this.maximumRate, Math.max(0, rateMgMin * 60.0));
+        const resolution = this.rateResolution;
+        const steps = Math.floor(rateMgHr / resolution + 1e-9);
+        return Math.round(steps * resolution * 1e6) / 1e6;
+    }
+
+    /**
+     * Run the controller from an empty patient
+     * @param {number|Array} target - Fixed Ce or [{ time, targetCe }] target changes
+     * @param {number} duration - Minutes (default settings.duration)
+     * @returns {Object} { targetSchedule, timeSeriesData, pumpProfile, totalDoseMg,
+     *   maximumRateUsed, timeToTarget, updateInterval }
+     */
+    run(target, duration = null) {
+        if (!this.patient || !this.pkParams) {
+            throw new Error('Patient must be set before running the TCI controller');
+        }
+
+        const targetSchedule = EffectSiteTCIController.normalizeTargetSchedule(target);
+        duration = duration || this.settings.duration;
+        const dt = this.settings.updateInterval;
+        const updates = Math.round(duration / dt);
+        const solver = PKPDSimulationCore.analyticalSolver(this.pkParams);
+
+        console.log(`=== Effect-site TCI (Shafer & Gregg) ===`);
+        console.log(`Target changes: ${targetSchedule.map(e => `${e.time} min → ${e.targetCe}`).join(', ')}`);
+        console.log(`Update interval: ${(dt * 60).toFixed(0)} s, maximum rate: ${this.maximumRate} ${this.dosingUnits.rate}`);
+
+        const timeSeriesData = [];
+        const pumpProfile = [];
+        let state = PKPDSimulationCore.createInitialState();
+        let totalDoseMg = 0;
+        let timeToTarget = null;
+
+        for (let i = 0; i <= updates; i++) {
+            // Times from the update count so they land exactly on the 10 s grid
+            const time = i * dt;
+            const targetCe = EffectSiteTCIController.targetAt(targetSchedule, time);
+            const rate = i < updates ? this.calculateRate(state, targetCe) : 0;
+            const ce = Math.max(0, state.ce);
+
+            timeSeriesData.push({
+                time: time,
+                plasma: PKPDSimulationCore.plasmaConcentration(state, this.pkParams),
+                ce: ce,
+                bis: PKPDSimulationCore.calculateBIS(ce, this.pdParams, this.model),
+                targetCe: targetCe,
+                infusionRate: rate
+            });
+
+            if (timeToTarget === null && Math.abs(ce - targetSchedule[0].targetCe) <=
+                this.settings.targetTolerance * targetSchedule[0].targetCe) {
+                timeToTarget = time;
+            }
+            if (i === updates) break;
+
+            if (pumpProfile.length === 0 || pumpProfile[pumpProfile.length - 1].rate !== rate) {
+                pumpProfile.push({ time: time, rate: rate });
+            }
+            totalDoseMg += rate / 60.0 * dt;
+            state = solver.advance(state, rate / 60.0, dt);
+        }
+
+        this.lastResult = {
+            targetSchedule: targetSchedule,
+            timeSeriesData: timeSeriesData,
+            pumpProfile: pumpProfile,
+            totalDoseMg: totalDoseMg,
+            maximumRateUsed: Math.max(...pumpProfile.map(step => step.rate)),
+            timeToTarget: timeToTarget,
+            updateInterval: dt,
+            model: this.model
+        };
+
+        console.log(`TCI completed - ${pumpProfile.length} rate changes, total ${totalDoseMg.toFixed(1)} ${this.dosingUnits.amount}`);
+        return this.lastResult;
+    }
+
+    /**
+     * Pump profile as monitoring dose events (one per rate change, no boluses); they are
+     * marked pump-controlled so rates up to the pump maximum pass validation
+     */
+    toDoseEvents(result = this.lastResult) {
+        if (!result) return [];
+        return result.pumpProfile.map(step => new DoseEvent(step.time, 0, step.rate, true));
+    }
+
+    /**
+     * Dosing schedule rows (AdvancedProtocolEngine schedule format): the pump every
+     * interval minutes and at each target change
+     */
+    generateSchedule(result = this.lastResult, interval = 5) {
+        if (!result) return [];
+
+        const stepsPerRow = Math.max(1, Math.round(interval / result.updateInterval));
+        const changeTimes = result.targetSchedule.map(entry => entry.time);
+        const schedule = [];
+
+        result.timeSeriesData.forEach((point, i) => {
+            const isTargetChange = changeTimes.some(time =>
+                Math.abs(time - point.time) < result.updateInterval / 2);
+            if (i % stepsPerRow !== 0 && !isTargetChange) return;
+
+            schedule.push({
+                time: parseFloat(point.time.toFixed(2)),
+                type: isTargetChange ? 'start_continuous' : 'tci_rate',
+                action: isTargetChange ? `Target ${point.targetCe.toFixed(1)}` : 'TCI',
+                rate: `${point.infusionRate.toFixed(1)} ${result.model.dosingUnits.rate}`,
+                comment: `Ce ${point.ce.toFixed(2)}`
+            });
+        });
+
+        return schedule;
+    }
+
+    /**
+     * Get chart data for visualization (same fields as AdvancedProtocolEngine.getChartData)
+     */
+    getChartData() {
+        if (!this.lastResult) return null;
+
+        const data = this.lastResult.timeSeriesData;
+        return {
+            times: data.map(d => d.time),
+            plasmaConcentrations: data.map(d => d.plasma),
+            effectSiteConcentrations: data.map(d => d.ce),
+            infusionRates: data.map(d => d.infusionRate),
+            targetLine: data.map(d => d.targetCe)
+        };
+    }
+
+    getLastResult() {
+        return this.lastResult;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.EffectSiteTCIController = EffectSiteTCIController;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EffectSiteTCIController };
+}
@@ -1,8 +1,11 @@
-// Service Worker for Propofol TCI TIVA V2.3.0
+// Service Worker for Propofol TCI TIVA V2.4.0
 // PWA offline functionality and caching
 
-const CACHE_NAME = 'propofol-tci-v2.3.0';
-const VERSION = '2.3.0';
+const CACHE_NAME = 'propofol-tci-v2.4.0';
+const VERSION = '2.4.0';
+
+// Application scripts, in index.html's order (js/app-scripts.js)
+importScripts('./js/app-scripts.js');
 
 // Files to cache for offline use
 const urlsToCache = [
@@ -10,17 +13,9 @@ const urlsToCache = [
   './index.html',
   './manifest.json',
   './css/main.css',
-  './js/main.js',
-  './js/models.js',
-  './js/induction-engine.js',
-  './js/protocol-engine.js',
-  './js/advanced-protocol-engine.js',
-  './js/monitoring-engine.js',
-  './js/realtime-chart.js',
-  './js/eleveld-pk-pd.js',
-  './js/remimazolam-pk-pd.js',
-  './utils/lsoda.js',
-  './utils/masui-ke0-calculator.js',
+  './js/app-scripts.js',
+  ...AppScripts.all().map(src => './' + src),
+  './js/simulation-worker.js',
   './utils/vhac.js',
   // External CDN resources (cache with network fallback)
   'https://cdn.jsdelivr.net/npm/chart.js@3.9.1/dist/chart.min.js',
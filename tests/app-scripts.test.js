@@ -0,0 +1,35 @@
+/**
+ * Application script list (js/app-scripts.js) and the files generated from it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { test, assert } = require('./harness');
+const { AppScripts } = require('../js/app-scripts');
+const { syncIndexHtml } = require('../utils/sync-script-tags');
+
+const root = path.resolve(__dirname, '..');
+
+test('every listed script exists and index.html loads them in the listed order', () => {
+    AppScripts.all().forEach(src => assert.ok(fs.existsSync(path.join(root, src)), `${src} exists`));
+    assert.strictEqual(new Set(AppScripts.all()).size, AppScripts.all().length, 'no script listed twice');
+    assert.strictEqual(syncIndexHtml({ check: true }), false, 'index.html is up to date (npm run sync-scripts)');
+});
+
+test('the simulation worker loads every calculation script', () => {
+    const loaded = [];
+    const context = vm.createContext({ console: { log: () => {}, error: console.error }, self: {} });
+    context.importScripts = (...urls) => urls.forEach(url => {
+        const filename = path.resolve(root, 'js', url);
+        loaded.push(path.relative(root, filename).split(path.sep).join('/'));
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+    });
+
+    const worker = path.join(root, 'js', 'simulation-worker.js');
+    vm.runInContext(fs.readFileSync(worker, 'utf8'), context, { filename: worker });
+
+    assert.deepStrictEqual(loaded, ['js/app-scripts.js', ...AppScripts.calculation]);
+    assert.strictEqual(typeof context.self.onmessage, 'function');
+    assert.strictEqual(vm.runInContext('typeof SimulationTransfer', context), 'function');
+});
@@ -0,0 +1,84 @@
+/**
+ * Bayesian PD individualisation (js/bayesian-pd-estimator.js)
+ *
+ * BIS readings are simulated from a patient whose Ce50 and ke0 differ from the
+ * Eleveld typical values by known η; the MAP estimate must find those η with
+ * plentiful data and stay nearer the prior with little data.
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { Patient, SexType, AsapsType, OpioidType, DoseEvent, BISObservation, MonitoringEngine,
+    PKPDSimulationCore, BayesianPDEstimator } = app;
+
+const TRUE_ETA = { ce50: 0.3, ke0: -0.4, gamma: 0 };
+
+function setup() {
+    const patient = new Patient('bayes-pd', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.NO);
+    const engine = new MonitoringEngine();
+    engine.setPatient(patient);
+    // Induction, a pause and a second bolus so Ce both rises and falls
+    engine.addDoseEvent(new DoseEvent(0, 140, 600));
+    engine.addDoseEvent(new DoseEvent(30, 0, 0));
+    engine.addDoseEvent(new DoseEvent(45, 100, 400));
+    const population = engine.runSimulation(90);
+
+    return {
+        modelParams: PKPDSimulationCore.calculateModelParameters(patient),
+        simulation: { times: population.timeVector, plasmaConcentrations: population.plasmaConcentrations }
+    };
+}
+
+// BIS of the "true" patient at the given times, plus an optional fixed error pattern
+function observedBIS({ modelParams, simulation }, times, errors = [0]) {
+    const timeStep = simulation.times[1] - simulation.times[0];
+    const indices = times.map(time => Math.round(time / timeStep));
+    const context = { ...simulation, remifentanilCe: null, model: modelParams.model, indices: indices, lastIndex: Math.max(...indices) };
+    const truePD = BayesianPDEstimator.individualParameters(modelParams.pd, TRUE_ETA);
+
+    return BayesianPDEstimator.predictObservations(context, truePD)
+        .map((bis, i) => new BISObservation(times[i], bis + errors[i % errors.length]));
+}
+
+const everyMinute = Array.from({ length: 90 }, (_, i) => i + 1);
+
+test('Ce50 and ke0 are recovered from dense BIS readings', () => {
+    const data = setup();
+    const estimate = BayesianPDEstimator.estimate(data.modelParams, data.simulation, observedBIS(data, everyMinute));
+
+    assert.strictEqual(estimate.converged, true);
+    assertClose(estimate.eta.ce50, TRUE_ETA.ce50, 0.01, 'η Ce50');
+    assertClose(estimate.eta.ke0, TRUE_ETA.ke0, 0.01, 'η ke0');
+    assertClose(estimate.eta.gamma, TRUE_ETA.gamma, 0.02, 'η slope');
+    assertClose(estimate.posterior.ce50, data.modelParams.pd.ce50 * Math.exp(TRUE_ETA.ce50), { relative: 0.01 }, 'Ce50');
+    estimate.observations.forEach(observation =>
+        assertClose(observation.predictedPosterior, observation.observed, 0.5, `BIS at ${observation.timeInMinutes} min`));
+});
+
+test('recovery holds with BIS measurement error', () => {
+    const data = setup();
+    const errors = [4, -3, 2, -5, 1, 3, -2, -4, 5, -1];
+    const estimate = BayesianPDEstimator.estimate(data.modelParams, data.simulation, observedBIS(data, everyMinute, errors));
+
+    assertClose(estimate.eta.ce50, TRUE_ETA.ce50, 0.03, 'η Ce50');
+    assertClose(estimate.eta.ke0, TRUE_ETA.ke0, 0.03, 'η ke0');
+});
+
+test('with one BIS reading the estimate shrinks toward the prior', () => {
+    const data = setup();
+    const dense = BayesianPDEstimator.estimate(data.modelParams, data.simulation, observedBIS(data, everyMinute));
+    const sparse = BayesianPDEstimator.estimate(data.modelParams, data.simulation, observedBIS(data, [10]));
+
+    ['ce50', 'ke0'].forEach(name => {
+        const truth = TRUE_ETA[name];
+        assert.ok(Math.sign(sparse.eta[name]) === Math.sign(truth), `η ${name} moves toward the data`);
+        assert.ok(Math.abs(sparse.eta[name]) < Math.abs(truth), `η ${name} ${sparse.eta[name]} stays inside the true value`);
+        assert.ok(Math.abs(sparse.eta[name] - truth) > Math.abs(dense.eta[name] - truth), `η ${name} is less certain than with dense data`);
+    });
+
+    // The prior alone (no readings in range) is refused rather than returned as an estimate
+    assert.throws(() => BayesianPDEstimator.estimate(data.modelParams, data.simulation, [new BISObservation(200, 40)]),
+        /outside the simulated time range/);
+});
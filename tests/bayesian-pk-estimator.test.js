@@ -0,0 +1,83 @@
+/**
+ * Bayesian PK individualisation (js/bayesian-pk-estimator.js)
+ *
+ * Plasma samples are simulated from a patient whose V1, CL and Q2 differ from
+ * the Eleveld covariate values by known η; the MAP estimate must find them
+ * from a full sampling schedule and stay nearer the prior from one sample.
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { Patient, SexType, AsapsType, OpioidType, DoseEvent, PlasmaConcentrationObservation, MonitoringEngine,
+    PKPDSimulationCore, BayesianPKEstimator } = app;
+
+const TRUE_ETA = { v1: 0.3, cl: -0.25, q2: 0.2 };
+const TIME_STEP = 0.1;
+
+// Samples during the infusion and after it stops, so distribution and elimination both show
+const SAMPLE_TIMES = [1, 2, 3, 5, 10, 20, 30, 45, 60, 62, 65, 70, 80, 90, 120];
+
+function setup() {
+    const patient = new Patient('bayes-pk', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.NO);
+    const engine = new MonitoringEngine();
+    engine.setPatient(patient);
+    engine.addDoseEvent(new DoseEvent(0, 140, 600));
+    engine.addDoseEvent(new DoseEvent(60, 0, 0));
+
+    return {
+        modelParams: PKPDSimulationCore.calculateModelParameters(patient),
+        doses: engine.buildPrimaryDoseTimeline()
+    };
+}
+
+// Plasma concentrations of the "true" patient, times an optional fixed proportional error pattern
+function measured({ modelParams, doses }, times, errors = [0]) {
+    const samples = times.map(time => new PlasmaConcentrationObservation(time, 0));
+    const truePK = BayesianPKEstimator.individualParameters(modelParams.pk, TRUE_ETA);
+
+    return BayesianPKEstimator.predictObservations(modelParams, truePK, doses, samples, TIME_STEP)
+        .map((concentration, i) => new PlasmaConcentrationObservation(times[i], concentration * Math.exp(errors[i % errors.length])));
+}
+
+const priorPenalty = (eta, omega) => Object.keys(TRUE_ETA).reduce((sum, name) => sum + eta[name] * eta[name] / omega[name], 0);
+
+test('V1, CL and Q2 are recovered from a full sampling schedule', () => {
+    const data = setup();
+    const estimate = BayesianPKEstimator.estimate(data.modelParams, data.doses, measured(data, SAMPLE_TIMES), { timeStep: TIME_STEP });
+
+    assert.strictEqual(estimate.converged, true);
+    // MAP estimates sit slightly toward the prior: the log-scale residual error (σ 0.19) is wide
+    assertClose(estimate.eta.v1, TRUE_ETA.v1, 0.04, 'η V1');
+    assertClose(estimate.eta.cl, TRUE_ETA.cl, 0.01, 'η CL');
+    assertClose(estimate.eta.q2, TRUE_ETA.q2, 0.04, 'η Q2');
+    assertClose(estimate.posterior.cl, data.modelParams.pk.cl * Math.exp(TRUE_ETA.cl), { relative: 0.01 }, 'CL');
+    assert.strictEqual(estimate.posterior.v3, data.modelParams.pk.v3, 'V3 keeps its covariate value');
+
+    estimate.observations.forEach(sample =>
+        assertClose(sample.predictedPosterior, sample.observed, { relative: 0.03 }, `Cp at ${sample.timeInMinutes} min`));
+});
+
+test('recovery holds with assay error', () => {
+    const data = setup();
+    const errors = [0.03, -0.03, -0.02, 0.02];
+    const estimate = BayesianPKEstimator.estimate(data.modelParams, data.doses, measured(data, SAMPLE_TIMES, errors), { timeStep: TIME_STEP });
+
+    // V1 rests on the first few samples, so it follows their error most
+    assertClose(estimate.eta.v1, TRUE_ETA.v1, 0.1, 'η V1');
+    assertClose(estimate.eta.cl, TRUE_ETA.cl, 0.03, 'η CL');
+    assertClose(estimate.eta.q2, TRUE_ETA.q2, 0.06, 'η Q2');
+});
+
+test('with one sample the estimate shrinks toward the prior', () => {
+    const data = setup();
+    const omega = data.modelParams.model.variability.pk;
+    const full = BayesianPKEstimator.estimate(data.modelParams, data.doses, measured(data, SAMPLE_TIMES), { timeStep: TIME_STEP });
+    const single = BayesianPKEstimator.estimate(data.modelParams, data.doses, measured(data, [20]), { timeStep: TIME_STEP });
+
+    Object.keys(TRUE_ETA).forEach(name =>
+        assert.ok(Math.abs(single.eta[name]) < Math.abs(TRUE_ETA[name]), `η ${name} ${single.eta[name]} stays inside the true value`));
+    assert.ok(priorPenalty(single.eta, omega) < priorPenalty(full.eta, omega), 'one sample moves less from the prior');
+    assert.ok(single.eta.cl < 0, 'CL moves toward the lower true clearance');
+});
@@ -0,0 +1,63 @@
+/**
+ * Custom user-defined parameter sets (js/custom-pk-pd.js)
+ */
+
+const { test, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { CustomPKPDModel, PKPDModelRegistry } = app;
+
+const parameters = {
+    v1: 4.27, v2: 18.9, v3: 238, cl: 1.89, q2: 1.29, q3: 0.836,
+    ke0: 0.456, ce50: 3.08, gamma: 1.47, bisBaseline: 93
+};
+
+function removeAll() {
+    CustomPKPDModel.list().forEach(model => CustomPKPDModel.remove(model.id));
+}
+
+test('names without ASCII letters and names that slug alike get their own ids', () => {
+    const names = ['白石モデル', '佐藤モデル', 'A b', 'a-b', 'A-b'];
+    const models = names.map(name => CustomPKPDModel.register({ ...parameters, name: name }));
+
+    assert.strictEqual(new Set(models.map(model => model.id)).size, names.length);
+    names.forEach((name, i) => {
+        assert.strictEqual(PKPDModelRegistry.get(CustomPKPDModel.modelIdFor(name)), models[i]);
+        assert.ok(CustomPKPDModel.isCustomModelId(models[i].id));
+    });
+    removeAll();
+});
+
+test('a duplicate name is rejected unless replacing is asked for', () => {
+    const first = CustomPKPDModel.register({ ...parameters, name: '白石モデル' });
+    assert.throws(() => CustomPKPDModel.register({ ...parameters, name: '白石モデル', ce50: 4.0 }), /already exists/);
+    assert.strictEqual(PKPDModelRegistry.get(first.id), first);
+
+    const replaced = CustomPKPDModel.register({ ...parameters, name: '白石モデル', ce50: 4.0 }, { replace: true });
+    assert.strictEqual(replaced.id, first.id);
+    assert.strictEqual(replaced.parameterSet.ce50, 4.0);
+    removeAll();
+});
+
+test('import keeps gammaLow and description and refuses existing names without replace', () => {
+    const json = JSON.stringify([
+        { ...parameters, name: 'Imported', description: 'From a paper', gammaLow: 1.89 }
+    ]);
+    const [model] = CustomPKPDModel.importJSON(json);
+    assert.strictEqual(model.parameterSet.gammaLow, 1.89);
+    assert.strictEqual(model.parameterSet.description, 'From a paper');
+
+    assert.deepStrictEqual([...CustomPKPDModel.existingNames(json)], ['Imported']);
+    assert.throws(() => CustomPKPDModel.importJSON(json), /already exist/);
+    assert.strictEqual(CustomPKPDModel.importJSON(json, { replace: true }).length, 1);
+
+    const twice = JSON.stringify([{ ...parameters, name: 'Twice' }, { ...parameters, name: 'Twice' }]);
+    assert.throws(() => CustomPKPDModel.importJSON(twice), /more than once/);
+    assert.strictEqual(CustomPKPDModel.exists('Twice'), false);
+
+    const exported = JSON.parse(CustomPKPDModel.exportJSON());
+    assert.strictEqual(exported[0].gammaLow, 1.89);
+    assert.strictEqual(exported[0].description, 'From a paper');
+    removeAll();
+});
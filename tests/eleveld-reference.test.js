@@ -0,0 +1,150 @@
+/**
+ * Eleveld PK/PD parameters against the published model
+ * Eleveld et al., BJA 2018;120(5):942-959, with the Q2 corrigendum (BJA 2018;121(2):519)
+ *
+ * Expected values are written from the paper's θ table and equations, not from
+ * EleveldModelConstants, so a wrong constant or covariate term fails here.
+ * Reference individual: 35 years, 70 kg, 170 cm, male, arterial samples.
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { Patient, SexType, AsapsType, OpioidType, SamplingSiteType, AgeUnit, EleveldPKPDCalculator, PKPDModelRegistry } = app;
+
+const TOLERANCE = { relative: 1e-6 };
+
+function patient(age, weight, height, sex, opioid = OpioidType.NO) {
+    return new Patient('reference', age, weight, height, sex, AsapsType.CLASS_1_2, opioid);
+}
+
+// Published sigmoid for Q3 maturation (θ14 = 68.3 weeks), at post-menstrual age in weeks
+const q3Maturation = (ageYears) => {
+    const pma = ageYears * 52 + 40;
+    return pma / (pma + 68.3);
+};
+
+test('reference individual PK parameters', () => {
+    const pk = EleveldPKPDCalculator.calculatePKParameters(patient(35, 70, 170, SexType.MALE));
+
+    assertClose(pk.V1, 6.28, TOLERANCE, 'V1');
+    assertClose(pk.V2, 25.5, TOLERANCE, 'V2');
+    assertClose(pk.V3, 273, TOLERANCE, 'V3');
+    assertClose(pk.CL, 1.79, TOLERANCE, 'CL');
+    assertClose(pk.Q2, 1.75 * (1 + 1.30 * (1 - q3Maturation(35))), TOLERANCE, 'Q2');
+    assertClose(pk.Q3, 1.11, TOLERANCE, 'Q3');
+});
+
+test('reference individual PD parameters', () => {
+    const pd = EleveldPKPDCalculator.calculatePDParameters(patient(35, 70, 170, SexType.MALE));
+
+    assertClose(pd.ce50, 3.08, TOLERANCE, 'Ce50');
+    assertClose(pd.ke0, 0.146, TOLERANCE, 'ke0');
+    assertClose(pd.bis_baseline, 93, TOLERANCE, 'BIS baseline');
+    assertClose(pd.gamma_high, 1.47, TOLERANCE, 'gamma (Ce > Ce50)');
+    assertClose(pd.gamma_low, 1.89, TOLERANCE, 'gamma (Ce < Ce50)');
+});
+
+test('opioid co-administration lowers V3 and CL with age', () => {
+    const pk = EleveldPKPDCalculator.calculatePKParameters(patient(35, 70, 170, SexType.MALE, OpioidType.YES));
+
+    assertClose(pk.V3, 273 * Math.exp(-0.0138 * 35), TOLERANCE, 'V3');
+    assertClose(pk.CL, 1.79 * Math.exp(-0.00286 * 35), TOLERANCE, 'CL');
+});
+
+test('female clearance', () => {
+    const pk = EleveldPKPDCalculator.calculatePKParameters(patient(35, 70, 170, SexType.FEMALE));
+
+    assertClose(pk.CL, 2.10, TOLERANCE, 'CL');
+});
+
+test('ageing: smaller V2 and lower Ce50', () => {
+    const elderly = patient(80, 70, 170, SexType.MALE);
+    const pk = EleveldPKPDCalculator.calculatePKParameters(elderly);
+    const pd = EleveldPKPDCalculator.calculatePDParameters(elderly);
+
+    assertClose(pk.V2, 25.5 * Math.exp(-0.0156 * 45), TOLERANCE, 'V2');
+    assertClose(pk.CL, 1.79, { relative: 1e-4 }, 'CL (mature)');
+    assertClose(pd.ce50, 3.08 * Math.exp(-0.00635 * 45), TOLERANCE, 'Ce50');
+});
+
+test('weight: sigmoid V1, linear V2 and allometric ke0', () => {
+    const heavy = patient(35, 100, 170, SexType.MALE);
+    const pk = EleveldPKPDCalculator.calculatePKParameters(heavy);
+    const pd = EleveldPKPDCalculator.calculatePDParameters(heavy);
+
+    assertClose(pk.V1, 6.28 * (100 / (100 + 33.6)) / (70 / (70 + 33.6)), TOLERANCE, 'V1');
+    assertClose(pk.V2, 25.5 * 100 / 70, TOLERANCE, 'V2');
+    assertClose(pd.ke0, 0.146 * Math.pow(100 / 70, -0.25), TOLERANCE, 'ke0');
+});
+
+test('venous samples: larger V1, smaller Q2 and venous ke0', () => {
+    const arterial = patient(35, 70, 170, SexType.MALE);
+    const venous = patient(35, 70, 170, SexType.MALE);
+    venous.samplingSite = SamplingSiteType.VENOUS;
+
+    const pkArterial = EleveldPKPDCalculator.calculatePKParameters(arterial);
+    const pk = EleveldPKPDCalculator.calculatePKParameters(venous);
+    const pd = EleveldPKPDCalculator.calculatePDParameters(venous);
+
+    assertClose(pk.V1, 6.28 * (1 + 1.42 * (1 - 70 / (70 + 33.6))), TOLERANCE, 'V1');
+    assertClose(pk.Q2, pkArterial.Q2 * 0.68, TOLERANCE, 'Q2');
+    assertClose(pd.ke0, 1.24, TOLERANCE, 'ke0');
+});
+
+test('preterm infant: CL matures with post-menstrual age, Q3 with postnatal age + 40 weeks', () => {
+    const infant = patient(4 / 52, 3, 50, SexType.MALE);
+    infant.gestationalAgeWeeks = 30;
+    const pk = EleveldPKPDCalculator.calculatePKParameters(infant);
+
+    const clMaturation = (pmaWeeks) => Math.pow(pmaWeeks, 9.06) / (Math.pow(pmaWeeks, 9.06) + Math.pow(42.3, 9.06));
+    assertClose(pk.CL, 1.79 * Math.pow(3 / 70, 0.75) * clMaturation(34) / clMaturation(35 * 52 + 40), TOLERANCE, 'CL (PMA 34 weeks)');
+    assertClose(pk.Q3, 1.11 * Math.pow(pk.V3 / 273, 0.75) * q3Maturation(4 / 52) / q3Maturation(35), TOLERANCE, 'Q3 (44 weeks)');
+});
+
+test('preterm neonate: PMA drives CL and postnatal age + 40 weeks drives Q2 and Q3', () => {
+    // 1 week after birth at 28 weeks' gestation: PMA 29 weeks, postnatal age + 40 = 41 weeks
+    const neonate = patient(1 / 52, 1.2, 38, SexType.FEMALE);
+    neonate.gestationalAgeWeeks = 28;
+    const pk = EleveldPKPDCalculator.calculatePKParameters(neonate);
+
+    assertClose(neonate.pma, 29, 1e-12, 'Patient.pma (weeks)');
+
+    const clMaturation = (pmaWeeks) => Math.pow(pmaWeeks, 9.06) / (Math.pow(pmaWeeks, 9.06) + Math.pow(42.3, 9.06));
+    const q3Weeks41 = 41 / (41 + 68.3);
+    const v2 = 25.5 * (1.2 / 70) * Math.exp(-0.0156 * (1 / 52 - 35));
+    assertClose(pk.CL, 2.10 * Math.pow(1.2 / 70, 0.75) * clMaturation(29) / clMaturation(35 * 52 + 40), TOLERANCE, 'CL (PMA 29 weeks)');
+    assertClose(pk.V2, v2, TOLERANCE, 'V2');
+    assertClose(pk.Q2, 1.75 * Math.pow(v2 / 25.5, 0.75) * (1 + 1.30 * (1 - q3Weeks41)), TOLERANCE, 'Q2 (41 weeks)');
+    assertClose(pk.Q3, 1.11 * Math.pow(pk.V3 / 273, 0.75) * q3Weeks41 / q3Maturation(35), TOLERANCE, 'Q3 (41 weeks)');
+});
+
+test('age limits are stated in the unit the age was entered in', () => {
+    const child = patient(0.5, 7, 65, SexType.MALE);
+    child.modelId = 'marsh';
+    child.ageUnit = AgeUnit.MONTHS;
+
+    const message = child.validate().errors.find(error => error.startsWith('Age'));
+    assert.strictEqual(message, 'Age must be between 192 and 1200 months (16-100 years)');
+});
+
+test('BIS sigmoid: baseline at zero and half the baseline at Ce50', () => {
+    const pd = EleveldPKPDCalculator.calculatePDParameters(patient(35, 70, 170, SexType.MALE));
+
+    assertClose(EleveldPKPDCalculator.calculateBIS(0, pd), 93, 1e-9, 'BIS at Ce 0');
+    assertClose(EleveldPKPDCalculator.calculateBIS(3.08, pd), 46.5, 1e-9, 'BIS at Ce50');
+    assertClose(EleveldPKPDCalculator.calculateBIS(6.16, pd),
+        93 / (1 + Math.pow(2, 1.47)), 1e-9, 'BIS at 2·Ce50');
+});
+
+test('registry default model uses the same parameters', () => {
+    const reference = patient(35, 70, 170, SexType.MALE);
+    const model = PKPDModelRegistry.forPatient(reference);
+    const params = model.getModelParameters(reference);
+
+    assertClose(params.pk.v1, 6.28, TOLERANCE, 'V1');
+    assertClose(params.pk.k10, 1.79 / 6.28, TOLERANCE, 'k10');
+    assertClose(params.pk.ke0, 0.146, TOLERANCE, 'ke0');
+    assertClose(params.pd.ce50, 3.08, TOLERANCE, 'Ce50');
+});
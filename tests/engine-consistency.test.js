@@ -0,0 +1,213 @@
+/**
+ * Cross-engine numerical consistency (numerical-unification-guide.yml, comparative_testing)
+ *
+ * The same patient and doses (bolus at 0 min plus a constant infusion) go through
+ * InductionEngine (real-time, 0.01 min steps), AdvancedProtocolEngine (0.1 min steps)
+ * and MonitoringEngine (dose timeline); Cp, Ce and BIS must agree at fixed time points.
+ * The selectable solvers are checked against the closed-form analytical solution.
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const {
+    Patient, SexType, AsapsType, OpioidType, DoseEvent,
+    InductionEngine, ProtocolEngine, AdvancedProtocolEngine, MonitoringEngine,
+    PKPDSimulationCore, AnalyticalPKPDSolver, SimulationMethod, ModelComparison
+} = app;
+
+const BOLUS_MG = 140;
+const INFUSION_MG_HR = 600;
+const CHECK_TIMES = [1, 2, 5, 10, 20, 30];   // minutes
+const DURATION = 30;
+
+// Step sizes differ between engines (0.01 vs 0.1 min), so agreement is to RK4 accuracy
+const CONCENTRATION_TOLERANCE = { relative: 1e-4 };
+const BIS_TOLERANCE = 0.05;
+
+function testPatient() {
+    return new Patient('consistency', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES);
+}
+
+function inductionResults() {
+    const engine = new InductionEngine();
+    engine.start(testPatient(), BOLUS_MG, INFUSION_MG_HR);
+    // Drive the real-time engine by hand instead of its 600 ms timer
+    clearInterval(engine.timer);
+    engine.timer = null;
+
+    const results = {};
+    const updatesPerMinute = 100;   // 0.01 min per update
+    for (let update = 1; update <= DURATION * updatesPerMinute; update++) {
+        engine.updateSimulation();
+        if (update % updatesPerMinute === 0 && CHECK_TIMES.includes(update / updatesPerMinute)) {
+            results[update / updatesPerMinute] = {
+                cp: engine.getPlasmaConcentration(),
+                ce: engine.getEffectSiteConcentration(),
+                bis: engine.getBISValue()
+            };
+        }
+    }
+    engine.stop();
+    return results;
+}
+
+function advancedProtocolResults() {
+    const engine = new AdvancedProtocolEngine();
+    engine.setPatient(testPatient());
+    // No step-downs, so the infusion stays constant as in the other engines
+    engine.updateSettings({ upperThresholdRatio: 1000, simulationDuration: DURATION });
+    const series = engine.simulateAdvancedStepDownProtocol(BOLUS_MG, INFUSION_MG_HR, 3.0);
+
+    const results = {};
+    CHECK_TIMES.forEach(time => {
+        const point = series.find(entry => Math.abs(entry.time - time) < 1e-6);
+        results[time] = {
+            cp: point.plasma,
+            ce: point.ce,
+            bis: PKPDSimulationCore.calculateBIS(point.ce, engine.pdParams, engine.model)
+        };
+    });
+    return results;
+}
+
+function monitoringResults(method = SimulationMethod.RK4) {
+    const engine = new MonitoringEngine();
+    engine.setPatient(testPatient());
+    engine.setSimulationMethod(method);
+    engine.addDoseEvent(new DoseEvent(0, BOLUS_MG, INFUSION_MG_HR));
+    const result = engine.runSimulation(DURATION);
+
+    const results = {};
+    CHECK_TIMES.forEach(time => {
+        const point = result.timePoints.find(entry => Math.abs(entry.timeInMinutes - time) < 1e-6);
+        assert.ok(point, `Monitoring result has no time point at ${time} min`);
+        results[time] = {
+            cp: point.plasmaConcentration,
+            ce: point.effectSiteConcentration,
+            bis: point.bisValue
+        };
+    });
+    return results;
+}
+
+function analyticalResults() {
+    const modelParams = PKPDSimulationCore.calculateModelParameters(testPatient());
+    const pkParams = PKPDSimulationCore.toRateConstants(modelParams.pk);
+    const solution = new AnalyticalPKPDSolver(pkParams)
+        .concentrationsAt([new DoseEvent(0, BOLUS_MG, INFUSION_MG_HR)], CHECK_TIMES);
+
+    const results = {};
+    CHECK_TIMES.forEach((time, i) => {
+        const ce = solution.effectSiteConcentrations[i];
+        results[time] = {
+            cp: solution.plasmaConcentrations[i],
+            ce: ce,
+            bis: PKPDSimulationCore.calculateBIS(ce, modelParams.pd, modelParams.model)
+        };
+    });
+    return results;
+}
+
+function assertAgreement(actual, expected, label, tolerance = CONCENTRATION_TOLERANCE) {
+    CHECK_TIMES.forEach(time => {
+        assertClose(actual[time].cp, expected[time].cp, tolerance, `${label} Cp at ${time} min`);
+        assertClose(actual[time].ce, expected[time].ce, tolerance, `${label} Ce at ${time} min`);
+        assertClose(actual[time].bis, expected[time].bis, BIS_TOLERANCE, `${label} BIS at ${time} min`);
+    });
+}
+
+const reference = analyticalResults();
+
+test('InductionEngine matches the analytical solution', () => {
+    assertAgreement(inductionResults(), reference, 'Induction');
+});
+
+test('AdvancedProtocolEngine matches the analytical solution', () => {
+    assertAgreement(advancedProtocolResults(), reference, 'Advanced protocol');
+});
+
+test('MonitoringEngine matches the analytical solution', () => {
+    assertAgreement(monitoringResults(), reference, 'Monitoring');
+});
+
+test('InductionEngine, AdvancedProtocolEngine and MonitoringEngine agree with each other', () => {
+    const induction = inductionResults();
+    assertAgreement(advancedProtocolResults(), induction, 'Advanced protocol vs induction');
+    assertAgreement(monitoringResults(), induction, 'Monitoring vs induction');
+});
+
+test('analytical and LSODA solvers give the same monitoring result', () => {
+    assertAgreement(monitoringResults(SimulationMethod.ANALYTICAL), reference, 'Analytical', { relative: 1e-9 });
+    assertAgreement(monitoringResults(SimulationMethod.LSODA), reference, 'LSODA', { relative: 1e-6 });
+});
+
+test('LSODA restarts when the parameter values change in place', () => {
+    const pk = PKPDSimulationCore.toRateConstants(PKPDSimulationCore.calculateModelParameters(testPatient()).pk);
+    const first = PKPDSimulationCore.advance(PKPDSimulationCore.createInitialState(BOLUS_MG), pk, 0, 1, SimulationMethod.LSODA);
+
+    // Same object, twice the elimination: the running integration must not be continued
+    pk.k10 *= 2;
+    const second = PKPDSimulationCore.advance(first, pk, 0, 1, SimulationMethod.LSODA);
+    const expected = new AnalyticalPKPDSolver({ ...pk }).advance(first, 0, 1);
+
+    ['a1', 'a2', 'a3', 'ce'].forEach(name =>
+        assertClose(second[name], expected[name], { relative: 1e-6 }, `${name} with the new k10`));
+});
+
+test('both protocol engines step down at the same times and give the analytical Ce of that schedule', () => {
+    const protocolEngine = new ProtocolEngine();
+    protocolEngine.setPatient(testPatient());
+    // ProtocolEngine's threshold is a concentration, AdvancedProtocolEngine's a ratio of the target
+    protocolEngine.updateSettings({ targetCe: 3.0, upperThreshold: 3.6, simulationDuration: 120 });
+    const rk4 = protocolEngine.generateCompleteProtocol(BOLUS_MG, INFUSION_MG_HR);
+    protocolEngine.updateSettings({ simulationMethod: SimulationMethod.LSODA });
+    const lsoda = protocolEngine.generateCompleteProtocol(BOLUS_MG, INFUSION_MG_HR);
+
+    const advancedEngine = new AdvancedProtocolEngine();
+    advancedEngine.setPatient(testPatient());
+    advancedEngine.updateSettings({ upperThresholdRatio: 1.2, simulationDuration: 120, maxAdjustmentsPerHour: 100 });
+    const advanced = { timeSeriesData: advancedEngine.simulateAdvancedStepDownProtocol(BOLUS_MG, INFUSION_MG_HR, 3.0) };
+
+    const stepDownTimes = rk4.dosageAdjustments.map(adjustment => adjustment.time);
+    assert.ok(stepDownTimes.length > 1, 'the protocol steps down');
+    assert.deepStrictEqual([...lsoda.dosageAdjustments.map(adjustment => adjustment.time)], [...stepDownTimes], 'LSODA step-down times');
+
+    // The schedule replayed exactly: each reduction from the time it is listed at
+    const schedule = [new DoseEvent(0, BOLUS_MG, INFUSION_MG_HR),
+        ...rk4.dosageAdjustments.map(adjustment => new DoseEvent(adjustment.time, 0, adjustment.newRate))];
+    const times = [10, 30, 60, 120];
+    const pkParams = PKPDSimulationCore.toRateConstants(PKPDSimulationCore.calculateModelParameters(testPatient()).pk);
+    const expected = new AnalyticalPKPDSolver(pkParams).concentrationsAt(schedule, times).effectSiteConcentrations;
+
+    [['ProtocolEngine RK4', rk4], ['ProtocolEngine LSODA', lsoda], ['AdvancedProtocolEngine', advanced]].forEach(([label, result]) => {
+        times.forEach((time, i) => {
+            const point = result.timeSeriesData.find(entry => Math.abs(entry.time - time) < 1e-6);
+            assertClose(point.ce, expected[i], CONCENTRATION_TOLERANCE, `${label} Ce at ${time} min`);
+        });
+    });
+});
+
+test('a step-down protocol replayed as dose events gives the protocol engine Ce in every compared model', () => {
+    const engine = new AdvancedProtocolEngine();
+    engine.setPatient(testPatient());
+    engine.updateSettings({ simulationDuration: 120 });
+    const protocol = engine.generateAdvancedStepDownProtocol(BOLUS_MG, INFUSION_MG_HR, 3.0);
+    assert.ok(protocol.dosageAdjustments.length > 0, 'the protocol steps down');
+
+    const comparison = ModelComparison.run(testPatient(), engine.toDoseEvents({ protocol }), ['marsh'],
+        { duration: 120, sampleInterval: 10 });
+    assert.deepStrictEqual([...comparison.models.map(model => model.modelId)], ['eleveld', 'marsh']);
+
+    [10, 30, 60, 120].forEach(time => {
+        const index = comparison.times.findIndex(t => Math.abs(t - time) < 1e-6);
+        const expected = protocol.timeSeriesData.find(point => Math.abs(point.time - time) < 1e-6).ce;
+        assertClose(comparison.models[0].ce[index], expected, CONCENTRATION_TOLERANCE, `Ce at ${time} min`);
+    });
+});
+
+test('Ce rises towards Cp and BIS falls after the bolus', () => {
+    assert.ok(reference[1].ce < reference[1].cp, 'Ce lags Cp after a bolus');
+    assert.ok(reference[5].bis < reference[1].bis, 'BIS falls as Ce rises');
+});
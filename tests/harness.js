@@ -0,0 +1,32 @@
+/**
+ * Minimal Test Harness
+ * テストハーネス（Node.js標準モジュールのみ）
+ *
+ * Features:
+ * - test(name, fn) registration shared by every *.test.js file
+ * - assertClose for absolute and relative numerical tolerances
+ * - No dependencies beyond Node's assert module (Node 14+)
+ */
+
+const assert = require('assert');
+
+const registeredTests = [];
+
+function test(name, fn) {
+    registeredTests.push({ name, fn });
+}
+
+/**
+ * |actual - expected| ≤ tolerance, or ≤ relative·|expected| when { relative } is given
+ */
+function assertClose(actual, expected, tolerance, message = '') {
+    const limit = typeof tolerance === 'object'
+        ? tolerance.relative * Math.abs(expected)
+        : tolerance;
+    const difference = Math.abs(actual - expected);
+    if (!(difference <= limit)) {
+        assert.fail(`${message ? message + ': ' : ''}expected ${expected} ± ${limit}, got ${actual} (difference ${difference})`);
+    }
+}
+
+module.exports = { test, assertClose, assert, registeredTests };
@@ -0,0 +1,168 @@
+/**
+ * Headless case simulator (bin/tci-simulate.js)
+ *
+ * Cases read from CSV and JSON must produce the same result as building the
+ * patient and doses by hand and calling MonitoringEngine.runSimulation.
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+const { parseCases, runCase, formatCSV, formatJSON } = require('../utils/headless-simulator');
+
+const app = loadApp();
+const { Patient, SexType, AsapsType, OpioidType, DoseEvent, MonitoringEngine } = app;
+
+const CSV_CASES = `# recorded cases
+id,age,weight,height,sex,asa,opioid,model,time,drug,bolus,infusion
+case01,50,70,170,male,1-2,yes,eleveld,0,propofol,140,600
+case01,50,70,170,male,1-2,yes,eleveld,30,propofol,0,400
+case02,70,60,160,F,3,no,,0,,100,400
+`;
+
+function directResult() {
+    const engine = new MonitoringEngine();
+    engine.setPatient(new Patient('case01', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES));
+    engine.addDoseEvent(new DoseEvent(0, 140, 600));
+    engine.addDoseEvent(new DoseEvent(30, 0, 400));
+    return engine.runSimulation(60);
+}
+
+test('CSV rows are grouped into cases by id', () => {
+    const cases = parseCases(CSV_CASES, 'csv');
+
+    assert.strictEqual(cases.length, 2);
+    assert.strictEqual(cases[0].patient.id, 'case01');
+    assert.strictEqual(cases[0].doses.length, 2);
+    assert.strictEqual(cases[1].patient.sex, 'F');
+    assert.strictEqual(cases[1].patient.model, undefined);
+});
+
+test('CSV case matches a MonitoringEngine run built by hand', () => {
+    const result = runCase(parseCases(CSV_CASES, 'csv')[0], { duration: 60 });
+    const expected = directResult();
+
+    assert.strictEqual(result.timePoints.length, expected.timePoints.length);
+    [1, 10, 31, 60].forEach(time => {
+        const actual = result.timePoints.find(tp => tp.timeInMinutes === time);
+        const reference = expected.timePoints.find(tp => tp.timeInMinutes === time);
+        assertClose(actual.plasmaConcentration, reference.plasmaConcentration, 1e-12, `Cp at ${time} min`);
+        assertClose(actual.effectSiteConcentration, reference.effectSiteConcentration, 1e-12, `Ce at ${time} min`);
+    });
+});
+
+test('JSON input and output', () => {
+    const json = JSON.stringify({
+        patient: { id: 'j1', age: 40, weight: 80, height: 180, opioid: 'yes', sex: 'male', startTime: '08:30' },
+        doses: [{ time: 0, bolus: 150, infusion: 500 }, { time: 0, drug: 'remifentanil', infusion: 0.2 }],
+        duration: 10
+    });
+    const result = runCase(parseCases(json, 'json')[0]);
+    const output = JSON.parse(formatJSON([result]))[0];
+
+    assert.strictEqual(output.id, 'j1');
+    assert.strictEqual(output.timePoints.length, 11);
+    assert.ok(output.timePoints[10].remifentanilEffectSiteConcentration > 0);
+    assert.ok(output.timePoints[10].probabilityTOL > 0);
+    assertClose(output.summary.maxPlasmaConcentration, result.maxPlasmaConcentration, 1e-12);
+});
+
+test('CSV output has elapsed minutes unless clock times are asked for', () => {
+    const json = JSON.stringify({
+        patient: { id: 'j2', age: 40, weight: 80, height: 180, opioid: 'yes', startTime: '08:30' },
+        doses: [{ time: 0, bolus: 150 }],
+        duration: 2
+    });
+    const result = runCase(parseCases(json, 'json')[0]);
+
+    const elapsed = formatCSV([result]).split('\n');
+    assert.ok(elapsed[0].startsWith('Patient ID:j2'));
+    assert.ok(elapsed[1].startsWith('Time(min),'));
+    assert.ok(elapsed[3].startsWith('1,'));
+
+    const clock = formatCSV([result], { clockTime: true }).split('\n');
+    assert.ok(clock[1].startsWith('Time,'));
+    assert.ok(clock[3].startsWith('08:31,'));
+});
+
+test('long CSV is one table with a case_id column', () => {
+    const results = parseCases(CSV_CASES, 'csv').map(entry => runCase(entry, { duration: 5 }));
+    const lines = formatCSV(results, { long: true }).trim().split('\n');
+    const header = lines[0].split(',');
+
+    assert.deepStrictEqual(header, ['case_id', 'model', 'drug', 'unit', 'time_min',
+        'plasma_conc', 'effect_site_conc', 'bis', 'remifentanil_ce', 'p_toss', 'p_tol']);
+    assert.strictEqual(lines.length, 1 + results[0].timePoints.length + results[1].timePoints.length);
+    assert.ok(lines.slice(1).every(line => line.split(',').length === header.length), 'same columns on every row');
+    assert.ok(lines[1].startsWith('case01,eleveld,propofol,µg/mL,0,'));
+    assert.ok(lines[lines.length - 1].startsWith('case02,eleveld,propofol,µg/mL,5,'));
+    assert.ok(lines[1].endsWith(',NA,NA,NA'), 'no remifentanil or interaction columns for these cases');
+
+    const last = lines[1 + results[0].timePoints.length - 1].split(',');
+    assertClose(parseFloat(last[6]), results[0].timePoints[results[0].timePoints.length - 1].effectSiteConcentration, 5e-4, 'Ce');
+});
+
+test('a case without a start time starts at 00:00', () => {
+    const json = JSON.stringify({ patient: { id: 'midnight', age: 40, weight: 80, height: 180, opioid: 'yes' }, doses: [{ time: 0, bolus: 150 }], duration: 2 });
+    const result = runCase(parseCases(json, 'json')[0]);
+    const lines = formatCSV([result], { clockTime: true }).split('\n');
+
+    assert.ok(lines[0].includes(',Anesthesia Start:00:00,'), lines[0]);
+    assert.ok(lines[2].startsWith('00:00,'));
+    assert.ok(formatCSV([result], { clockTime: true, long: true }).split('\n')[2].includes(',00:01,'));
+});
+
+test('patient row fields with commas or quotes are quoted', () => {
+    const json = JSON.stringify({
+        patient: { id: 'bed 3, "A"', age: 40, weight: 80, height: 180, opioid: 'yes', model: 'marsh' },
+        doses: [{ time: 0, bolus: 150 }],
+        duration: 2
+    });
+    const [patientRow] = formatCSV([runCase(parseCases(json, 'json')[0])]).split('\n');
+
+    assert.ok(patientRow.startsWith('"Patient ID:bed 3, ""A""",Age:40 years,'), patientRow);
+    assert.ok(patientRow.endsWith(',Drug:Propofol,"Model:Marsh (Propofol, ke0 0.26)"'), patientRow);
+});
+
+test('invalid cases name the case in the error', () => {
+    const badModel = { patient: { id: 'x1', age: 40, weight: 80, height: 180, opioid: 'yes', model: 'unknown' }, doses: [{ time: 0, bolus: 100 }] };
+    const badSex = { patient: { id: 'x2', age: 40, weight: 80, height: 180, opioid: 'yes', sex: 'other' }, doses: [{ time: 0, bolus: 100 }] };
+
+    assert.throws(() => runCase(badModel), /x1: unknown model/);
+    assert.throws(() => runCase(badSex), /x2: sex must be one of/);
+    assert.throws(() => parseCases('id,age,dose\nx,1,2', 'csv'), /Unknown CSV column: dose/);
+});
+
+test('a case without an opioid column is an error, not a default', () => {
+    const noOpioid = { patient: { id: 'x3', age: 40, weight: 80, height: 180 }, doses: [{ time: 0, bolus: 100 }] };
+    const [emptyOpioid] = parseCases('id,age,weight,height,opioid,time,bolus\nx4,40,80,180,,0,100', 'csv');
+
+    assert.throws(() => runCase(noOpioid), /x3: opioid is required/);
+    assert.throws(() => runCase(emptyOpioid), /x4: opioid is required/);
+});
+
+test('quoted CSV fields are read back as csvField writes them', () => {
+    const id = 'bed 3, "A"\nleft';
+    const csv = `id,age,weight,height,opioid,model,time,bolus\n${app.SimulationResult.csvField(id)},40,80,180,yes,marsh,0,150\n`;
+    const cases = parseCases(csv, 'csv');
+
+    assert.strictEqual(cases.length, 1);
+    assert.strictEqual(cases[0].patient.id, id);
+    assert.strictEqual(cases[0].patient.model, 'marsh');
+    assert.strictEqual(cases[0].doses[0].bolus, '150');
+    assert.throws(() => parseCases('id,time\n"open,0', 'csv'), /inside a quoted field/);
+});
+
+test('age is in years unless an ageUnit column gives months or weeks', () => {
+    const csv = `id,age,ageUnit,weight,height,opioid,model,time,bolus
+infant,18,months,11,80,no,eleveld,0,30
+child,6.5,,22,120,no,eleveld,0,60
+`;
+    const [infant, child] = parseCases(csv, 'csv').map(entry => runCase(entry, { duration: 2 }).patient);
+
+    assertClose(infant.age, 1.5, 1e-12, 'age in years');
+    assert.strictEqual(infant.ageUnit, 'months');
+    assertClose(child.age, 6.5, 1e-12, 'fractional years');
+    assert.strictEqual(child.ageUnit, 'years');
+    assert.throws(() => runCase({ patient: { id: 'x5', age: 4, ageUnit: 'days', weight: 4, height: 50, opioid: 'no' },
+        doses: [{ time: 0, bolus: 10 }] }), /x5: ageUnit must be one of/);
+});
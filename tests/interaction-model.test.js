@@ -0,0 +1,82 @@
+/**
+ * Propofol-remifentanil response surface (js/interaction-model.js)
+ * Bouillon et al., Anesthesiology 2004;100:1353-72
+ *
+ * Expected values are literals from the paper (Greco C50 of propofol and
+ * remifentanil, slope γ and interaction α for TOSS and TOL; remifentanil C50 of the
+ * BIS Ce50 shift). BouillonInteractionConstants is checked against them. Isobole
+ * pairs are the published surface solved by hand for propofol at each remifentanil
+ * Ce: U = (P/(1-P))^(1/γ), Cp = C50p·(U - Cr/C50r) / (1 + α·Cr/C50r).
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { BouillonInteractionModel, EleveldPKPDCalculator, PKPDModelRegistry, Patient, SexType, AsapsType, OpioidType } = app;
+
+const TOLERANCE = 0.002;
+
+// Bouillon 2004 published parameters
+const PUBLISHED = {
+    TOL: { c50Propofol: 5.6, c50Remifentanil: 48.8, gamma: 8.3, alpha: 6 },
+    TOSS: { c50Propofol: 1.8, c50Remifentanil: 12.5, gamma: 3.5, alpha: 2 },
+    bisC50RemifentanilShift: 19.3
+};
+
+// Propofol Ce (µg/mL) for each remifentanil Ce (ng/mL) on the isobole
+const ISOBOLES = {
+    TOL: {
+        0.5: { 0: 5.600, 1: 4.885, 2: 4.311, 4: 3.446, 8: 2.360 },
+        0.9: { 0: 7.297, 1: 6.396, 2: 5.673, 4: 4.584, 8: 3.216 }
+    },
+    TOSS: {
+        0.5: { 0: 1.800, 1: 1.428, 2: 1.145, 4: 0.746, 8: 0.284 },
+        0.9: { 0: 3.372, 1: 2.783, 2: 2.337, 4: 1.705, 8: 0.974 }
+    }
+};
+
+test('model constants are the published Bouillon 2004 parameters', () => {
+    const constants = app.BouillonInteractionConstants;
+    ['TOL', 'TOSS'].forEach(stimulus => {
+        const { c50Propofol, c50Remifentanil, gamma, alpha } = constants.stimuli[stimulus];
+        assert.deepStrictEqual({ c50Propofol, c50Remifentanil, gamma, alpha }, PUBLISHED[stimulus], stimulus);
+    });
+    assert.strictEqual(constants.bis.c50RemifentanilShift, PUBLISHED.bisC50RemifentanilShift);
+});
+
+test('single-drug C50s give 50% tolerance', () => {
+    assertClose(BouillonInteractionModel.probabilityOfTolerance(5.6, 0, 'TOL'), 0.5, 1e-12, 'propofol C50 for laryngoscopy');
+    assertClose(BouillonInteractionModel.probabilityOfTolerance(0, 48.8, 'TOL'), 0.5, 1e-12, 'remifentanil C50 for laryngoscopy');
+    assertClose(BouillonInteractionModel.probabilityOfTolerance(1.8, 0, 'TOSS'), 0.5, 1e-12, 'propofol C50 for shake and shout');
+    assertClose(BouillonInteractionModel.probabilityOfTolerance(0, 12.5, 'TOSS'), 0.5, 1e-12, 'remifentanil C50 for shake and shout');
+    assert.strictEqual(BouillonInteractionModel.probabilityOfTolerance(0, 0, 'TOL'), 0);
+});
+
+test('propofol/remifentanil pairs lie on the 50% and 90% isoboles of the published surface', () => {
+    Object.entries(ISOBOLES).forEach(([stimulus, levels]) => {
+        Object.entries(levels).forEach(([probability, pairs]) => {
+            Object.entries(pairs).forEach(([remifentanil, propofol]) => {
+                assertClose(BouillonInteractionModel.probabilityOfTolerance(propofol, Number(remifentanil), stimulus),
+                    Number(probability), TOLERANCE, `${stimulus} ${probability * 100}% at Cp ${propofol}, Cr ${remifentanil}`);
+            });
+        });
+    });
+});
+
+test('the interaction is synergistic: a half-and-half mixture exceeds 50% tolerance', () => {
+    // Additivity would give exactly 50% at half of each C50
+    const mixture = BouillonInteractionModel.probabilityOfTolerance(5.6 / 2, 48.8 / 2, 'TOL');
+    assertClose(Math.pow(1 + 6.0 / 4, 8.3) / (1 + Math.pow(1 + 6.0 / 4, 8.3)), mixture, 1e-12, 'TOL at half of each C50');
+    assert.ok(mixture > 0.99);
+});
+
+test('remifentanil lowers the propofol Ce50 of BIS and has no BIS effect alone', () => {
+    const patient = new Patient('interaction', 35, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES);
+    const model = PKPDModelRegistry.get('eleveld');
+    const pd = EleveldPKPDCalculator.calculatePDParameters(patient);
+
+    assertClose(BouillonInteractionModel.calculateBIS(0, 10, pd, model), pd.bis_baseline, 1e-12, 'BIS with remifentanil alone');
+    assertClose(BouillonInteractionModel.interactionPDParameters(pd, 19.3).ce50, pd.ce50 / 2, 1e-12, 'Ce50 halved at 19.3 ng/mL');
+    assertClose(BouillonInteractionModel.calculateBIS(pd.ce50 / 2, 19.3, pd, model), pd.bis_baseline / 2, 1e-9, 'BIS at the shifted Ce50');
+});
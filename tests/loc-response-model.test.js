@@ -0,0 +1,33 @@
+/**
+ * Individual LOC response model (js/loc-response-model.js)
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { LOCResponseModel, LOCResponseDefaults, PKPDModelRegistry } = app;
+
+test('LOC Ce has the same probability with and without ROC Ce', () => {
+    const p = LOCResponseDefaults.transitionProbability;
+    const model = PKPDModelRegistry.get('eleveld');
+
+    const locOnly = LOCResponseModel.estimate(2.5, null, { model: model });
+    assertClose(LOCResponseModel.probability(2.5, locOnly), p, 1e-12, 'P(LOC Ce), LOC only');
+    assert.strictEqual(locOnly.gamma, 3.5);
+    assert.ok(locOnly.ce50 < 2.5, 'Ce50 lies below the LOC Ce');
+
+    const withROC = LOCResponseModel.estimate(2.5, 1.5, { model: model });
+    assertClose(LOCResponseModel.probability(2.5, withROC), p, 1e-12, 'P(LOC Ce), LOC and ROC');
+    assertClose(LOCResponseModel.probability(1.5, withROC), 1 - p, 1e-12, 'P(ROC Ce)');
+});
+
+test('the population slope comes from the model', () => {
+    const remimazolam = PKPDModelRegistry.get('masui-remimazolam');
+    const estimate = LOCResponseModel.estimate(0.8, null, { model: remimazolam });
+
+    assert.strictEqual(estimate.gamma, remimazolam.dosingDefaults.protocol.locGamma);
+    assert.notStrictEqual(estimate.gamma, PKPDModelRegistry.get('eleveld').dosingDefaults.protocol.locGamma);
+    assertClose(LOCResponseModel.probability(0.8, estimate), LOCResponseDefaults.transitionProbability, 1e-12, 'P(LOC Ce)');
+    assert.strictEqual(LOCResponseModel.estimate(0.8, null, { gamma: 2.0 }).gamma, 2.0);
+});
@@ -0,0 +1,54 @@
+/**
+ * LSODA solver (utils/lsoda.js)
+ *
+ * Stiff problems must switch to BDF and still match their reference solutions.
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { LSODA } = require('../utils/lsoda');
+
+// Eigenvalues -1 and -1000; y(0) = [1, 0] gives
+// y1 = 2e^-t - e^-1000t, y2 = -e^-t + e^-1000t
+function linearStiff(t, y) {
+    return [998 * y[0] + 1998 * y[1], -999 * y[0] - 1999 * y[1]];
+}
+
+test('a linear stiff system switches to BDF and matches its closed form', () => {
+    const times = [0, 0.01, 0.1, 1, 2, 5, 10];
+    const solver = new LSODA();
+    const result = solver.integrate(linearStiff, [1, 0], times, {
+        rtol: 1e-8, atol: 1e-12,
+        jacobian: () => [[998, 1998], [-999, -1999]]
+    });
+
+    assert.strictEqual(result.stats.method, 'BDF');
+    assert.ok(result.stats.methodSwitches >= 1, 'switched from Adams');
+    assert.ok(result.stats.bdfSteps > result.stats.adamsSteps, `${result.stats.bdfSteps} BDF and ${result.stats.adamsSteps} Adams steps`);
+    assert.ok(result.stats.steps < 1000, `${result.stats.steps} steps; Adams alone would need thousands`);
+
+    times.forEach((t, i) => {
+        const fast = Math.exp(-1000 * t);
+        const slow = Math.exp(-t);
+        assertClose(result.y[i][0], 2 * slow - fast, { relative: 1e-5 }, `y1 at ${t}`);
+        assertClose(result.y[i][1], -slow + fast, { relative: 1e-5 }, `y2 at ${t}`);
+    });
+});
+
+test('the Robertson problem switches to BDF and matches published values at t = 40', () => {
+    const robertson = (t, y) => [
+        -0.04 * y[0] + 1e4 * y[1] * y[2],
+        0.04 * y[0] - 1e4 * y[1] * y[2] - 3e7 * y[1] * y[1],
+        3e7 * y[1] * y[1]
+    ];
+    const solver = new LSODA();
+    const result = solver.integrate(robertson, [1, 0, 0], [0, 0.4, 4, 40], { rtol: 1e-8, atol: 1e-12 });
+    const y = result.y[3];
+
+    assert.strictEqual(result.stats.method, 'BDF');
+    assert.ok(result.stats.bdfSteps > 0);
+    // Hindmarsh, LSODA demonstration program output
+    assertClose(y[0], 7.158271e-1, { relative: 1e-5 }, 'y1');
+    assertClose(y[1], 9.185535e-6, { relative: 1e-4 }, 'y2');
+    assertClose(y[2], 2.841637e-1, { relative: 1e-5 }, 'y3');
+    assertClose(y[0] + y[1] + y[2], 1, 1e-8, 'mass is conserved');
+});
@@ -0,0 +1,43 @@
+/**
+ * PK/PD model registry (js/model-registry.js)
+ */
+
+const { test, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { PKPDModelRegistry } = app;
+
+test('dosing defaults are frozen, including those several models share', () => {
+    const eleveld = PKPDModelRegistry.get('eleveld');
+    const marsh = PKPDModelRegistry.get('marsh');
+    assert.strictEqual(marsh.dosingDefaults, eleveld.dosingDefaults, 'Marsh uses the default dosing');
+
+    PKPDModelRegistry.list().forEach(model => {
+        const dosing = model.dosingDefaults;
+        assert.ok(Object.isFrozen(dosing) && Object.isFrozen(dosing.induction) && Object.isFrozen(dosing.protocol),
+            `${model.id} dosing defaults are frozen`);
+    });
+
+    assert.throws(() => { 'use strict'; eleveld.dosingDefaults.protocol.targetCe = 5; }, TypeError);
+    assert.strictEqual(marsh.dosingDefaults.protocol.targetCe, 3.0);
+});
+
+test('every model reports non-positive PK parameters through the shared check', () => {
+    const { validatePositivePK, Patient, SexType, AsapsType, OpioidType } = app;
+    const pk = { v1: 4, v2: 0, v3: 200, cl: 1.5, q2: -1, q3: 0.8, ke0: 0.2 };
+    assert.deepStrictEqual([...validatePositivePK({ pk: pk })], ['V2 must be positive', 'Q2 must be positive']);
+
+    const adult = new Patient('adult', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES);
+    const child = new Patient('child', 8, 25, 125, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES);
+    PKPDModelRegistry.list().forEach(model => {
+        const patient = [adult, child].find(candidate => {
+            candidate.modelId = model.id;
+            return candidate.validate().isValid;
+        });
+        const params = model.getModelParameters(patient);
+        params.pk = { ...params.pk, v2: 0 };
+        const validation = model.validateParameters(params);
+        assert.ok(!validation.isValid && validation.errors.includes('V2 must be positive'), `${model.id} rejects V2 = 0`);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Shared data classes (js/models.js)
+ */
+
+const { test, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { Patient, SexType, AsapsType, OpioidType, DoseEvent, RemifentanilDoseEvent, DexmedetomidineDoseEvent,
+    BISObservation, PlasmaConcentrationObservation, TimePoint } = app;
+
+test('dose events, observations and time points share the patient clock across midnight', () => {
+    const start = new Date(2024, 0, 1, 23, 50);
+    const patient = new Patient('clock', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES, start);
+
+    assert.strictEqual(patient.formattedStartTime, '23:50');
+    assert.strictEqual(patient.formattedClockTime(10), '00:00');
+
+    const entries = [
+        new DoseEvent(15, 100, 0),
+        new RemifentanilDoseEvent(15, 0, 0.2),
+        new DexmedetomidineDoseEvent(15, 1, 10, 0.5),
+        new BISObservation(15, 45),
+        new PlasmaConcentrationObservation(15, 3.1),
+        new TimePoint(15, null, 3.0, 2.5, 45)
+    ];
+    entries.forEach(entry => assert.strictEqual(entry.formattedClockTime(patient), '00:05', entry.constructor.name));
+});
+
+test('Minto patients are limited to the study\'s 20-85 years', () => {
+    const ages = { 19: false, 20: true, 85: true, 86: false };
+    Object.entries(ages).forEach(([age, valid]) => {
+        const patient = new Patient('minto', Number(age), 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES);
+        patient.modelId = 'minto';
+        assert.strictEqual(patient.validate().isValid, valid, `age ${age}`);
+    });
+    assert.strictEqual(app.PKPDModelRegistry.get('minto').validationLimits, app.MintoValidationLimits);
+});
+
+test('plasma sample limits and messages are in the model\'s concentration unit', () => {
+    const limitsFor = (modelId) => app.PKPDModelRegistry.get(modelId).validationLimits;
+    const sample = new PlasmaConcentrationObservation(30, 60);
+
+    assert.deepStrictEqual([...sample.validate(limitsFor('eleveld'), 'µg/mL').errors],
+        ['Measured concentration must be above 0 and up to 50 µg/mL']);
+    assert.deepStrictEqual([...sample.validate(limitsFor('hannivoort'), 'ng/mL').errors],
+        ['Measured concentration must be above 0 and up to 20 ng/mL']);
+    assert.ok(sample.validate(limitsFor('minto'), 'ng/mL').isValid, '60 ng/mL of remifentanil');
+
+    const patient = new Patient('plasma', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES);
+    patient.modelId = 'hannivoort';
+    const engine = new app.MonitoringEngine();
+    engine.setPatient(patient);
+    assert.throws(() => engine.addPlasmaObservation(sample), /up to 20 ng\/mL/);
+});
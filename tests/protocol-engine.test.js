@@ -0,0 +1,48 @@
+/**
+ * Step-down protocol engines (js/protocol-engine.js, js/advanced-protocol-engine.js)
+ *
+ * The step-down floor and the units in schedules follow the patient's model.
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { Patient, SexType, AsapsType, OpioidType, ProtocolEngine, AdvancedProtocolEngine } = app;
+
+function testPatient(modelId) {
+    const patient = new Patient('protocol', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES);
+    patient.modelId = modelId;
+    return patient;
+}
+
+test('step-downs stop at the minimum rate scaled by the model\'s rateScale', () => {
+    [['eleveld', 0.1], ['masui-remimazolam', 0.01]].forEach(([modelId, floor]) => {
+        const engine = new ProtocolEngine();
+        engine.setPatient(testPatient(modelId));
+        engine.updateSettings({ upperThreshold: 0, reductionFactor: 0.01, adjustmentInterval: 1, simulationDuration: 10 });
+        const result = engine.generateCompleteProtocol(0, 100);
+        const rates = result.dosageAdjustments.map(adj => adj.newRate);
+
+        assertClose(engine.minimumRate, floor, 1e-12, `${modelId} minimum rate`);
+        assert.strictEqual(rates[rates.length - 1], engine.minimumRate, `${modelId} floor`);
+        assert.strictEqual(rates.filter(rate => rate === engine.minimumRate).length, 1, `${modelId} stops reducing at the floor`);
+
+        const advanced = new AdvancedProtocolEngine();
+        advanced.setPatient(testPatient(modelId));
+        assertClose(advanced.minimumRate, floor, 1e-12, `${modelId} advanced engine minimum rate`);
+    });
+});
+
+test('protocol schedules use the model\'s dosing and concentration units', () => {
+    const engine = new ProtocolEngine();
+    engine.setPatient(testPatient('minto'));
+    engine.updateSettings({ upperThreshold: 2.0, simulationDuration: 30 });
+    engine.lastResult = engine.generateCompleteProtocol(50, 600);
+    const schedule = engine.generateProtocolSchedule(50, 600);
+
+    assert.strictEqual(schedule[0].dose, '50.0 µg');
+    assert.ok(schedule.slice(1).every(item => item.rate.endsWith(' µg/hr')), 'rates in µg/hr');
+    assert.ok(schedule.length > 2, 'at least one step-down');
+    assert.ok(schedule.slice(2).every(item => item.comment.endsWith(' ng/mL)')), 'Ce in ng/mL');
+});
@@ -0,0 +1,76 @@
+/**
+ * Infusion rate search (utils/rate-optimizer.js) and its use by the protocol engines
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { RateOptimizer, Patient, SexType, AsapsType, OpioidType, ProtocolEngine, AdvancedProtocolEngine } = app;
+
+function testPatient() {
+    return new Patient('rate-search', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES);
+}
+
+test('findRate brackets the target by growing the upper bound, then converges', () => {
+    const search = RateOptimizer.findRate(rate => 1 - Math.exp(-rate / 300), 0.75,
+        { lower: 0, upper: 50, maximum: 5000, tolerance: 1e-6 });
+
+    assert.strictEqual(search.status, 'converged');
+    assertClose(search.rate, 300 * Math.log(4), 1e-5, 'rate');
+    assert.deepStrictEqual([...search.bracket], [400, 800]);
+    assert.ok(search.iterations > 0 && search.evaluations > search.iterations);
+});
+
+test('findRate reports targets outside the search range', () => {
+    const response = rate => rate / 100;
+    assert.strictEqual(RateOptimizer.findRate(response, 0.5, { lower: 100, upper: 200 }).status, 'below-range');
+
+    const tooHigh = RateOptimizer.findRate(response, 50, { lower: 0, upper: 100, maximum: 1000 });
+    assert.strictEqual(tooHigh.status, 'above-range');
+    assert.strictEqual(tooHigh.rate, 1000);
+    assert.strictEqual(tooHigh.converged, false);
+});
+
+test('minimize finds the minimum to the rate tolerance', () => {
+    const search = RateOptimizer.minimize(rate => Math.pow(rate - 437.3, 2), 100, 1200,
+        { tolerance: 0.01, scanPoints: 12 });
+
+    assert.strictEqual(search.status, 'converged');
+    assertClose(search.rate, 437.3, 0.01, 'rate');
+    assert.strictEqual(search.scan.length, 12);
+    assert.ok(search.bracket[0] <= 437.3 && search.bracket[1] >= 437.3, 'bracket holds the minimum');
+});
+
+test('ProtocolEngine rate puts Ce at the target time on the target', () => {
+    const engine = new ProtocolEngine();
+    engine.setPatient(testPatient());
+    const result = engine.optimizeContinuousInfusionRate(140, 3.0, 20);
+
+    assertClose(engine.simulateBolusAndContinuous(140, result.optimalRate, 20), 3.0, 1e-4, 'Ce at 20 min');
+    assert.strictEqual(result.convergence.method, 'brent');
+    assert.strictEqual(result.convergence.converged, true);
+    assert.strictEqual(engine.getOptimizationHistory().length, 1);
+    assert.strictEqual(engine.getOptimizationHistory()[0].convergence, result.convergence);
+});
+
+test('AdvancedProtocolEngine rate is the lowest with the best maintenance score and is reproducible', () => {
+    const engine = new AdvancedProtocolEngine();
+    engine.setPatient(testPatient());
+    const result = engine.optimizeBolusProtocol(3.0, 120, 20);
+    const rate = result.optimization.optimalRate;
+    const tolerance = engine.settings.rateTolerance;
+
+    const score = (r) => engine.simulateMultiPointProtocol(120, r, 3.0).score;
+    assert.ok(score(rate) >= score(rate + 5 * tolerance), 'no better score just above');
+    assert.ok(score(rate) > score(rate - 5 * tolerance), 'lower rates score worse');
+
+    const history = engine.getOptimizationHistory();
+    assert.strictEqual(history.length, 1);
+    assert.strictEqual(history[0].convergence.method, 'golden-section');
+    assert.strictEqual(history[0].convergence.converged, true);
+
+    const repeat = engine.optimizeBolusProtocol(3.0, 120, 20);
+    assert.strictEqual(repeat.optimization.optimalRate, rate);
+    assert.deepStrictEqual(engine.getOptimizationHistory()[1].convergence, history[0].convergence);
+});
@@ -0,0 +1,46 @@
+/**
+ * Test Runner
+ * テストランナー
+ *
+ * Runs every tests/*.test.js file (or the files given as arguments) and exits
+ * with status 1 if any test fails.
+ *
+ * Usage: npm test   or   node tests/run-tests.js [file ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { registeredTests } = require('./harness');
+
+const files = process.argv.length > 2
+    ? process.argv.slice(2).map(file => path.resolve(file))
+    : fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.test.js'))
+        .sort()
+        .map(file => path.join(__dirname, file));
+
+async function run() {
+    let failures = 0;
+
+    for (const file of files) {
+        const start = registeredTests.length;
+        require(file);
+        console.log(`\n${path.relative(process.cwd(), file)}`);
+
+        for (const { name, fn } of registeredTests.slice(start)) {
+            try {
+                await fn();
+                console.log(`  ✓ ${name}`);
+            } catch (error) {
+                failures++;
+                console.log(`  ✗ ${name}`);
+                console.log(`    ${error.message.split('\n').join('\n    ')}`);
+            }
+        }
+    }
+
+    console.log(`\n${registeredTests.length - failures} passed, ${failures} failed`);
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+run();
@@ -0,0 +1,131 @@
+/**
+ * Background calculation transfer (js/simulation-transfer.js)
+ *
+ * Two separate application contexts stand in for the page and the Web Worker;
+ * messages pass through v8 serialisation, which uses the structured clone
+ * algorithm of postMessage. Results applied on the page side must equal a
+ * direct call and keep their classes.
+ */
+
+const v8 = require('v8');
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const page = loadApp();
+const worker = loadApp();
+const { Patient, SexType, AsapsType, OpioidType, DoseEvent, RemifentanilDoseEvent,
+    MonitoringEngine, AdvancedProtocolEngine, SimulationResult, TimePoint, ProtocolResult,
+    PKPDModelRegistry, CustomPKPDModel, SimulationTransfer, SimulationWorkerClient } = page;
+
+const postMessage = (message) => v8.deserialize(v8.serialize(message));
+
+function testPatient() {
+    return new Patient('transfer', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES);
+}
+
+function monitoringEngine(patient) {
+    const engine = new MonitoringEngine();
+    engine.setPatient(patient);
+    engine.addDoseEvent(new DoseEvent(0, 140, 600));
+    engine.addRemifentanilDoseEvent(new RemifentanilDoseEvent(0, 0, 0.2));
+    return engine;
+}
+
+function runInWorker(engine, calls, onProgress) {
+    const request = postMessage(SimulationTransfer.createRequest(engine, calls));
+    const reply = postMessage(worker.SimulationTransfer.runRequest(request, onProgress));
+    return SimulationTransfer.applyReply(engine, reply);
+}
+
+test('monitoring result from the worker equals a direct run and keeps its classes', () => {
+    const patient = testPatient();
+    const engine = monitoringEngine(patient);
+    const [result] = runInWorker(engine, [{ method: 'runSimulation', args: [60] }]);
+    const direct = monitoringEngine(testPatient()).runSimulation(60);
+
+    assert.ok(result instanceof SimulationResult);
+    assert.ok(result.timePoints[1] instanceof TimePoint);
+    assert.strictEqual(result.toCSV(), direct.toCSV());
+    assert.strictEqual(engine.lastSimulationResult, result);
+    assert.strictEqual(result.patient, patient, 'patient stays the page-side object');
+    assert.strictEqual(result.doseEvents.length, 1);
+    assert.ok(result.doseEvents[0] instanceof DoseEvent);
+    assert.strictEqual(result.model, PKPDModelRegistry.get('eleveld'));
+});
+
+test('optimisation in the worker gives the same protocol and fills the engine history', () => {
+    const engine = new AdvancedProtocolEngine();
+    engine.setPatient(testPatient());
+    const progress = [];
+    const [result] = runInWorker(engine,
+        [{ method: 'optimizeBolusProtocol', args: [3.0, 120, 20] }],
+        fraction => progress.push(fraction));
+
+    const direct = new AdvancedProtocolEngine();
+    direct.setPatient(testPatient());
+    const expected = direct.optimizeBolusProtocol(3.0, 120, 20);
+
+    assert.ok(result.optimization instanceof ProtocolResult);
+    assertClose(result.optimization.optimalRate, expected.optimization.optimalRate, 1e-12, 'optimal rate');
+    assert.deepStrictEqual(result.schedule, expected.schedule);
+    assert.strictEqual(engine.optimizationHistory.length, 1);
+    assert.strictEqual(engine.optimizationHistory[0].result, engine.lastResult);
+    assert.strictEqual(engine.getChartData().times.length, direct.getChartData().times.length);
+
+    assert.ok(progress.length > 10, 'progress is reported during the rate searches');
+    assert.ok(progress.every((fraction, i) => i === 0 || fraction >= progress[i - 1]), 'progress never goes back');
+    assert.strictEqual(progress[progress.length - 1], 1);
+});
+
+test('doses and patient changes made during a run are kept on the engine', () => {
+    const patient = testPatient();
+    const engine = monitoringEngine(patient);
+    const request = postMessage(SimulationTransfer.createRequest(engine, [{ method: 'runSimulation', args: [60] }]));
+
+    // Edits on the page while the worker calculates
+    const addedDose = new DoseEvent(30, 20, 600);
+    engine.addDoseEvent(addedDose);
+    const pkParams = engine.pkParams;
+
+    const reply = postMessage(worker.SimulationTransfer.runRequest(request));
+    const [result] = SimulationTransfer.applyReply(engine, reply, patient);
+
+    assert.strictEqual(engine.doseEvents.length, 2);
+    assert.strictEqual(engine.doseEvents[1], addedDose);
+    assert.strictEqual(engine.pkParams, pkParams, 'engine parameters are not replaced');
+    assert.strictEqual(engine.lastSimulationResult, result);
+    assert.strictEqual(result.doseEvents.length, 1, 'the result describes the doses it was run with');
+});
+
+test('custom parameter sets are registered in the worker', () => {
+    const model = CustomPKPDModel.register({
+        name: 'Transfer Test', v1: 4.27, v2: 18.9, v3: 238, cl: 1.89, q2: 1.29, q3: 0.836,
+        ke0: 0.456, ce50: 3.08, gamma: 1.47, bisBaseline: 93
+    });
+    const patient = testPatient();
+    patient.modelId = model.id;
+    const engine = new MonitoringEngine();
+    engine.setPatient(patient);
+    engine.addDoseEvent(new DoseEvent(0, 100, 0));
+
+    const [result] = runInWorker(engine, [{ method: 'runSimulation', args: [10] }]);
+
+    assert.strictEqual(result.model, model);
+    assertClose(result.timePoints[0].plasmaConcentration, 100 / 4.27, 1e-9, 'Cp after bolus');
+    CustomPKPDModel.remove(model.id);
+});
+
+test('without Web Workers the client calls the engine directly', async () => {
+    const engine = monitoringEngine(testPatient());
+    const client = new SimulationWorkerClient();
+    const fractions = [];
+
+    const [result] = await client.run(engine, [{ method: 'runSimulation', args: [30] }],
+        { onProgress: fraction => fractions.push(fraction) });
+
+    assert.strictEqual(client.workersAvailable, false);
+    assert.ok(result instanceof SimulationResult);
+    assert.strictEqual(engine.lastSimulationResult, result);
+    assert.deepStrictEqual(fractions, [1]);
+    assert.strictEqual(client.isBusy, false);
+});
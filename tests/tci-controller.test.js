@@ -0,0 +1,121 @@
+/**
+ * Effect-site TCI controller (js/tci-controller.js)
+ */
+
+const { test, assertClose, assert } = require('./harness');
+const { loadApp } = require('../utils/node-app-loader');
+
+const app = loadApp();
+const { EffectSiteTCIController, Patient, SexType, AsapsType, OpioidType, MonitoringEngine } = app;
+
+function testPatient(modelId = null) {
+    const patient = new Patient('tci', 50, 70, 170, SexType.MALE, AsapsType.CLASS_1_2, OpioidType.YES);
+    if (modelId) patient.modelId = modelId;
+    return patient;
+}
+
+function controller(patient = testPatient()) {
+    const tci = new EffectSiteTCIController();
+    tci.setPatient(patient);
+    return tci;
+}
+
+test('Ce rises to the target without overshoot and is held there', () => {
+    const tci = controller();
+    const result = tci.run(3.0, 60);
+    const data = result.timeSeriesData;
+
+    assert.ok(data.every(point => point.ce <= 3.0 + 1e-9), 'Ce never exceeds the target');
+    assert.ok(result.timeToTarget > 0 && result.timeToTarget < 10, `time to target ${result.timeToTarget}`);
+    data.filter(point => point.time >= 10).forEach(point => assertClose(point.ce, 3.0, 0.005, `Ce at ${point.time}`));
+
+    // Rapid filling at the pump limit (1200 mL/hr of 1% propofol) first, then a falling maintenance rate
+    assert.strictEqual(tci.maximumRate, 12000);
+    assert.strictEqual(result.pumpProfile[0].rate, tci.maximumRate);
+    assert.ok(result.timeToTarget < 3, `time to target ${result.timeToTarget} min at the pump limit`);
+    const meanRate = (from, to) => {
+        const rates = data.filter(point => point.time >= from && point.time < to).map(point => point.infusionRate);
+        return rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+    };
+    assert.ok(meanRate(15, 25) > meanRate(50, 60), 'maintenance rate falls as peripheral compartments fill');
+});
+
+test('rates change only every 10 seconds and stay on the pump resolution and limit', () => {
+    const tci = controller(testPatient('masui-remimazolam'));
+    const result = tci.run(1.0, 30);
+    const resolution = tci.rateResolution;
+
+    assertClose(result.updateInterval * 60, 10, 1e-12, 'update interval (s)');
+    result.pumpProfile.forEach(step => {
+        assertClose(step.time * 6, Math.round(step.time * 6), 1e-9, 'changes on a 10 s update');
+        assert.ok(step.rate >= 0 && step.rate <= 1200, `rate ${step.rate} within the model's pump limit`);
+        assertClose(step.rate / resolution, Math.round(step.rate / resolution), 1e-6, 'rate on the resolution');
+    });
+});
+
+test('by default the pump follows Shafer & Gregg alone; the plasma limit is opt-in', () => {
+    const pure = controller().run(3.0, 60);
+    const tci = controller();
+    tci.updateSettings({ limitPlasma: true });
+    const limited = tci.run(3.0, 60);
+    const maintenance = (result) => result.timeSeriesData.filter(point => point.time >= 10);
+
+    assert.ok(pure.timeSeriesData.every(point => point.ce <= 3.0 + 1e-9), 'Ce never exceeds the target');
+    assert.ok(maintenance(pure).some(point => point.plasma > 3.0 + 0.005), 'Cp goes above the target');
+    assert.ok(maintenance(limited).every(point => point.plasma <= 3.0 + 1e-6), 'with the limit Cp stays at the target');
+
+    // Peak targeting alone alternates high and low rates at every update during maintenance
+    const rates = maintenance(pure).map(point => point.infusionRate);
+    const reversals = rates.slice(2).filter((rate, i) => Math.sign(rate - rates[i + 1]) === -Math.sign(rates[i + 1] - rates[i])).length;
+    assert.ok(reversals > rates.length * 0.8, `${reversals} rate reversals in ${rates.length} updates`);
+});
+
+test('schedule rates are labelled in the model\'s dosing units', () => {
+    const propofol = controller();
+    const remifentanil = controller(testPatient('minto'));
+
+    assert.ok(propofol.generateSchedule(propofol.run(3.0, 10)).every(item => item.rate.endsWith(' mg/hr')));
+    assert.ok(remifentanil.generateSchedule(remifentanil.run(3.0, 10)).every(item => item.rate.endsWith(' µg/hr')));
+});
+
+test('a lower pump maximum slows the rise to the target', () => {
+    const tci = controller();
+    tci.updateSettings({ maximumRate: 1200 });
+    const result = tci.run(3.0, 30);
+
+    assert.strictEqual(result.maximumRateUsed, 1200);
+    assert.ok(result.timeToTarget > controller().run(3.0, 30).timeToTarget);
+});
+
+test('a time-varying target is followed down and up', () => {
+    const tci = controller();
+    const schedule = EffectSiteTCIController.parseTargetSchedule('30=2, 60=4', 3.0);
+    const result = tci.run(schedule, 90);
+    const ceAt = (time) => result.timeSeriesData[Math.round(time / result.updateInterval)].ce;
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(schedule)), [{ time: 0, targetCe: 3 }, { time: 30, targetCe: 2 }, { time: 60, targetCe: 4 }]);
+    assert.strictEqual(result.timeSeriesData[Math.round(31 / result.updateInterval)].infusionRate, 0, 'pump stops while Ce falls');
+    assertClose(ceAt(29), 3.0, 0.005, 'first target');
+    assertClose(ceAt(55), 2.0, 0.005, 'lowered target');
+    assertClose(ceAt(85), 4.0, 0.005, 'raised target');
+    assert.ok(result.timeSeriesData.every(point => point.ce <= Math.max(point.targetCe, 3.0) + 1e-9));
+
+    assert.throws(() => EffectSiteTCIController.parseTargetSchedule('thirty=2', 3.0), /time=Ce/);
+});
+
+test('the pump profile replayed in monitoring gives the controller Ce', () => {
+    const patient = testPatient();
+    const tci = controller(patient);
+    const result = tci.run(3.0, 45);
+
+    const monitoring = new MonitoringEngine();
+    monitoring.setPatient(patient);
+    tci.toDoseEvents(result).forEach(event => monitoring.addDoseEvent(event));
+    const simulation = monitoring.runSimulation(45);
+
+    [5, 15, 30, 44].forEach(time => {
+        const point = simulation.timePoints.find(p => Math.abs(p.timeInMinutes - time) < 1e-9);
+        const expected = result.timeSeriesData[Math.round(time / result.updateInterval)].ce;
+        assertClose(point.effectSiteConcentration, expected, 1e-3, `Ce at ${time} min`);
+    });
+});
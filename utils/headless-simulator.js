@@ -0,0 +1,420 @@
+/**
+ * Headless Case Simulator
+ * ブラウザなしの症例シミュレーション（バッチ処理用）
+ *
+ * Features:
+ * - Reads recorded cases (patient covariates + dose events) from JSON or CSV
+ * - Runs each case through MonitoringEngine.runSimulation, exactly as Step 3 of the PWA
+ * - Writes SimulationResult.toCSV output, one long-format CSV table or JSON for analysis
+ *   in R or other tools
+ *
+ * JSON: one case object or an array of cases
+ *   { "patient": { "id": "case01", "age": 50, "ageUnit": "years", "weight": 70, "height": 170, "sex": "male",
+ *                  "asa": "1-2", "opioid": "yes", "samplingSite": "arterial", "model": "eleveld",
+ *                  "startTime": "08:30" },
+ *     "doses": [ { "time": 0, "bolus": 140, "infusion": 600 },
+ *                { "time": 0, "drug": "remifentanil", "bolus": 0, "infusion": 0.2 } ],
+ *     "duration": 240 }
+ *
+ * CSV: one row per dose event with the patient columns repeated; rows with the same id form a case
+ *   id,age,weight,height,sex,asa,opioid,model,time,drug,bolus,infusion
+ *   case01,50,70,170,male,1-2,yes,eleveld,0,propofol,140,600
+ *   case01,50,70,170,male,1-2,yes,eleveld,30,propofol,0,400
+ * Fields are quoted as SimulationResult.csvField writes them: a field containing a comma,
+ * quote or line break is enclosed in double quotes, with quotes inside it doubled.
+ *
+ * Patient columns: age is in years (fractions allowed) unless ageUnit is given as years, months or weeks.
+ * opioid (yes/no) is required: it is an Eleveld covariate and there is no safe default.
+ * sex (male), asa (1-2) and samplingSite (arterial) have defaults.
+ *
+ * Dose units follow the model (propofol: mg and mg/hr). Remifentanil rows use µg and
+ * µg/kg/min; loading-maintenance models (dexmedetomidine) read bolus as the loading dose
+ * in µg/kg, loadingDuration in minutes and infusion as µg/kg/h.
+ * CSV output has a Time(min) column of elapsed minutes unless clock times are asked for;
+ * without a start time the anesthesia clock starts at 00:00.
+ * Long CSV output is one table with a single header row and a case_id column, for
+ * read.csv() in R; values a case does not have (e.g. BIS for Marsh) are NA.
+ */
+
+const { loadApp } = require('./node-app-loader');
+
+const PATIENT_FIELDS = ['id', 'age', 'ageUnit', 'weight', 'height', 'sex', 'asa', 'opioid', 'samplingSite',
+    'model', 'startTime', 'gestationalAge'];
+const DOSE_FIELDS = ['time', 'drug', 'bolus', 'infusion', 'loadingDuration'];
+
+let sharedApp = null;
+
+function application() {
+    if (!sharedApp) {
+        sharedApp = loadApp();
+    }
+    return sharedApp;
+}
+
+// =============================================
+// Input parsing
+// =============================================
+
+/**
+ * Cases from a JSON or CSV document
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Array} [{ patient: {...}, doses: [...], duration }]
+ */
+function parseCases(text, format) {
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON: ' + error.message);
+        }
+        const cases = Array.isArray(data) ? data : [data];
+        cases.forEach((entry, index) => {
+            if (!entry || !entry.patient || !Array.isArray(entry.doses)) {
+                throw new Error(`Case ${index + 1} needs "patient" and "doses"`);
+            }
+        });
+        return cases;
+    }
+    if (format === 'csv') {
+        return parseCSVCases(text);
+    }
+    throw new Error(`Unknown input format: ${format}`);
+}
+
+/**
+ * CSV records as arrays of fields; the inverse of SimulationResult.csvField
+ * Quoted fields may contain commas, line breaks and doubled quotes. Unquoted fields are
+ * trimmed; blank lines and lines starting with # are skipped.
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Records in file order
+ */
+function splitCSVRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;     // Current field was enclosed in quotes
+    let inQuotes = false;
+    let lineStart = true;
+
+    const endField = () => {
+        record.push(quoted ? field : field.trim());
+        field = '';
+        quoted = false;
+    };
+    const endRecord = () => {
+        const blank = record.length === 0 && !quoted && field.trim() === '';
+        endField();
+        if (!blank) records.push(record);
+        record = [];
+        lineStart = true;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+        if (lineStart && char === '#') {
+            while (i < text.length && text[i] !== '\n') i++;
+            continue;
+        }
+        lineStart = false;
+        if (char === '"' && field.trim() === '') {
+            field = '';
+            quoted = true;
+            inQuotes = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n') {
+            endRecord();
+        } else if (char !== '\r') {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error('CSV ends inside a quoted field');
+    }
+    if (!lineStart || record.length > 0) endRecord();
+    return records;
+}
+
+function parseCSVCases(text) {
+    const lines = splitCSVRecords(text);
+    if (lines.length < 2) {
+        throw new Error('CSV needs a header row and at least one dose row');
+    }
+
+    // Header names are matched without regard to case, spaces or underscores
+    const normalise = (name) => name.toLowerCase().replace(/[\s_]/g, '');
+    const known = [...PATIENT_FIELDS, ...DOSE_FIELDS];
+    const header = lines[0].map(name => {
+        const field = known.find(candidate => normalise(candidate) === normalise(name));
+        if (!field) {
+            throw new Error(`Unknown CSV column: ${name}`);
+        }
+        return field;
+    });
+    if (!header.includes('time')) {
+        throw new Error('CSV needs a time column');
+    }
+
+    const cases = new Map();
+    lines.slice(1).forEach((values, index) => {
+        if (values.length !== header.length) {
+            throw new Error(`CSV record ${index + 2} has ${values.length} columns, expected ${header.length}`);
+        }
+        const row = {};
+        header.forEach((field, i) => {
+            if (values[i] !== '') row[field] = values[i];
+        });
+
+        const id = row.id || 'case';
+        if (!cases.has(id)) {
+            const patient = {};
+            PATIENT_FIELDS.forEach(field => {
+                if (row[field] !== undefined) patient[field] = row[field];
+            });
+            cases.set(id, { patient: { ...patient, id: id }, doses: [] });
+        }
+
+        const dose = {};
+        DOSE_FIELDS.forEach(field => {
+            if (row[field] !== undefined) dose[field] = row[field];
+        });
+        cases.get(id).doses.push(dose);
+    });
+
+    return [...cases.values()];
+}
+
+// =============================================
+// Case construction
+// =============================================
+
+function number(value, name, caseId, fallback = undefined) {
+    if (value === undefined || value === null || value === '') {
+        if (fallback !== undefined) return fallback;
+        throw new Error(`${caseId}: ${name} is required`);
+    }
+    const parsed = typeof value === 'number' ? value : parseFloat(value);
+    if (!isFinite(parsed)) {
+        throw new Error(`${caseId}: ${name} must be a number (got "${value}")`);
+    }
+    return parsed;
+}
+
+function choice(value, options, name, caseId, fallback = undefined) {
+    if (value === undefined || value === null || value === '') {
+        if (fallback !== undefined) return fallback;
+        throw new Error(`${caseId}: ${name} is required (${Object.keys(options).join(', ')})`);
+    }
+    const key = String(value).trim().toLowerCase();
+    if (!(key in options)) {
+        throw new Error(`${caseId}: ${name} must be one of ${Object.keys(options).join(', ')} (got "${value}")`);
+    }
+    return options[key];
+}
+
+/**
+ * Anesthesia start from "HH:MM" or an ISO date; 00:00 today by default
+ */
+function startTime(value, caseId) {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    if (value === undefined || value === null || value === '') return start;
+
+    const clock = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    if (clock) {
+        start.setHours(parseInt(clock[1], 10), parseInt(clock[2], 10), 0, 0);
+        return start;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`${caseId}: startTime must be HH:MM or an ISO date (got "${value}")`);
+    }
+    return date;
+}
+
+/**
+ * Patient from input covariates, validated against the chosen model's limits
+ */
+function createPatient(app, raw) {
+    const { Patient, SexType, AsapsType, OpioidType, SamplingSiteType, AgeUnit, PKPDModelRegistry } = app;
+    const id = String(raw.id || 'case').trim();
+    const ageUnit = choice(raw.ageUnit, { years: AgeUnit.YEARS, y: AgeUnit.YEARS, months: AgeUnit.MONTHS,
+        mo: AgeUnit.MONTHS, weeks: AgeUnit.WEEKS, wk: AgeUnit.WEEKS }, 'ageUnit', id, AgeUnit.YEARS);
+
+    const patient = new Patient(
+        id,
+        AgeUnit.toYears(number(raw.age, 'age', id), ageUnit),
+        number(raw.weight, 'weight', id),
+        number(raw.height, 'height', id),
+        choice(raw.sex, { male: SexType.MALE, m: SexType.MALE, 0: SexType.MALE,
+            female: SexType.FEMALE, f: SexType.FEMALE, 1: SexType.FEMALE }, 'sex', id, SexType.MALE),
+        choice(raw.asa, { '1-2': AsapsType.CLASS_1_2, 1: AsapsType.CLASS_1_2, 2: AsapsType.CLASS_1_2,
+            '3-4': AsapsType.CLASS_3_4, 3: AsapsType.CLASS_3_4, 4: AsapsType.CLASS_3_4 }, 'asa', id, AsapsType.CLASS_1_2),
+        choice(raw.opioid, { yes: OpioidType.YES, true: OpioidType.YES, 1: OpioidType.YES,
+            no: OpioidType.NO, false: OpioidType.NO, 0: OpioidType.NO }, 'opioid', id),
+        startTime(raw.startTime, id)
+    );
+    patient.ageUnit = ageUnit;
+    patient.samplingSite = choice(raw.samplingSite, { arterial: SamplingSiteType.ARTERIAL,
+        venous: SamplingSiteType.VENOUS }, 'samplingSite', id, SamplingSiteType.ARTERIAL);
+    patient.gestationalAgeWeeks = number(raw.gestationalAge, 'gestationalAge', id, 40);
+
+    if (raw.model) {
+        if (!PKPDModelRegistry.has(raw.model)) {
+            const available = PKPDModelRegistry.list().map(model => model.id).join(', ');
+            throw new Error(`${id}: unknown model "${raw.model}" (available: ${available})`);
+        }
+        patient.modelId = raw.model;
+    }
+
+    const validation = patient.validate();
+    if (!validation.isValid) {
+        throw new Error(`${id}: ` + validation.errors.join(', '));
+    }
+    return patient;
+}
+
+/**
+ * Dose event of the class the PWA would create for this model and drug
+ */
+function createDoseEvent(app, patient, raw) {
+    const { DoseEvent, RemifentanilDoseEvent, DexmedetomidineDoseEvent, DosingMode, PKPDModelRegistry } = app;
+    const time = number(raw.time, 'dose time', patient.id);
+    const bolus = number(raw.bolus, 'bolus', patient.id, 0);
+    const infusion = number(raw.infusion, 'infusion', patient.id, 0);
+    const drug = raw.drug ? String(raw.drug).trim().toLowerCase() : null;
+    const model = PKPDModelRegistry.forPatient(patient);
+
+    if (drug === 'remifentanil' && model.drug !== 'remifentanil') {
+        return { remifentanil: true, event: new RemifentanilDoseEvent(time, bolus, infusion) };
+    }
+    if (drug && drug !== model.drug) {
+        throw new Error(`${patient.id}: ${drug} doses cannot be given with the ${model.displayName} model`);
+    }
+    if (model.dosingMode === DosingMode.LOADING_MAINTENANCE) {
+        const loadingDuration = number(raw.loadingDuration, 'loadingDuration', patient.id, 0);
+        return { remifentanil: false, event: new DexmedetomidineDoseEvent(time, bolus, loadingDuration, infusion) };
+    }
+    return { remifentanil: false, event: new DoseEvent(time, bolus, infusion) };
+}
+
+// =============================================
+// Simulation
+// =============================================
+
+/**
+ * Run one case through MonitoringEngine
+ * @param {Object} raw - { patient, doses, duration }
+ * @param {Object} options - { duration, method } (override the case's own duration)
+ * @returns {SimulationResult}
+ */
+function runCase(raw, options = {}) {
+    const app = application();
+    const patient = createPatient(app, raw.patient);
+
+    const engine = new app.MonitoringEngine();
+    engine.setPatient(patient);
+    if (options.method) {
+        engine.setSimulationMethod(options.method);
+    }
+
+    raw.doses.forEach(dose => {
+        const { remifentanil, event } = createDoseEvent(app, patient, dose);
+        if (remifentanil) {
+            engine.addRemifentanilDoseEvent(event);
+        } else {
+            engine.addDoseEvent(event);
+        }
+    });
+
+    const duration = options.duration || (raw.duration ? number(raw.duration, 'duration', patient.id) : null);
+    return engine.runSimulation(duration);
+}
+
+// =============================================
+// Output
+// =============================================
+
+/**
+ * SimulationResult.toCSV for each case, separated by a blank line
+ * @param {Object} options - { clockTime } writes HH:MM from the start time as in the PWA export;
+ *   { long } writes one table instead (formatLongCSV)
+ */
+function formatCSV(results, options = {}) {
+    if (options.long) {
+        return formatLongCSV(results, options);
+    }
+    return results.map(result => result.toCSV({ elapsedTime: !options.clockTime })).join('\n\n') + '\n';
+}
+
+/**
+ * All cases in one table: a single header row, one row per case and time point
+ * @param {Object} options - { clockTime } adds a clock_time column (HH:MM from the start time)
+ */
+function formatLongCSV(results, options = {}) {
+    const { SimulationResult } = application();
+    const field = (value) => value === null || value === undefined ? 'NA' : SimulationResult.csvField(value);
+    const fixed = (value) => value === null || value === undefined || isNaN(value) ? 'NA' : value.toFixed(3);
+
+    const header = ['case_id', 'model', 'drug', 'unit', 'time_min', ...(options.clockTime ? ['clock_time'] : []),
+        'plasma_conc', 'effect_site_conc', 'bis', 'remifentanil_ce', 'p_toss', 'p_tol'];
+    const lines = [header.join(',')];
+
+    results.forEach(result => {
+        const caseColumns = [result.patient.id, result.model.id, result.model.drug, result.model.concentrationUnit].map(field);
+        result.timePoints.forEach(tp => {
+            lines.push([
+                ...caseColumns,
+                tp.timeInMinutes,
+                ...(options.clockTime ? [tp.formattedClockTime(result.patient)] : []),
+                fixed(tp.plasmaConcentration),
+                fixed(tp.effectSiteConcentration),
+                tp.bisValue !== null ? tp.bisValue.toFixed(1) : 'NA',
+                result.hasRemifentanil ? fixed(tp.remifentanilEffectSiteConcentration) : 'NA',
+                tp.interaction ? fixed(tp.interaction.probabilityTOSS) : 'NA',
+                tp.interaction ? fixed(tp.interaction.probabilityTOL) : 'NA'
+            ].join(','));
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+function formatJSON(results) {
+    const cases = results.map(result => ({
+        id: result.patient.id,
+        model: result.model.id,
+        modelName: result.model.displayName,
+        calculationMethod: result.calculationMethod,
+        concentrationUnit: result.model.concentrationUnit,
+        summary: {
+            maxPlasmaConcentration: result.maxPlasmaConcentration,
+            maxEffectSiteConcentration: result.maxEffectSiteConcentration,
+            minBISValue: result.minBISValue,
+            maxRemifentanilEffectSiteConcentration: result.maxRemifentanilEffectSiteConcentration
+        },
+        timePoints: result.timePoints.map(tp => ({
+            time: tp.timeInMinutes,
+            plasmaConcentration: tp.plasmaConcentration,
+            effectSiteConcentration: tp.effectSiteConcentration,
+            bisValue: tp.bisValue,
+            ...(result.hasRemifentanil ? { remifentanilEffectSiteConcentration: tp.remifentanilEffectSiteConcentration } : {}),
+            ...(tp.interaction ? tp.interaction : {})
+        }))
+    }));
+    return JSON.stringify(cases, null, 2) + '\n';
+}
+
+module.exports = { parseCases, runCase, formatCSV, formatLongCSV, formatJSON, createPatient, createDoseEvent };
@@ -1,392 +1,800 @@
-// LSODA (Livermore Solver for Ordinary Differential Equations with Automatic method switching)
-// JavaScript implementation for pharmacokinetic calculations
-// Based on the FORTRAN LSODA by Hindmarsh & Petzold
+/**
+ * LSODA (Livermore Solver for Ordinary Differential Equations with Automatic method switching)
+ * 自動切替型ODEソルバー（Adams / BDF）
+ *
+ * Features:
+ * - Nordsieck-history multistep integrator after Hindmarsh & Petzold's LSODA
+ * - Non-stiff Adams-Moulton (orders 1-12, functional iteration) and stiff BDF
+ *   (orders 1-5, chord Newton iteration with an analytic or finite-difference Jacobian)
+ * - Local error control against rtol·|y| + atol with step size and order selection
+ * - Automatic switching: Adams steps limited by stability move to BDF, and back
+ *   when Adams can again take steps as large as BDF
+ * - Output at any time by Nordsieck interpolation, with a critical time (tcrit)
+ *   that is never stepped over, for infusion rate changes and boluses
+ *
+ * PKLSODASolver runs the three-compartment + effect-site system on a dose timeline:
+ * each bolus or rate change restarts the integration at its exact time.
+ */
+
+const LSODAMethod = {
+    ADAMS: 1,   // Non-stiff
+    BDF: 2      // Stiff
+};
+
+const LSODADefaults = {
+    rtol: 1e-6,
+    atol: 1e-10,
+    maxSteps: 20000,        // Per advanceTo() call
+    maxCorrectorIterations: 3,
+    switchRatio: 5.0,       // BDF must allow steps this much larger than Adams to switch
+    minimumStepsBetweenSwitches: 20,
+    jacobianRefreshSteps: 20,   // Stiffness estimate and BDF iteration matrix
+    minimumStep: 1e-12
+};
+
+// Rate constants of the PK/PD system (PKLSODASolver.derivatives and jacobian)
+const PK_LSODA_PARAMETERS = ['v1', 'ke0', 'k10', 'k12', 'k13', 'k21', 'k31'];
+
+// Stability limit h·‖J‖ of Adams-Moulton at orders 1-12 (LSODA sm1)
+const ADAMS_STABILITY_LIMITS = [0, 0.5, 0.575, 0.55, 0.45, 0.35, 0.25, 0.20, 0.15, 0.10, 0.075, 0.050, 0.030, 0.020];
 
 class LSODA {
-    constructor() {
-        // LSODA parameters
-        this.mxstep = 500;  // Maximum number of steps
-        this.mxhnil = 10;   // Maximum number of messages for t + h = t
-        this.mxordn = 12;   // Maximum order for non-stiff methods
-        this.mxords = 5;    // Maximum order for stiff methods
-        
-        // Tolerances
-        this.rtol = 1e-6;   // Relative tolerance
-        this.atol = 1e-12;  // Absolute tolerance
-        
-        // Current state
-        this.method = 1;    // 1 = non-stiff (Adams), 2 = stiff (BDF)
-        this.order = 1;     // Current order
-        this.h = 0.0;      // Current step size
-        this.tn = 0.0;     // Current time
-        this.jstart = 0;   // Start indicator
-        
-        // Coefficients for Adams methods
-        this.elco = this.initElco();
-        this.tesco = this.initTesco();
-    }
-    
-    initElco() {
-        const elco = Array(13).fill(null).map(() => Array(14).fill(0));
-        
-        // Adams-Bashforth coefficients
-        elco[1][1] = 1.0;
-        elco[1][2] = 1.0;
-        
-        elco[2][1] = 2.0/3.0;
-        elco[2][2] = 3.0/2.0;
-        elco[2][3] = -1.0/2.0;
-        
-        elco[3][1] = 3.0/4.0;
-        elco[3][2] = 23.0/12.0;
-        elco[3][3] = -4.0/3.0;
-        elco[3][4] = 5.0/12.0;
-        
-        // Additional orders can be computed dynamically
-        for (let i = 4; i <= 12; i++) {
-            this.computeElcoRow(elco, i);
+    constructor(options = {}) {
+        this.settings = { ...LSODADefaults, ...options };
+        this.coefficients = {
+            [LSODAMethod.ADAMS]: LSODA.methodCoefficients(LSODAMethod.ADAMS),
+            [LSODAMethod.BDF]: LSODA.methodCoefficients(LSODAMethod.BDF)
+        };
+        this.maxOrder = { [LSODAMethod.ADAMS]: 12, [LSODAMethod.BDF]: 5 };
+    }
+
+    /**
+     * Method coefficients (LSODE cfode)
+     * @returns {Object} { el: [q] → l_0..l_q, test: [q] → [order q-1, q, q+1 error factors], errorConstant }
+     */
+    static methodCoefficients(method) {
+        const el = [];
+        const test = [];
+        const pc = new Array(14).fill(0);
+        for (let q = 0; q <= 13; q++) test.push([0, 0, 0]);
+
+        if (method === LSODAMethod.ADAMS) {
+            el[1] = [1.0, 1.0];
+            test[1] = [0.0, 2.0, 0.0];
+            test[2][0] = 1.0;
+            pc[1] = 1.0;
+            let rqfac = 1.0;
+
+            for (let nq = 2; nq <= 12; nq++) {
+                // Coefficients of p(x)·(x + nq - 1)
+                const rq1fac = rqfac;
+                rqfac = rqfac / nq;
+                const fnqm1 = nq - 1;
+                pc[nq] = 0.0;
+                for (let i = nq; i >= 2; i--) {
+                    pc[i] = pc[i - 1] + fnqm1 * pc[i];
+                }
+                pc[1] = fnqm1 * pc[1];
+
+                // Integrals of p(x) and x·p(x) over [-1, 0]
+                let pint = pc[1];
+                let xpin = pc[1] / 2.0;
+                let tsign = 1.0;
+                for (let i = 2; i <= nq; i++) {
+                    tsign = -tsign;
+                    pint += tsign * pc[i] / i;
+                    xpin += tsign * pc[i] / (i + 1);
+                }
+
+                const row = [pint * rq1fac, 1.0];
+                for (let i = 2; i <= nq; i++) row.push(rq1fac * pc[i] / i);
+                el[nq] = row;
+
+                const ragq = 1.0 / (rqfac * xpin);
+                test[nq][1] = ragq;
+                if (nq < 12) test[nq + 1][0] = ragq * rqfac / (nq + 1);
+                test[nq - 1][2] = ragq;
+            }
+        } else {
+            pc[1] = 1.0;
+            let rq1fac = 1.0;
+
+            for (let nq = 1; nq <= 5; nq++) {
+                // Coefficients of p(x)·(x + nq)
+                pc[nq + 1] = 0.0;
+                for (let i = nq + 1; i >= 2; i--) {
+                    pc[i] = pc[i - 1] + nq * pc[i];
+                }
+                pc[1] = nq * pc[1];
+
+                const row = [];
+                for (let i = 1; i <= nq + 1; i++) row.push(pc[i] / pc[2]);
+                row[1] = 1.0;
+                el[nq] = row;
+
+                test[nq] = [rq1fac, (nq + 1) / row[0], (nq + 2) / row[0]];
+                rq1fac = rq1fac / nq;
+            }
+        }
+
+        // Leading error constants, used to compare the two methods when switching
+        const errorConstant = el.map((row, q) => row ? test[q][1] * row[q] : 0);
+        return { el, test, errorConstant };
+    }
+
+    // =============================================
+    // Stateful interface
+    // =============================================
+
+    /**
+     * Start (or restart after a discontinuity) at t0 with state y0
+     * @param {Function} f - f(t, y) → dy/dt array
+     * @param {Object} options - { jacobian(t, y) → matrix, span (expected output distance), hmax }
+     */
+    start(f, t0, y0, options = {}) {
+        this.f = f;
+        this.jacobianFunction = options.jacobian || null;
+        this.hmax = options.hmax || Infinity;
+        this.n = y0.length;
+        this.tn = t0;
+        this.method = LSODAMethod.ADAMS;
+        this.order = 1;
+        this.stepsSinceSwitch = 0;
+        this.stepsSinceJacobian = 0;
+        this.stepsUntilOrderCheck = 2;
+        this.maxStepRatio = 1e4;
+        this.savedCorrection = null;
+        this.jacobian = null;
+        this.jacobianNorm = 0;
+        this.newtonMatrix = null;
+        this.stats = this.stats || LSODA.emptyStats();
+
+        const f0 = this.evaluate(t0, y0);
+        const ewt = this.errorWeights(y0);
+        const span = Math.max(options.span || 1.0, 1e-6);
+
+        // Initial step (LSODE): balance the tolerance against the initial slope
+        const slope = this.norm(f0, ewt);
+        const tol = Math.max(this.settings.rtol, 1e-12);
+        let h = 1.0 / Math.sqrt(1.0 / (tol * span * span) + tol * slope * slope);
+        h = Math.min(h, span, this.hmax);
+
+        this.h = h;
+        this.lastStep = 0;
+        this.yh = [y0.slice(), f0.map(value => value * h)];
+        this.updateJacobian(t0, y0, f0);
+        return this;
+    }
+
+    get methodName() {
+        return this.method === LSODAMethod.BDF ? 'BDF' : 'Adams';
+    }
+
+    static emptyStats() {
+        return {
+            steps: 0,
+            adamsSteps: 0,
+            bdfSteps: 0,
+            rejectedSteps: 0,
+            functionEvaluations: 0,
+            jacobianEvaluations: 0,
+            methodSwitches: 0
+        };
+    }
+
+    /**
+     * Integrate to tout and return y(tout); steps may pass tout but never tcrit
+     */
+    advanceTo(tout, tcrit = null) {
+        const epsilon = 1e-12 * Math.max(1.0, Math.abs(tout));
+        if (tout < this.tn - this.lastStep - epsilon) {
+            throw new Error(`LSODA cannot return to t = ${tout} (now at ${this.tn})`);
         }
-        
-        return elco;
-    }
-    
-    computeElcoRow(elco, nq) {
-        const agamq = this.computeGamma(nq);
-        const fnq = nq;
-        const pint = 1.0;
-        
-        elco[nq][1] = pint / agamq;
-        
-        for (let i = 2; i <= nq; i++) {
-            elco[nq][i] = elco[nq-1][i-1] * fnq / (fnq - i + 1);
+
+        let steps = 0;
+        while (this.tn < tout - epsilon) {
+            if (tcrit !== null && this.tn + this.h > tcrit) {
+                this.rescale((tcrit - this.tn) / this.h);
+            }
+            this.step();
+            if (++steps > this.settings.maxSteps) {
+                throw new Error(`LSODA exceeded ${this.settings.maxSteps} steps before t = ${tout}`);
+            }
+            if (tcrit !== null && Math.abs(this.tn - tcrit) <= epsilon) {
+                this.tn = tcrit;
+                break;
+            }
         }
-        
-        elco[nq][nq+1] = -elco[nq-1][nq] * fnq / (fnq + 1);
-    }
-    
-    computeGamma(n) {
-        let gamma = 1.0;
-        for (let i = 2; i <= n; i++) {
-            gamma *= i;
+
+        return this.interpolate(Math.min(tout, this.tn));
+    }
+
+    /**
+     * y(t) from the Nordsieck history over the last step (tn - lastStep ≤ t ≤ tn)
+     */
+    interpolate(t) {
+        const s = (t - this.tn) / this.h;
+        const y = this.yh[0].slice();
+        let factor = 1.0;
+        for (let j = 1; j <= this.order; j++) {
+            factor *= s;
+            for (let i = 0; i < this.n; i++) y[i] += factor * this.yh[j][i];
         }
-        return gamma;
-    }
-    
-    initTesco() {
-        const tesco = Array(13).fill(null).map(() => Array(4).fill(0));
-        
-        // Error coefficients
-        tesco[1][1] = 0.0;
-        tesco[1][2] = 2.0;
-        tesco[2][1] = -1.0/2.0;
-        tesco[2][2] = -1.0/12.0;
-        tesco[3][1] = -1.0/12.0;
-        tesco[3][2] = -1.0/24.0;
-        
-        return tesco;
-    }
-    
+        return y;
+    }
+
+    // =============================================
+    // Convenience interface
+    // =============================================
+
     /**
-     * Main LSODA integration function
-     * @param {Function} f - Derivative function f(t, y) returns dy/dt
-     * @param {Array} y0 - Initial conditions
-     * @param {Array} t - Time points
-     * @param {Object} options - Integration options
+     * Solution at each output time (continuous right-hand side)
+     * @param {Function} f - f(t, y) → dy/dt array
+     * @param {Array} y0 - State at t[0]
+     * @param {Array} t - Increasing output times
+     * @param {Object} options - { rtol, atol, jacobian, tcrit }
      */
     integrate(f, y0, t, options = {}) {
-        const neq = y0.length;
-        const ntout = t.length;
-        
-        // Initialize
-        this.rtol = options.rtol || 1e-6;
-        this.atol = options.atol || 1e-12;
-        this.mxstep = options.mxstep || 500;
-        
-        let y = [...y0];
+        if (options.rtol !== undefined) this.settings.rtol = options.rtol;
+        if (options.atol !== undefined) this.settings.atol = options.atol;
+        this.stats = LSODA.emptyStats();
+
+        const span = t.length > 1 ? t[1] - t[0] : 1.0;
+        this.start(f, t[0], y0, { jacobian: options.jacobian, span: span });
+
         const solution = [y0.slice()];
-        
-        this.tn = t[0];
-        // Improved initial step size calculation
-        const dt_max = Math.abs(t[1] - t[0]);
-        this.h = Math.min(dt_max * 0.1, 0.1); // More conservative initial step
-        this.jstart = 0;
-        this.method = 1; // Start with non-stiff
-        this.order = 1;
-        
-        // Nordsieck history array
-        const yh = Array(neq).fill(null).map(() => Array(14).fill(0));
-        for (let i = 0; i < neq; i++) {
-            yh[i][1] = y[i];
-        }
-        
-        // Main integration loop
-        for (let iout = 1; iout < ntout; iout++) {
-            const tout = t[iout];
-            
-            while (this.tn < tout - 1e-12) { // Add small tolerance to avoid numerical issues
-                // Check if we can reach tout in one step
-                const remaining = tout - this.tn;
-                if (Math.abs(this.h) > remaining) {
-                    this.h = remaining;
-                }
-                
-                // Attempt a step
-                const result = this.step(f, y, yh, neq);
-                
-                if (!result.success) {
-                    throw new Error(`LSODA failed at t = ${this.tn}: ${result.message}`);
-                }
-                
-                y = result.y;
-            }
-            
-            // Ensure we're exactly at tout
-            this.tn = tout;
-            solution.push(y.slice());
+        for (let i = 1; i < t.length; i++) {
+            solution.push(this.advanceTo(t[i], options.tcrit !== undefined ? options.tcrit : null));
         }
-        
+
         return {
             t: t.slice(),
             y: solution,
-            stats: {
-                nsteps: this.nsteps || 0,
-                nfe: this.nfe || 0,
-                method: this.method
-            }
+            stats: { ...this.stats, method: this.methodName }
         };
     }
-    
+
+    // =============================================
+    // Step
+    // =============================================
+
     /**
-     * Single integration step
+     * One accepted step (retries with smaller steps on corrector or error test failure)
      */
-    step(f, y, yh, neq) {
-        const hmin = 1e-12; // More reasonable minimum step size
-        let nsteps = 0;
-        const maxsteps = this.mxstep;
-        
-        while (nsteps < maxsteps) {
-            nsteps++;
-            
-            // Predict
-            this.predict(yh, neq);
-            
-            // Evaluate derivative
-            const t_pred = this.tn + this.h;
-            const y_pred = yh.map(row => row[1]);
-            
-            // Add safety check for y_pred values
-            const y_safe = y_pred.map(val => isFinite(val) ? Math.max(0, val) : 0);
-            
-            const dydt = f(t_pred, y_safe);
-            
-            // Safety check for derivatives
-            if (!dydt || dydt.some(val => !isFinite(val))) {
-                this.h *= 0.5;
-                if (Math.abs(this.h) < hmin) {
-                    return {
-                        success: false,
-                        message: `Invalid derivatives at t = ${t_pred}`
-                    };
+    step() {
+        let errorFailures = 0;
+        let convergenceFailures = 0;
+
+        while (true) {
+            const { el, test } = this.coefficients[this.method];
+            const q = this.order;
+            const h = this.h;
+            const tNew = this.tn + h;
+            const ewt = this.errorWeights(this.yh[0]);
+            const saved = this.yh.map(row => row.slice());
+
+            this.predict();
+            const correction = this.correct(tNew, ewt);
+
+            if (!correction.converged) {
+                this.yh = saved;
+                this.stats.rejectedSteps++;
+                convergenceFailures++;
+                if (this.method === LSODAMethod.BDF && !correction.freshJacobian) {
+                    this.updateJacobian(this.tn, this.yh[0]);
+                    continue;
                 }
+                this.rescale(0.25);
+                this.checkStepSize(convergenceFailures);
                 continue;
             }
-            
-            // Correct
-            const corrResult = this.correct(yh, dydt, neq);
-            
-            if (corrResult.success) {
-                // Accept step
-                this.tn += this.h;
-                
-                // Update solution
-                for (let i = 0; i < neq; i++) {
-                    y[i] = Math.max(0, yh[i][1]); // Ensure non-negative values
+
+            const acor = correction.acor;
+            const dsm = this.norm(acor, ewt) / test[q][1];
+
+            if (dsm > 1.0) {
+                // Error test failed: shrink the step (and drop to order 1 after repeated failures)
+                this.yh = saved;
+                this.stats.rejectedSteps++;
+                errorFailures++;
+
+                if (errorFailures >= 3) {
+                    this.order = 1;
+                    const f0 = this.evaluate(this.tn, this.yh[0]);
+                    this.yh = [this.yh[0], f0.map(value => value * this.h)];
+                    this.rescale(0.1);
+                } else {
+                    const rh = 1.0 / (1.2 * Math.pow(dsm, 1.0 / (q + 1)) + 1.2e-6);
+                    this.rescale(Math.max(0.2, Math.min(0.9, rh)));
                 }
-                
-                // Choose next step size and order
-                this.selectStepAndOrder(corrResult.error);
-                
-                return {
-                    success: true,
-                    y: y.slice(),
-                    h: this.h
-                };
+                this.checkStepSize(errorFailures);
+                continue;
+            }
+
+            // Accept
+            for (let j = 0; j <= q; j++) {
+                for (let i = 0; i < this.n; i++) this.yh[j][i] += el[q][j] * acor[i];
+            }
+            this.tn = tNew;
+            this.lastStep = h;
+            this.stats.steps++;
+            if (this.method === LSODAMethod.ADAMS) this.stats.adamsSteps++;
+            else this.stats.bdfSteps++;
+            this.stepsSinceSwitch++;
+            this.stepsSinceJacobian++;
+
+            this.selectStepAndOrder(acor, dsm, ewt, errorFailures > 0);
+            return;
+        }
+    }
+
+    /**
+     * Nordsieck prediction (Pascal triangle)
+     */
+    predict() {
+        const q = this.order;
+        for (let k = 1; k <= q; k++) {
+            for (let j = q; j >= k; j--) {
+                const high = this.yh[j];
+                const low = this.yh[j - 1];
+                for (let i = 0; i < this.n; i++) low[i] += high[i];
+            }
+        }
+    }
+
+    /**
+     * Corrector: functional iteration (Adams) or chord Newton with I - h·l0·J (BDF)
+     */
+    correct(tNew, ewt) {
+        const { el, test } = this.coefficients[this.method];
+        const q = this.order;
+        const l0 = el[q][0];
+        const h = this.h;
+        const conit = 0.5 / (q + 2);
+        const acor = new Array(this.n).fill(0);
+        const predicted = this.yh[0];
+        const first = this.yh[1];
+
+        let freshJacobian = false;
+        if (this.method === LSODAMethod.BDF) {
+            if (!this.newtonMatrix || this.newtonMatrix.hl0 !== h * l0) {
+                this.newtonMatrix = this.factorNewtonMatrix(h * l0);
+            }
+            freshJacobian = this.jacobianFresh;
+        }
+
+        let y = predicted.slice();
+        let rate = 0.7;
+        let previousNorm = 0;
+
+        for (let m = 0; m < this.settings.maxCorrectorIterations; m++) {
+            const f = this.evaluate(tNew, y);
+            let delta;
+
+            if (this.method === LSODAMethod.ADAMS) {
+                const r = f.map((value, i) => h * value - first[i]);
+                delta = r.map((value, i) => value - acor[i]);
+                for (let i = 0; i < this.n; i++) acor[i] = r[i];
             } else {
-                // Reduce step size and retry
-                this.h *= 0.5; // Less aggressive reduction
-                if (Math.abs(this.h) < hmin) {
-                    return {
-                        success: false,
-                        message: `Step size too small: ${this.h}`
-                    };
-                }
+                const residual = f.map((value, i) => h * value - (first[i] + acor[i]));
+                delta = LSODA.luSolve(this.newtonMatrix, residual);
+                for (let i = 0; i < this.n; i++) acor[i] += delta[i];
             }
+            y = predicted.map((value, i) => value + l0 * acor[i]);
+
+            const deltaNorm = this.norm(delta, ewt);
+            if (m > 0) rate = Math.max(0.2 * rate, deltaNorm / previousNorm);
+            const dcon = deltaNorm * Math.min(1.0, 1.5 * rate) / (test[q][1] * conit);
+
+            if (dcon <= 1.0) {
+                this.jacobianFresh = false;
+                return { converged: true, acor: acor, freshJacobian: freshJacobian };
+            }
+            if (m > 0 && deltaNorm > 2.0 * previousNorm) break;
+            previousNorm = deltaNorm;
+        }
+
+        return { converged: false, freshJacobian: freshJacobian };
+    }
+
+    /**
+     * Step size, order and method for the next step (LSODE/LSODA rules)
+     */
+    selectStepAndOrder(acor, dsm, ewt, hadFailure) {
+        this.stepsUntilOrderCheck--;
+        if (this.stepsUntilOrderCheck === 1) {
+            this.savedCorrection = acor.slice();
+        }
+        if (this.stepsUntilOrderCheck > 0) return;
+
+        const { el, test } = this.coefficients[this.method];
+        const q = this.order;
+        const maxOrder = this.maxOrder[this.method];
+
+        const rhSame = 1.0 / (1.2 * Math.pow(dsm, 1.0 / (q + 1)) + 1.2e-6);
+
+        let rhDown = 0.0;
+        if (q > 1) {
+            const ddn = this.norm(this.yh[q], ewt) / test[q][0];
+            rhDown = 1.0 / (1.3 * Math.pow(ddn, 1.0 / q) + 1.3e-6);
+        }
+
+        let rhUp = 0.0;
+        if (q < maxOrder && this.savedCorrection && !hadFailure) {
+            const difference = acor.map((value, i) => value - this.savedCorrection[i]);
+            const dup = this.norm(difference, ewt) / test[q][2];
+            rhUp = 1.0 / (1.4 * Math.pow(dup, 1.0 / (q + 2)) + 1.4e-6);
+        }
+
+        let newOrder = q;
+        let rh = rhSame;
+        if (rhUp > rh && rhUp >= rhDown) {
+            newOrder = q + 1;
+            rh = rhUp;
+        } else if (rhDown > rh) {
+            newOrder = q - 1;
+            rh = rhDown;
+        }
+
+        // Adams steps are limited by stability once the problem turns stiff
+        if (this.stepsSinceJacobian >= this.settings.jacobianRefreshSteps) {
+            this.updateJacobian(this.tn, this.yh[0]);
+        }
+        this.updateJacobianNorm(ewt);
+        const stabilityLimited = this.method === LSODAMethod.ADAMS && this.jacobianNorm > 0 &&
+            rh * this.h * this.jacobianNorm > ADAMS_STABILITY_LIMITS[newOrder];
+        if (stabilityLimited) {
+            rh = ADAMS_STABILITY_LIMITS[newOrder] / (this.h * this.jacobianNorm);
+        }
+
+        const switched = this.considerMethodSwitch(dsm, rh, stabilityLimited);
+        if (switched) {
+            newOrder = switched.order;
+            rh = switched.rh;
+        } else if (newOrder === q + 1) {
+            this.yh[q + 1] = acor.map(value => value * el[q][q] / (q + 1));
+        }
+
+        this.order = newOrder;
+        if (this.yh.length > newOrder + 1) this.yh.length = newOrder + 1;
+        this.stepsUntilOrderCheck = newOrder + 1;
+
+        rh = Math.min(rh, this.maxStepRatio);
+        if (switched || rh >= 1.1 || rh < 1.0) {
+            this.rescale(rh);
+        }
+        this.maxStepRatio = 10.0;
+    }
+
+    /**
+     * Adams → BDF when stability, not accuracy, limits the step; BDF → Adams when
+     * Adams could take steps at least as large
+     * @returns {Object|null} { order, rh } for the new method
+     */
+    considerMethodSwitch(dsm, rhCurrent, stabilityLimited) {
+        if (this.stepsSinceSwitch < this.settings.minimumStepsBetweenSwitches) return null;
+
+        const q = this.order;
+        const adams = this.coefficients[LSODAMethod.ADAMS];
+        const bdf = this.coefficients[LSODAMethod.BDF];
+
+        if (this.method === LSODAMethod.ADAMS) {
+            if (!stabilityLimited) return null;
+            const bdfOrder = Math.min(q, this.maxOrder[LSODAMethod.BDF]);
+            const dm = dsm * adams.errorConstant[q] / bdf.errorConstant[bdfOrder];
+            const rhBDF = 1.0 / (1.2 * Math.pow(dm, 1.0 / (bdfOrder + 1)) + 1.2e-6);
+            if (rhBDF < this.settings.switchRatio * rhCurrent) return null;
+
+            this.switchMethod(LSODAMethod.BDF, bdfOrder);
+            return { order: bdfOrder, rh: rhBDF };
+        }
+
+        const dm = dsm * bdf.errorConstant[q] / adams.errorConstant[q];
+        let rhAdams = 1.0 / (1.2 * Math.pow(dm, 1.0 / (q + 1)) + 1.2e-6);
+        if (this.jacobianNorm > 0) {
+            rhAdams = Math.min(rhAdams, ADAMS_STABILITY_LIMITS[q] / (this.h * this.jacobianNorm));
+        }
+        if (rhAdams < rhCurrent) return null;
+
+        this.switchMethod(LSODAMethod.ADAMS, q);
+        return { order: q, rh: rhAdams };
+    }
+
+    switchMethod(method, order) {
+        this.method = method;
+        this.order = order;
+        this.stepsSinceSwitch = 0;
+        this.savedCorrection = null;
+        this.newtonMatrix = null;
+        this.stats.methodSwitches++;
+        if (method === LSODAMethod.BDF) {
+            this.updateJacobian(this.tn, this.yh[0]);
+        }
+    }
+
+    /**
+     * Change the step size by rh (Nordsieck column j scales by rh^j)
+     */
+    rescale(rh) {
+        rh = Math.min(rh, this.hmax / this.h);
+        let factor = 1.0;
+        for (let j = 1; j < this.yh.length; j++) {
+            factor *= rh;
+            for (let i = 0; i < this.n; i++) this.yh[j][i] *= factor;
+        }
+        this.h *= rh;
+    }
+
+    checkStepSize(failures) {
+        const minimum = this.settings.minimumStep * Math.max(1.0, Math.abs(this.tn));
+        if (Math.abs(this.h) < minimum || failures > 10) {
+            throw new Error(`LSODA step size too small at t = ${this.tn}`);
         }
-        
-        return {
-            success: false,
-            message: `Maximum steps (${maxsteps}) exceeded`
-        };
     }
-    
-    predict(yh, neq) {
-        for (let j = this.order; j >= 1; j--) {
-            for (let i = 0; i < neq; i++) {
-                yh[i][j] += yh[i][j+1];
+
+    // =============================================
+    // Jacobian, norms and linear algebra
+    // =============================================
+
+    evaluate(t, y) {
+        this.stats.functionEvaluations++;
+        const dydt = this.f(t, y);
+        if (!dydt || dydt.some(value => !isFinite(value))) {
+            throw new Error(`LSODA: invalid derivatives at t = ${t}`);
+        }
+        return dydt;
+    }
+
+    /**
+     * Jacobian from the supplied function or by forward differences; its weighted
+     * norm measures stiffness for the Adams stability limit
+     */
+    updateJacobian(t, y, f0 = null) {
+        this.stats.jacobianEvaluations++;
+        if (this.jacobianFunction) {
+            this.jacobian = this.jacobianFunction(t, y);
+        } else {
+            const base = f0 || this.evaluate(t, y);
+            const ewt = this.errorWeights(y);
+            this.jacobian = Array.from({ length: this.n }, () => new Array(this.n).fill(0));
+            for (let j = 0; j < this.n; j++) {
+                const delta = Math.max(1e-8 * Math.abs(y[j]), 1e-3 * ewt[j], 1e-12);
+                const shifted = y.slice();
+                shifted[j] += delta;
+                const fj = this.evaluate(t, shifted);
+                for (let i = 0; i < this.n; i++) this.jacobian[i][j] = (fj[i] - base[i]) / delta;
             }
         }
+
+        this.updateJacobianNorm(this.errorWeights(y));
+        this.newtonMatrix = null;
+        this.jacobianFresh = true;
+        this.stepsSinceJacobian = 0;
+    }
+
+    /**
+     * Weighted max-row-sum norm of the Jacobian (LSODA fnorm)
+     */
+    updateJacobianNorm(ewt) {
+        this.jacobianNorm = Math.max(...this.jacobian.map((row, i) =>
+            row.reduce((sum, value, j) => sum + Math.abs(value) * ewt[j] / ewt[i], 0)));
+    }
+
+    factorNewtonMatrix(hl0) {
+        const matrix = this.jacobian.map((row, i) => row.map((value, j) => (i === j ? 1.0 : 0.0) - hl0 * value));
+        const lu = LSODA.luFactor(matrix);
+        lu.hl0 = hl0;
+        return lu;
+    }
+
+    errorWeights(y) {
+        return y.map(value => this.settings.rtol * Math.abs(value) + this.settings.atol);
+    }
+
+    /**
+     * Weighted root-mean-square norm
+     */
+    norm(vector, ewt) {
+        let sum = 0;
+        for (let i = 0; i < vector.length; i++) {
+            const scaled = vector[i] / ewt[i];
+            sum += scaled * scaled;
+        }
+        return Math.sqrt(sum / vector.length);
     }
-    
-    correct(yh, dydt, neq) {
-        const el = this.elco[this.order];
-        const el0 = el[1];
-        
-        let errmax = 0.0;
-        
-        for (let i = 0; i < neq; i++) {
-            const acor = this.h * dydt[i] - yh[i][2];
-            yh[i][1] += el0 * acor;
-            yh[i][2] = acor;
-            
-            // Estimate error
-            const err = Math.abs(acor) / (this.atol + this.rtol * Math.abs(yh[i][1]));
-            errmax = Math.max(errmax, err);
+
+    /**
+     * LU factorisation with partial pivoting
+     */
+    static luFactor(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(row => row.slice());
+        const pivots = new Array(n);
+
+        for (let k = 0; k < n; k++) {
+            let p = k;
+            for (let i = k + 1; i < n; i++) {
+                if (Math.abs(a[i][k]) > Math.abs(a[p][k])) p = i;
+            }
+            if (a[p][k] === 0) {
+                throw new Error('LSODA: singular iteration matrix');
+            }
+            pivots[k] = p;
+            if (p !== k) [a[p], a[k]] = [a[k], a[p]];
+
+            for (let i = k + 1; i < n; i++) {
+                a[i][k] /= a[k][k];
+                for (let j = k + 1; j < n; j++) a[i][j] -= a[i][k] * a[k][j];
+            }
         }
-        
-        const success = errmax <= 1.0;
-        
-        return {
-            success,
-            error: errmax,
-            dydt
-        };
+
+        return { a, pivots };
     }
-    
-    selectStepAndOrder(errmax) {
-        const factor = Math.max(0.1, Math.min(5.0, Math.pow(2.0 / errmax, 1.0 / (this.order + 1))));
-        this.h *= 0.9 * factor;
-        
-        // Order selection logic (simplified)
-        if (errmax < 0.1 && this.order < this.mxordn) {
-            this.order++;
-        } else if (errmax > 0.5 && this.order > 1) {
-            this.order--;
+
+    static luSolve(lu, b) {
+        const { a, pivots } = lu;
+        const n = a.length;
+        const x = b.slice();
+
+        for (let k = 0; k < n; k++) {
+            const p = pivots[k];
+            if (p !== k) [x[p], x[k]] = [x[k], x[p]];
+            for (let i = k + 1; i < n; i++) x[i] -= a[i][k] * x[k];
         }
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = i + 1; j < n; j++) x[i] -= a[i][j] * x[j];
+            x[i] /= a[i][i];
+        }
+        return x;
     }
 }
 
-// Specialized LSODA for pharmacokinetic systems
+/**
+ * Three-compartment + effect-site PK/PD system on a dose timeline
+ * State y = [a1, a2, a3, Ce] (amounts in the dose unit, Ce in concentration units)
+ */
 class PKLSODASolver {
-    constructor() {
-        this.lsoda = new LSODA();
+    constructor(options = {}) {
+        this.options = { rtol: 1e-8, atol: 1e-10, ...options };
+        this.lsoda = new LSODA(this.options);
+        this.continuation = null;  // Last advance() result, to continue from
+    }
+
+    static derivatives(pkParams, infusionRatePerMin) {
+        const { k10, k12, k21, k13, k31, ke0, v1 } = pkParams;
+        return (t, y) => [
+            infusionRatePerMin - (k10 + k12 + k13) * y[0] + k21 * y[1] + k31 * y[2],
+            k12 * y[0] - k21 * y[1],
+            k13 * y[0] - k31 * y[2],
+            ke0 * (y[0] / v1 - y[3])
+        ];
+    }
+
+    static jacobian(pkParams) {
+        const { k10, k12, k21, k13, k31, ke0, v1 } = pkParams;
+        const matrix = [
+            [-(k10 + k12 + k13), k21, k31, 0],
+            [k12, -k21, 0, 0],
+            [k13, 0, -k31, 0],
+            [ke0 / v1, 0, 0, -ke0]
+        ];
+        return () => matrix;
     }
-    
+
     /**
-     * Solve 3-compartment PK model with continuous infusion
-     * @param {Object} pkParams - PK parameters {k10, k12, k21, k13, k31}
-     * @param {Array} times - Time points
-     * @param {Array} infusionRates - Infusion rates at each time point
-     * @param {Array} bolusEvents - Bolus events [{time, amount}]
-     * @param {Array} y0 - Initial conditions [a1, a2, a3]
+     * (Re)start with a constant infusion rate from t0
      */
-    solve3Compartment(pkParams, times, infusionRates, bolusEvents = [], y0 = [0, 0, 0]) {
-        const {k10, k12, k21, k13, k31} = pkParams;
-        
-        // Create interpolation function for infusion rates
-        const getInfusionRate = (t) => {
-            const index = Math.min(Math.floor(t / (times[1] - times[0])), infusionRates.length - 1);
-            return infusionRates[index] || 0;
-        };
-        
-        // Check for bolus events
-        const getBolus = (t) => {
-            const bolus = bolusEvents.find(event => Math.abs(event.time - t) < 1e-6);
-            return bolus ? bolus.amount : 0;
-        };
-        
-        // Define the ODE system
-        const odeSystem = (t, y) => {
-            const [a1, a2, a3] = y;
-            const infusionRate = getInfusionRate(t);
-            
-            const da1dt = infusionRate - k10 * a1 - k12 * a1 + k21 * a2 - k13 * a1 + k31 * a3;
-            const da2dt = k12 * a1 - k21 * a2;
-            const da3dt = k13 * a1 - k31 * a3;
-            
-            return [da1dt, da2dt, da3dt];
-        };
-        
-        // Handle bolus events by splitting integration
-        const solution = {t: [], y: []};
-        let currentY = [...y0];
-        let startTime = times[0];
-        
-        for (let i = 1; i < times.length; i++) {
-            const endTime = times[i];
-            const timeSpan = [startTime, endTime];
-            
-            // Check for bolus events in this interval
-            const bolusInInterval = bolusEvents.filter(event => 
-                event.time > startTime && event.time <= endTime
-            );
-            
-            if (bolusInInterval.length > 0) {
-                // Split integration at bolus events
-                for (const bolus of bolusInInterval) {
-                    if (bolus.time > startTime) {
-                        // Integrate to bolus time
-                        const partialSpan = [startTime, bolus.time];
-                        const partialResult = this.lsoda.integrate(odeSystem, currentY, partialSpan, {
-                            rtol: 1e-8,
-                            atol: 1e-12
-                        });
-                        
-                        // Add results (excluding last point to avoid duplication)
-                        for (let j = solution.t.length === 0 ? 0 : 1; j < partialResult.t.length - 1; j++) {
-                            solution.t.push(partialResult.t[j]);
-                            solution.y.push(partialResult.y[j]);
-                        }
-                        
-                        currentY = partialResult.y[partialResult.y.length - 1];
-                    }
-                    
-                    // Apply bolus
-                    currentY[0] += bolus.amount;
-                    startTime = bolus.time;
+    start(pkParams, t0, y0, infusionRatePerMin, span = 1.0) {
+        this.continuation = null;
+        this.lsoda.start(PKLSODASolver.derivatives(pkParams, infusionRatePerMin), t0, y0, {
+            jacobian: PKLSODASolver.jacobian(pkParams),
+            span: span
+        });
+        return this;
+    }
+
+    stateAt(t, tcrit = null) {
+        return this.lsoda.advanceTo(t, tcrit);
+    }
+
+    get stats() {
+        return { ...this.lsoda.stats, method: this.lsoda.methodName };
+    }
+
+    /**
+     * Rate constants the system depends on, copied so later changes to pkParams are seen
+     */
+    static parameterValues(pkParams) {
+        return PK_LSODA_PARAMETERS.map(name => pkParams[name]);
+    }
+
+    /**
+     * State after dt at a constant infusion rate
+     * Consecutive calls that pass back the previous result with the same parameter values
+     * and rate continue the running integration instead of restarting at order 1.
+     */
+    advance(state, pkParams, infusionRatePerMin, dt) {
+        if (dt <= 0) return { ...state };
+
+        const last = this.continuation;
+        const parameters = PKLSODASolver.parameterValues(pkParams);
+        const continues = last && last.rate === infusionRatePerMin &&
+            last.parameters.every((value, i) => value === parameters[i]) &&
+            last.state.a1 === state.a1 && last.state.a2 === state.a2 &&
+            last.state.a3 === state.a3 && last.state.ce === state.ce;
+        const t0 = continues ? last.time : 0;
+        if (!continues) {
+            this.start(pkParams, t0, [state.a1, state.a2, state.a3, state.ce], infusionRatePerMin, dt);
+        }
+
+        const y = this.stateAt(t0 + dt);
+        const next = { a1: y[0], a2: y[1], a3: y[2], ce: y[3] };
+        this.continuation = { parameters: parameters, rate: infusionRatePerMin, state: { ...next }, time: t0 + dt };
+        return next;
+    }
+
+    /**
+     * Cp and Ce at the output times for a dose timeline
+     * @param {Object} pkParams - Rate constants (v1, ke0, k10, k12, k13, k21, k31)
+     * @param {Array} doseEvents - Timeline accepted by PKPDSimulationCore.buildDoseTimeline
+     * @param {Array<number>} times - Increasing output times (minutes)
+     * @returns {Object} { times, y, plasmaConcentrations, effectSiteConcentrations, stats }
+     */
+    solve(pkParams, doseEvents, times, y0 = [0, 0, 0, 0]) {
+        const timeline = PKPDSimulationCore.buildDoseTimeline(doseEvents);
+        const span = times.length > 1 ? times[1] - times[0] : 1.0;
+        this.lsoda.stats = LSODA.emptyStats();
+
+        let eventIndex = 0;
+        let infusionRatePerMin = 0.0;
+        let segmentStart = Math.min(times[0], timeline.length > 0 ? timeline[0].time : times[0]);
+        let y = y0.slice();
+        this.start(pkParams, segmentStart, y, infusionRatePerMin, span);
+
+        const nextEventTime = () => eventIndex < timeline.length ? timeline[eventIndex].time : null;
+        const states = [];
+
+        times.forEach(time => {
+            // Each bolus or rate change restarts the integration at its exact time
+            while (eventIndex < timeline.length &&
+                   timeline[eventIndex].time <= time + SIMULATION_TIME_EPSILON) {
+                const eventTime = timeline[eventIndex].time;
+                if (eventTime > segmentStart) {
+                    y = this.stateAt(eventTime, eventTime);
                 }
-            }
-            
-            // Integrate remaining interval
-            if (startTime < endTime) {
-                const finalSpan = [startTime, endTime];
-                const finalResult = this.lsoda.integrate(odeSystem, currentY, finalSpan, {
-                    rtol: 1e-8,
-                    atol: 1e-12
-                });
-                
-                // Add results
-                for (let j = solution.t.length === 0 ? 0 : 1; j < finalResult.t.length; j++) {
-                    solution.t.push(finalResult.t[j]);
-                    solution.y.push(finalResult.y[j]);
+                while (eventIndex < timeline.length &&
+                       timeline[eventIndex].time <= eventTime + SIMULATION_TIME_EPSILON) {
+                    y[0] += timeline[eventIndex].bolusAmount;
+                    infusionRatePerMin = timeline[eventIndex].infusionRatePerMin;
+                    eventIndex++;
                 }
-                
-                currentY = finalResult.y[finalResult.y.length - 1];
+                segmentStart = eventTime;
+                this.start(pkParams, segmentStart, y, infusionRatePerMin, span);
             }
-            
-            startTime = endTime;
-        }
-        
-        return solution;
+
+            y = time > segmentStart ? this.stateAt(time, nextEventTime()) : y.slice();
+            states.push(y);
+        });
+
+        return {
+            times: times,
+            y: states,
+            plasmaConcentrations: states.map(state => Math.max(0.0, state[0] / pkParams.v1)),
+            effectSiteConcentrations: states.map(state => Math.max(0.0, state[3])),
+            stats: this.stats
+        };
     }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { LSODA, PKLSODASolver };
+    module.exports = { LSODA, PKLSODASolver, LSODAMethod, LSODADefaults };
 }
 
 // Make available globally for browser use
 if (typeof window !== 'undefined') {
     window.LSODA = LSODA;
     window.PKLSODASolver = PKLSODASolver;
-}
\ No newline at end of file
+    window.LSODAMethod = LSODAMethod;
+    window.LSODADefaults = LSODADefaults;
+}
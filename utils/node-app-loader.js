@@ -0,0 +1,63 @@
+/**
+ * Node.js Application Loader
+ * ブラウザなしでアプリのスクリプトを読み込むローダー
+ *
+ * Features:
+ * - Runs the scripts of js/app-scripts.js in a Node vm context, in the order index.html loads them
+ * - Top-level classes and constants are shared between scripts exactly as in the browser
+ * - UI scripts (charts, main.js) are skipped; no DOM or window object is provided
+ * - Console output of the scripts is silenced unless { verbose: true }
+ *
+ * Usage:
+ *   const { loadApp } = require('./utils/node-app-loader');
+ *   const app = loadApp();
+ *   const engine = new app.MonitoringEngine();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Script paths to load, in load order (AppScripts without the UI scripts)
+ */
+function applicationScripts(root = APP_ROOT) {
+    const { AppScripts } = require(path.join(root, 'js', 'app-scripts.js'));
+    return [...AppScripts.calculation, ...AppScripts.mainThread];
+}
+
+/**
+ * Load the application scripts into a fresh context
+ * @param {Object} options - { verbose, root }
+ * @returns {Proxy} Global names of the loaded scripts (e.g. app.PKPDSimulationCore)
+ */
+function loadApp(options = {}) {
+    const root = options.root || APP_ROOT;
+    const quiet = () => {};
+    const context = vm.createContext({
+        console: options.verbose ? console : { log: quiet, info: quiet, warn: quiet, error: console.error },
+        setTimeout, clearTimeout, setInterval, clearInterval
+    });
+
+    applicationScripts(root).forEach(src => {
+        const filename = path.join(root, src);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+    });
+
+    // Class and const declarations are not properties of the context object,
+    // so names are resolved by evaluating them inside it
+    const cache = new Map();
+    return new Proxy({}, {
+        get(target, name) {
+            if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name)) return undefined;
+            if (!cache.has(name)) {
+                cache.set(name, vm.runInContext(`typeof ${name} !== 'undefined' ? ${name} : undefined`, context));
+            }
+            return cache.get(name);
+        }
+    });
+}
+
+module.exports = { loadApp, applicationScripts };
@@ -0,0 +1,178 @@
+/**
+ * One-Dimensional Infusion Rate Optimizer
+ * 注入速度の一次元最適化（ブレント法・黄金分割探索）
+ *
+ * Features:
+ * - findRate: rate at which an increasing response (e.g. Ce at the target time) reaches a
+ *   target; the root is bracketed by growing the upper bound, then solved with BrentSolver
+ * - minimize: coarse scan to bracket the best rate, then golden-section search to the rate tolerance
+ * - Tolerance, iteration limit and bracketing are set per call
+ * - Every result reports iterations, function evaluations, the bracket and whether the
+ *   search converged, for the engines' optimizationHistory
+ *
+ * Rates are in the caller's units (mg/hr for propofol protocols).
+ */
+
+const RateOptimizerDefaults = {
+    tolerance: 0.01,         // Rate tolerance (mg/hr)
+    maxIterations: 100,      // Brent or golden-section iterations
+    bracketExpansion: 2.0,   // findRate: upper bound growth factor while bracketing
+    scanPoints: 24           // minimize: evenly spaced rates evaluated before golden-section
+};
+
+const GOLDEN_SECTION_RATIO = (Math.sqrt(5) - 1) / 2;   // 0.618...
+
+class RateOptimizer {
+
+    /**
+     * Rate at which response(rate) equals the target, for a response increasing with rate
+     * @param {Function} response - rate → value
+     * @param {number} target - Value to reach
+     * @param {Object} options - { lower, upper, maximum (largest upper bound while bracketing),
+     *   tolerance, maxIterations, bracketExpansion }
+     * @returns {Object} { rate, value, iterations, evaluations, converged, bracket, status }
+     *   status: 'converged', 'max-iterations', 'below-range' (target reached at the lower bound)
+     *   or 'above-range' (not reached at the maximum rate)
+     */
+    static findRate(response, target, options = {}) {
+        const settings = { ...RateOptimizerDefaults, ...options };
+        const maximum = settings.maximum !== undefined ? settings.maximum : settings.upper;
+        if (!(settings.lower >= 0) || !(settings.upper > settings.lower) || !(maximum >= settings.upper)) {
+            throw new Error('Rate search needs 0 ≤ lower < upper ≤ maximum');
+        }
+
+        let evaluations = 0;
+        const difference = (rate) => {
+            evaluations++;
+            return response(rate) - target;
+        };
+        const result = (rate, diff, iterations, status, bracket) => ({
+            rate: rate,
+            value: diff + target,
+            iterations: iterations,
+            evaluations: evaluations,
+            converged: status === 'converged',
+            bracket: bracket,
+            status: status
+        });
+
+        // Bracketing: [lower, upper] must contain the sign change
+        let lower = settings.lower;
+        let upper = settings.upper;
+        let lowerDiff = difference(lower);
+        if (lowerDiff >= 0) {
+            return result(lower, lowerDiff, 0, 'below-range', [lower, lower]);
+        }
+        let upperDiff = difference(upper);
+        while (upperDiff < 0 && upper < maximum) {
+            lower = upper;
+            lowerDiff = upperDiff;
+            upper = Math.min(maximum, upper * settings.bracketExpansion);
+            upperDiff = difference(upper);
+        }
+        if (upperDiff < 0) {
+            return result(upper, upperDiff, 0, 'above-range', [lower, upper]);
+        }
+
+        // BrentSolver evaluates both ends again before iterating
+        let calls = 0;
+        const rate = BrentSolver.findRoot(r => {
+            calls++;
+            return difference(r);
+        }, lower, upper, settings.tolerance, settings.maxIterations);
+        const iterations = Math.max(0, calls - 2);
+
+        return result(rate, difference(rate), iterations,
+            iterations < settings.maxIterations ? 'converged' : 'max-iterations', [lower, upper]);
+    }
+
+    /**
+     * Rate minimising objective(rate) within [lower, upper]
+     * @param {Function} objective - rate → value to minimise
+     * @param {Object} options - { tolerance, maxIterations, scanPoints, onProgress (fraction done) }
+     * @returns {Object} { rate, value, iterations, evaluations, converged, bracket, status, scan }
+     */
+    static minimize(objective, lower, upper, options = {}) {
+        const settings = { ...RateOptimizerDefaults, ...options };
+        if (!(upper > lower)) {
+            throw new Error('Rate search needs lower < upper');
+        }
+
+        const scanPoints = Math.max(3, Math.round(settings.scanPoints));
+        const spacing = (upper - lower) / (scanPoints - 1);
+        const expectedIterations = Math.min(settings.maxIterations,
+            Math.max(0, Math.ceil(Math.log(settings.tolerance / (2 * spacing)) / Math.log(GOLDEN_SECTION_RATIO))));
+        const expectedEvaluations = scanPoints + expectedIterations + 2;
+
+        let evaluations = 0;
+        let best = { rate: lower, value: Infinity };
+        const evaluate = (rate) => {
+            const value = objective(rate);
+            evaluations++;
+            if (value < best.value) {
+                best = { rate: rate, value: value };
+            }
+            if (settings.onProgress) {
+                settings.onProgress(Math.min(1, evaluations / expectedEvaluations));
+            }
+            return value;
+        };
+
+        // Bracketing: the best scanned rate and its neighbours
+        const scan = [];
+        for (let i = 0; i < scanPoints; i++) {
+            const rate = i === scanPoints - 1 ? upper : lower + i * spacing;
+            scan.push({ rate: rate, value: evaluate(rate) });
+        }
+        const bestIndex = scan.reduce((bestSoFar, point, i) => point.value < scan[bestSoFar].value ? i : bestSoFar, 0);
+        let a = scan[Math.max(0, bestIndex - 1)].rate;
+        let b = scan[Math.min(scanPoints - 1, bestIndex + 1)].rate;
+        const bracket = [a, b];
+
+        // Golden-section search
+        let c = b - GOLDEN_SECTION_RATIO * (b - a);
+        let d = a + GOLDEN_SECTION_RATIO * (b - a);
+        let fc = evaluate(c);
+        let fd = evaluate(d);
+        let iterations = 0;
+
+        while (b - a > settings.tolerance && iterations < settings.maxIterations) {
+            if (fc <= fd) {
+                b = d;
+                d = c;
+                fd = fc;
+                c = b - GOLDEN_SECTION_RATIO * (b - a);
+                fc = evaluate(c);
+            } else {
+                a = c;
+                c = d;
+                fc = fd;
+                d = a + GOLDEN_SECTION_RATIO * (b - a);
+                fd = evaluate(d);
+            }
+            iterations++;
+        }
+
+        const converged = b - a <= settings.tolerance;
+        return {
+            rate: best.rate,
+            value: best.value,
+            iterations: iterations,
+            evaluations: evaluations,
+            converged: converged,
+            bracket: bracket,
+            status: converged ? 'converged' : 'max-iterations',
+            scan: scan
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.RateOptimizer = RateOptimizer;
+    window.RateOptimizerDefaults = RateOptimizerDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RateOptimizer, RateOptimizerDefaults };
+}
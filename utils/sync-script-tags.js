@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Script Tag Generator
+ * index.html スクリプトタグ生成
+ *
+ * Features:
+ * - Writes the <script> tags of index.html from js/app-scripts.js
+ * - --check exits with status 1 instead of writing when index.html is out of date
+ *
+ * Usage:
+ *   npm run sync-scripts
+ *   node utils/sync-script-tags.js --check
+ *
+ * The tags are written between the "JavaScript Modules" marker comments.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+
+const START_MARKER = '<!-- JavaScript Modules (generated from js/app-scripts.js: npm run sync-scripts) -->';
+const END_MARKER = '<!-- /JavaScript Modules -->';
+
+/**
+ * index.html with its script block generated from the script list
+ * @param {string} html - Current index.html
+ * @param {Array} scripts - Script paths in load order
+ */
+function withScriptTags(html, scripts) {
+    const start = html.indexOf(START_MARKER);
+    const end = html.indexOf(END_MARKER);
+    if (start < 0 || end < start) {
+        throw new Error('index.html has no JavaScript Modules marker comments');
+    }
+
+    const lineStart = html.lastIndexOf('\n', start) + 1;
+    const indent = html.slice(lineStart, start);
+    const tags = scripts.map(src => `${indent}<script src="${src}"></script>\n`).join('');
+    return html.slice(0, start) + START_MARKER + '\n' + tags + indent + html.slice(end);
+}
+
+/**
+ * Update index.html (or only compare with { check: true })
+ * @returns {boolean} Whether index.html was (or would be) changed
+ */
+function syncIndexHtml(options = {}) {
+    const root = options.root || APP_ROOT;
+    const file = path.join(root, 'index.html');
+    const { AppScripts } = require(path.join(root, 'js', 'app-scripts.js'));
+    const html = fs.readFileSync(file, 'utf8');
+    const updated = withScriptTags(html, AppScripts.all());
+
+    if (updated !== html && !options.check) {
+        fs.writeFileSync(file, updated);
+    }
+    return updated !== html;
+}
+
+if (require.main === module) {
+    const check = process.argv.includes('--check');
+    const changed = syncIndexHtml({ check: check });
+    if (check && changed) {
+        console.error('index.html script tags differ from js/app-scripts.js; run npm run sync-scripts');
+        process.exit(1);
+    }
+    console.log(changed ? 'index.html script tags updated' : 'index.html script tags are up to date');
+}
+
+module.exports = { withScriptTags, syncIndexHtml };
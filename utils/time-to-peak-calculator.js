@@ -0,0 +1,127 @@
+/**
+ * Time to Peak Effect ⇔ ke0 Calculator
+ * 最大効果到達時間(tpeak)とke0の相互変換
+ *
+ * Features:
+ * - ke0 for a given time to peak effect-site concentration after a bolus, for any
+ *   three-compartment PK parameter set (the Schnider/Minto way of defining ke0)
+ * - Time to peak effect for a given ke0
+ * - Reuses MasuiKe0Calculator.calculatePlasmaCoefficients (CubicSolver) and BrentSolver,
+ *   which previously served only the remimazolam model
+ *
+ * After a unit bolus Cp(t) = A·e^(-αt) + B·e^(-βt) + C·e^(-γt), so
+ *   Ce(t) = Σ A_i · ke0 / (ke0 - λ_i) · (e^(-λ_i t) - e^(-ke0 t))
+ * and tpeak is the root of dCe/dt. For a fixed tpeak, dCe/dt(tpeak) falls as ke0 rises.
+ */
+
+const TimeToPeakDefaults = {
+    minimumKe0: 1e-4,     // min⁻¹
+    maximumKe0: 1000,     // min⁻¹
+    minimumTime: 1e-4,    // min
+    maximumTime: 1440,    // min
+    tolerance: 1e-10
+};
+
+class TimeToPeakCalculator {
+
+    /**
+     * Unit-bolus disposition coefficients and exponents (α > β > γ)
+     * @param {Object} pk - PKParameters or rate constants with k10, k12, k13, k21, k31
+     */
+    static dispositionCoefficients(pk) {
+        const coefficients = MasuiKe0Calculator.calculatePlasmaCoefficients({
+            k10: pk.k10,
+            k12: pk.k12,
+            k13: pk.k13,
+            k21: pk.k21,
+            k31: pk.k31
+        });
+
+        return [
+            { coefficient: coefficients.A, exponent: coefficients.alpha },
+            { coefficient: coefficients.B, exponent: coefficients.beta },
+            { coefficient: coefficients.C, exponent: coefficients.gamma }
+        ];
+    }
+
+    /**
+     * dCe/dt after a unit bolus (removable singularity at ke0 = λ handled by its limit)
+     */
+    static effectSiteSlope(terms, ke0, t) {
+        return terms.reduce((sum, term) => {
+            const lambda = term.exponent;
+            if (Math.abs(ke0 - lambda) < 1e-9 * Math.max(ke0, lambda)) {
+                return sum + term.coefficient * ke0 * (1 - lambda * t) * Math.exp(-lambda * t);
+            }
+            return sum + term.coefficient * ke0 / (ke0 - lambda) *
+                (ke0 * Math.exp(-ke0 * t) - lambda * Math.exp(-lambda * t));
+        }, 0);
+    }
+
+    /**
+     * Ce after a unit bolus, as a fraction of the initial plasma concentration
+     */
+    static effectSiteFraction(terms, ke0, t) {
+        return terms.reduce((sum, term) => {
+            const lambda = term.exponent;
+            if (Math.abs(ke0 - lambda) < 1e-9 * Math.max(ke0, lambda)) {
+                return sum + term.coefficient * ke0 * t * Math.exp(-lambda * t);
+            }
+            return sum + term.coefficient * ke0 / (ke0 - lambda) *
+                (Math.exp(-lambda * t) - Math.exp(-ke0 * t));
+        }, 0);
+    }
+
+    /**
+     * Time to peak effect-site concentration after a bolus (minutes)
+     */
+    static timeToPeak(pk, ke0, options = {}) {
+        const settings = { ...TimeToPeakDefaults, ...options };
+        if (!(ke0 > 0)) {
+            throw new Error('ke0 must be positive');
+        }
+
+        const terms = this.dispositionCoefficients(pk);
+        const slope = (t) => this.effectSiteSlope(terms, ke0, t);
+
+        // Ce rises from zero, so bracket the peak by doubling until the slope turns negative
+        let upper = Math.min(1.0, settings.maximumTime);
+        while (slope(upper) > 0) {
+            if (upper >= settings.maximumTime) {
+                throw new Error(`No effect-site peak within ${settings.maximumTime} min`);
+            }
+            upper = Math.min(upper * 2, settings.maximumTime);
+        }
+
+        return BrentSolver.findRoot(slope, settings.minimumTime, upper, settings.tolerance);
+    }
+
+    /**
+     * ke0 giving the chosen time to peak effect after a bolus (min⁻¹)
+     */
+    static ke0ForTimeToPeak(pk, tPeak, options = {}) {
+        const settings = { ...TimeToPeakDefaults, ...options };
+        if (!(tPeak > 0)) {
+            throw new Error('Time to peak effect must be positive');
+        }
+
+        const terms = this.dispositionCoefficients(pk);
+        const slope = (ke0) => this.effectSiteSlope(terms, ke0, tPeak);
+
+        if (slope(settings.minimumKe0) <= 0 || slope(settings.maximumKe0) >= 0) {
+            throw new Error(`No ke0 between ${settings.minimumKe0} and ${settings.maximumKe0} min⁻¹ gives a peak at ${tPeak} min`);
+        }
+
+        return BrentSolver.findRoot(slope, settings.minimumKe0, settings.maximumKe0, settings.tolerance);
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TimeToPeakCalculator = TimeToPeakCalculator;
+    window.TimeToPeakDefaults = TimeToPeakDefaults;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimeToPeakCalculator, TimeToPeakDefaults };
+}